@@ -1,5 +1,11 @@
 'use strict'
 
+const {
+  getComponentExtensions,
+  getComponentGlob,
+  getFrameworkDevDependencies,
+} = require('./frameworks')
+
 const JS_LINT_EXTENSIONS = '.js,.jsx,.mjs,.cjs,.html'
 const TS_LINT_EXTENSIONS = '.js,.jsx,.mjs,.cjs,.ts,.tsx,.html'
 
@@ -7,13 +13,18 @@ const STYLELINT_EXTENSIONS = ['css', 'scss', 'sass', 'less', 'pcss']
 const DEFAULT_STYLELINT_TARGET = `**/*.{${STYLELINT_EXTENSIONS.join(',')}}`
 
 const baseScripts = {
+  'security:audit': 'npm audit --audit-level high',
+  'security:secrets': 'create-quality-automation scan-secrets',
+}
+
+const prettierScripts = {
   format: 'prettier --write .',
   'format:check': 'prettier --check .',
-  'security:audit': 'npm audit --audit-level high',
-  'security:secrets':
-    "node -e \"const fs=require('fs');const content=fs.readFileSync('package.json','utf8');if(/[\\\"\\'][a-zA-Z0-9+/]{20,}[\\\"\\']/.test(content)){console.error('❌ Potential hardcoded secrets in package.json');process.exit(1)}else{console.log('✅ No secrets detected in package.json')}\"",
 }
 
+// A tool is on unless the project configuration switched it off
+const isEnabled = (tools, tool) => !tools || tools[tool] !== false
+
 const normalizeStylelintTargets = stylelintTargets => {
   const targets = Array.isArray(stylelintTargets)
     ? stylelintTargets.filter(Boolean)
@@ -32,15 +43,51 @@ const stylelintBraceGroup = stylelintTargets => {
   return `{${targets.join(',')}}`
 }
 
-const baseLintScripts = ({ extensions, stylelintTargets }) => {
+const eslintTarget = ({ extensions, eslintTargets }) =>
+  eslintTargets && eslintTargets.length
+    ? eslintTargets.map(glob => `"${glob}"`).join(' ')
+    : `. --ext ${extensions}`
+
+// ESLint extensions, with the frameworks' single-file components
+const lintExtensions = ({ typescript, frameworks }) =>
+  [
+    typescript ? TS_LINT_EXTENSIONS : JS_LINT_EXTENSIONS,
+    ...getComponentExtensions(frameworks).map(extension => `.${extension}`),
+  ].join(',')
+
+// Stylelint also checks the <style> blocks of single-file components
+const withComponentGlob = (stylelintTargets, frameworks) => {
+  const componentGlob = getComponentGlob(frameworks)
+  const targets = normalizeStylelintTargets(stylelintTargets)
+  return componentGlob ? [...targets, componentGlob] : targets
+}
+
+const baseLintScripts = ({
+  extensions,
+  stylelintTargets,
+  eslintTargets,
+  tools,
+}) => {
   const stylelintTarget = stylelintBraceGroup(stylelintTargets)
-  return {
-    lint: `eslint . --ext ${extensions} && stylelint "${stylelintTarget}" --allow-empty-input`,
-    'lint:fix': `eslint . --ext ${extensions} --fix && stylelint "${stylelintTarget}" --fix --allow-empty-input`,
+  const eslint = eslintTarget({ extensions, eslintTargets })
+  const lint = []
+  const lintFix = []
+  if (isEnabled(tools, 'eslint')) {
+    lint.push(`eslint ${eslint}`)
+    lintFix.push(`eslint ${eslint} --fix`)
   }
+  if (isEnabled(tools, 'stylelint')) {
+    lint.push(`stylelint "${stylelintTarget}" --allow-empty-input`)
+    lintFix.push(`stylelint "${stylelintTarget}" --fix --allow-empty-input`)
+  }
+  return lint.length
+    ? { lint: lint.join(' && '), 'lint:fix': lintFix.join(' && ') }
+    : {}
 }
 
 const baseDevDependencies = {
+  // Provides the scan-secrets command the scripts and hooks run
+  'create-quality-automation': `^${require('../package.json').version}`,
   husky: '^9.1.4',
   'lint-staged': '^15.2.10',
   prettier: '^3.3.3',
@@ -51,22 +98,50 @@ const baseDevDependencies = {
   'stylelint-config-standard': '^37.0.0',
 }
 
+// Tools each default devDependency belongs to
+const devDependencyTools = {
+  'create-quality-automation': [],
+  husky: ['husky'],
+  'lint-staged': ['husky'],
+  prettier: ['prettier'],
+  eslint: ['eslint'],
+  'eslint-plugin-security': ['eslint', 'security'],
+  globals: ['eslint'],
+  stylelint: ['stylelint'],
+  'stylelint-config-standard': ['stylelint'],
+}
+
 const typeScriptDevDependencies = {
   '@typescript-eslint/eslint-plugin': '^8.9.0',
   '@typescript-eslint/parser': '^8.9.0',
 }
 
-const baseLintStaged = (patterns, stylelintTargets) => {
+const baseLintStaged = (patterns, stylelintTargets, tools) => {
+  const prettier = isEnabled(tools, 'prettier') ? ['prettier --write'] : []
   const lintStaged = {
-    'package.json': ['prettier --write'],
-    [patterns]: ['eslint --fix', 'prettier --write'],
-    '**/*.{json,md,yml,yaml}': ['prettier --write'],
+    'package.json': prettier,
   }
+  patterns.forEach(pattern => {
+    lintStaged[pattern] = [
+      ...(isEnabled(tools, 'eslint') ? ['eslint --fix'] : []),
+      ...prettier,
+    ]
+  })
+  lintStaged['**/*.{json,md,yml,yaml}'] = prettier
 
   normalizeStylelintTargets(stylelintTargets).forEach(target => {
-    lintStaged[target] = ['stylelint --fix', 'prettier --write']
+    lintStaged[target] = [
+      ...(isEnabled(tools, 'stylelint') ? ['stylelint --fix'] : []),
+      ...prettier,
+    ]
   })
 
+  // Drop patterns whose tools are all switched off
+  Object.keys(lintStaged).forEach(pattern => {
+    if (!lintStaged[pattern].length) {
+      delete lintStaged[pattern]
+    }
+  })
   return lintStaged
 }
 
@@ -75,25 +150,88 @@ const TS_LINT_STAGED_PATTERN = '**/*.{js,jsx,ts,tsx,mjs,cjs,html}'
 
 const clone = value => JSON.parse(JSON.stringify(value))
 
-function getDefaultScripts({ typescript, stylelintTargets } = {}) {
-  const extensions = typescript ? TS_LINT_EXTENSIONS : JS_LINT_EXTENSIONS
-  return {
+function getDefaultScripts({
+  typescript,
+  frameworks,
+  stylelintTargets,
+  eslintTargets,
+  auditCommand,
+  tools,
+} = {}) {
+  const scripts = {
+    ...(isEnabled(tools, 'prettier') ? clone(prettierScripts) : {}),
     ...clone(baseScripts),
-    ...baseLintScripts({ extensions, stylelintTargets }),
+    ...baseLintScripts({
+      extensions: lintExtensions({ typescript, frameworks }),
+      stylelintTargets: withComponentGlob(stylelintTargets, frameworks),
+      eslintTargets,
+      tools,
+    }),
   }
+  if (auditCommand) {
+    scripts['security:audit'] = auditCommand
+  }
+  return scripts
 }
 
-function getDefaultDevDependencies({ typescript } = {}) {
-  const devDeps = { ...clone(baseDevDependencies) }
-  if (typescript) {
+function getDefaultDevDependencies({
+  typescript,
+  frameworks,
+  tools,
+  versions = {},
+} = {}) {
+  const devDeps = {}
+  Object.entries(baseDevDependencies).forEach(([dependency, version]) => {
+    if (devDependencyTools[dependency].every(tool => isEnabled(tools, tool))) {
+      devDeps[dependency] = version
+    }
+  })
+  if (typescript && isEnabled(tools, 'eslint')) {
     Object.assign(devDeps, typeScriptDevDependencies)
   }
+  Object.entries(getFrameworkDevDependencies(frameworks)).forEach(
+    ([tool, dependencies]) => {
+      if (isEnabled(tools, tool)) {
+        Object.assign(devDeps, dependencies)
+      }
+    }
+  )
+  // Configured versions replace the default ranges of the packages we add
+  Object.keys(devDeps).forEach(dependency => {
+    if (versions[dependency]) {
+      devDeps[dependency] = versions[dependency]
+    }
+  })
   return devDeps
 }
 
-function getDefaultLintStaged({ typescript, stylelintTargets } = {}) {
-  const pattern = typescript ? TS_LINT_STAGED_PATTERN : JS_LINT_STAGED_PATTERN
-  return clone(baseLintStaged(pattern, stylelintTargets))
+function getDefaultLintStaged({
+  typescript,
+  frameworks,
+  stylelintTargets,
+  eslintTargets,
+  tools,
+} = {}) {
+  const patterns =
+    eslintTargets && eslintTargets.length
+      ? eslintTargets
+      : [typescript ? TS_LINT_STAGED_PATTERN : JS_LINT_STAGED_PATTERN]
+  const lintStaged = baseLintStaged(patterns, stylelintTargets, tools)
+
+  // Components run every linter in one task, so no two tasks write the
+  // same file at once
+  const componentGlob = getComponentGlob(frameworks)
+  if (componentGlob) {
+    const commands = [
+      ...(isEnabled(tools, 'eslint') ? ['eslint --fix'] : []),
+      ...(isEnabled(tools, 'stylelint') ? ['stylelint --fix'] : []),
+      ...(isEnabled(tools, 'prettier') ? ['prettier --write'] : []),
+    ]
+    if (commands.length) {
+      lintStaged[componentGlob] = commands
+    }
+  }
+  return clone(lintStaged)
 }
 
 module.exports = {
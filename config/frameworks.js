@@ -0,0 +1,282 @@
+'use strict'
+
+// Frameworks with lint presets, in the order their ESLint blocks are added
+const FRAMEWORKS = ['react', 'next', 'vue', 'svelte', 'angular', 'astro']
+
+// Stylelint reads the <style> blocks of single-file components through
+// postcss-html
+const componentStylelintDevDependencies = {
+  'postcss-html': '^1.7.0',
+  'stylelint-config-html': '^1.1.0',
+}
+
+// devDependencies per framework, keyed by the tool they belong to, and the
+// extension of its single-file components
+const FRAMEWORK_PRESETS = {
+  react: {
+    name: 'React',
+    devDependencies: {
+      eslint: {
+        'eslint-plugin-react': '^7.37.1',
+        'eslint-plugin-react-hooks': '^5.0.0',
+        'eslint-plugin-jsx-a11y': '^6.10.0',
+      },
+    },
+  },
+  next: {
+    name: 'Next.js',
+    devDependencies: {
+      eslint: { '@next/eslint-plugin-next': '^15.0.0' },
+    },
+  },
+  vue: {
+    name: 'Vue',
+    extension: 'vue',
+    devDependencies: {
+      eslint: { 'eslint-plugin-vue': '^9.29.0' },
+      stylelint: componentStylelintDevDependencies,
+    },
+  },
+  svelte: {
+    name: 'Svelte',
+    extension: 'svelte',
+    prettierPlugin: 'prettier-plugin-svelte',
+    devDependencies: {
+      eslint: { 'eslint-plugin-svelte': '^2.46.0' },
+      prettier: { 'prettier-plugin-svelte': '^3.2.7' },
+      stylelint: componentStylelintDevDependencies,
+    },
+  },
+  angular: {
+    name: 'Angular',
+    devDependencies: {
+      eslint: { 'angular-eslint': '^18.4.0' },
+    },
+  },
+  astro: {
+    name: 'Astro',
+    extension: 'astro',
+    prettierPlugin: 'prettier-plugin-astro',
+    devDependencies: {
+      eslint: { 'eslint-plugin-astro': '^1.3.1' },
+      prettier: { 'prettier-plugin-astro': '^0.14.1' },
+      stylelint: componentStylelintDevDependencies,
+    },
+  },
+}
+
+const byPresetOrder = frameworks =>
+  FRAMEWORKS.filter(framework => (frameworks || []).includes(framework))
+
+/**
+ * Get the display names of frameworks
+ * @param {Array<string>} frameworks - Framework ids from detection
+ * @returns {Array<string>} - e.g. `['React', 'Next.js']`
+ */
+function getFrameworkNames(frameworks) {
+  return byPresetOrder(frameworks).map(
+    framework => FRAMEWORK_PRESETS[framework].name
+  )
+}
+
+/**
+ * Get the single-file component extensions of frameworks
+ * @param {Array<string>} frameworks - Framework ids from detection
+ * @returns {Array<string>} - e.g. `['vue', 'svelte']`
+ */
+function getComponentExtensions(frameworks) {
+  return byPresetOrder(frameworks)
+    .map(framework => FRAMEWORK_PRESETS[framework].extension)
+    .filter(Boolean)
+}
+
+/**
+ * Get the glob matching the single-file components of frameworks
+ * @param {Array<string>} frameworks - Framework ids from detection
+ * @returns {string|null} - e.g. `**\/*.{vue,svelte}`, or null without any
+ */
+function getComponentGlob(frameworks) {
+  const extensions = getComponentExtensions(frameworks)
+  if (!extensions.length) {
+    return null
+  }
+  return extensions.length === 1
+    ? `**/*.${extensions[0]}`
+    : `**/*.{${extensions.join(',')}}`
+}
+
+/**
+ * Get the devDependencies the framework presets need, keyed by tool
+ * (`eslint`, `prettier`, `stylelint`)
+ * @param {Array<string>} frameworks - Framework ids from detection
+ * @returns {Object} - Map of tool to devDependencies
+ */
+function getFrameworkDevDependencies(frameworks) {
+  const devDependencies = {}
+  byPresetOrder(frameworks).forEach(framework => {
+    Object.entries(FRAMEWORK_PRESETS[framework].devDependencies).forEach(
+      ([tool, dependencies]) => {
+        devDependencies[tool] = { ...devDependencies[tool], ...dependencies }
+      }
+    )
+  })
+  return devDependencies
+}
+
+/**
+ * Get the Prettier plugins that format the frameworks' components
+ * @param {Array<string>} frameworks - Framework ids from detection
+ * @returns {Array<string>}
+ */
+function getPrettierPlugins(frameworks) {
+  return byPresetOrder(frameworks)
+    .map(framework => FRAMEWORK_PRESETS[framework].prettierPlugin)
+    .filter(Boolean)
+}
+
+// Each preset loads its plugins in a try block, like the template's
+// security plugin, so the config works before they are installed
+const presetBlock = (name, requires, body) => `try {
+${requires.map(([binding, id]) => `  const ${binding} = require('${id}')`).join('\n')}
+${body}
+} catch {
+  // ${name} not installed yet; skip this preset
+}
+`
+
+// A framework's flat config plus the security rules for the components
+// its parser handles; the binding is named after the framework
+const componentPush =
+  framework => `  configs.push(...${framework}.configs['flat/recommended'], {
+    files: ['**/*.${FRAMEWORK_PRESETS[framework].extension}'],
+    rules: {
+      ...baseRules,
+      ...securityRules,
+      ...qualityAutomationRules,
+    },
+  })`
+
+// TypeScript in <script lang="ts"> blocks
+const componentParserBlock = extension => `  if (tsParser) {
+    configs.push({
+      files: ['**/*.${extension}'],
+      languageOptions: { parserOptions: { parser: tsParser } },
+    })
+  }`
+
+const ESLINT_PRESETS = {
+  react: ({ scriptFiles }) =>
+    presetBlock(
+      'React plugins',
+      [
+        ['react', 'eslint-plugin-react'],
+        ['reactHooks', 'eslint-plugin-react-hooks'],
+        ['jsxA11y', 'eslint-plugin-jsx-a11y'],
+      ],
+      `  configs.push({
+    files: [${scriptFiles}],
+    languageOptions: {
+      parserOptions: { ecmaFeatures: { jsx: true } },
+    },
+    plugins: {
+      react,
+      'react-hooks': reactHooks,
+      'jsx-a11y': jsxA11y,
+    },
+    settings: { react: { version: 'detect' } },
+    rules: {
+      ...react.configs.recommended.rules,
+      ...react.configs['jsx-runtime'].rules,
+      ...reactHooks.configs.recommended.rules,
+      ...jsxA11y.configs.recommended.rules,
+    },
+  })`
+    ),
+  next: ({ scriptFiles }) =>
+    presetBlock(
+      'Next.js plugin',
+      [['nextPlugin', '@next/eslint-plugin-next']],
+      `  configs.push({
+    files: [${scriptFiles}],
+    plugins: { '@next/next': nextPlugin },
+    rules: {
+      ...nextPlugin.configs.recommended.rules,
+      ...nextPlugin.configs['core-web-vitals'].rules,
+    },
+  })`
+    ),
+  vue: ({ typescript }) =>
+    presetBlock(
+      'eslint-plugin-vue',
+      [['vue', 'eslint-plugin-vue']],
+      `${componentPush('vue')}${typescript ? `\n${componentParserBlock('vue')}` : ''}`
+    ),
+  svelte: ({ typescript }) =>
+    presetBlock(
+      'eslint-plugin-svelte',
+      [['svelte', 'eslint-plugin-svelte']],
+      `${componentPush('svelte')}${typescript ? `\n${componentParserBlock('svelte')}` : ''}`
+    ),
+  // Component templates are checked in .html files and, through the
+  // processor, inline in the .ts components
+  angular: ({ typescript }) =>
+    presetBlock(
+      'angular-eslint',
+      [['angular', 'angular-eslint']],
+      `  configs.push(${
+        typescript
+          ? `
+    ...angular.configs.tsRecommended.map(config => ({
+      ...config,
+      files: ['**/*.ts'],
+    })),
+    { files: ['**/*.ts'], processor: angular.processInlineTemplates },`
+          : ''
+      }
+    ...angular.configs.templateRecommended.map(config => ({
+      ...config,
+      files: ['**/*.html'],
+    }))
+  )`
+    ),
+  // astro-eslint-parser picks up @typescript-eslint/parser by itself
+  astro: () =>
+    presetBlock(
+      'eslint-plugin-astro',
+      [['astro', 'eslint-plugin-astro']],
+      componentPush('astro')
+    ),
+}
+
+/**
+ * Get the framework presets section of the ESLint flat config. It goes
+ * after the template's own blocks and uses their rule sets and, in the
+ * TypeScript template, `tsParser`.
+ * @param {Object} options - Configuration options
+ * @param {Array<string>} options.frameworks - Framework ids from detection
+ * @param {boolean} options.typescript - Whether project uses TypeScript
+ * @returns {string} - Config source, empty without frameworks
+ */
+function getFrameworkEslintConfig({ frameworks, typescript } = {}) {
+  const presets = byPresetOrder(frameworks)
+  if (!presets.length) {
+    return ''
+  }
+  const scriptFiles = typescript
+    ? "'**/*.{js,jsx,mjs,cjs,ts,tsx}'"
+    : "'**/*.{js,jsx,mjs,cjs}'"
+  return `// Framework presets: ${getFrameworkNames(presets).join(', ')}
+${presets
+  .map(framework => ESLINT_PRESETS[framework]({ scriptFiles, typescript }))
+  .join('\n')}`
+}
+
+module.exports = {
+  FRAMEWORKS,
+  getComponentExtensions,
+  getComponentGlob,
+  getFrameworkDevDependencies,
+  getFrameworkEslintConfig,
+  getFrameworkNames,
+  getPrettierPlugins,
+}
@@ -0,0 +1,392 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const { getDefaultConfig } = require('../../lib/config')
+const { createChangeSet } = require('../../lib/file-changes')
+const { ensurePreCommitHooks } = require('../../lib/pre-commit')
+
+const GO_HOOK_IDS = ['gofmt', 'go-vet', 'golangci-lint']
+
+const readFileIfExists = filePath => {
+  try {
+    return fs.readFileSync(filePath, 'utf8')
+  } catch {
+    return null
+  }
+}
+
+const stripGoComment = line => line.replace(/\/\/.*$/, '').trim()
+
+const compareGoVersions = (a, b) => {
+  const left = a.split('.').map(Number)
+  const right = b.split('.').map(Number)
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0)
+    if (diff !== 0) {
+      return diff
+    }
+  }
+  return 0
+}
+
+/**
+ * Read the `go` directive from a go.mod or go.work file
+ * @param {string|null} content - go.mod/go.work content
+ * @returns {string|null} - Go version (e.g. "1.22" or "1.22.3") or null
+ */
+function parseGoDirective(content) {
+  if (!content) {
+    return null
+  }
+  for (const line of content.split('\n')) {
+    const match = stripGoComment(line).match(/^go\s+(\d+\.\d+[.\d]*)$/)
+    if (match) {
+      return match[1]
+    }
+  }
+  return null
+}
+
+/**
+ * Read the `use` directives from a go.work file
+ * @param {string|null} content - go.work content
+ * @returns {Array<string>} - Module directories relative to the workspace root
+ */
+function parseGoWorkUses(content) {
+  if (!content) {
+    return []
+  }
+  const modules = []
+  let inUseBlock = false
+
+  for (const rawLine of content.split('\n')) {
+    const line = stripGoComment(rawLine)
+    if (inUseBlock) {
+      if (line === ')') {
+        inUseBlock = false
+      } else if (line) {
+        modules.push(line)
+      }
+      continue
+    }
+    if (/^use\s*\($/.test(line)) {
+      inUseBlock = true
+      continue
+    }
+    const single = line.match(/^use\s+(\S+)$/)
+    if (single) {
+      modules.push(single[1])
+    }
+  }
+
+  return modules.map(dir => {
+    const normalized = dir.replace(/^"|"$/g, '').replace(/\/$/, '')
+    if (normalized === '.' || normalized === './') {
+      return '.'
+    }
+    return normalized.startsWith('./') ? normalized : `./${normalized}`
+  })
+}
+
+/**
+ * Inspect go.mod/go.work for module layout and the Go version to use
+ * @param {string} projectDir - Project directory path
+ * @returns {Object} - { isWorkspace, modules, goVersion }
+ */
+function getGoWorkspace(projectDir) {
+  const goWork = readFileIfExists(path.join(projectDir, 'go.work'))
+  const goMod = readFileIfExists(path.join(projectDir, 'go.mod'))
+
+  if (goWork) {
+    const modules = [...new Set(parseGoWorkUses(goWork))].sort()
+    const moduleVersions = modules
+      .map(dir =>
+        parseGoDirective(readFileIfExists(path.join(projectDir, dir, 'go.mod')))
+      )
+      .filter(Boolean)
+    return {
+      isWorkspace: true,
+      modules,
+      goVersion:
+        parseGoDirective(goWork) ||
+        parseGoDirective(goMod) ||
+        moduleVersions.sort(compareGoVersions).pop() ||
+        null,
+    }
+  }
+
+  return {
+    isWorkspace: false,
+    modules: ['.'],
+    goVersion: parseGoDirective(goMod),
+  }
+}
+
+/**
+ * Build a shell command that runs `command` inside every module directory
+ * @param {Array<string>} modules - Module directories
+ * @param {string} command - Command to run per module
+ * @returns {string}
+ */
+function forEachModule(modules, command) {
+  if (modules.length === 1 && modules[0] === '.') {
+    return command
+  }
+  return `for mod in ${modules.join(' ')}; do (cd "$mod" && ${command}) || exit 1; done`
+}
+
+/**
+ * Get Go-specific scripts for package.json (if mixed project)
+ * @param {Object} options - Configuration options
+ * @param {Array<string>} options.modules - Module directories
+ * @param {string} options.run - Command prefix that runs a package.json script
+ * @returns {Object} - Scripts that can be added
+ */
+function getScripts({ modules = ['.'], run = 'npm run' } = {}) {
+  return {
+    'go:format': 'gofmt -w .',
+    'go:format:check': 'test -z "$(gofmt -l .)"',
+    'go:lint': forEachModule(modules, 'golangci-lint run'),
+    'go:vet': forEachModule(modules, 'go vet ./...'),
+    'go:test': forEachModule(modules, 'go test -race ./...'),
+    'go:quality': `${run} go:format:check && ${run} go:vet && ${run} go:lint`,
+  }
+}
+
+/**
+ * Get golangci-lint configuration
+ * @returns {string} - .golangci.yml content
+ */
+function getGolangciConfig() {
+  return `# golangci-lint configuration
+# See https://golangci-lint.run/usage/configuration/
+
+version: "2"
+
+run:
+  timeout: 5m
+
+linters:
+  default: standard
+  enable:
+    - bodyclose
+    - errorlint
+    - gosec
+    - misspell
+    - revive
+    - unconvert
+    - unparam
+
+formatters:
+  enable:
+    - gofmt
+    - goimports
+`
+}
+
+/**
+ * Get pre-commit hooks for Go
+ * @param {Object} options - Configuration options
+ * @param {Array<string>} options.modules - Module directories
+ * @returns {string} - YAML entries for the `repos:` list
+ */
+function getPreCommitRepos({ modules = ['.'] } = {}) {
+  const vet = forEachModule(modules, 'go vet ./...')
+  const lint = forEachModule(modules, 'golangci-lint run')
+  return `  - repo: local
+    hooks:
+      - id: gofmt
+        name: gofmt
+        entry: gofmt -l -w
+        language: system
+        types: [go]
+      - id: go-vet
+        name: go vet
+        entry: bash -c '${vet}'
+        language: system
+        types: [go]
+        pass_filenames: false
+      - id: golangci-lint
+        name: golangci-lint
+        entry: bash -c '${lint}'
+        language: system
+        types: [go]
+        pass_filenames: false
+`
+}
+
+/**
+ * Get GitHub Actions workflow for Go
+ * @param {Object} options - Configuration options
+ * @param {string|null} options.goVersion - Go version from go.mod/go.work
+ * @param {Array<string>} options.modules - Module directories
+ * @returns {string} - quality-go.yml content
+ */
+function getGitHubWorkflow({ goVersion = null, modules = ['.'] } = {}) {
+  const multiModule = !(modules.length === 1 && modules[0] === '.')
+  const matrix = multiModule
+    ? `    strategy:
+      fail-fast: false
+      matrix:
+        module: [${modules.map(dir => `"${dir}"`).join(', ')}]
+
+    defaults:
+      run:
+        working-directory: $\{{ matrix.module }}
+
+`
+    : '\n'
+  const lintWorkingDirectory = multiModule
+    ? `
+          working-directory: $\{{ matrix.module }}`
+    : ''
+  const cacheDependencyPath = multiModule ? '**/go.sum' : 'go.sum'
+
+  return `name: Go Quality Checks
+
+on:
+  push:
+    branches: [main, master, develop]
+  pull_request:
+    branches: [main, master, develop]
+
+jobs:
+  quality:
+    runs-on: ubuntu-latest
+${matrix}    steps:
+      - uses: actions/checkout@v4
+
+      - name: Set up Go
+        uses: actions/setup-go@v5
+        with:
+          go-version: '${goVersion || 'stable'}'
+          cache-dependency-path: '${cacheDependencyPath}'
+
+      - name: Format check (gofmt)
+        run: |
+          unformatted="$(gofmt -l .)"
+          if [ -n "$unformatted" ]; then
+            echo "❌ Files need gofmt:"
+            echo "$unformatted"
+            exit 1
+          fi
+
+      - name: Import check (goimports)
+        run: |
+          unformatted="$(go run golang.org/x/tools/cmd/goimports@latest -l .)"
+          if [ -n "$unformatted" ]; then
+            echo "❌ Files need goimports:"
+            echo "$unformatted"
+            exit 1
+          fi
+
+      - name: Lint (golangci-lint)
+        uses: golangci/golangci-lint-action@v8
+        with:
+          version: latest${lintWorkingDirectory}
+
+      - name: Vet (go vet)
+        run: go vet ./...
+
+      - name: Run tests (race detector + coverage)
+        run: go test -race -coverprofile=coverage.out -covermode=atomic ./...
+
+      - name: Vulnerability check (govulncheck)
+        run: go run golang.org/x/vuln/cmd/govulncheck@latest ./...
+`
+}
+
+/**
+ * Setup Go-specific files
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Setup options
+ * @param {Object} options.config - Project configuration (lib/config)
+ * @param {Object} options.changes - Change set from lib/file-changes
+ * @param {Object} options.logger - Receives progress messages (console API)
+ * @returns {Object} - Module information from getGoWorkspace
+ */
+function setupFiles(
+  projectDir,
+  {
+    config = getDefaultConfig(),
+    changes = createChangeSet({ projectDir }),
+    logger = console,
+  } = {}
+) {
+  const goWorkspace = getGoWorkspace(projectDir)
+  const { modules, goVersion } = goWorkspace
+
+  if (goWorkspace.isWorkspace) {
+    logger.log(
+      `🔍 Detected go.work with ${modules.length} module(s): ${modules.join(', ')}`
+    )
+  }
+  if (goVersion) {
+    logger.log(`🔍 Using Go ${goVersion} from the go directive`)
+  } else {
+    logger.log('ℹ️ No go directive found; CI will use the latest stable Go')
+  }
+
+  // Create .golangci.yml unless another golangci-lint config format is used
+  const otherGolangciConfig = [
+    '.golangci.yaml',
+    '.golangci.toml',
+    '.golangci.json',
+  ]
+    .map(file => path.join(projectDir, file))
+    .find(filePath => changes.exists(filePath))
+  if (otherGolangciConfig) {
+    changes.skip(otherGolangciConfig, 'golangci-lint config already exists')
+  } else if (
+    changes.ensureFile(
+      path.join(projectDir, '.golangci.yml'),
+      getGolangciConfig()
+    ) === 'created'
+  ) {
+    logger.log('✅ Added .golangci.yml')
+  }
+
+  // Add Go hooks to .pre-commit-config.yaml
+  const hookResult =
+    config.tools.preCommit &&
+    ensurePreCommitHooks(projectDir, {
+      hookIds: GO_HOOK_IDS,
+      changes,
+      reposYaml: getPreCommitRepos({ modules }),
+    })
+  if (hookResult === 'created') {
+    logger.log(
+      '✅ Added .pre-commit-config.yaml (gofmt, go vet, golangci-lint)'
+    )
+  } else if (hookResult === 'updated') {
+    logger.log('✅ Added Go hooks to .pre-commit-config.yaml')
+  }
+
+  // Create GitHub Actions workflow
+  const workflowDir = path.join(projectDir, '.github', 'workflows')
+  const workflowFile = path.join(workflowDir, 'quality-go.yml')
+  if (
+    config.tools.githubActions &&
+    changes.ensureFile(
+      workflowFile,
+      getGitHubWorkflow({ goVersion, modules })
+    ) === 'created'
+  ) {
+    logger.log('✅ Added GitHub Actions workflow (quality-go.yml)')
+  }
+
+  return goWorkspace
+}
+
+module.exports = {
+  getGoWorkspace,
+  parseGoDirective,
+  parseGoWorkUses,
+  getScripts,
+  getGolangciConfig,
+  getPreCommitRepos,
+  getGitHubWorkflow,
+  setupFiles,
+}
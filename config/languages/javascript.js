@@ -3,6 +3,23 @@
 const fs = require('fs')
 const path = require('path')
 
+const {
+  getComponentExtensions,
+  getComponentGlob,
+  getFrameworkEslintConfig,
+  getPrettierPlugins,
+} = require('../frameworks')
+const { getDefaultConfig } = require('../../lib/config')
+const { migrateLegacyEslintConfig } = require('../../lib/eslint-migration')
+const { BASE_DIR, createChangeSet } = require('../../lib/file-changes')
+const {
+  getCiInstallSteps,
+  getPackageManagerCommands,
+} = require('../../lib/package-manager')
+const { getWorkspaceTaskCommand } = require('../../lib/workspaces')
+
+const TEMPLATE_DIR = path.join(__dirname, '../../')
+
 const JS_LINT_EXTENSIONS = '.js,.jsx,.mjs,.cjs,.html'
 const TS_LINT_EXTENSIONS = '.js,.jsx,.mjs,.cjs,.ts,.tsx,.html'
 
@@ -82,117 +99,723 @@ function getLintStagedConfig({ typescript, stylelintTargets }) {
   return lintStaged
 }
 
+// Matches a rule line in the templates' securityRules and
+// qualityAutomationRules blocks
+const SECURITY_RULE_LINE =
+  /^(\s*)'((?:security|quality-automation)\/[\w-]+)': '(error|warn|off)',/
+
+// Flat config file names in the order ESLint picks the first one found
+const FLAT_CONFIG_FILES = [
+  'eslint.config.js',
+  'eslint.config.mjs',
+  'eslint.config.cjs',
+  'eslint.config.ts',
+  'eslint.config.mts',
+  'eslint.config.cts',
+]
+// Module with the template's rules that hand-written flat configs spread
+const SHARED_ESLINT_CONFIG = 'eslint.quality-automation.cjs'
+const SHARED_ESLINT_BINDING = 'qualityAutomation'
+
+// Rule block each rule prefix belongs to in the templates
+const RULE_BLOCKS = {
+  security: 'const securityRules = ',
+  'quality-automation': 'const qualityAutomationRules = ',
+}
+
+// Take eslint-plugin-security out of a config template: its require, its
+// recommended config and the securityRules block
+const removeSecurityPlugin = template => {
+  const rulesStart = template.indexOf(
+    '// Security rules only if plugin is loaded'
+  )
+  const rulesEnd = template.indexOf('// XSS and injection checks')
+  return `${template.slice(0, rulesStart)}${template.slice(rulesEnd)}`
+    .replace('let security = null\n', '')
+    .replace(
+      "try {\n  security = require('eslint-plugin-security')\n} catch {\n  // Security plugin not installed yet; fall back to basic config\n}\n\n",
+      ''
+    )
+    .replace(
+      'if (security) {\n  configs.push(security.configs.recommended)\n}\n',
+      ''
+    )
+    .replace('    ...securityRules,\n', '')
+}
+
 /**
- * Setup JavaScript/TypeScript-specific files
- * @param {string} projectDir - Project directory path
- * @param {Object} options - Setup options
+ * Get the ESLint flat config, with the security rule severities from the
+ * project configuration applied and the presets of detected frameworks
+ * added
+ * @param {Object} options - Configuration options
  * @param {boolean} options.typescript - Whether project uses TypeScript
+ * @param {Array<string>} options.frameworks - Detected frameworks
+ * @param {Object} options.security - `security` section of the project config
+ * @param {boolean} options.securityPlugin - Whether eslint-plugin-security
+ *   is enabled (`tools.security`); without it the config neither loads the
+ *   plugin nor sets its rules
+ * @returns {string} - eslint.config.cjs content
  */
-function setupFiles(projectDir, { typescript }) {
-  const templateDir = path.join(__dirname, '../../')
-
-  // Copy Prettier config if it doesn't exist
-  const prettierrcPath = path.join(projectDir, '.prettierrc')
-  if (!fs.existsSync(prettierrcPath)) {
-    const templatePrettierrc = fs.readFileSync(
-      path.join(templateDir, '.prettierrc'),
-      'utf8'
+function getEslintConfig({
+  typescript,
+  frameworks = [],
+  security = {},
+  securityPlugin = true,
+} = {}) {
+  const source = fs.readFileSync(
+    path.join(
+      TEMPLATE_DIR,
+      typescript ? 'eslint.config.ts.cjs' : 'eslint.config.cjs'
+    ),
+    'utf8'
+  )
+  const template = securityPlugin ? source : removeSecurityPlugin(source)
+  const presets = getFrameworkEslintConfig({ frameworks, typescript })
+  const withPresets = presets
+    ? template.replace(
+        '\nmodule.exports = configs',
+        `\n${presets}\nmodule.exports = configs`
+      )
+    : template
+  const { severity = null } = security
+  const rules = Object.fromEntries(
+    Object.entries(security.rules || {}).filter(
+      ([rule]) => securityPlugin || !rule.startsWith('security/')
     )
-    fs.writeFileSync(prettierrcPath, templatePrettierrc)
-    console.log('✅ Added Prettier configuration')
+  )
+  if (!severity && !Object.keys(rules).length) {
+    return withPresets
   }
 
-  // Copy ESLint config if it doesn't exist
-  const eslintConfigPath = path.join(projectDir, 'eslint.config.cjs')
-  const templateEslintPath = path.join(
-    templateDir,
-    typescript ? 'eslint.config.ts.cjs' : 'eslint.config.cjs'
-  )
-  const templateEslint = fs.readFileSync(templateEslintPath, 'utf8')
+  const remaining = { ...rules }
+  const lines = withPresets.split('\n').map(line => {
+    const match = line.match(SECURITY_RULE_LINE)
+    if (!match) {
+      return line
+    }
+    const [, indent, rule, original] = match
+    const wanted = remaining[rule] || severity || original
+    delete remaining[rule]
+    // The template's rationale only applies to its own severity
+    return wanted === original ? line : `${indent}'${rule}': '${wanted}',`
+  })
 
-  if (!fs.existsSync(eslintConfigPath)) {
-    fs.writeFileSync(eslintConfigPath, templateEslint)
-    console.log(
-      `✅ Added ESLint configuration${typescript ? ' (TypeScript-aware)' : ''}`
+  // Rules the template does not list go at the end of their block
+  Object.entries(remaining).forEach(([rule, value]) => {
+    const blockStart = lines.findIndex(line =>
+      line.startsWith(RULE_BLOCKS[rule.split('/')[0]])
     )
-  } else if (typescript) {
-    const existingConfig = fs.readFileSync(eslintConfigPath, 'utf8')
-    if (!existingConfig.includes('@typescript-eslint')) {
-      fs.writeFileSync(eslintConfigPath, templateEslint)
-      console.log('♻️ Updated ESLint configuration with TypeScript support')
-    }
+    const blockEnd = lines.findIndex(
+      (line, index) =>
+        index > blockStart &&
+        line === '    }' &&
+        (lines[index + 1] || '').trim() === ': {}'
+    )
+    lines.splice(blockEnd, 0, `      '${rule}': '${value}',`)
+  })
+  return lines.join('\n')
+}
+
+// A JSON array property as Prettier prints it: on one line when it fits
+const jsonArrayProperty = (key, values) => {
+  const quoted = values.map(value => `"${value}"`)
+  const line = `  "${key}": [${quoted.join(', ')}]`
+  return line.length < 80
+    ? line
+    : `  "${key}": [\n${quoted.map(value => `    ${value}`).join(',\n')}\n  ]`
+}
+
+/**
+ * Get the Prettier config, with the plugins that format the detected
+ * frameworks' components
+ * @param {Object} options - Configuration options
+ * @param {Array<string>} options.frameworks - Detected frameworks
+ * @returns {string} - .prettierrc content
+ */
+function getPrettierConfig({ frameworks = [] } = {}) {
+  const template = fs.readFileSync(
+    path.join(TEMPLATE_DIR, '.prettierrc'),
+    'utf8'
+  )
+  const plugins = getPrettierPlugins(frameworks)
+  if (!plugins.length) {
+    return template
   }
+  return template.replace(
+    /\n\}\n$/,
+    `,\n${jsonArrayProperty('plugins', plugins)}\n}\n`
+  )
+}
 
-  const legacyEslintrcPath = path.join(projectDir, '.eslintrc.json')
-  if (fs.existsSync(legacyEslintrcPath)) {
-    console.log(
-      'ℹ️ Detected legacy .eslintrc.json; ESLint 9 prefers eslint.config.cjs. Consider removing the legacy file after verifying the new config.'
-    )
+/**
+ * Get the Stylelint config, reading the <style> blocks of the detected
+ * frameworks' single-file components through stylelint-config-html
+ * @param {Object} options - Configuration options
+ * @param {Array<string>} options.frameworks - Detected frameworks
+ * @returns {string} - .stylelintrc.json content
+ */
+function getStylelintConfig({ frameworks = [] } = {}) {
+  const template = fs.readFileSync(
+    path.join(TEMPLATE_DIR, '.stylelintrc.json'),
+    'utf8'
+  )
+  const extensions = getComponentExtensions(frameworks)
+  if (!extensions.length) {
+    return template
   }
+  return template.replace(
+    '  "extends": ["stylelint-config-standard"]',
+    jsonArrayProperty('extends', [
+      'stylelint-config-standard',
+      ...extensions.map(extension => `stylelint-config-html/${extension}`),
+    ])
+  )
+}
 
-  // Copy Stylelint config if it doesn't exist
-  const stylelintrcPath = path.join(projectDir, '.stylelintrc.json')
-  if (!fs.existsSync(stylelintrcPath)) {
-    const templateStylelint = fs.readFileSync(
-      path.join(templateDir, '.stylelintrc.json'),
-      'utf8'
-    )
-    fs.writeFileSync(stylelintrcPath, templateStylelint)
-    console.log('✅ Added Stylelint configuration')
+/**
+ * Get the module a hand-written flat config spreads to pick up the
+ * template's security and XSS/injection rules (and the TypeScript block),
+ * built from the same template as eslint.config.cjs
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.typescript - Whether project uses TypeScript
+ * @param {Object} options.security - `security` section of the project config
+ * @param {boolean} options.securityPlugin - Whether eslint-plugin-security
+ *   is enabled (`tools.security`)
+ * @returns {string} - eslint.quality-automation.cjs content
+ */
+function getEslintSharedConfig({
+  typescript,
+  security = {},
+  securityPlugin = true,
+} = {}) {
+  const template = getEslintConfig({ typescript, security, securityPlugin })
+  const section = (start, end) =>
+    template.slice(template.indexOf(start), template.indexOf(end))
+  const typeScriptBlock = typescript
+    ? `\n${section('if (tsPlugin && tsParser) {', 'module.exports = configs').trimEnd()}\n`
+    : ''
+  return `// Security and XSS/injection rules from create-quality-automation. Your
+// ESLint config spreads this array first, so its own settings win.
+${typescript ? "const globals = require('globals')\n\n" : ''}${section('let ', 'const configs = [')}const configs = [{ ignores: ['.quality-automation/**'] }]
+
+${section('// Add security config if available', '// Base rules configuration')}${section('// Base rules configuration', 'configs.push({\n  files:')}configs.push({
+  files: ['**/*.{js,jsx,mjs,cjs,html}'],
+  rules: {
+    ...baseRules,
+${securityPlugin ? '    ...securityRules,\n' : ''}    ...qualityAutomationRules,
+  },
+})
+${typeScriptBlock}
+module.exports = configs
+`
+}
+
+// Line endings and trailing whitespace differ between checkouts
+const normalizeConfigText = content =>
+  content
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .trimEnd()
+
+const isEsmConfig = (file, content) =>
+  /\.m?ts$|\.mjs$/.test(file) ||
+  (file.endsWith('.js') && content.includes('export default'))
+
+/**
+ * Make a hand-written flat config spread the shared module ahead of its
+ * own entries. Handles `[...]` exports, calls like `defineConfig(...)` or
+ * `tseslint.config(...)`, and exported variables.
+ * @param {string} file - Config file name, e.g. `eslint.config.mjs`
+ * @param {string} content - Config file content
+ * @returns {string|null} - Updated content (unchanged when the config
+ *   already uses the shared module), or null when the export has a shape
+ *   this cannot edit
+ */
+function injectSharedEslintConfig(file, content) {
+  if (content.includes(SHARED_ESLINT_CONFIG)) {
+    return content
+  }
+  const esm = isEsmConfig(file, content)
+  const keyword = esm ? 'export default ' : 'module.exports = '
+  const lines = content.split('\n')
+  const exportLine = lines.findLastIndex(line => line.startsWith(keyword))
+  if (exportLine === -1) {
+    return null
+  }
+  const value = lines.slice(exportLine).join('\n').slice(keyword.length)
+  const call = value.match(/^[\w$.]+\(\s*/)
+  const variable = value.match(/^[\w$]+/)
+  let exported
+  if (value.startsWith('[') || call) {
+    // Spread into the array literal, or pass the entries as the first
+    // arguments of e.g. defineConfig(...) or tseslint.config(...)
+    const open =
+      call && value[call[0].length] !== '['
+        ? value.indexOf('(') + 1
+        : value.indexOf('[') + 1
+    const spread =
+      value[open] === '\n'
+        ? `\n  ...${SHARED_ESLINT_BINDING},`
+        : `...${SHARED_ESLINT_BINDING}, `
+    exported = `${value.slice(0, open)}${spread}${value.slice(open)}`
+  } else if (variable) {
+    // concat() accepts the variable whether it holds one config or a list
+    exported = `[...${SHARED_ESLINT_BINDING}].concat(${variable[0]})${value.slice(variable[0].length)}`
+  } else {
+    return null
   }
 
-  // Copy .prettierignore if it doesn't exist
-  const prettierignorePath = path.join(projectDir, '.prettierignore')
-  if (!fs.existsSync(prettierignorePath)) {
-    const templatePrettierignore = fs.readFileSync(
-      path.join(templateDir, '.prettierignore'),
-      'utf8'
-    )
-    fs.writeFileSync(prettierignorePath, templatePrettierignore)
-    console.log('✅ Added Prettier ignore file')
+  // After the last single-line import/require above the export, or at the
+  // top (below 'use strict')
+  const isImportEnd = line =>
+    esm
+      ? /^(?:import|\}) .*['"];?$/.test(line) &&
+        /^import ['"]| from ['"]/.test(line)
+      : /^(?:const|let|var) .*= require\(['"][^'"]*['"]\);?$/.test(line)
+  let insertAt = lines.slice(0, exportLine).findLastIndex(isImportEnd) + 1
+  if (!insertAt && /^['"]use strict['"]/.test(lines[0])) {
+    insertAt = 1
   }
+  const importLine = esm
+    ? `import ${SHARED_ESLINT_BINDING} from './${SHARED_ESLINT_CONFIG}'`
+    : `const ${SHARED_ESLINT_BINDING} = require('./${SHARED_ESLINT_CONFIG}')`
+  return [
+    ...lines.slice(0, insertAt),
+    importLine,
+    ...lines.slice(insertAt, exportLine),
+    `${keyword}${exported}`,
+  ].join('\n')
+}
 
-  // Copy ESLint ignore if it doesn't exist
-  const eslintignorePath = path.join(projectDir, '.eslintignore')
-  if (!fs.existsSync(eslintignorePath)) {
-    const templateEslintIgnore = fs.readFileSync(
-      path.join(templateDir, '.eslintignore'),
-      'utf8'
+/**
+ * Undo injectSharedEslintConfig
+ * @param {string} content - Config file content
+ * @returns {string} - Content without the shared module
+ */
+function removeSharedEslintConfig(content) {
+  const concat = `[...${SHARED_ESLINT_BINDING}].concat(`
+  let result = content
+    .split('\n')
+    .filter(line => !line.includes(`'./${SHARED_ESLINT_CONFIG}'`))
+    .join('\n')
+    .replace(`\n  ...${SHARED_ESLINT_BINDING},`, '')
+    .replace(`...${SHARED_ESLINT_BINDING}, `, '')
+  const at = result.indexOf(concat)
+  if (at !== -1) {
+    const close = result.indexOf(')', at + concat.length)
+    result = `${result.slice(0, at)}${result.slice(at + concat.length, close)}${result.slice(close + 1)}`
+  }
+  return result
+}
+
+// Remove a `- name:` step (and the blank line after it) from a workflow
+const removeWorkflowStep = (workflow, name) => {
+  const start = workflow.indexOf(`      - name: ${name}\n`)
+  if (start === -1) {
+    return workflow
+  }
+  const next = workflow.indexOf('\n      - name: ', start + 1)
+  return next === -1
+    ? workflow.slice(0, start).replace(/\n+$/, '\n')
+    : workflow.slice(0, start) + workflow.slice(next + 1)
+}
+
+/**
+ * Get the Husky pre-commit hook that scans staged files for secrets and
+ * runs lint-staged
+ * @param {Object} options - Configuration options
+ * @param {Object} options.packageManager - Result of detectPackageManager
+ * @returns {string} - Hook script content
+ */
+function getPreCommitHook({ packageManager } = {}) {
+  const { name, exec } = getPackageManagerCommands(packageManager)
+  const run = name === 'npm' ? 'npx --no --' : exec
+  // Husky 9 runs hooks with sh itself; sourcing husky.sh is deprecated
+  return `# Block commits that add secrets\n${run} create-quality-automation scan-secrets --staged\n\n# Run lint-staged on staged files\n${run} lint-staged\n`
+}
+
+// The `test` job runs next to the quality job: unit tests with coverage and
+// the coverage gate, then Playwright's end-to-end tests in browsers it
+// installs first
+const getTestJob = ({
+  testRunners,
+  packageManager,
+  commands,
+  nodeVersion,
+  nodeMatrix,
+}) => {
+  const { unit, e2e } = testRunners
+  if (!unit && !e2e) {
+    return null
+  }
+  const steps = []
+  if (unit) {
+    // One job summary, from the oldest version of a matrix
+    const gateCondition = nodeMatrix
+      ? `
+        if: matrix.node-version == '${nodeMatrix[0]}'`
+      : ''
+    steps.push(
+      `      - name: Tests with coverage
+        run: ${commands.run} test:coverage`,
+      `      - name: Coverage gate${gateCondition}
+        run: ${commands.exec} create-quality-automation coverage --report=coverage/lcov.info`
     )
-    fs.writeFileSync(eslintignorePath, templateEslintIgnore)
-    console.log('✅ Added ESLint ignore file')
   }
+  if (e2e) {
+    steps.push(
+      `      - name: Install Playwright browsers
+        run: ${commands.exec} playwright install --with-deps`,
+      `      - name: End-to-end tests
+        run: ${commands.run} test:e2e`
+    )
+  }
+  const strategy = nodeMatrix
+    ? `    strategy:
+      matrix:
+        node-version: [${nodeMatrix.map(version => `'${version}'`).join(', ')}]
+`
+    : ''
+  return `  test:
+    runs-on: ubuntu-latest
+${strategy}
+    steps:
+      - name: Checkout code
+        uses: actions/checkout@v4
+
+${getCiInstallSteps(packageManager, { nodeVersion })}
+${steps.join('\n\n')}
+`
+}
 
-  // Copy GitHub Actions workflow if it doesn't exist
-  const workflowFile = path.join(
-    projectDir,
-    '.github/workflows/quality.yml'
+/**
+ * Get the GitHub Actions quality workflow for the project's package manager
+ * and configuration. Monorepos get an extra step that runs each package's
+ * own lint and test tasks, and projects with a test runner a `test` job.
+ * @param {Object} options - Configuration options
+ * @param {Object} options.workspaces - Result of detectWorkspaces, if any
+ * @param {Object} options.packageManager - Result of detectPackageManager
+ * @param {Object} options.config - Project configuration (lib/config)
+ * @param {boolean} options.typescript - Whether project uses TypeScript
+ * @param {Array<string>} options.frameworks - Detected frameworks
+ * @param {string} options.nodeVersion - Node.js version CI runs on
+ * @param {Array<string>|null} options.nodeMatrix - Node.js versions to run
+ *   the job on instead, from getNodeMatrix
+ * @param {Object} options.testRunners - Result of detectTestRunners
+ * @returns {string} - Workflow YAML content
+ */
+function getGitHubWorkflow({
+  workspaces,
+  packageManager = {},
+  config = getDefaultConfig(),
+  typescript = false,
+  frameworks = [],
+  nodeVersion,
+  nodeMatrix = null,
+  testRunners = { unit: null, e2e: null },
+} = {}) {
+  const template = fs.readFileSync(
+    path.join(TEMPLATE_DIR, '.github/workflows/quality.yml'),
+    'utf8'
+  )
+  const commands = getPackageManagerCommands(packageManager)
+  const installStart = template.indexOf('      - name: Setup Node.js\n')
+  const installEnd = template.indexOf('      - name: Prettier check\n')
+  const ciNodeVersion = nodeMatrix ? '${{ matrix.node-version }}' : nodeVersion
+  let workflow =
+    `${template.slice(0, installStart)}${getCiInstallSteps(packageManager, { nodeVersion: ciNodeVersion })}\n${template.slice(installEnd)}`
+      .replace('run: npm run format:check', `run: ${commands.run} format:check`)
+      .replaceAll('npx eslint ', `${commands.exec} eslint `)
+      .replaceAll('npx stylelint ', `${commands.exec} stylelint `)
+      .replace('run: npm audit --audit-level high', `run: ${commands.audit}`)
+      // This repo runs its own CLI from source; projects run the package
+      .replaceAll(
+        'node setup.js ',
+        `${commands.exec} create-quality-automation `
+      )
+
+  if (nodeMatrix) {
+    workflow = workflow
+      .replace(
+        '    runs-on: ubuntu-latest\n',
+        `    runs-on: ubuntu-latest
+    strategy:
+      matrix:
+        node-version: [${nodeMatrix.map(version => `'${version}'`).join(', ')}]
+`
+      )
+      // Code scanning gets one set of results, from the oldest version
+      .replaceAll(
+        '        if: always()\n',
+        `        if: always() && matrix.node-version == '${nodeMatrix[0]}'\n`
+      )
+  }
+
+  const { tools, globs } = config
+  // ESLint checks the same files as the lint script
+  const extensions = [
+    typescript ? TS_LINT_EXTENSIONS : JS_LINT_EXTENSIONS,
+    ...getComponentExtensions(frameworks).map(extension => `.${extension}`),
+  ].join(',')
+  const eslintTarget = globs.eslint
+    ? globs.eslint.map(glob => `"${glob}"`).join(' ')
+    : `. --ext ${extensions}`
+  workflow = workflow.replaceAll(
+    `eslint . --ext ${JS_LINT_EXTENSIONS}`,
+    `eslint ${eslintTarget}`
+  )
+  const componentGlob = getComponentGlob(frameworks)
+  const stylelintTargets = globs.stylelint || [
+    '**/*.{css,scss,sass,less,pcss}',
+    ...(componentGlob ? [componentGlob] : []),
+  ]
+  workflow = workflow.replaceAll(
+    'stylelint "**/*.{css,scss,sass,less,pcss}"',
+    `stylelint ${stylelintTargets.map(glob => `"${glob}"`).join(' ')}`
   )
-  if (!fs.existsSync(workflowFile)) {
-    const templateWorkflow = fs.readFileSync(
-      path.join(templateDir, '.github/workflows/quality.yml'),
-      'utf8'
+  ;[
+    ['prettier', 'Prettier check'],
+    ['eslint', 'ESLint'],
+    ['stylelint', 'Stylelint'],
+  ].forEach(([tool, step]) => {
+    if (!tools[tool]) {
+      workflow = removeWorkflowStep(workflow, step)
+    }
+  })
+  // A disabled linter contributes no SARIF report either
+  ;['eslint', 'stylelint'].forEach(tool => {
+    if (!tools[tool]) {
+      workflow = workflow
+        .split('\n')
+        .filter(line => !line.includes(`--output-file ${tool}-results.json`))
+        .join('\n')
+        .replace(` --${tool}=${tool}-results.json`, '')
+    }
+  })
+
+  const command =
+    workspaces &&
+    workspaces.isMonorepo &&
+    getWorkspaceTaskCommand(workspaces, commands)
+  if (command) {
+    workflow = workflow.replace(
+      '      - name: Security audit\n',
+      `      - name: Workspace package checks
+        run: ${command}
+
+      - name: Security audit
+`
     )
-    fs.writeFileSync(workflowFile, templateWorkflow)
-    console.log('✅ Added GitHub Actions workflow')
   }
+  const testJob = getTestJob({
+    testRunners,
+    packageManager,
+    commands,
+    nodeVersion: ciNodeVersion,
+    nodeMatrix,
+  })
+  return testJob ? `${workflow.trimEnd()}\n\n${testJob}` : workflow
+}
 
-  // Setup Husky pre-commit hook
-  try {
-    const huskyDir = path.join(projectDir, '.husky')
-    if (!fs.existsSync(huskyDir)) {
-      fs.mkdirSync(huskyDir, { recursive: true })
+/**
+ * Setup JavaScript/TypeScript-specific files
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Setup options
+ * @param {boolean} options.typescript - Whether project uses TypeScript
+ * @param {Array<string>} options.frameworks - Detected frameworks
+ * @param {Object} options.workspaces - Result of detectWorkspaces, if any
+ * @param {Object} options.packageManager - Result of detectPackageManager
+ * @param {Object} options.config - Project configuration (lib/config)
+ * @param {string} options.nodeVersion - Node.js version CI runs on
+ * @param {Array<string>|null} options.nodeMatrix - Node.js versions CI runs
+ *   on instead, when `node.matrix` is configured
+ * @param {Object} options.testRunners - Result of detectTestRunners
+ * @param {Object} options.changes - Change set from lib/file-changes
+ * @param {Object} options.logger - Receives progress messages (console API)
+ */
+function setupFiles(
+  projectDir,
+  {
+    typescript,
+    frameworks = [],
+    workspaces,
+    packageManager,
+    config = getDefaultConfig(),
+    nodeVersion,
+    nodeMatrix = null,
+    testRunners,
+    changes = createChangeSet({ projectDir }),
+    logger = console,
+  }
+) {
+  const { tools } = config
+  const readTemplate = relativePath =>
+    fs.readFileSync(path.join(TEMPLATE_DIR, relativePath), 'utf8')
+
+  if (tools.prettier) {
+    // Copy Prettier config if it doesn't exist
+    const prettierrcPath = path.join(projectDir, '.prettierrc')
+    if (
+      changes.ensureFile(prettierrcPath, getPrettierConfig({ frameworks })) ===
+      'created'
+    ) {
+      logger.log('✅ Added Prettier configuration')
     }
-    const preCommitPath = path.join(huskyDir, 'pre-commit')
-    if (!fs.existsSync(preCommitPath)) {
-      const hook =
-        '#!/bin/sh\n. "$(dirname "$0")/_/husky.sh"\n\n# Run lint-staged on staged files\nnpx --no -- lint-staged\n'
-      fs.writeFileSync(preCommitPath, hook)
-      fs.chmodSync(preCommitPath, 0o755)
-      console.log('✅ Added Husky pre-commit hook (lint-staged)')
+
+    // Copy .prettierignore if it doesn't exist
+    const prettierignorePath = path.join(projectDir, '.prettierignore')
+    if (
+      changes.ensureFile(
+        prettierignorePath,
+        readTemplate('.prettierignore')
+      ) === 'created'
+    ) {
+      logger.log('✅ Added Prettier ignore file')
+    }
+  }
+
+  if (tools.eslint) {
+    const eslintConfigPath = path.join(projectDir, 'eslint.config.cjs')
+    const templateEslint = getEslintConfig({
+      typescript,
+      frameworks,
+      security: config.security,
+      securityPlugin: tools.security,
+    })
+    const existingConfig = FLAT_CONFIG_FILES.find(file =>
+      changes.exists(path.join(projectDir, file))
+    )
+    // eslint.config.cjs is ours when setup recorded a base snapshot for it,
+    // or when it is an unedited copy of a template: versions before the
+    // snapshots wrote those without recording one
+    let managed =
+      existingConfig === 'eslint.config.cjs' &&
+      changes.exists(path.join(projectDir, BASE_DIR, 'eslint.config.cjs'))
+    if (existingConfig === 'eslint.config.cjs' && !managed) {
+      const current = changes.read(eslintConfigPath)
+      managed = [
+        templateEslint,
+        getEslintConfig({ typescript: false }),
+        getEslintConfig({ typescript: true }),
+      ].some(
+        template =>
+          normalizeConfigText(template) === normalizeConfigText(current)
+      )
+      if (managed) {
+        changes.recordBase(eslintConfigPath, current)
+      }
+    }
+
+    if (existingConfig && !managed) {
+      // Keep the hand-written config and have it spread the template rules
+      const sharedPath = path.join(projectDir, SHARED_ESLINT_CONFIG)
+      if (
+        changes.ensureFile(
+          sharedPath,
+          getEslintSharedConfig({
+            typescript,
+            security: config.security,
+            securityPlugin: tools.security,
+          })
+        ) === 'created'
+      ) {
+        logger.log(`✅ Added ${SHARED_ESLINT_CONFIG} with the security rules`)
+      }
+      const userConfigPath = path.join(projectDir, existingConfig)
+      const userConfig = changes.read(userConfigPath)
+      const injected = injectSharedEslintConfig(existingConfig, userConfig)
+      if (injected === null) {
+        logger.warn(
+          `⚠️ Could not add the security rules to ${existingConfig}; spread require('./${SHARED_ESLINT_CONFIG}') at the start of its exported array`
+        )
+      } else if (injected !== userConfig) {
+        changes.write(userConfigPath, injected)
+        logger.log(`♻️ ${existingConfig} now spreads ${SHARED_ESLINT_CONFIG}`)
+      }
+    } else if (
+      managed &&
+      !changes.update &&
+      typescript &&
+      !changes.read(eslintConfigPath).includes('@typescript-eslint')
+    ) {
+      // --update merges the TypeScript template into edited copies
+      const base = changes.read(
+        path.join(projectDir, BASE_DIR, 'eslint.config.cjs')
+      )
+      if (changes.read(eslintConfigPath) === base) {
+        changes.write(eslintConfigPath, templateEslint)
+        changes.recordBase(eslintConfigPath, templateEslint)
+        logger.log('♻️ Updated ESLint configuration with TypeScript support')
+      } else {
+        changes.skip(eslintConfigPath, 'edited; --update adds TypeScript')
+        logger.log(
+          'ℹ️ eslint.config.cjs was edited; run with --update to merge in TypeScript support'
+        )
+      }
+    } else if (
+      changes.ensureFile(eslintConfigPath, templateEslint) === 'created'
+    ) {
+      logger.log(
+        `✅ Added ESLint configuration${typescript ? ' (TypeScript-aware)' : ''}`
+      )
+    }
+
+    // ESLint 9 ignores .eslintrc.*, eslintConfig and .eslintignore
+    if (!existingConfig || managed) {
+      migrateLegacyEslintConfig(projectDir, { typescript, changes, logger })
+    }
+  }
+
+  if (tools.stylelint) {
+    // Copy Stylelint config if it doesn't exist
+    const stylelintrcPath = path.join(projectDir, '.stylelintrc.json')
+    if (
+      changes.ensureFile(
+        stylelintrcPath,
+        getStylelintConfig({ frameworks })
+      ) === 'created'
+    ) {
+      logger.log('✅ Added Stylelint configuration')
+    }
+  }
+
+  if (tools.githubActions) {
+    // Copy GitHub Actions workflow if it doesn't exist
+    const workflowFile = path.join(projectDir, '.github/workflows/quality.yml')
+    if (
+      changes.ensureFile(
+        workflowFile,
+        getGitHubWorkflow({
+          workspaces,
+          packageManager,
+          config,
+          typescript,
+          frameworks,
+          nodeVersion,
+          nodeMatrix,
+          testRunners,
+        })
+      ) === 'created'
+    ) {
+      logger.log('✅ Added GitHub Actions workflow')
+    }
+  }
+
+  if (tools.husky) {
+    // Setup Husky pre-commit hook
+    try {
+      const preCommitPath = path.join(projectDir, '.husky', 'pre-commit')
+      const hook = getPreCommitHook({ packageManager })
+      if (
+        changes.ensureFile(preCommitPath, hook, { mode: 0o755 }) === 'created'
+      ) {
+        logger.log('✅ Added Husky pre-commit hook (lint-staged)')
+      }
+    } catch (e) {
+      logger.warn('⚠️ Could not create Husky pre-commit hook:', e.message)
     }
-  } catch (e) {
-    console.warn('⚠️ Could not create Husky pre-commit hook:', e.message)
   }
 }
 
@@ -200,7 +823,17 @@ module.exports = {
   getScripts,
   getDevDependencies,
   getLintStagedConfig,
+  getEslintConfig,
+  getEslintSharedConfig,
+  getPrettierConfig,
+  getStylelintConfig,
+  injectSharedEslintConfig,
+  removeSharedEslintConfig,
+  getGitHubWorkflow,
+  getPreCommitHook,
   setupFiles,
+  FLAT_CONFIG_FILES,
+  SHARED_ESLINT_CONFIG,
   JS_LINT_EXTENSIONS,
   TS_LINT_EXTENSIONS,
 }
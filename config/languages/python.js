@@ -4,20 +4,293 @@ const fs = require('fs')
 const path = require('path')
 const { execSync } = require('child_process')
 
+const { getDefaultConfig } = require('../../lib/config')
+const { BASE_DIR, createChangeSet } = require('../../lib/file-changes')
+const { hashContent } = require('../../lib/manifest')
+const {
+  detectPythonEnvironment,
+  getPythonCiInstallSteps,
+  getPythonEnvironmentCommands,
+} = require('../../lib/python-environment')
+const {
+  getTomlString,
+  getTomlStringArray,
+  getTomlTable,
+  getTomlTableNames,
+  mergeTomlArray,
+  mergeTomlTables,
+  parseTomlDocument,
+} = require('../../lib/toml')
+const { version: templateVersion } = require('../../package.json')
+
+// Python releases and their end of life. CI tests the releases still
+// supported today, so --update moves the matrix along as the window shifts.
+const PYTHON_RELEASES = [
+  { version: '3.8', released: '2019-10-14', endOfLife: '2024-10-07' },
+  { version: '3.9', released: '2020-10-05', endOfLife: '2025-10-31' },
+  { version: '3.10', released: '2021-10-04', endOfLife: '2026-10-31' },
+  { version: '3.11', released: '2022-10-24', endOfLife: '2027-10-31' },
+  { version: '3.12', released: '2023-10-02', endOfLife: '2028-10-31' },
+  { version: '3.13', released: '2024-10-07', endOfLife: '2029-10-31' },
+  { version: '3.14', released: '2025-10-07', endOfLife: '2030-10-31' },
+]
+
+// Newest target-version the Black and Ruff releases in
+// .pre-commit-config.yaml accept
+const NEWEST_TOOL_TARGET = '3.13'
+
+const minorVersion = version => Number.parseInt(version.split('.')[1], 10)
+const toVersion = minor => `3.${minor}`
+
+/**
+ * Python releases that are out and not yet end-of-life
+ * @param {Date} today - Date to check the support window at
+ * @returns {Array<string>}
+ */
+function getSupportedPythonVersions(today = new Date()) {
+  const date = today.toISOString().slice(0, 10)
+  return PYTHON_RELEASES.filter(
+    ({ released, endOfLife }) => released <= date && date < endOfLife
+  ).map(({ version }) => version)
+}
+
+/**
+ * Oldest Python to target when the project does not say
+ * @param {Date} today - Date to check the support window at
+ * @returns {string}
+ */
+function getDefaultPythonVersion(today = new Date()) {
+  return getSupportedPythonVersions(today)[0]
+}
+
+/**
+ * Python versions CI tests: the supported releases between the project's
+ * oldest and newest version
+ * @param {string} minimum - Oldest version to support (e.g. "3.11")
+ * @param {Object} options - Range options
+ * @param {string|null} options.maximum - Newest version to support
+ * @param {Date} options.today - Date to check the support window at
+ * @returns {Array<string>}
+ */
+function getPythonVersions(
+  minimum = getDefaultPythonVersion(),
+  { maximum = null, today = new Date() } = {}
+) {
+  const versions = getSupportedPythonVersions(today).filter(
+    version =>
+      minorVersion(version) >= minorVersion(minimum) &&
+      (!maximum || minorVersion(version) <= minorVersion(maximum))
+  )
+  return versions.length ? versions : [minimum]
+}
+
+// Black target-version list: every release the code has to run on, up to
+// the newest one the pinned tools know
+const getTargetVersions = (minimum, maximum) => {
+  const newest = Math.min(
+    minorVersion(maximum || NEWEST_TOOL_TARGET),
+    minorVersion(NEWEST_TOOL_TARGET)
+  )
+  const versions = []
+  for (let minor = minorVersion(minimum); minor <= newest; minor++) {
+    versions.push(toVersion(minor))
+  }
+  return versions.length ? versions : [minimum]
+}
+
+/**
+ * Read the oldest and newest Python 3 release a version specifier allows,
+ * e.g. `>=3.9,<3.13` (requires-python) or `^3.10` (Poetry)
+ * @param {string} specifier - Version specifier
+ * @returns {{minimum: string|null, maximum: string|null}|null}
+ */
+function parsePythonRequirement(specifier) {
+  let minimum = null
+  let maximum = null
+  const raiseMinimum = minor => {
+    minimum = minimum === null ? minor : Math.max(minimum, minor)
+  }
+  const lowerMaximum = minor => {
+    maximum = maximum === null ? minor : Math.min(maximum, minor)
+  }
+
+  specifier.split(',').forEach(clause => {
+    const trimmed = clause.trim()
+    const operator = trimmed.match(/^[<>=!~^]*/)[0]
+    const [major, minorPart, patch] = trimmed
+      .slice(operator.length)
+      .trim()
+      .split('.')
+    const minor = Number.parseInt(minorPart, 10)
+    if (major !== '3' || Number.isNaN(minor)) {
+      return
+    }
+    switch (operator) {
+      case '<':
+        lowerMaximum(
+          patch && patch !== '0' && patch !== '*' ? minor : minor - 1
+        )
+        break
+      case '<=':
+        lowerMaximum(minor)
+        break
+      case '>=':
+      case '>':
+      case '^':
+        raiseMinimum(minor)
+        break
+      case '~=':
+        raiseMinimum(minor)
+        // ~=3.10.2 stays on 3.10, ~=3.10 allows any later 3.x
+        if (patch !== undefined) {
+          lowerMaximum(minor)
+        }
+        break
+      case '!=':
+        break
+      default:
+        // ==3.11, ==3.11.*, Poetry's ~3.11 and bare 3.11.*
+        raiseMinimum(minor)
+        lowerMaximum(minor)
+    }
+  })
+
+  if (minimum === null && maximum === null) {
+    return null
+  }
+  return {
+    minimum: minimum === null ? null : toVersion(minimum),
+    maximum: maximum === null ? null : toVersion(maximum),
+  }
+}
+
+const readIfExists = filePath => {
+  try {
+    return fs.readFileSync(filePath, 'utf8')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Find the Python versions the project supports: `requires-python`, then
+ * Poetry's `python` dependency, then the `Programming Language :: Python ::
+ * 3.x` classifiers, then `.python-version`
+ * @param {string} projectDir - Project directory path
+ * @returns {Object|null} - `minimum`, `maximum` (or null) and the `source`,
+ *   or null when the project does not say
+ */
+function detectPythonVersions(projectDir) {
+  const pyproject = readIfExists(path.join(projectDir, 'pyproject.toml'))
+  const project = pyproject && getTomlTable(pyproject, 'project')
+  const specifiers = [
+    {
+      source: 'requires-python',
+      value: getTomlString(project, 'requires-python'),
+    },
+    {
+      source: 'tool.poetry.dependencies',
+      value:
+        pyproject &&
+        getTomlString(
+          getTomlTable(pyproject, 'tool.poetry.dependencies'),
+          'python'
+        ),
+    },
+  ]
+  for (const { source, value } of specifiers) {
+    const range = value && parsePythonRequirement(value)
+    if (range && range.minimum) {
+      return { ...range, source }
+    }
+  }
+
+  const classified = getTomlStringArray(project, 'classifiers')
+    .map(classifier =>
+      classifier.match(/^Programming Language :: Python :: 3\.(\d+)$/)
+    )
+    .filter(Boolean)
+    .map(match => Number.parseInt(match[1], 10))
+  if (classified.length) {
+    return {
+      minimum: toVersion(Math.min(...classified)),
+      maximum: toVersion(Math.max(...classified)),
+      source: 'classifiers',
+    }
+  }
+
+  const pinned = readIfExists(path.join(projectDir, '.python-version'))
+  const match = pinned && pinned.match(/^\D*3\.(\d+)/m)
+  if (match) {
+    return {
+      minimum: toVersion(Number.parseInt(match[1], 10)),
+      maximum: null,
+      source: '.python-version',
+    }
+  }
+  return null
+}
+
+/**
+ * Python versions to generate for: `python.version` from the project
+ * configuration wins, then what the project declares, then the oldest
+ * supported release
+ * @param {string} projectDir - Project directory path
+ * @param {Object} config - Project configuration (lib/config)
+ * @returns {Object} - `minimum`, `maximum` (or null) and the `source`
+ *   ('config', a detection source, or 'default')
+ */
+function resolvePythonVersions(projectDir, config = getDefaultConfig()) {
+  const detected = detectPythonVersions(projectDir)
+  if (config.python.version) {
+    const maximum =
+      detected &&
+      detected.maximum &&
+      minorVersion(detected.maximum) >= minorVersion(config.python.version)
+        ? detected.maximum
+        : null
+    return { minimum: config.python.version, maximum, source: 'config' }
+  }
+  return (
+    detected || {
+      minimum: getDefaultPythonVersion(),
+      maximum: null,
+      source: 'default',
+    }
+  )
+}
+
+const toPyTag = version => `py${version.replace('.', '')}`
+
+// Development and quality automation dependencies, as [package, range]
+const DEV_REQUIREMENTS = [
+  ['black', '>=24.0.0'],
+  ['ruff', '>=0.6.0'],
+  ['isort', '>=5.13.0'],
+  ['mypy', '>=1.11.0'],
+  ['pytest', '>=8.0.0'],
+  ['pytest-cov', '>=5.0.0'],
+  ['pre-commit', '>=3.8.0'],
+]
+
 /**
  * Get Python-specific scripts for package.json (if mixed project)
  * or for documentation purposes
+ * @param {Object} options - Configuration options
+ * @param {string} options.run - Command prefix that runs a package.json script
+ * @param {string} options.runner - Prefix that runs a tool in the Python
+ *   environment (e.g. `poetry run `; empty for pip)
  * @returns {Object} - Scripts that can be added
  */
-function getScripts() {
+function getScripts({ run = 'npm run', runner = '' } = {}) {
   return {
-    'python:format': 'black . && isort .',
-    'python:format:check': 'black --check . && isort --check-only .',
-    'python:lint': 'ruff check .',
-    'python:lint:fix': 'ruff check --fix .',
-    'python:type': 'mypy .',
-    'python:test': 'pytest',
-    'python:quality': 'npm run python:format:check && npm run python:lint',
+    'python:format': `${runner}black . && ${runner}isort .`,
+    'python:format:check': `${runner}black --check . && ${runner}isort --check-only .`,
+    'python:lint': `${runner}ruff check .`,
+    'python:lint:fix': `${runner}ruff check --fix .`,
+    'python:type': `${runner}mypy .`,
+    'python:test': `${runner}pytest`,
+    'python:quality': `${run} python:format:check && ${run} python:lint`,
   }
 }
 
@@ -25,15 +298,29 @@ function getScripts() {
  * Get Python project configuration for pyproject.toml
  * @param {Object} options - Configuration options
  * @param {string} options.projectName - Name of the project
+ * @param {string} options.pythonVersion - Oldest Python version to support
+ * @param {string|null} options.maxPythonVersion - Newest Python version to
+ *   support, or null for no upper bound
  * @returns {string} - pyproject.toml content
  */
-function getPyprojectToml({ projectName = 'my-project' }) {
+function getPyprojectToml({
+  projectName = 'my-project',
+  pythonVersion = getDefaultPythonVersion(),
+  maxPythonVersion = null,
+}) {
+  const targetVersions = getTargetVersions(pythonVersion, maxPythonVersion)
+    .map(version => `'${toPyTag(version)}'`)
+    .join(', ')
   return `[project]
 name = "${projectName}"
 version = "0.1.0"
 description = "A Python project with quality automation"
 readme = "README.md"
-requires-python = ">=3.9"
+requires-python = "${
+    maxPythonVersion
+      ? `>=${pythonVersion},<3.${minorVersion(maxPythonVersion) + 1}`
+      : `>=${pythonVersion}`
+  }"
 
 [build-system]
 requires = ["setuptools>=61.0"]
@@ -41,7 +328,7 @@ build-backend = "setuptools.build_meta"
 
 [tool.black]
 line-length = 88
-target-version = ['py39', 'py310', 'py311', 'py312']
+target-version = [${targetVersions}]
 include = '\\.pyi?$'
 extend-exclude = '''
 /(
@@ -68,7 +355,7 @@ ensure_newline_before_comments = true
 
 [tool.ruff]
 line-length = 88
-target-version = "py39"
+target-version = "${toPyTag(pythonVersion)}"
 
 [tool.ruff.lint]
 select = [
@@ -88,7 +375,7 @@ ignore = [
 "__init__.py" = ["F401"]
 
 [tool.mypy]
-python_version = "3.9"
+python_version = "${pythonVersion}"
 warn_return_any = true
 warn_unused_configs = true
 disallow_untyped_defs = false
@@ -163,22 +450,46 @@ repos:
  * @returns {string} - requirements-dev.txt content
  */
 function getDevRequirements() {
+  const requirements = DEV_REQUIREMENTS.map(
+    ([name, range]) => `${name}${range}`
+  ).join('\n')
   return `# Development and quality automation dependencies
-black>=24.0.0
-ruff>=0.6.0
-isort>=5.13.0
-mypy>=1.11.0
-pytest>=8.0.0
-pytest-cov>=5.0.0
-pre-commit>=3.8.0
+${requirements}
 `
 }
 
 /**
  * Get GitHub Actions workflow for Python
+ * @param {Object} options - Configuration options
+ * @param {string} options.pythonVersion - Oldest Python version to test
+ * @param {string|null} options.maxPythonVersion - Newest Python version to
+ *   test, or null to test up to the newest supported release
+ * @param {Object} options.environment - Result of detectPythonEnvironment
+ * @param {Date} options.today - Date the supported releases are taken at
  * @returns {string} - quality-python.yml content
  */
-function getGitHubWorkflow() {
+function getGitHubWorkflow({
+  pythonVersion = getDefaultPythonVersion(),
+  maxPythonVersion = null,
+  environment = { name: 'pip' },
+  today = new Date(),
+} = {}) {
+  const versions = getPythonVersions(pythonVersion, {
+    maximum: maxPythonVersion,
+    today,
+  })
+  const matrix = versions.map(version => `"${version}"`).join(', ')
+  // Code scanning gets one set of results, from the oldest version
+  const sarifCondition = `always() && matrix.python-version == '${versions[0]}'`
+  const { ciRun: runner } = getPythonEnvironmentCommands(environment)
+  // setup-miniconda activates the environment in login shells only
+  const defaults =
+    environment.name === 'conda'
+      ? `
+    defaults:
+      run:
+        shell: bash -el {0}`
+      : ''
   return `name: Python Quality Checks
 
 on:
@@ -187,142 +498,349 @@ on:
   pull_request:
     branches: [main, master, develop]
 
+permissions:
+  contents: read
+  security-events: write # Upload SARIF results to code scanning
+
 jobs:
   quality:
     runs-on: ubuntu-latest
     strategy:
       matrix:
-        python-version: ["3.9", "3.10", "3.11", "3.12"]
+        python-version: [${matrix}]${defaults}
 
     steps:
       - uses: actions/checkout@v4
 
-      - name: Set up Python $\{{ matrix.python-version }}
-        uses: actions/setup-python@v5
-        with:
-          python-version: $\{{ matrix.python-version }}
-          cache: 'pip'
-
-      - name: Install dependencies
-        run: |
-          python -m pip install --upgrade pip
-          pip install -r requirements-dev.txt
-          if [ -f requirements.txt ]; then pip install -r requirements.txt; fi
-
+${getPythonCiInstallSteps(environment)}
       - name: Format check (Black)
-        run: black --check .
+        run: ${runner}black --check .
 
       - name: Import sort check (isort)
-        run: isort --check-only .
+        run: ${runner}isort --check-only .
 
       - name: Lint (Ruff)
-        run: ruff check .
+        run: ${runner}ruff check .
 
       - name: Type check (mypy)
-        run: mypy .
+        run: ${runner}mypy .
         continue-on-error: true  # Don't fail build on type errors initially
 
       - name: Run tests
-        run: pytest --cov --cov-report=xml --cov-report=term
+        run: ${runner}pytest --cov --cov-report=xml --cov-report=term
+
+      - name: Coverage gate
+        if: matrix.python-version == '${versions[0]}'
+        run: npx --yes create-quality-automation@^${templateVersion} coverage --report=coverage.xml
 
       - name: Security check
         run: |
           pip install safety
           safety check --json || true  # Don't fail build, just report
+
+      - name: Collect SARIF results
+        if: ${sarifCondition}
+        run: |
+          ${runner}ruff check . --output-format json --output-file ruff-results.json || true
+          ${runner}mypy . --show-column-numbers --show-error-codes --no-error-summary > mypy-results.txt || true
+          npx --yes create-quality-automation@^${templateVersion} sarif --ruff=ruff-results.json --mypy=mypy-results.txt --output=quality-python.sarif
+
+      - name: Upload SARIF results
+        if: ${sarifCondition}
+        continue-on-error: true # Forks and private repos without code scanning cannot upload
+        uses: github/codeql-action/upload-sarif@v3
+        with:
+          sarif_file: quality-python.sarif
+          category: quality-python
 `
 }
 
+// Tables setup owns in pyproject.toml
+const getToolTables = pyprojectContent =>
+  getTomlTableNames(pyprojectContent).filter(table => table.startsWith('tool.'))
+
+// A pyproject.toml the project already had gets the missing tool tables and
+// keys; values it already sets are never changed. Returns the hashes of the
+// added tables, which the manifest records for uninstall.
+const mergePyprojectTables = (
+  pyprojectPath,
+  pyprojectContent,
+  { changes, logger }
+) => {
+  const { content, addedTables, addedKeys } = mergeTomlTables(
+    changes.read(pyprojectPath),
+    pyprojectContent,
+    getToolTables(pyprojectContent)
+  )
+  if (!addedTables.length && !Object.keys(addedKeys).length) {
+    changes.skip(pyprojectPath, 'already has the quality tool settings')
+    logger.log('ℹ️ pyproject.toml already has the quality tool settings')
+    return {}
+  }
+  changes.write(pyprojectPath, content)
+  if (addedTables.length) {
+    logger.log(
+      `✅ Added ${addedTables.map(table => `[${table}]`).join(', ')} to pyproject.toml`
+    )
+  }
+  Object.entries(addedKeys).forEach(([table, keys]) => {
+    logger.log(
+      `✅ Added missing ${keys.join(', ')} to pyproject.toml [${table}]`
+    )
+  })
+  return addedTables.reduce((hashes, table) => {
+    hashes[table] = { hash: hashContent(getTomlTable(content, table).trim()) }
+    return hashes
+  }, {})
+}
+
+// Where each environment manager keeps development dependencies: a TOML
+// file and either a table of `name = "range"` keys or an array of
+// requirement strings
+const getDevDependencyTarget = (projectDir, environment, changes) => {
+  const pyproject = path.join(projectDir, 'pyproject.toml')
+  switch (environment.name) {
+    case 'poetry': {
+      // Poetry before 1.2 only knows the dev-dependencies table
+      const content = changes.readIfExists(pyproject) || ''
+      const legacy = parseTomlDocument(content).some(
+        ({ name }) => name === 'tool.poetry.dev-dependencies'
+      )
+      return {
+        file: pyproject,
+        table: legacy
+          ? 'tool.poetry.dev-dependencies'
+          : 'tool.poetry.group.dev.dependencies',
+      }
+    }
+    case 'pipenv':
+      return { file: path.join(projectDir, 'Pipfile'), table: 'dev-packages' }
+    case 'uv':
+      return { file: pyproject, table: 'dependency-groups', array: 'dev' }
+    case 'hatch': {
+      const hatchToml = path.join(projectDir, 'hatch.toml')
+      return changes.exists(hatchToml)
+        ? { file: hatchToml, table: 'envs.default', array: 'dependencies' }
+        : {
+            file: pyproject,
+            table: 'tool.hatch.envs.default',
+            array: 'dependencies',
+          }
+    }
+    default:
+      return null
+  }
+}
+
+// `Black_Formatter>=1` -> `black-formatter`, as pip compares names
+const requirementName = requirement =>
+  (requirement.match(/^[A-Za-z0-9][\w.-]*/) || [requirement])[0]
+    .toLowerCase()
+    .replace(/[-_.]+/g, '-')
+
+// Add the quality tools to the environment manager's dev dependencies;
+// existing entries keep their versions
+const addDevDependencies = (projectDir, environment, { changes, logger }) => {
+  const target = getDevDependencyTarget(projectDir, environment, changes)
+  const fileName = path.basename(target.file)
+  const content = changes.readIfExists(target.file) || ''
+  let merged
+  let added
+  if (target.array) {
+    const result = mergeTomlArray(
+      content,
+      target.table,
+      target.array,
+      DEV_REQUIREMENTS.map(([name, range]) => `${name}${range}`),
+      requirementName
+    )
+    merged = result.content
+    added = result.added.map(requirementName)
+  } else {
+    const template = `[${target.table}]
+${DEV_REQUIREMENTS.map(([name, range]) => `${name} = "${range}"`).join('\n')}
+`
+    const result = mergeTomlTables(content, template, [target.table])
+    merged = result.content
+    added = result.addedTables.length
+      ? DEV_REQUIREMENTS.map(([name]) => name)
+      : result.addedKeys[target.table] || []
+  }
+
+  const location = target.array
+    ? `${fileName} [${target.table}] ${target.array}`
+    : `${fileName} [${target.table}]`
+  if (!added.length) {
+    logger.log(`ℹ️ ${location} already lists the quality tools`)
+    return
+  }
+  changes.write(target.file, merged)
+  logger.log(`✅ Added ${added.join(', ')} to ${location}`)
+}
+
 /**
  * Setup Python-specific files
  * @param {string} projectDir - Project directory path
  * @param {Object} options - Setup options
  * @param {string} options.projectName - Name of the project
+ * @param {Object} options.config - Project configuration (lib/config)
+ * @param {Object} options.environment - Result of detectPythonEnvironment
+ * @param {Object} options.changes - Change set from lib/file-changes
+ * @param {Object} options.logger - Receives progress messages (console API)
+ * @returns {Object} - `pyprojectTables`: the `[tool.*]` tables added to an
+ *   existing pyproject.toml, each `{ hash }` of its content
  */
-function setupFiles(projectDir, { projectName }) {
-  // Create pyproject.toml if it doesn't exist
+function setupFiles(
+  projectDir,
+  {
+    projectName,
+    config = getDefaultConfig(),
+    environment = detectPythonEnvironment(projectDir),
+    changes = createChangeSet({ projectDir }),
+    logger = console,
+  }
+) {
+  const pythonVersions = resolvePythonVersions(projectDir, config)
+  const { minimum: pythonVersion, maximum: maxPythonVersion } = pythonVersions
+  if (pythonVersions.source !== 'default') {
+    logger.log(
+      `🐍 Targeting Python ${pythonVersion}${
+        maxPythonVersion ? `–${maxPythonVersion}` : '+'
+      } (from ${pythonVersions.source})`
+    )
+  }
+
+  // Create pyproject.toml, or add the quality tool settings to an existing one
   const pyprojectPath = path.join(projectDir, 'pyproject.toml')
-  if (!fs.existsSync(pyprojectPath)) {
-    const pyprojectContent = getPyprojectToml({ projectName })
-    fs.writeFileSync(pyprojectPath, pyprojectContent)
-    console.log('✅ Added pyproject.toml (Black, Ruff, isort, mypy config)')
+  const pyprojectContent = getPyprojectToml({
+    projectName,
+    pythonVersion,
+    maxPythonVersion,
+  })
+  const managedPyproject = changes.exists(
+    path.join(projectDir, BASE_DIR, 'pyproject.toml')
+  )
+  let pyprojectTables = {}
+  if (!changes.exists(pyprojectPath) || managedPyproject) {
+    const outcome = changes.ensureFile(pyprojectPath, pyprojectContent)
+    if (outcome === 'created') {
+      logger.log('✅ Added pyproject.toml (Black, Ruff, isort, mypy config)')
+    } else if (outcome === 'skipped') {
+      logger.log('ℹ️ pyproject.toml already exists, skipping')
+    }
   } else {
-    console.log('ℹ️ pyproject.toml already exists, skipping')
+    pyprojectTables = mergePyprojectTables(pyprojectPath, pyprojectContent, {
+      changes,
+      logger,
+    })
   }
 
   // Create .pre-commit-config.yaml if it doesn't exist
   const preCommitPath = path.join(projectDir, '.pre-commit-config.yaml')
-  if (!fs.existsSync(preCommitPath)) {
-    const preCommitContent = getPreCommitConfig()
-    fs.writeFileSync(preCommitPath, preCommitContent)
-    console.log('✅ Added .pre-commit-config.yaml')
+  if (
+    config.tools.preCommit &&
+    changes.ensureFile(preCommitPath, getPreCommitConfig()) === 'created'
+  ) {
+    logger.log('✅ Added .pre-commit-config.yaml')
   }
 
-  // Create requirements-dev.txt if it doesn't exist
-  const reqsDevPath = path.join(projectDir, 'requirements-dev.txt')
-  if (!fs.existsSync(reqsDevPath)) {
-    const reqsContent = getDevRequirements()
-    fs.writeFileSync(reqsDevPath, reqsContent)
-    console.log('✅ Added requirements-dev.txt')
+  // Poetry, uv, Pipenv and Hatch keep dev dependencies in their own files;
+  // pip and conda environments install requirements-dev.txt
+  if (getDevDependencyTarget(projectDir, environment, changes)) {
+    addDevDependencies(projectDir, environment, { changes, logger })
+  } else {
+    const reqsDevPath = path.join(projectDir, 'requirements-dev.txt')
+    if (changes.ensureFile(reqsDevPath, getDevRequirements()) === 'created') {
+      logger.log('✅ Added requirements-dev.txt')
+    }
   }
 
   // Create GitHub Actions workflow
-  const workflowDir = path.join(projectDir, '.github', 'workflows')
-  if (!fs.existsSync(workflowDir)) {
-    fs.mkdirSync(workflowDir, { recursive: true })
-  }
-
-  const workflowFile = path.join(workflowDir, 'quality-python.yml')
-  if (!fs.existsSync(workflowFile)) {
-    const workflowContent = getGitHubWorkflow()
-    fs.writeFileSync(workflowFile, workflowContent)
-    console.log('✅ Added GitHub Actions workflow (quality-python.yml)')
+  const workflowFile = path.join(
+    projectDir,
+    '.github',
+    'workflows',
+    'quality-python.yml'
+  )
+  if (
+    config.tools.githubActions &&
+    changes.ensureFile(
+      workflowFile,
+      getGitHubWorkflow({ pythonVersion, maxPythonVersion, environment })
+    ) === 'created'
+  ) {
+    logger.log('✅ Added GitHub Actions workflow (quality-python.yml)')
   }
 
   // Create tests directory if it doesn't exist
   const testsDir = path.join(projectDir, 'tests')
   if (!fs.existsSync(testsDir)) {
-    fs.mkdirSync(testsDir, { recursive: true })
     const initFile = path.join(testsDir, '__init__.py')
-    fs.writeFileSync(initFile, '# Test suite\n')
-    console.log('✅ Created tests/ directory')
+    changes.write(initFile, '# Test suite\n')
+    logger.log('✅ Created tests/ directory')
   }
+
+  return { pyprojectTables }
 }
 
 /**
  * Install Python dependencies and setup pre-commit
  * @param {string} projectDir - Project directory path
+ * @param {Object} options - Install options
+ * @param {Object} options.environment - Result of detectPythonEnvironment
+ * @param {boolean} options.preCommit - Whether to install the pre-commit hooks
+ * @param {Object} options.logger - Receives progress messages (console API)
  */
-function installDependencies(projectDir) {
-  console.log('📦 Installing Python dependencies...')
+function installDependencies(
+  projectDir,
+  {
+    environment = detectPythonEnvironment(projectDir),
+    preCommit = true,
+    logger = console,
+  } = {}
+) {
+  const commands = getPythonEnvironmentCommands(environment)
+  const preCommitInstall = `${commands.run}pre-commit install`
+  logger.log(`📦 Installing Python dependencies with ${commands.name}...`)
 
   try {
-    // Check if pip is available
-    execSync('python3 --version', { stdio: 'ignore' })
+    // Check that the environment manager is available
+    const check = commands.name === 'pip' ? 'python3' : commands.name
+    execSync(`${check} --version`, { stdio: 'ignore' })
 
     // Install development dependencies
-    console.log('Installing from requirements-dev.txt...')
-    execSync('python3 -m pip install -r requirements-dev.txt', {
-      cwd: projectDir,
-      stdio: 'inherit',
+    commands.install.forEach(command => {
+      logger.log(`Running ${command}...`)
+      execSync(command, { cwd: projectDir, stdio: 'inherit' })
     })
 
     // Setup pre-commit hooks
-    console.log('Setting up pre-commit hooks...')
-    execSync('pre-commit install', {
-      cwd: projectDir,
-      stdio: 'inherit',
-    })
-
-    console.log('✅ Python dependencies installed successfully')
+    if (preCommit) {
+      logger.log('Setting up pre-commit hooks...')
+      execSync(preCommitInstall, {
+        cwd: projectDir,
+        stdio: 'inherit',
+      })
+    }
+
+    logger.log('✅ Python dependencies installed successfully')
   } catch (error) {
-    console.warn('⚠️ Could not install Python dependencies automatically')
-    console.log('Please run these commands manually:')
-    console.log('  python3 -m pip install -r requirements-dev.txt')
-    console.log('  pre-commit install')
+    logger.warn('⚠️ Could not install Python dependencies automatically')
+    logger.log('Please run these commands manually:')
+    commands.install.forEach(command => logger.log(`  ${command}`))
+    if (preCommit) {
+      logger.log(`  ${preCommitInstall}`)
+    }
   }
 }
 
 module.exports = {
+  detectPythonVersions,
+  getDefaultPythonVersion,
+  getPythonVersions,
+  getSupportedPythonVersions,
+  parsePythonRequirement,
+  resolvePythonVersions,
   getScripts,
   getPyprojectToml,
   getPreCommitConfig,
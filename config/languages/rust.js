@@ -0,0 +1,340 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const { getDefaultConfig } = require('../../lib/config')
+const { createChangeSet } = require('../../lib/file-changes')
+const { expandDirectoryPattern } = require('../../lib/glob')
+const { ensurePreCommitHooks } = require('../../lib/pre-commit')
+const {
+  getTomlString,
+  getTomlStringArray,
+  getTomlTable,
+} = require('../../lib/toml')
+
+const RUST_HOOK_IDS = ['cargo-fmt', 'cargo-clippy']
+
+const expandMemberPattern = (projectDir, pattern) =>
+  expandDirectoryPattern(projectDir, pattern).filter(candidate =>
+    fs.existsSync(path.join(projectDir, candidate, 'Cargo.toml'))
+  )
+
+/**
+ * Inspect Cargo.toml for workspace layout and toolchain metadata
+ * @param {string} projectDir - Project directory path
+ * @returns {Object} - { isWorkspace, members, hasRootPackage, edition, rustVersion }
+ */
+function getCargoWorkspace(projectDir) {
+  const cargoTomlPath = path.join(projectDir, 'Cargo.toml')
+  let content = ''
+  try {
+    content = fs.readFileSync(cargoTomlPath, 'utf8')
+  } catch {
+    content = ''
+  }
+
+  const workspaceTable = getTomlTable(content, 'workspace')
+  const workspacePackageTable = getTomlTable(content, 'workspace.package')
+  const packageTable = getTomlTable(content, 'package')
+
+  const excluded = new Set(getTomlStringArray(workspaceTable, 'exclude'))
+  const members = []
+  getTomlStringArray(workspaceTable, 'members').forEach(pattern => {
+    expandMemberPattern(projectDir, pattern).forEach(member => {
+      if (!excluded.has(member) && !members.includes(member)) {
+        members.push(member)
+      }
+    })
+  })
+
+  return {
+    isWorkspace: workspaceTable !== null,
+    members: members.sort(),
+    hasRootPackage: packageTable !== null,
+    edition:
+      getTomlString(packageTable, 'edition') ||
+      getTomlString(workspacePackageTable, 'edition') ||
+      '2021',
+    rustVersion:
+      getTomlString(packageTable, 'rust-version') ||
+      getTomlString(workspacePackageTable, 'rust-version'),
+  }
+}
+
+/**
+ * Get Rust-specific scripts for package.json (if mixed project)
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.workspace - Whether Cargo.toml declares a workspace
+ * @param {string} options.run - Command prefix that runs a package.json script
+ * @returns {Object} - Scripts that can be added
+ */
+function getScripts({ workspace = false, run = 'npm run' } = {}) {
+  const scope = workspace ? ' --workspace' : ''
+  return {
+    'rust:format': 'cargo fmt --all',
+    'rust:format:check': 'cargo fmt --all -- --check',
+    'rust:lint': `cargo clippy${scope} --all-targets --all-features -- -D warnings`,
+    'rust:test': `cargo test${scope} --all-features`,
+    'rust:quality': `${run} rust:format:check && ${run} rust:lint`,
+  }
+}
+
+/**
+ * Get rustfmt configuration
+ * @param {Object} options - Configuration options
+ * @param {string} options.edition - Rust edition used by the crate(s)
+ * @returns {string} - rustfmt.toml content
+ */
+function getRustfmtToml({ edition = '2021' } = {}) {
+  return `# rustfmt configuration (stable options only)
+# See https://rust-lang.github.io/rustfmt/
+
+edition = "${edition}"
+max_width = 100
+newline_style = "Unix"
+use_field_init_shorthand = true
+use_try_shorthand = true
+`
+}
+
+/**
+ * Get Clippy configuration
+ * @param {Object} options - Configuration options
+ * @param {string|null} options.rustVersion - Minimum supported Rust version
+ * @returns {string} - clippy.toml content
+ */
+function getClippyToml({ rustVersion = null } = {}) {
+  const msrv = rustVersion ? `msrv = "${rustVersion}"\n` : ''
+  return `# Clippy configuration
+# See https://doc.rust-lang.org/clippy/lint_configuration.html
+
+${msrv}cognitive-complexity-threshold = 30
+too-many-arguments-threshold = 7
+type-complexity-threshold = 250
+`
+}
+
+/**
+ * Get cargo-deny configuration
+ * @returns {string} - deny.toml content
+ */
+function getDenyToml() {
+  return `# cargo-deny configuration
+# See https://embarkstudios.github.io/cargo-deny/
+
+[advisories]
+version = 2
+yanked = "deny"
+
+[licenses]
+version = 2
+allow = [
+    "MIT",
+    "Apache-2.0",
+    "Apache-2.0 WITH LLVM-exception",
+    "BSD-2-Clause",
+    "BSD-3-Clause",
+    "ISC",
+    "Unicode-3.0",
+    "Unicode-DFS-2016",
+    "Zlib",
+]
+
+[bans]
+multiple-versions = "warn"
+wildcards = "deny"
+
+[sources]
+unknown-registry = "deny"
+unknown-git = "deny"
+`
+}
+
+/**
+ * Get pre-commit hooks for Rust
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.workspace - Whether Cargo.toml declares a workspace
+ * @returns {string} - YAML entries for the `repos:` list
+ */
+function getPreCommitRepos({ workspace = false } = {}) {
+  const scope = workspace ? ' --workspace' : ''
+  return `  - repo: local
+    hooks:
+      - id: cargo-fmt
+        name: cargo fmt
+        entry: cargo fmt --all -- --check
+        language: system
+        types: [rust]
+        pass_filenames: false
+      - id: cargo-clippy
+        name: cargo clippy
+        entry: cargo clippy${scope} --all-targets --all-features -- -D warnings
+        language: system
+        types: [rust]
+        pass_filenames: false
+`
+}
+
+/**
+ * Get GitHub Actions workflow for Rust
+ * @param {Object} options - Configuration options
+ * @param {boolean} options.workspace - Whether Cargo.toml declares a workspace
+ * @returns {string} - quality-rust.yml content
+ */
+function getGitHubWorkflow({ workspace = false } = {}) {
+  const scope = workspace ? ' --workspace' : ''
+  return `name: Rust Quality Checks
+
+on:
+  push:
+    branches: [main, master, develop]
+  pull_request:
+    branches: [main, master, develop]
+
+env:
+  CARGO_TERM_COLOR: always
+
+jobs:
+  quality:
+    runs-on: ubuntu-latest
+
+    steps:
+      - uses: actions/checkout@v4
+
+      - name: Set up Rust toolchain
+        uses: dtolnay/rust-toolchain@stable
+        with:
+          components: rustfmt, clippy
+
+      - name: Cache cargo artifacts
+        uses: Swatinem/rust-cache@v2
+
+      - name: Format check (rustfmt)
+        run: cargo fmt --all -- --check
+
+      - name: Lint (Clippy)
+        run: cargo clippy${scope} --all-targets --all-features -- -D warnings
+
+      - name: Run tests
+        run: cargo test${scope} --all-features
+
+  security:
+    runs-on: ubuntu-latest
+
+    steps:
+      - uses: actions/checkout@v4
+
+      - name: Install cargo-audit and cargo-deny
+        uses: taiki-e/install-action@v2
+        with:
+          tool: cargo-audit,cargo-deny
+
+      - name: Security audit (cargo-audit)
+        run: cargo audit
+
+      - name: Dependency policy (cargo-deny)
+        run: cargo deny check
+`
+}
+
+/**
+ * Setup Rust-specific files
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Setup options
+ * @param {Object} options.config - Project configuration (lib/config)
+ * @param {Object} options.changes - Change set from lib/file-changes
+ * @param {Object} options.logger - Receives progress messages (console API)
+ * @returns {Object} - Workspace information from getCargoWorkspace
+ */
+function setupFiles(
+  projectDir,
+  {
+    config = getDefaultConfig(),
+    changes = createChangeSet({ projectDir }),
+    logger = console,
+  } = {}
+) {
+  const cargo = getCargoWorkspace(projectDir)
+  const workspace = cargo.isWorkspace
+
+  if (workspace) {
+    logger.log(
+      `🔍 Detected Cargo workspace with ${cargo.members.length} member crate(s)${
+        cargo.members.length ? `: ${cargo.members.join(', ')}` : ''
+      }`
+    )
+  }
+
+  // Create rustfmt.toml if no rustfmt config exists
+  const rustfmtPath = path.join(projectDir, 'rustfmt.toml')
+  const hiddenRustfmtPath = path.join(projectDir, '.rustfmt.toml')
+  if (changes.exists(hiddenRustfmtPath)) {
+    changes.skip(hiddenRustfmtPath, 'rustfmt config already exists')
+  } else if (
+    changes.ensureFile(
+      rustfmtPath,
+      getRustfmtToml({ edition: cargo.edition })
+    ) === 'created'
+  ) {
+    logger.log('✅ Added rustfmt.toml')
+  }
+
+  // Create clippy.toml if no Clippy config exists
+  const clippyPath = path.join(projectDir, 'clippy.toml')
+  const hiddenClippyPath = path.join(projectDir, '.clippy.toml')
+  if (changes.exists(hiddenClippyPath)) {
+    changes.skip(hiddenClippyPath, 'Clippy config already exists')
+  } else if (
+    changes.ensureFile(
+      clippyPath,
+      getClippyToml({ rustVersion: cargo.rustVersion })
+    ) === 'created'
+  ) {
+    logger.log('✅ Added clippy.toml')
+  }
+
+  // Create deny.toml if it doesn't exist
+  const denyPath = path.join(projectDir, 'deny.toml')
+  if (changes.ensureFile(denyPath, getDenyToml()) === 'created') {
+    logger.log('✅ Added deny.toml (cargo-deny policy)')
+  }
+
+  // Add Rust hooks to .pre-commit-config.yaml
+  const hookResult =
+    config.tools.preCommit &&
+    ensurePreCommitHooks(projectDir, {
+      hookIds: RUST_HOOK_IDS,
+      changes,
+      reposYaml: getPreCommitRepos({ workspace }),
+    })
+  if (hookResult === 'created') {
+    logger.log('✅ Added .pre-commit-config.yaml (cargo fmt, clippy)')
+  } else if (hookResult === 'updated') {
+    logger.log('✅ Added Rust hooks to .pre-commit-config.yaml')
+  }
+
+  // Create GitHub Actions workflow
+  const workflowDir = path.join(projectDir, '.github', 'workflows')
+  const workflowFile = path.join(workflowDir, 'quality-rust.yml')
+  if (
+    config.tools.githubActions &&
+    changes.ensureFile(workflowFile, getGitHubWorkflow({ workspace })) ===
+      'created'
+  ) {
+    logger.log('✅ Added GitHub Actions workflow (quality-rust.yml)')
+  }
+
+  return cargo
+}
+
+module.exports = {
+  getCargoWorkspace,
+  getScripts,
+  getRustfmtToml,
+  getClippyToml,
+  getDenyToml,
+  getPreCommitRepos,
+  getGitHubWorkflow,
+  setupFiles,
+}
@@ -2,15 +2,27 @@ const js = require('@eslint/js')
 const globals = require('globals')
 
 let security = null
+let qualityAutomation = null
 try {
   security = require('eslint-plugin-security')
 } catch {
   // Security plugin not installed yet; fall back to basic config
 }
 
+try {
+  qualityAutomation = require('create-quality-automation/eslint-plugin')
+} catch {
+  // create-quality-automation not installed yet; skip its XSS/injection rules
+}
+
 const configs = [
   {
-    ignores: ['**/node_modules/**', '**/dist/**', '**/build/**'],
+    ignores: [
+      '**/node_modules/**',
+      '**/dist/**',
+      '**/build/**',
+      '.quality-automation/**',
+    ],
   },
   js.configs.recommended,
 ]
@@ -19,6 +31,9 @@ const configs = [
 if (security) {
   configs.push(security.configs.recommended)
 }
+if (qualityAutomation) {
+  configs.push(qualityAutomation.configs.recommended)
+}
 
 // Base rules configuration
 const baseRules = {
@@ -48,6 +63,17 @@ const securityRules = security
     }
   : {}
 
+// XSS and injection checks from create-quality-automation's ESLint plugin
+const qualityAutomationRules = qualityAutomation
+  ? {
+      'quality-automation/no-interpolated-html': 'error',
+      'quality-automation/no-interpolated-eval': 'error',
+      'quality-automation/no-interpolated-document-write': 'error',
+      'quality-automation/no-interpolated-event-handler': 'error',
+      'quality-automation/require-validated-input': 'warn', // Review request values before use
+    }
+  : {}
+
 configs.push({
   files: ['**/*.{js,jsx,mjs,cjs,html}'],
   languageOptions: {
@@ -61,6 +87,7 @@ configs.push({
   rules: {
     ...baseRules,
     ...securityRules,
+    ...qualityAutomationRules,
   },
 })
 
@@ -4,6 +4,7 @@ const globals = require('globals')
 let tsPlugin = null
 let tsParser = null
 let security = null
+let qualityAutomation = null
 try {
   tsPlugin = require('@typescript-eslint/eslint-plugin')
   tsParser = require('@typescript-eslint/parser')
@@ -17,9 +18,20 @@ try {
   // Security plugin not installed yet; fall back to basic config
 }
 
+try {
+  qualityAutomation = require('create-quality-automation/eslint-plugin')
+} catch {
+  // create-quality-automation not installed yet; skip its XSS/injection rules
+}
+
 const configs = [
   {
-    ignores: ['**/node_modules/**', '**/dist/**', '**/build/**'],
+    ignores: [
+      '**/node_modules/**',
+      '**/dist/**',
+      '**/build/**',
+      '.quality-automation/**',
+    ],
   },
   js.configs.recommended,
 ]
@@ -28,6 +40,9 @@ const configs = [
 if (security) {
   configs.push(security.configs.recommended)
 }
+if (qualityAutomation) {
+  configs.push(qualityAutomation.configs.recommended)
+}
 
 // Base rules configuration
 const baseRules = {
@@ -57,6 +72,17 @@ const securityRules = security
     }
   : {}
 
+// XSS and injection checks from create-quality-automation's ESLint plugin
+const qualityAutomationRules = qualityAutomation
+  ? {
+      'quality-automation/no-interpolated-html': 'error',
+      'quality-automation/no-interpolated-eval': 'error',
+      'quality-automation/no-interpolated-document-write': 'error',
+      'quality-automation/no-interpolated-event-handler': 'error',
+      'quality-automation/require-validated-input': 'warn', // Review request values before use
+    }
+  : {}
+
 configs.push({
   files: ['**/*.{js,jsx,mjs,cjs,html}'],
   languageOptions: {
@@ -70,6 +96,7 @@ configs.push({
   rules: {
     ...baseRules,
     ...securityRules,
+    ...qualityAutomationRules,
   },
 })
 
@@ -92,6 +119,7 @@ if (tsPlugin && tsParser) {
     },
     rules: {
       ...tsPlugin.configs.recommended.rules,
+      ...qualityAutomationRules,
     },
   })
 }
@@ -0,0 +1,453 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { createRequire } = require('module')
+
+const { ConfigError } = require('./errors')
+
+// Checked in order; the first file found wins over the package.json key
+const CONFIG_FILES = [
+  'quality-automation.config.js',
+  'quality-automation.config.json',
+]
+const PACKAGE_JSON_KEY = 'qualityAutomation'
+
+// Tools that can be switched off; everything is enabled by default
+const TOOLS = [
+  'prettier',
+  'eslint',
+  'security',
+  'stylelint',
+  'husky',
+  'preCommit',
+  'githubActions',
+]
+const LANGUAGES = ['javascript', 'python', 'rust', 'go']
+const CI_PROVIDERS = ['github', 'gitlab', 'none']
+const TEST_RUNNERS = ['vitest', 'jest', 'mocha', 'node', 'none']
+const TEST_SCAFFOLDS = ['vitest', 'node']
+const GLOB_TARGETS = ['eslint', 'stylelint']
+const SEVERITIES = ['error', 'warn', 'off']
+const CONFIG_KEYS = [
+  'languages',
+  'tools',
+  'versions',
+  'globs',
+  'node',
+  'python',
+  'security',
+  'ci',
+  'test',
+  'coverage',
+]
+
+const isPlainObject = value =>
+  typeof value === 'object' && value !== null && !Array.isArray(value)
+
+/**
+ * Configuration used when the project has none
+ * @returns {Object}
+ */
+function getDefaultConfig() {
+  return {
+    source: null,
+    languages: null,
+    tools: TOOLS.reduce((tools, tool) => ({ ...tools, [tool]: true }), {}),
+    versions: {},
+    globs: { eslint: null, stylelint: null },
+    node: { version: null, matrix: false },
+    python: { version: null },
+    security: { severity: null, rules: {} },
+    ci: { provider: 'github' },
+    test: { runner: null, scaffold: null },
+    coverage: { minimum: 80, directories: {}, ratchet: false },
+  }
+}
+
+const readRawConfig = projectDir => {
+  const configFile = CONFIG_FILES.find(file =>
+    fs.existsSync(path.join(projectDir, file))
+  )
+  if (configFile && configFile.endsWith('.js')) {
+    // Resolve from the project so a rerun in the same process sees edits
+    const requireFromProject = createRequire(
+      path.join(projectDir, 'package.json')
+    )
+    const resolved = requireFromProject.resolve(
+      './quality-automation.config.js'
+    )
+    delete require.cache[resolved]
+    try {
+      return { source: configFile, raw: requireFromProject(resolved) }
+    } catch (error) {
+      throw new ConfigError(`Could not load ${configFile}: ${error.message}`, {
+        cause: error,
+      })
+    }
+  }
+  if (configFile) {
+    try {
+      return {
+        source: configFile,
+        raw: JSON.parse(
+          fs.readFileSync(path.join(projectDir, configFile), 'utf8')
+        ),
+      }
+    } catch (error) {
+      throw new ConfigError(`${configFile} is not valid JSON`, {
+        hint: `Fix the JSON syntax in ${configFile} and try again.`,
+        cause: error,
+      })
+    }
+  }
+
+  try {
+    const packageJson = JSON.parse(
+      fs.readFileSync(path.join(projectDir, 'package.json'), 'utf8')
+    )
+    if (isPlainObject(packageJson) && packageJson[PACKAGE_JSON_KEY]) {
+      return {
+        source: `package.json#${PACKAGE_JSON_KEY}`,
+        raw: packageJson[PACKAGE_JSON_KEY],
+      }
+    }
+  } catch {
+    // No readable package.json; setup reports that itself
+  }
+  return null
+}
+
+// "22", "22.11" or "22.11.0"
+const isNodeVersion = version => {
+  const parts = version.split('.')
+  return parts.length <= 3 && parts.every(part => /^\d+$/.test(part))
+}
+const isPythonVersion = version => /^3\.\d+$/.test(version)
+
+const normalizeVersion = (value, { isValid, example, label }, fail) => {
+  if (value === undefined || value === null) {
+    return null
+  }
+  const version = String(value).trim()
+  if (!isValid(version)) {
+    fail(`${label} must look like ${example}`)
+  }
+  return version
+}
+
+const normalizePercentage = (value, label, fail) => {
+  if (typeof value !== 'number' || value < 0 || value > 100) {
+    fail(`${label} must be a percentage from 0 to 100`)
+  }
+  return value
+}
+
+// Rules `security.rules` can override, by plugin prefix. eslint-plugin-security
+// is installed next to this package in projects that use it; when it cannot
+// be loaded, only the bundled plugin's rule names are checked.
+const getSecurityRuleNames = () => {
+  const names = {
+    'quality-automation': Object.keys(require('./eslint-plugin').rules),
+  }
+  try {
+    names.security = Object.keys(require('eslint-plugin-security').rules)
+  } catch {
+    // Not installed
+  }
+  return names
+}
+
+const normalizeSeverity = (value, label, fail) => {
+  if (!SEVERITIES.includes(value)) {
+    fail(`${label} must be one of ${SEVERITIES.join(', ')}`)
+  }
+  return value
+}
+
+/**
+ * Validate a raw configuration object and fill in the defaults
+ * @param {Object} raw - Configuration as written by the user
+ * @param {string} source - Where the configuration came from
+ * @returns {Object} - Normalized configuration
+ * @throws {ConfigError} When an option is unknown or has the wrong type
+ */
+function normalizeConfig(raw, source) {
+  const fail = message => {
+    throw new ConfigError(`Invalid configuration in ${source}: ${message}`, {
+      hint: 'See "Project Configuration" in the create-quality-automation README for the supported options.',
+    })
+  }
+  const expectObject = (value, label) => {
+    if (value !== undefined && !isPlainObject(value)) {
+      fail(`${label} must be an object`)
+    }
+    return value || {}
+  }
+
+  const config = getDefaultConfig()
+  config.source = source
+  expectObject(raw, 'the configuration')
+  Object.keys(raw).forEach(key => {
+    if (!CONFIG_KEYS.includes(key)) {
+      fail(`unknown option "${key}" (expected ${CONFIG_KEYS.join(', ')})`)
+    }
+  })
+
+  if (raw.languages !== undefined) {
+    if (
+      !Array.isArray(raw.languages) ||
+      !raw.languages.length ||
+      raw.languages.some(language => !LANGUAGES.includes(language))
+    ) {
+      fail(`languages must be a non-empty list of ${LANGUAGES.join(', ')}`)
+    }
+    config.languages = [...new Set(raw.languages)]
+  }
+
+  Object.entries(expectObject(raw.tools, 'tools')).forEach(([tool, value]) => {
+    if (!TOOLS.includes(tool)) {
+      fail(`unknown tool "${tool}" (expected ${TOOLS.join(', ')})`)
+    }
+    if (typeof value !== 'boolean') {
+      fail(`tools.${tool} must be true or false`)
+    }
+    config.tools[tool] = value
+  })
+
+  Object.entries(expectObject(raw.versions, 'versions')).forEach(
+    ([dependency, range]) => {
+      if (typeof range !== 'string' || !range.trim()) {
+        fail(`versions["${dependency}"] must be a version range string`)
+      }
+      config.versions[dependency] = range.trim()
+    }
+  )
+
+  Object.entries(expectObject(raw.globs, 'globs')).forEach(
+    ([target, value]) => {
+      if (!GLOB_TARGETS.includes(target)) {
+        fail(
+          `unknown glob target "${target}" (expected ${GLOB_TARGETS.join(', ')})`
+        )
+      }
+      const globs = typeof value === 'string' ? [value] : value
+      if (
+        !Array.isArray(globs) ||
+        !globs.length ||
+        globs.some(glob => typeof glob !== 'string' || !glob.trim())
+      ) {
+        fail(`globs.${target} must be a glob or a non-empty list of globs`)
+      }
+      config.globs[target] = globs.map(glob => glob.trim())
+    }
+  )
+
+  const node = expectObject(raw.node, 'node')
+  config.node.version = normalizeVersion(
+    node.version,
+    {
+      isValid: isNodeVersion,
+      example: '"22" or "22.11.0"',
+      label: 'node.version',
+    },
+    fail
+  )
+  if (node.matrix !== undefined) {
+    if (typeof node.matrix !== 'boolean') {
+      fail('node.matrix must be true or false')
+    }
+    config.node.matrix = node.matrix
+  }
+  config.python.version = normalizeVersion(
+    expectObject(raw.python, 'python').version,
+    {
+      isValid: isPythonVersion,
+      example: '"3.11"',
+      label: 'python.version',
+    },
+    fail
+  )
+
+  const security = expectObject(raw.security, 'security')
+  if (security.severity !== undefined) {
+    config.security.severity = normalizeSeverity(
+      security.severity,
+      'security.severity',
+      fail
+    )
+  }
+  const securityRules = expectObject(security.rules, 'security.rules')
+  const ruleNames = Object.keys(securityRules).length
+    ? getSecurityRuleNames()
+    : {}
+  Object.entries(securityRules).forEach(([rule, severity]) => {
+    const name = /^(?:security|quality-automation)\//.test(rule)
+      ? rule
+      : `security/${rule}`
+    const [plugin, ruleName] = name.split('/')
+    const known = ruleNames[plugin]
+    if (known && !known.includes(ruleName)) {
+      throw new ConfigError(
+        `Invalid configuration in ${source}: security.rules["${rule}"] is not a ${plugin}/ rule`,
+        {
+          hint: `Known ${plugin}/ rules: ${known.join(', ')}`,
+        }
+      )
+    }
+    config.security.rules[name] = normalizeSeverity(
+      severity,
+      `security.rules["${rule}"]`,
+      fail
+    )
+  })
+
+  // `ci.provider` decides whether the GitHub Actions workflows are generated
+  const ci = typeof raw.ci === 'string' ? { provider: raw.ci } : raw.ci
+  const { provider } = expectObject(ci, 'ci')
+  if (provider !== undefined) {
+    if (!CI_PROVIDERS.includes(provider)) {
+      fail(`ci.provider must be one of ${CI_PROVIDERS.join(', ')}`)
+    }
+    if (
+      raw.tools &&
+      raw.tools.githubActions !== undefined &&
+      raw.tools.githubActions !== (provider === 'github')
+    ) {
+      fail('tools.githubActions contradicts ci.provider; set only ci.provider')
+    }
+    config.ci.provider = provider
+    config.tools.githubActions = provider === 'github'
+  } else if (!config.tools.githubActions) {
+    config.ci.provider = 'none'
+  }
+
+  // `test.runner` replaces detection; `test.scaffold` only applies when no
+  // runner is detected
+  const test = expectObject(raw.test, 'test')
+  if (test.runner !== undefined) {
+    if (!TEST_RUNNERS.includes(test.runner)) {
+      fail(`test.runner must be one of ${TEST_RUNNERS.join(', ')}`)
+    }
+    config.test.runner = test.runner
+  }
+  if (test.scaffold !== undefined) {
+    if (!TEST_SCAFFOLDS.includes(test.scaffold)) {
+      fail(`test.scaffold must be one of ${TEST_SCAFFOLDS.join(', ')}`)
+    }
+    config.test.scaffold = test.scaffold
+  }
+
+  // Minimums apply to each coverage report; directories are project paths
+  // such as `src/core`
+  const coverage = expectObject(raw.coverage, 'coverage')
+  if (coverage.minimum !== undefined) {
+    config.coverage.minimum = normalizePercentage(
+      coverage.minimum,
+      'coverage.minimum',
+      fail
+    )
+  }
+  Object.entries(
+    expectObject(coverage.directories, 'coverage.directories')
+  ).forEach(([directory, minimum]) => {
+    const name = directory.replace(/^\.\//, '').replace(/\/+$/, '')
+    if (!name || name === '.' || path.isAbsolute(name)) {
+      fail(`coverage.directories["${directory}"] must be a project directory`)
+    }
+    config.coverage.directories[name] = normalizePercentage(
+      minimum,
+      `coverage.directories["${directory}"]`,
+      fail
+    )
+  })
+  if (coverage.ratchet !== undefined) {
+    if (typeof coverage.ratchet !== 'boolean') {
+      fail('coverage.ratchet must be true or false')
+    }
+    config.coverage.ratchet = coverage.ratchet
+  }
+
+  return config
+}
+
+/**
+ * Load the project's quality-automation.config.{js,json}, or the
+ * `qualityAutomation` key in package.json
+ * @param {string} projectDir - Project directory path
+ * @returns {Object} - Normalized configuration (`source` is null when the
+ *   project has none and the defaults apply)
+ * @throws {ConfigError} When the configuration cannot be read or is invalid
+ */
+function loadProjectConfig(projectDir) {
+  const found = readRawConfig(projectDir)
+  return found ? normalizeConfig(found.raw, found.source) : getDefaultConfig()
+}
+
+/**
+ * Save settings (e.g. wizard answers) into the project configuration so
+ * later runs replay them. Options already in the configuration are kept
+ * unless the settings override them. A JavaScript config cannot be
+ * rewritten, so its settings only apply to the current run.
+ * @param {string} projectDir - Project directory path
+ * @param {Object} settings - Raw configuration options to merge in
+ * @param {Object} options - Save options
+ * @param {Object} options.changes - Change set from lib/file-changes
+ * @returns {Object} - The merged, normalized `config` and the `savedTo`
+ *   location (null when nothing was written)
+ * @throws {ConfigError} When the merged configuration is invalid
+ */
+function saveProjectConfig(projectDir, settings, { changes }) {
+  const found = readRawConfig(projectDir)
+  const raw = (found && found.raw) || {}
+  const merged = { ...raw }
+  Object.entries(settings).forEach(([key, value]) => {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(raw[key])
+        ? { ...raw[key], ...value }
+        : value
+  })
+  if (merged.ci && merged.tools) {
+    // ci.provider replaces the older githubActions toggle
+    delete merged.tools.githubActions
+  }
+  const source = found ? found.source : 'quality-automation.config.json'
+  const config = normalizeConfig(merged, source)
+
+  if (source.endsWith('.js')) {
+    return { config, savedTo: null }
+  }
+  if (source.startsWith('package.json')) {
+    const packageJsonPath = path.join(projectDir, 'package.json')
+    const content = changes.read(packageJsonPath)
+    const packageJson = JSON.parse(content)
+    packageJson[PACKAGE_JSON_KEY] = merged
+    const trailingNewline = content.endsWith('\n') ? '\n' : ''
+    changes.write(
+      packageJsonPath,
+      `${JSON.stringify(packageJson, null, 2)}${trailingNewline}`
+    )
+  } else {
+    changes.write(
+      path.join(projectDir, source),
+      `${JSON.stringify(merged, null, 2)}\n`
+    )
+  }
+  return { config, savedTo: source }
+}
+
+module.exports = {
+  CI_PROVIDERS,
+  CONFIG_FILES,
+  LANGUAGES,
+  PACKAGE_JSON_KEY,
+  TEST_RUNNERS,
+  TEST_SCAFFOLDS,
+  TOOLS,
+  getDefaultConfig,
+  isNodeVersion,
+  isPythonVersion,
+  loadProjectConfig,
+  normalizeConfig,
+  saveProjectConfig,
+}
@@ -0,0 +1,393 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const { getDefaultConfig } = require('./config')
+const { CoverageError } = require('./errors')
+
+const COVERAGE_BASELINE_FILE = '.coverage-baseline.json'
+const BASELINE_VERSION = 1
+
+// Reports the generated test steps write: lcov from Vitest, Jest and c8,
+// Cobertura XML from pytest-cov
+const DEFAULT_REPORTS = ['coverage/lcov.info', 'coverage.xml']
+
+// Percentages are compared at the precision they are shown and stored with
+const round = value => Math.round(value * 100) / 100
+
+// Project-relative, forward-slash path
+const toProjectPath = (file, projectDir) =>
+  (path.isAbsolute(file)
+    ? path.relative(projectDir, file)
+    : path.normalize(file)
+  )
+    .split(path.sep)
+    .join('/')
+
+// Hits per line number of each file; a line reported twice (e.g. by two
+// test runs in one report) keeps its highest count
+const addLine = (files, file, line, hits) => {
+  if (!files.has(file)) {
+    files.set(file, new Map())
+  }
+  const lines = files.get(file)
+  lines.set(line, Math.max(lines.get(line) || 0, hits))
+}
+
+// `SF:<file>`, `DA:<line>,<hits>` ... `end_of_record`
+const parseLcov = (content, projectDir) => {
+  const files = new Map()
+  let file = null
+  content.split('\n').forEach(rawLine => {
+    const line = rawLine.trim()
+    if (line.startsWith('SF:')) {
+      file = toProjectPath(line.slice(3), projectDir)
+      if (!files.has(file)) {
+        files.set(file, new Map())
+      }
+    } else if (line.startsWith('DA:') && file) {
+      const [number, hits] = line.slice(3).split(',')
+      addLine(files, file, Number(number), Number(hits) || 0)
+    } else if (line === 'end_of_record') {
+      file = null
+    }
+  })
+  return files
+}
+
+const decodeXml = text =>
+  text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+
+// Class filenames are relative to one of the <source> directories, which
+// coverage.py writes as absolute paths of the machine that ran the tests
+const resolveCoberturaFile = (filename, sources, projectDir) => {
+  const source = sources.find(candidate =>
+    fs.existsSync(path.resolve(projectDir, candidate, filename))
+  )
+  return toProjectPath(
+    source === undefined
+      ? filename
+      : path.resolve(projectDir, source, filename),
+    projectDir
+  )
+}
+
+// <class filename="..."><lines><line number="1" hits="0"/>...; lines under
+// <methods> repeat those under <lines>
+const parseCobertura = (content, projectDir) => {
+  const files = new Map()
+  const sources = [...content.matchAll(/<source>([^<]*)<\/source>/g)].map(
+    match => decodeXml(match[1].trim())
+  )
+  content
+    .split('<class ')
+    .slice(1)
+    .forEach(chunk => {
+      const filename = chunk.match(/\bfilename="([^"]*)"/)
+      if (!filename) {
+        return
+      }
+      const file = resolveCoberturaFile(
+        decodeXml(filename[1]),
+        sources,
+        projectDir
+      )
+      if (!files.has(file)) {
+        files.set(file, new Map())
+      }
+      for (const [, attributes] of chunk.matchAll(/<line\b([^>]*)>/g)) {
+        const number = attributes.match(/\bnumber="(\d+)"/)
+        const hits = attributes.match(/\bhits="(\d+)"/)
+        if (number) {
+          addLine(files, file, Number(number[1]), hits ? Number(hits[1]) : 0)
+        }
+      }
+    })
+  return files
+}
+
+const summarize = fileLines => {
+  let covered = 0
+  let total = 0
+  fileLines.forEach(lines => {
+    lines.forEach(hits => {
+      total++
+      if (hits > 0) {
+        covered++
+      }
+    })
+  })
+  return {
+    covered,
+    total,
+    percent: total ? round((covered / total) * 100) : null,
+  }
+}
+
+const inDirectory = (file, directory) => file.startsWith(`${directory}/`)
+
+/**
+ * Read a coverage report in lcov or Cobertura XML format
+ * @param {string} content - Report file content
+ * @param {string} projectDir - Project directory, for relative paths
+ * @returns {Object} - The report `format` and a map of project-relative
+ *   file to the hit count per line
+ * @throws {CoverageError} When the content is neither lcov nor Cobertura
+ */
+function parseCoverageReport(content, projectDir) {
+  if (/<coverage\b/.test(content)) {
+    return { format: 'cobertura', files: parseCobertura(content, projectDir) }
+  }
+  if (/^(?:TN|SF):/m.test(content)) {
+    return { format: 'lcov', files: parseLcov(content, projectDir) }
+  }
+  throw new CoverageError('The coverage report is neither lcov nor Cobertura', {
+    hint: 'Write it with an lcov reporter (coverage/lcov.info) or as Cobertura XML (pytest --cov-report=xml).',
+  })
+}
+
+/**
+ * Read the coverage recorded in the baseline file, per report
+ * @param {string} projectDir - Project directory path
+ * @returns {Object} - Map of report file to `{ lines, directories }`
+ *   percentages (empty without a baseline)
+ * @throws {CoverageError} When the baseline is not valid JSON
+ */
+function readCoverageBaseline(projectDir) {
+  const baselinePath = path.join(projectDir, COVERAGE_BASELINE_FILE)
+  if (!fs.existsSync(baselinePath)) {
+    return {}
+  }
+  try {
+    const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'))
+    return baseline.reports || {}
+  } catch (error) {
+    throw new CoverageError(`${COVERAGE_BASELINE_FILE} is not valid JSON`, {
+      hint: `Restore ${COVERAGE_BASELINE_FILE} from version control or regenerate it with "create-quality-automation coverage --update-baseline".`,
+      cause: error,
+    })
+  }
+}
+
+/**
+ * Check coverage reports against the minimums in the `coverage`
+ * configuration and, in ratchet mode, against the baseline file. Each
+ * report is checked on its own, so the JavaScript and Python reports of a
+ * project can be gated in their own CI jobs.
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Check options
+ * @param {Array<string>|null} options.reports - Report files relative to
+ *   the project; by default the ones in DEFAULT_REPORTS that exist
+ * @param {Object} options.coverage - `coverage` from the project
+ *   configuration (`minimum`, `directories`, `ratchet`)
+ * @returns {Object} - Per-report results with their `failures`, the named
+ *   report files that are `missing` and whether every report `passed`
+ * @throws {CoverageError} When no report exists, a report cannot be read or
+ *   the baseline is not valid JSON
+ */
+function checkCoverage(
+  projectDir,
+  { reports = null, coverage = getDefaultConfig().coverage } = {}
+) {
+  const files = reports || DEFAULT_REPORTS
+  const missing = files.filter(
+    file => !fs.existsSync(path.resolve(projectDir, file))
+  )
+  if (missing.length === files.length) {
+    throw new CoverageError(`No coverage report found (${files.join(', ')})`, {
+      hint: 'Run the tests with coverage first (e.g. "npm run test:coverage" or "pytest --cov --cov-report=xml"), or name the report with --report=<file>.',
+    })
+  }
+  const baseline = coverage.ratchet ? readCoverageBaseline(projectDir) : {}
+  const results = files
+    .filter(file => !missing.includes(file))
+    .map(file => {
+      const report = parseCoverageReport(
+        fs.readFileSync(path.resolve(projectDir, file), 'utf8'),
+        projectDir
+      )
+      const reportBaseline = baseline[file] || null
+      const lines = summarize([...report.files.values()])
+      const failures = []
+      if (lines.percent !== null && lines.percent < coverage.minimum) {
+        failures.push(
+          `lines ${lines.percent}% are below the minimum of ${coverage.minimum}%`
+        )
+      }
+      if (
+        reportBaseline &&
+        lines.percent !== null &&
+        lines.percent < reportBaseline.lines
+      ) {
+        failures.push(
+          `lines dropped from ${reportBaseline.lines}% to ${lines.percent}%`
+        )
+      }
+      // Directories without files in this report belong to another one
+      const directories = Object.entries(coverage.directories)
+        .map(([directory, minimum]) => ({
+          directory,
+          minimum,
+          baseline:
+            reportBaseline && reportBaseline.directories
+              ? (reportBaseline.directories[directory] ?? null)
+              : null,
+          lines: summarize(
+            [...report.files]
+              .filter(([name]) => inDirectory(name, directory))
+              .map(([, fileLines]) => fileLines)
+          ),
+        }))
+        .filter(({ lines: directoryLines }) => directoryLines.percent !== null)
+      directories.forEach(({ directory, minimum, lines: directoryLines }) => {
+        if (directoryLines.percent < minimum) {
+          failures.push(
+            `${directory}: lines ${directoryLines.percent}% are below the minimum of ${minimum}%`
+          )
+        }
+      })
+      directories.forEach(
+        ({ directory, baseline: previous, lines: current }) => {
+          if (previous !== null && current.percent < previous) {
+            failures.push(
+              `${directory}: lines dropped from ${previous}% to ${current.percent}%`
+            )
+          }
+        }
+      )
+      return {
+        file,
+        format: report.format,
+        lines,
+        minimum: coverage.minimum,
+        baseline: reportBaseline ? reportBaseline.lines : null,
+        directories,
+        failures,
+      }
+    })
+  return {
+    reports: results,
+    // Only named reports are expected to exist
+    missing: reports ? missing : [],
+    ratchet: coverage.ratchet,
+    passed: results.every(result => !result.failures.length),
+  }
+}
+
+/**
+ * Record the current coverage of each checked report in the baseline file,
+ * which ratchet mode then never lets drop. Reports not checked this time
+ * keep their entries.
+ * @param {string} projectDir - Project directory path
+ * @param {Object} result - Result of checkCoverage
+ * @returns {number} - Number of reports in the baseline
+ * @throws {CoverageError} When the existing baseline is not valid JSON
+ */
+function writeCoverageBaseline(projectDir, { reports }) {
+  const entries = { ...readCoverageBaseline(projectDir) }
+  reports
+    .filter(report => report.lines.percent !== null)
+    .forEach(report => {
+      entries[report.file] = {
+        lines: report.lines.percent,
+        directories: Object.fromEntries(
+          report.directories.map(({ directory, lines }) => [
+            directory,
+            lines.percent,
+          ])
+        ),
+      }
+    })
+  fs.writeFileSync(
+    path.join(projectDir, COVERAGE_BASELINE_FILE),
+    `${JSON.stringify({ version: BASELINE_VERSION, reports: entries }, null, 2)}\n`
+  )
+  return Object.keys(entries).length
+}
+
+const describe = ({ percent, covered, total }) =>
+  percent === null ? 'no lines' : `${percent}% (${covered}/${total} lines)`
+
+/**
+ * Format a coverage check for the terminal
+ * @param {Object} result - Result of checkCoverage
+ * @returns {string}
+ */
+function formatCoverageReport({ reports, ratchet, passed }) {
+  const lines = []
+  reports.forEach(report => {
+    lines.push(`📊 ${report.file}: ${describe(report.lines)}`)
+    report.directories.forEach(({ directory, lines: directoryLines }) => {
+      lines.push(`   ${directory}: ${describe(directoryLines)}`)
+    })
+    report.failures.forEach(failure => {
+      lines.push(`❌ ${report.file}: ${failure}`)
+    })
+    if (ratchet && report.baseline === null) {
+      lines.push(
+        `ℹ️ ${report.file} has no baseline yet; record it with "create-quality-automation coverage --update-baseline"`
+      )
+    } else if (ratchet && report.lines.percent > report.baseline) {
+      lines.push(
+        `📈 ${report.file} is above its baseline of ${report.baseline}%; raise it with "create-quality-automation coverage --update-baseline"`
+      )
+    }
+  })
+  lines.push('', passed ? '✅ Coverage gate passed' : '🚫 Coverage gate failed')
+  return lines.join('\n')
+}
+
+/**
+ * Format a coverage check as Markdown for the GitHub Actions job summary
+ * ($GITHUB_STEP_SUMMARY)
+ * @param {Object} result - Result of checkCoverage
+ * @returns {string}
+ */
+function formatCoverageSummary({ reports, passed }) {
+  const cell = value => (value === null ? '–' : `${value}%`)
+  const rows = reports.flatMap(report => [
+    {
+      scope: `\`${report.file}\``,
+      lines: report.lines,
+      minimum: report.minimum,
+      baseline: report.baseline,
+    },
+    ...report.directories.map(({ directory, lines, minimum, baseline }) => ({
+      scope: `\`${directory}/\``,
+      lines,
+      minimum,
+      baseline,
+    })),
+  ])
+  const failures = reports.flatMap(report =>
+    report.failures.map(failure => `- ${report.file}: ${failure}`)
+  )
+  return `${[
+    `### ${passed ? '✅' : '🚫'} Coverage`,
+    '',
+    '| Scope | Lines | Minimum | Baseline |',
+    '| --- | --- | --- | --- |',
+    ...rows.map(
+      row =>
+        `| ${row.scope} | ${describe(row.lines)} | ${cell(row.minimum)} | ${cell(row.baseline)} |`
+    ),
+    ...(failures.length ? ['', ...failures] : []),
+  ].join('\n')}\n`
+}
+
+module.exports = {
+  COVERAGE_BASELINE_FILE,
+  DEFAULT_REPORTS,
+  checkCoverage,
+  formatCoverageReport,
+  formatCoverageSummary,
+  parseCoverageReport,
+  readCoverageBaseline,
+  writeCoverageBaseline,
+}
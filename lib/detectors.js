@@ -3,12 +3,64 @@
 const fs = require('fs')
 const path = require('path')
 
+const { detectWorkspaces } = require('./workspaces')
+
+// A framework is detected from one of its packages or its config file
+const FRAMEWORK_SIGNALS = {
+  react: { packages: ['react'], files: [] },
+  next: {
+    packages: ['next'],
+    files: ['next.config.js', 'next.config.mjs', 'next.config.ts'],
+  },
+  vue: {
+    packages: ['vue', 'nuxt'],
+    files: ['nuxt.config.js', 'nuxt.config.ts'],
+  },
+  svelte: {
+    packages: ['svelte', '@sveltejs/kit'],
+    files: ['svelte.config.js', 'svelte.config.mjs'],
+  },
+  angular: { packages: ['@angular/core'], files: ['angular.json'] },
+  astro: {
+    packages: ['astro'],
+    files: ['astro.config.mjs', 'astro.config.js', 'astro.config.ts'],
+  },
+}
+
 /**
- * Detects which programming languages are used in a project
- * @param {string} projectDir - Path to the project directory
- * @returns {Object} - Object with language flags and detected files
+ * Detects the frameworks a directory's package uses
+ * @param {string} projectDir - Path to the directory
+ * @param {Object|null} packageJson - Parsed package.json, if any
+ * @returns {Array<string>} - Framework ids, e.g. `['react', 'next']`
  */
-function detectProjectLanguages(projectDir) {
+function detectFrameworks(projectDir, packageJson) {
+  const dependencies = {
+    ...(packageJson && packageJson.peerDependencies),
+    ...(packageJson && packageJson.devDependencies),
+    ...(packageJson && packageJson.dependencies),
+  }
+  const frameworks = Object.keys(FRAMEWORK_SIGNALS).filter(framework => {
+    const { packages, files } = FRAMEWORK_SIGNALS[framework]
+    return (
+      packages.some(name => Object.hasOwn(dependencies, name)) ||
+      files.some(file => fs.existsSync(path.join(projectDir, file)))
+    )
+  })
+  // Next.js apps are React apps
+  if (frameworks.includes('next') && !frameworks.includes('react')) {
+    frameworks.unshift('react')
+  }
+  return frameworks
+}
+
+/**
+ * Detects which programming languages (and JavaScript frameworks) are used
+ * in a single directory
+ * @param {string} projectDir - Path to the directory
+ * @returns {Object} - Object with language flags, detected files and
+ *   frameworks
+ */
+function detectDirectoryLanguages(projectDir) {
   const detectedLanguages = {
     javascript: false,
     typescript: false,
@@ -43,11 +95,10 @@ function detectProjectLanguages(projectDir) {
   }
 
   // Also check for typescript dependency
+  let packageJson = null
   if (detectedLanguages.javascript) {
     try {
-      const packageJson = JSON.parse(
-        fs.readFileSync(packageJsonPath, 'utf8')
-      )
+      packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'))
       const hasTypeScriptDep =
         (packageJson.devDependencies &&
           packageJson.devDependencies.typescript) ||
@@ -68,6 +119,7 @@ function detectProjectLanguages(projectDir) {
     'setup.cfg',
     'Pipfile',
     'poetry.lock',
+    'uv.lock',
     'conda.yml',
     'environment.yml',
   ]
@@ -87,16 +139,61 @@ function detectProjectLanguages(projectDir) {
     detectedFiles.rust.push('Cargo.toml')
   }
 
-  // Go detection
-  const goModPath = path.join(projectDir, 'go.mod')
-  if (fs.existsSync(goModPath)) {
-    detectedLanguages.go = true
-    detectedFiles.go.push('go.mod')
+  // Go detection (go.work covers multi-module repos without a root go.mod)
+  for (const file of ['go.mod', 'go.work']) {
+    const filePath = path.join(projectDir, file)
+    if (fs.existsSync(filePath)) {
+      detectedLanguages.go = true
+      detectedFiles.go.push(file)
+    }
   }
 
   return {
     languages: detectedLanguages,
     files: detectedFiles,
+    frameworks: detectedLanguages.javascript
+      ? detectFrameworks(projectDir, packageJson)
+      : [],
+  }
+}
+
+/**
+ * Detects which programming languages are used in a project. In monorepos
+ * detection also runs in every workspace package; TypeScript or a framework
+ * in any package makes the shared root configuration aware of it.
+ * @param {string} projectDir - Path to the project directory
+ * @returns {Object} - Object with language flags, detected files,
+ *   frameworks and workspace packages (each with its own detection)
+ */
+function detectProjectLanguages(projectDir) {
+  const { languages, files, frameworks } = detectDirectoryLanguages(projectDir)
+  const workspaces = detectWorkspaces(projectDir)
+
+  workspaces.packages = workspaces.packages.map(pkg => {
+    const detection = detectDirectoryLanguages(path.join(projectDir, pkg.dir))
+    if (detection.languages.javascript) {
+      languages.javascript = true
+    }
+    if (detection.languages.typescript && !languages.typescript) {
+      languages.typescript = true
+      files.javascript.push(
+        ...detection.files.javascript
+          .filter(file => file.startsWith('tsconfig'))
+          .map(file => `${pkg.dir}/${file}`)
+      )
+    }
+    return { ...pkg, ...detection }
+  })
+  const packageFrameworks = workspaces.packages.flatMap(pkg => pkg.frameworks)
+
+  return {
+    languages,
+    files,
+    frameworks: Object.keys(FRAMEWORK_SIGNALS).filter(
+      framework =>
+        frameworks.includes(framework) || packageFrameworks.includes(framework)
+    ),
+    workspaces,
   }
 }
 
@@ -0,0 +1,181 @@
+'use strict'
+
+/**
+ * Split text into lines, ignoring the newline that terminates the last line
+ * @param {string} text - Text to split
+ * @returns {Array<string>}
+ */
+function splitLines(text) {
+  if (!text) {
+    return []
+  }
+  const lines = text.split('\n')
+  if (lines[lines.length - 1] === '') {
+    lines.pop()
+  }
+  return lines
+}
+
+const NO_NEWLINE_TAG = '\u0000'
+
+const missingNewline = text => Boolean(text) && !text.endsWith('\n')
+
+/**
+ * Compute a line-level edit script with Myers' O(ND) algorithm
+ * @param {Array<string>} a - Original lines
+ * @param {Array<string>} b - Updated lines
+ * @returns {Array<{type: 'equal'|'delete'|'insert', line: string}>}
+ */
+function diffLines(a, b) {
+  const n = a.length
+  const m = b.length
+  const max = n + m
+  const offset = max + 1
+  const v = new Array(2 * max + 3).fill(0)
+  const trace = []
+
+  let found = max === 0
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice())
+    for (let k = -d; k <= d; k += 2) {
+      let x
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1]
+      } else {
+        x = v[offset + k - 1] + 1
+      }
+      let y = x - k
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+      if (x >= n && y >= m) {
+        found = true
+        break
+      }
+    }
+  }
+
+  // Backtrack through the recorded frontiers to rebuild the edit script
+  const ops = []
+  let x = n
+  let y = m
+  for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+    const frontier = trace[d]
+    const k = x - y
+    let prevK
+    if (
+      k === -d ||
+      (k !== d && frontier[offset + k - 1] < frontier[offset + k + 1])
+    ) {
+      prevK = k + 1
+    } else {
+      prevK = k - 1
+    }
+    const prevX = d === 0 ? 0 : frontier[offset + prevK]
+    const prevY = d === 0 ? 0 : prevX - prevK
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', line: a[x - 1] })
+      x--
+      y--
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ type: 'insert', line: b[y - 1] })
+      } else {
+        ops.push({ type: 'delete', line: a[x - 1] })
+      }
+    }
+    x = prevX
+    y = prevY
+  }
+
+  return ops.reverse()
+}
+
+/**
+ * Create a unified diff between two texts
+ * @param {string} before - Original content ('' for new files)
+ * @param {string} after - Updated content ('' for deleted files)
+ * @param {Object} options - Diff options
+ * @param {string} options.fromFile - Label for the original file
+ * @param {string} options.toFile - Label for the updated file
+ * @param {number} options.context - Lines of context around each change
+ * @returns {string} - Unified diff text, or '' when the texts are equal
+ */
+function createUnifiedDiff(
+  before,
+  after,
+  { fromFile = 'a', toFile = 'b', context = 3 } = {}
+) {
+  // Tag a final line without newline so it never matches a terminated one
+  const tagLastLine = (lines, text) =>
+    missingNewline(text)
+      ? [...lines.slice(0, -1), `${lines[lines.length - 1]}${NO_NEWLINE_TAG}`]
+      : lines
+  const a = tagLastLine(splitLines(before), before)
+  const b = tagLastLine(splitLines(after), after)
+  const ops = diffLines(a, b)
+
+  // Annotate each op with its position in both files
+  let aLine = 0
+  let bLine = 0
+  const annotated = ops.map(op => {
+    const entry = { ...op, aLine, bLine }
+    if (op.type !== 'insert') aLine++
+    if (op.type !== 'delete') bLine++
+    return entry
+  })
+
+  const changeIndexes = annotated
+    .map((op, index) => (op.type === 'equal' ? -1 : index))
+    .filter(index => index !== -1)
+  if (!changeIndexes.length) {
+    return ''
+  }
+
+  // Group changes whose context windows overlap into hunks
+  const hunks = []
+  let start = Math.max(0, changeIndexes[0] - context)
+  let end = Math.min(annotated.length, changeIndexes[0] + context + 1)
+  changeIndexes.slice(1).forEach(index => {
+    if (index - context <= end) {
+      end = Math.min(annotated.length, index + context + 1)
+      return
+    }
+    hunks.push([start, end])
+    start = Math.max(0, index - context)
+    end = Math.min(annotated.length, index + context + 1)
+  })
+  hunks.push([start, end])
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`]
+  hunks.forEach(([hunkStart, hunkEnd]) => {
+    const slice = annotated.slice(hunkStart, hunkEnd)
+    const aCount = slice.filter(op => op.type !== 'insert').length
+    const bCount = slice.filter(op => op.type !== 'delete').length
+    const aStart = aCount ? slice[0].aLine + 1 : slice[0].aLine
+    const bStart = bCount ? slice[0].bLine + 1 : slice[0].bLine
+    output.push(`@@ -${aStart},${aCount} +${bStart},${bCount} @@`)
+    slice.forEach(op => {
+      const prefix =
+        op.type === 'equal' ? ' ' : op.type === 'delete' ? '-' : '+'
+      if (op.line.endsWith(NO_NEWLINE_TAG)) {
+        output.push(`${prefix}${op.line.slice(0, -NO_NEWLINE_TAG.length)}`)
+        output.push('\\ No newline at end of file')
+      } else {
+        output.push(`${prefix}${op.line}`)
+      }
+    })
+  })
+
+  return `${output.join('\n')}\n`
+}
+
+module.exports = {
+  splitLines,
+  diffLines,
+  createUnifiedDiff,
+}
@@ -0,0 +1,404 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { execFileSync } = require('child_process')
+
+const { loadProjectConfig } = require('./config')
+const { PackageJsonError } = require('./errors')
+const {
+  LEGACY_CONFIG_FILES,
+  LEGACY_IGNORE_FILE,
+} = require('./eslint-migration')
+const { assertGitRepository } = require('./git')
+const { matchesGlob } = require('./glob')
+const { PRE_COMMIT_CONFIG } = require('./pre-commit')
+const {
+  detectPythonEnvironment,
+  getPythonEnvironmentCommands,
+} = require('./python-environment')
+const { getDefaultDevDependencies } = require('../config/defaults')
+const { FRAMEWORKS } = require('../config/frameworks')
+const { FLAT_CONFIG_FILES } = require('../config/languages/javascript')
+
+const SEVERITIES = ['error', 'warning', 'info']
+
+const PRE_COMMIT_HOOK = '.husky/pre-commit'
+const WORKFLOW_FILE = '.github/workflows/quality.yml'
+// ESLint CLI flags followed by a value that is not a lint target
+const ESLINT_VALUE_FLAGS = [
+  '-c',
+  '--config',
+  '-f',
+  '--format',
+  '-o',
+  '--output-file',
+  '--max-warnings',
+  '--rule',
+  '--ignore-pattern',
+  '--cache-location',
+]
+// Written into .git/hooks/pre-commit by `pre-commit install`
+const PRE_COMMIT_FRAMEWORK_MARKER = 'File generated by pre-commit'
+
+const readIfExists = filePath =>
+  fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null
+
+const git = (projectDir, args) =>
+  execFileSync('git', args, {
+    cwd: projectDir,
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'ignore'],
+  })
+
+const readPackageJson = projectDir => {
+  const content = readIfExists(path.join(projectDir, 'package.json'))
+  if (content === null) {
+    return null
+  }
+  try {
+    return JSON.parse(content)
+  } catch (error) {
+    throw new PackageJsonError(`Error parsing package.json: ${error.message}`, {
+      hint: 'Fix the JSON syntax, then run doctor again.',
+      cause: error,
+    })
+  }
+}
+
+// The files and `--ext` list an ESLint command checks, from the first
+// `eslint` call in a shell command line
+const getEslintTargets = command => {
+  const words = command.split(/\s+/)
+  const start = words.findIndex(
+    word => word === 'eslint' || word.endsWith('/eslint')
+  )
+  if (start === -1) {
+    return null
+  }
+  const targets = []
+  let extensions = []
+  for (let i = start + 1; i < words.length; i++) {
+    const word = words[i]
+    if (['&&', '||', '|', ';'].includes(word)) {
+      break
+    }
+    if (word === '--ext') {
+      extensions = (words[++i] || '').split(',')
+    } else if (word.startsWith('--ext=')) {
+      extensions = word.slice('--ext='.length).split(',')
+    } else if (ESLINT_VALUE_FLAGS.includes(word)) {
+      i++
+    } else if (word && !word.startsWith('-')) {
+      targets.push(word.replace(/^["']|["']$/g, ''))
+    }
+  }
+  return {
+    targets: targets.sort().join(' '),
+    extensions: extensions.filter(Boolean).sort().join(','),
+  }
+}
+
+const describeTargets = ({ targets, extensions }) =>
+  extensions ? `${targets} --ext ${extensions}` : targets
+
+// Lowest version a range such as `^9.12.0`, `~1.2` or `>=3` allows, or
+// null for tags, URLs and workspace references
+const minimumVersion = range => {
+  const first = String(range)
+    .trim()
+    .split(/\s/)[0]
+    .replace(/^[\^~>=v]+/, '')
+  const parts = first.split('.')
+  if (!/^\d+$/.test(parts[0])) {
+    return null
+  }
+  return [0, 1, 2].map(index => Number.parseInt(parts[index], 10) || 0)
+}
+
+const isOlder = (version, than) => {
+  for (let i = 0; i < 3; i++) {
+    if (version[i] !== than[i]) {
+      return version[i] < than[i]
+    }
+  }
+  return false
+}
+
+const checkPrepareScript = ({ packageJson, projectDir }, report) => {
+  const devDependencies = packageJson.devDependencies || {}
+  if (
+    !devDependencies.husky &&
+    !fs.existsSync(path.join(projectDir, '.husky'))
+  ) {
+    return
+  }
+  const prepare = (packageJson.scripts || {}).prepare
+  if (!prepare || !prepare.includes('husky')) {
+    report({
+      id: 'prepare-script',
+      severity: 'error',
+      file: 'package.json',
+      message:
+        'The prepare script does not run husky, so installs never set up the Git hooks',
+      fix: prepare
+        ? `Set "prepare" to "${prepare} && husky".`
+        : 'Add "prepare": "husky" to the package.json scripts.',
+    })
+  } else if (prepare.includes('husky install')) {
+    report({
+      id: 'prepare-script',
+      severity: 'warning',
+      file: 'package.json',
+      message: 'The prepare script runs the deprecated "husky install"',
+      fix: `Set "prepare" to "${prepare.replace(/husky install/g, 'husky')}".`,
+    })
+  }
+}
+
+const checkPreCommitHook = ({ projectDir }, report) => {
+  const hookPath = path.join(projectDir, PRE_COMMIT_HOOK)
+  const hook = readIfExists(hookPath)
+  if (hook === null) {
+    return
+  }
+  // Windows has no executable bit
+  if (process.platform !== 'win32' && !(fs.statSync(hookPath).mode & 0o111)) {
+    report({
+      id: 'hook-not-executable',
+      severity: 'error',
+      file: PRE_COMMIT_HOOK,
+      message: 'The pre-commit hook is not executable, so Git skips it',
+      fix: `Run "chmod +x ${PRE_COMMIT_HOOK}".`,
+    })
+  }
+  if (hook.includes('husky.sh')) {
+    report({
+      id: 'husky-sh-sourcing',
+      severity: 'warning',
+      file: PRE_COMMIT_HOOK,
+      message:
+        'The pre-commit hook sources husky.sh, which Husky 9 deprecates and Husky 10 removes',
+      fix: 'Delete the "#!/bin/sh" line and the line that sources husky.sh at the top of the hook.',
+    })
+  }
+}
+
+const checkLegacyEslintrc = ({ packageJson, projectDir }, report) => {
+  const flatConfig = FLAT_CONFIG_FILES.find(file =>
+    fs.existsSync(path.join(projectDir, file))
+  )
+  if (!flatConfig) {
+    return
+  }
+  const fix =
+    flatConfig === 'eslint.config.cjs'
+      ? 'Run "npx create-quality-automation" to migrate its settings into eslint.config.cjs.'
+      : `Move the settings you still need into ${flatConfig}, then delete it.`
+  const legacy = [...LEGACY_CONFIG_FILES, LEGACY_IGNORE_FILE].filter(file =>
+    fs.existsSync(path.join(projectDir, file))
+  )
+  if (packageJson && packageJson.eslintConfig) {
+    legacy.push('package.json')
+  }
+  legacy.forEach(file => {
+    report({
+      id: 'legacy-eslintrc',
+      severity: 'warning',
+      file,
+      message: `${file === 'package.json' ? 'The eslintConfig key' : file} is ignored because ${flatConfig} exists`,
+      fix,
+    })
+  })
+}
+
+const checkWorkflowTargets = ({ packageJson, projectDir }, report) => {
+  const workflow = readIfExists(path.join(projectDir, WORKFLOW_FILE))
+  const lint = (packageJson.scripts || {}).lint
+  const expected = workflow && lint ? getEslintTargets(lint) : null
+  if (!expected) {
+    return
+  }
+  const mismatch = workflow
+    .split('\n')
+    .map(getEslintTargets)
+    .find(
+      actual =>
+        actual &&
+        (actual.targets !== expected.targets ||
+          actual.extensions !== expected.extensions)
+    )
+  if (mismatch) {
+    report({
+      id: 'workflow-eslint-targets',
+      severity: 'warning',
+      file: WORKFLOW_FILE,
+      message: `CI lints "${describeTargets(mismatch)}" but the lint script lints "${describeTargets(expected)}"`,
+      fix: `Use "eslint ${describeTargets(expected)}" in ${WORKFLOW_FILE}, or run "npx create-quality-automation --update".`,
+    })
+  }
+}
+
+const checkLintStaged = ({ packageJson, projectDir }, report) => {
+  const lintStaged = packageJson['lint-staged']
+  if (!lintStaged || typeof lintStaged !== 'object') {
+    return
+  }
+  const files = git(projectDir, [
+    'ls-files',
+    '-z',
+    '--cached',
+    '--others',
+    '--exclude-standard',
+  ])
+    .split('\0')
+    .filter(Boolean)
+  Object.keys(lintStaged)
+    .filter(pattern => !files.some(file => matchesGlob(file, pattern)))
+    .forEach(pattern => {
+      report({
+        id: 'lint-staged-unmatched',
+        severity: 'info',
+        file: 'package.json',
+        message: `The lint-staged pattern "${pattern}" matches no files in the repository`,
+        fix: 'Remove the pattern if the project will not have such files, or correct it.',
+      })
+    })
+}
+
+const checkDevDependencies = ({ packageJson, config }, report) => {
+  const devDependencies = packageJson.devDependencies || {}
+  const template = getDefaultDevDependencies({
+    typescript: true,
+    frameworks: FRAMEWORKS,
+    tools: config.tools,
+    versions: config.versions,
+  })
+  Object.entries(template).forEach(([dependency, wanted]) => {
+    const current = devDependencies[dependency]
+    const currentVersion = current ? minimumVersion(current) : null
+    const wantedVersion = minimumVersion(wanted)
+    if (
+      currentVersion &&
+      wantedVersion &&
+      isOlder(currentVersion, wantedVersion)
+    ) {
+      report({
+        id: 'outdated-dev-dependency',
+        severity: 'warning',
+        file: 'package.json',
+        message: `${dependency} ${current} is older than the template's ${wanted}`,
+        fix: `Raise "${dependency}" to "${wanted}" in devDependencies and reinstall.`,
+      })
+    }
+  })
+}
+
+const checkPythonHooks = ({ projectDir }, report) => {
+  if (!fs.existsSync(path.join(projectDir, PRE_COMMIT_CONFIG))) {
+    return
+  }
+  // Husky's hook can run the pre-commit framework itself
+  const huskyHook = readIfExists(path.join(projectDir, PRE_COMMIT_HOOK))
+  if (huskyHook && huskyHook.includes('pre-commit run')) {
+    return
+  }
+  const hooksDir = path.resolve(
+    projectDir,
+    git(projectDir, ['rev-parse', '--git-path', 'hooks']).trim()
+  )
+  const hook = readIfExists(path.join(hooksDir, 'pre-commit'))
+  if (hook && hook.includes(PRE_COMMIT_FRAMEWORK_MARKER)) {
+    return
+  }
+  const { run } = getPythonEnvironmentCommands(
+    detectPythonEnvironment(projectDir)
+  )
+  // `pre-commit install` refuses to run while Husky owns core.hooksPath
+  const husky = path
+    .relative(projectDir, hooksDir)
+    .split(path.sep)
+    .includes('.husky')
+  report({
+    id: 'python-hooks-not-installed',
+    severity: 'warning',
+    file: PRE_COMMIT_CONFIG,
+    message: `The hooks in ${PRE_COMMIT_CONFIG} are not installed, so commits skip them`,
+    fix: husky
+      ? `Add "${run}pre-commit run" to ${PRE_COMMIT_HOOK}.`
+      : `Run "${run}pre-commit install".`,
+  })
+}
+
+const CHECKS = [
+  { check: checkPrepareScript, javascript: true },
+  { check: checkPreCommitHook },
+  { check: checkLegacyEslintrc },
+  { check: checkWorkflowTargets, javascript: true },
+  { check: checkLintStaged, javascript: true },
+  { check: checkDevDependencies, javascript: true },
+  { check: checkPythonHooks },
+]
+
+/**
+ * Inspect an existing setup for drift and misconfiguration: hooks that will
+ * not run, configs ESLint ignores, CI linting other files than the lint
+ * script, lint-staged patterns that match nothing, outdated devDependencies
+ * and Python hooks that were never installed
+ * @param {string} projectDir - Project directory path
+ * @returns {Object} - `findings`, each with an `id`, `severity` (`error`,
+ *   `warning` or `info`), `file`, `message` and suggested `fix`, most severe
+ *   first, and a `summary` count per severity
+ * @throws {NotGitRepositoryError} When the directory is not in a git repo
+ * @throws {PackageJsonError} When package.json cannot be parsed
+ * @throws {ConfigError} When the project configuration is invalid
+ */
+function runDoctor(projectDir) {
+  assertGitRepository(projectDir)
+  const context = {
+    projectDir,
+    packageJson: readPackageJson(projectDir),
+    config: loadProjectConfig(projectDir),
+  }
+  const findings = []
+  const report = finding => findings.push(finding)
+  CHECKS.filter(({ javascript }) => !javascript || context.packageJson).forEach(
+    ({ check }) => check(context, report)
+  )
+  findings.sort(
+    (a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+  )
+  const summary = Object.fromEntries(
+    SEVERITIES.map(severity => [
+      severity,
+      findings.filter(finding => finding.severity === severity).length,
+    ])
+  )
+  return { findings, summary }
+}
+
+/**
+ * Format a doctor result for the console
+ * @param {Object} result - Result of runDoctor
+ * @returns {string}
+ */
+function formatDoctorReport({ findings, summary }) {
+  if (!findings.length) {
+    return '🩺 No problems found'
+  }
+  const icons = { error: '❌', warning: '⚠️', info: 'ℹ️' }
+  const lines = [
+    `🩺 ${summary.error} error(s), ${summary.warning} warning(s), ${summary.info} note(s):`,
+  ]
+  findings.forEach(({ id, severity, file, message, fix }) => {
+    lines.push(`  ${icons[severity]} ${file}: ${message} [${id}]`)
+    lines.push(`     💡 ${fix}`)
+  })
+  return lines.join('\n')
+}
+
+module.exports = {
+  runDoctor,
+  formatDoctorReport,
+}
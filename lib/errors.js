@@ -0,0 +1,85 @@
+'use strict'
+
+/**
+ * Base class for errors raised by the setup API. `code` is stable for
+ * programmatic handling; `hint` is a human-readable next step.
+ */
+class QualityAutomationError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Object} options - Error details
+   * @param {string} options.code - Stable machine-readable code
+   * @param {string} options.hint - Suggested fix
+   * @param {Error} options.cause - Underlying error, if any
+   */
+  constructor(message, { code = 'EQUALITYAUTOMATION', hint, cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = this.constructor.name
+    this.code = code
+    this.hint = hint
+  }
+}
+
+class NotGitRepositoryError extends QualityAutomationError {
+  constructor(projectDir) {
+    super(`${projectDir} is not inside a git repository`, {
+      code: 'ENOTGITREPO',
+      hint: 'Run "git init" first, then try again.',
+    })
+    this.projectDir = projectDir
+  }
+}
+
+class PackageJsonError extends QualityAutomationError {
+  constructor(message, { hint, cause } = {}) {
+    super(message, { code: 'EPACKAGEJSON', hint, cause })
+  }
+}
+
+class ManifestError extends QualityAutomationError {
+  constructor(message, { hint, cause } = {}) {
+    super(message, { code: 'EMANIFEST', hint, cause })
+  }
+}
+
+class ConfigError extends QualityAutomationError {
+  constructor(message, { hint, cause } = {}) {
+    super(message, { code: 'ECONFIG', hint, cause })
+  }
+}
+
+class SecretsBaselineError extends QualityAutomationError {
+  constructor(message, { hint, cause } = {}) {
+    super(message, { code: 'ESECRETSBASELINE', hint, cause })
+  }
+}
+
+class SecretsHistoryError extends QualityAutomationError {
+  constructor(message, { hint, cause } = {}) {
+    super(message, { code: 'ESECRETSHISTORY', hint, cause })
+  }
+}
+
+class SarifInputError extends QualityAutomationError {
+  constructor(message, { hint, cause } = {}) {
+    super(message, { code: 'ESARIFINPUT', hint, cause })
+  }
+}
+
+class CoverageError extends QualityAutomationError {
+  constructor(message, { hint, cause } = {}) {
+    super(message, { code: 'ECOVERAGE', hint, cause })
+  }
+}
+
+module.exports = {
+  QualityAutomationError,
+  NotGitRepositoryError,
+  PackageJsonError,
+  ManifestError,
+  ConfigError,
+  SecretsBaselineError,
+  SecretsHistoryError,
+  SarifInputError,
+  CoverageError,
+}
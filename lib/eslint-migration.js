@@ -0,0 +1,681 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { createRequire } = require('module')
+
+const { BASE_DIR } = require('./file-changes')
+const { parseYaml } = require('./yaml')
+
+// Legacy config files in the order ESLint 8 looked for them; it used the
+// first one found, and package.json#eslintConfig only when there was none
+const LEGACY_CONFIG_FILES = [
+  '.eslintrc.js',
+  '.eslintrc.cjs',
+  '.eslintrc.yaml',
+  '.eslintrc.yml',
+  '.eslintrc.json',
+  '.eslintrc',
+]
+const LEGACY_IGNORE_FILE = '.eslintignore'
+const PACKAGE_JSON_SOURCE = 'package.json#eslintConfig'
+const FLAT_CONFIG_FILE = 'eslint.config.cjs'
+const EXPORT_LINE = 'module.exports = configs'
+// Migrated legacy configs are moved here, for uninstall and for porting
+// settings that could not be carried over
+const LEGACY_ESLINT_ARCHIVE_DIR = '.quality-automation/legacy-eslint'
+// Archive name of package.json#eslintConfig
+const ARCHIVED_PACKAGE_JSON_CONFIG = 'eslintConfig.json'
+
+// `extends` entries the generated config already includes
+const INCLUDED_EXTENDS = [
+  'eslint:recommended',
+  'plugin:security/recommended',
+  'plugin:security/recommended-legacy',
+]
+const INCLUDED_TYPESCRIPT_EXTENDS = [
+  'plugin:@typescript-eslint/recommended',
+  'plugin:@typescript-eslint/eslint-recommended',
+]
+// Flat versions of shareable configs; `array` marks lists of configs
+const FLAT_EXTENDS = {
+  'eslint:all': { expression: 'js.configs.all' },
+  prettier: { expression: "require('eslint-config-prettier')" },
+  'plugin:prettier/recommended': {
+    expression: "require('eslint-plugin-prettier/recommended')",
+  },
+}
+// Where plugins keep the flat version of their `plugin:<name>/<config>`
+const FLAT_PLUGIN_CONFIGS = {
+  react: {
+    module: 'eslint-plugin-react',
+    path: name => ['configs', 'flat', name],
+  },
+  'jsx-a11y': {
+    module: 'eslint-plugin-jsx-a11y',
+    path: name => ['flatConfigs', name],
+  },
+  import: {
+    module: 'eslint-plugin-import',
+    path: name => ['flatConfigs', name],
+  },
+  n: { module: 'eslint-plugin-n', path: name => ['configs', `flat/${name}`] },
+  jest: {
+    module: 'eslint-plugin-jest',
+    path: name => ['configs', `flat/${name}`],
+  },
+  unicorn: {
+    module: 'eslint-plugin-unicorn',
+    path: name => ['configs', `flat/${name}`],
+  },
+  vue: {
+    module: 'eslint-plugin-vue',
+    path: name => ['configs', `flat/${name}`],
+    array: true,
+  },
+  '@typescript-eslint': {
+    module: '@typescript-eslint/eslint-plugin',
+    path: name => ['configs', `flat/${name}`],
+    array: true,
+  },
+}
+
+// `env` names the `globals` package has a set for
+const ENV_GLOBALS = [
+  'commonjs',
+  'shared-node-browser',
+  'worker',
+  'serviceworker',
+  'amd',
+  'mocha',
+  'jasmine',
+  'jest',
+  'phantomjs',
+  'jquery',
+  'qunit',
+  'prototypejs',
+  'shelljs',
+  'meteor',
+  'mongo',
+  'protractor',
+  'applescript',
+  'nashorn',
+  'atomtest',
+  'embertest',
+  'webextensions',
+  'greasemonkey',
+]
+// Environments the generated config sets up already: browser and Node
+// globals, and ES2022 syntax
+const INCLUDED_ENVS = ['browser', 'node']
+const TEMPLATE_ECMA_VERSION = 2022
+// Directories the generated config ignores already
+const INCLUDED_IGNORES = [
+  'node_modules',
+  'dist',
+  'build',
+  '.quality-automation',
+]
+
+const IGNORED_KEYS = ['root', '$schema']
+
+// JavaScript source for values, with RAW code and SPREAD entries
+const RAW = Symbol('raw')
+const SPREAD = Symbol('spread')
+const raw = code => ({ [RAW]: code })
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/
+
+const quote = text =>
+  `'${text.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`
+
+const accessor = segments =>
+  segments
+    .map(segment =>
+      IDENTIFIER.test(segment) ? `.${segment}` : `[${quote(segment)}]`
+    )
+    .join('')
+
+// Config blocks and their direct children are always expanded; anything
+// deeper stays on one line when it fits in the print width, like Prettier
+// leaves it. `prefix` is the length of the key before the value.
+const toSource = (value, indent = '', depth = 0, prefix = 0) => {
+  if (value && value[RAW]) {
+    return value[RAW]
+  }
+  if (typeof value === 'string') {
+    return quote(value)
+  }
+  if (value === null || typeof value !== 'object') {
+    return String(value)
+  }
+  const isArray = Array.isArray(value)
+  const inner = `${indent}  `
+  const items = isArray
+    ? value.map(item => toSource(item, inner, depth + 1))
+    : Object.entries(value).map(([key, item]) => {
+        if (item === SPREAD) {
+          return key
+        }
+        const name = IDENTIFIER.test(key) ? key : quote(key)
+        return `${name}: ${toSource(item, inner, depth + 1, name.length + 2)}`
+      })
+  if (!items.length) {
+    return isArray ? '[]' : '{}'
+  }
+  const inline = isArray ? `[${items.join(', ')}]` : `{ ${items.join(', ')} }`
+  if (
+    (isArray || depth > 1) &&
+    !inline.includes('\n') &&
+    indent.length + prefix + inline.length < 80
+  ) {
+    return inline
+  }
+  const [open, close] = isArray ? ['[', ']'] : ['{', '}']
+  return `${open}\n${items.map(item => `${inner}${item},`).join('\n')}\n${indent}${close}`
+}
+
+// Package and namespace of a legacy plugin name, e.g. `react` ->
+// eslint-plugin-react, `@scope/foo` -> @scope/eslint-plugin-foo
+const resolvePlugin = name => {
+  if (name.startsWith('@')) {
+    const [scope, rest = ''] = name.split('/')
+    const short = rest.replace(/^eslint-plugin-?/, '')
+    return {
+      namespace: short ? `${scope}/${short}` : scope,
+      module: short
+        ? `${scope}/eslint-plugin-${short}`
+        : `${scope}/eslint-plugin`,
+    }
+  }
+  const short = name.replace(/^eslint-plugin-/, '')
+  return { namespace: short, module: `eslint-plugin-${short}` }
+}
+
+// Legacy globs without a slash matched file names at any depth
+const toFlatFiles = patterns =>
+  (Array.isArray(patterns) ? patterns : [patterns]).map(pattern => {
+    const glob = pattern.replace(/^\.\//, '')
+    return glob.includes('/') || glob.startsWith('**') ? glob : `**/${glob}`
+  })
+
+/**
+ * Convert a .gitignore-style pattern from .eslintignore or
+ * `ignorePatterns` to a flat config `ignores` glob
+ * @param {string} pattern - Legacy ignore pattern
+ * @returns {string}
+ */
+function toFlatIgnore(pattern) {
+  const negated = pattern.startsWith('!')
+  let glob = negated ? pattern.slice(1) : pattern
+  // A slash anywhere but at the end anchors the pattern to the root
+  if (glob.startsWith('/')) {
+    glob = glob.slice(1)
+  } else if (!glob.slice(0, -1).includes('/') && !glob.startsWith('**')) {
+    glob = `**/${glob}`
+  }
+  // Bare names like `coverage` or `.next` meant directories too
+  const name = glob.split('/').pop()
+  if (name && !name.includes('*') && !/.\.\w+$/.test(name)) {
+    glob = `${glob}/`
+  }
+  return `${negated ? '!' : ''}${glob}`
+}
+
+const isIncludedIgnore = glob =>
+  INCLUDED_IGNORES.includes(
+    glob
+      .replace(/^\*\*\//, '')
+      .replace(/\/\*\*$/, '')
+      .replace(/\/$/, '')
+  )
+
+// ecmaVersion 6 meant ES2015
+const toEcmaYear = version =>
+  typeof version === 'number' && version >= 6 && version < 2015
+    ? version + 2009
+    : version
+
+/**
+ * Translate one legacy config object (or override) into flat config
+ * entries. Settings without a flat equivalent go to `unmapped`.
+ * @param {Object} legacy - Legacy config or `overrides` entry
+ * @param {Object} options - Translation options
+ * @param {boolean} options.typescript - Whether the generated config is
+ *   the TypeScript-aware one
+ * @param {Array<string>|null} options.files - Override `files` globs
+ * @param {Function} options.unmap - Called with the item and the reason
+ * @returns {Array<Object>} - Flat config entries
+ */
+function translateLegacyConfig(legacy, { typescript, files = null, unmap }) {
+  const entries = []
+  const block = {}
+  const languageOptions = {}
+  const globals = {}
+  const parserOptions = {}
+
+  const extendsList = [].concat(legacy.extends || [])
+  extendsList.forEach(name => {
+    if (
+      INCLUDED_EXTENDS.includes(name) ||
+      (typescript && INCLUDED_TYPESCRIPT_EXTENDS.includes(name))
+    ) {
+      return
+    }
+    let flat =
+      FLAT_EXTENDS[name] || FLAT_EXTENDS[name.replace(/^eslint-config-/, '')]
+    const pluginMatch = !flat && name.match(/^plugin:(.+)\/([^/]+)$/)
+    if (pluginMatch && FLAT_PLUGIN_CONFIGS[pluginMatch[1]]) {
+      const plugin = FLAT_PLUGIN_CONFIGS[pluginMatch[1]]
+      flat = {
+        expression: `require(${quote(plugin.module)})${accessor(plugin.path(pluginMatch[2]))}`,
+        array: plugin.array,
+      }
+    }
+    if (!flat) {
+      unmap(
+        `extends "${name}"`,
+        'no flat config equivalent is known; add it with FlatCompat from @eslint/eslintrc'
+      )
+      return
+    }
+    if (!files) {
+      entries.push(raw(flat.array ? `...${flat.expression}` : flat.expression))
+    } else if (flat.array) {
+      entries.push(
+        raw(
+          `...${flat.expression}.map(config => ({ ...config, files: ${toSource(files)} }))`
+        )
+      )
+    } else {
+      entries.push({ [`...${flat.expression}`]: SPREAD, files })
+    }
+  })
+
+  if (files) {
+    block.files = files
+    if (legacy.excludedFiles) {
+      block.ignores = toFlatFiles(legacy.excludedFiles)
+    }
+  }
+
+  if (legacy.plugins) {
+    const plugins = {}
+    ;[].concat(legacy.plugins).forEach(name => {
+      const { namespace, module } = resolvePlugin(name)
+      plugins[namespace] = raw(`require(${quote(module)})`)
+    })
+    block.plugins = plugins
+  }
+
+  Object.entries(legacy.env || {}).forEach(([env, enabled]) => {
+    const esMatch = env.match(/^es(\d+)$/)
+    if (!enabled || INCLUDED_ENVS.includes(env)) {
+      return
+    }
+    if (esMatch) {
+      const year = toEcmaYear(Number(esMatch[1]))
+      if (year > TEMPLATE_ECMA_VERSION) {
+        languageOptions.ecmaVersion = Math.max(
+          languageOptions.ecmaVersion || 0,
+          year
+        )
+      }
+    } else if (ENV_GLOBALS.includes(env)) {
+      globals[`...globals${accessor([env])}`] = SPREAD
+    } else {
+      unmap(
+        `env "${env}"`,
+        'no globals set matches it; list its globals under languageOptions.globals'
+      )
+    }
+  })
+  Object.entries(legacy.globals || {}).forEach(([name, value]) => {
+    if (value === 'off') {
+      globals[name] = 'off'
+    } else {
+      globals[name] = [true, 'writable', 'writeable'].includes(value)
+        ? 'writable'
+        : 'readonly'
+    }
+  })
+  if (Object.keys(globals).length) {
+    languageOptions.globals = globals
+  }
+
+  if (legacy.parser) {
+    languageOptions.parser = raw(`require(${quote(legacy.parser)})`)
+  }
+  Object.entries(legacy.parserOptions || {}).forEach(([option, value]) => {
+    if (option === 'ecmaVersion') {
+      languageOptions.ecmaVersion = toEcmaYear(value)
+    } else if (option === 'sourceType') {
+      languageOptions.sourceType = value
+    } else {
+      parserOptions[option] = value
+    }
+  })
+  if (Object.keys(parserOptions).length) {
+    languageOptions.parserOptions = parserOptions
+  }
+  if (Object.keys(languageOptions).length) {
+    block.languageOptions = languageOptions
+  }
+
+  const linterOptions = {}
+  if (legacy.noInlineConfig !== undefined) {
+    linterOptions.noInlineConfig = legacy.noInlineConfig
+  }
+  if (legacy.reportUnusedDisableDirectives !== undefined) {
+    linterOptions.reportUnusedDisableDirectives =
+      legacy.reportUnusedDisableDirectives
+  }
+  if (Object.keys(linterOptions).length) {
+    block.linterOptions = linterOptions
+  }
+  if (legacy.processor) {
+    block.processor = legacy.processor
+  }
+  if (legacy.settings) {
+    block.settings = legacy.settings
+  }
+  if (legacy.rules && Object.keys(legacy.rules).length) {
+    block.rules = legacy.rules
+  }
+
+  const handled = [
+    'extends',
+    'plugins',
+    'env',
+    'globals',
+    'parser',
+    'parserOptions',
+    'noInlineConfig',
+    'reportUnusedDisableDirectives',
+    'processor',
+    'settings',
+    'rules',
+    ...(files ? ['files', 'excludedFiles'] : ['overrides', 'ignorePatterns']),
+    ...IGNORED_KEYS,
+  ]
+  Object.keys(legacy)
+    .filter(key => !handled.includes(key))
+    .forEach(key => unmap(key, 'it has no flat config equivalent'))
+
+  if (Object.keys(block).some(key => !['files', 'ignores'].includes(key))) {
+    entries.push(block)
+  }
+
+  if (!files) {
+    ;[].concat(legacy.overrides || []).forEach(override => {
+      entries.push(
+        ...translateLegacyConfig(override, {
+          typescript,
+          files: toFlatFiles(override.files || []),
+          unmap: (item, reason) =>
+            unmap(
+              `overrides ${JSON.stringify(override.files)} ${item}`,
+              reason
+            ),
+        })
+      )
+    })
+  }
+  return entries
+}
+
+// eslintrc JSON may have comments
+const stripJsonComments = content => {
+  let result = ''
+  let quoteChar = null
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i]
+    if (quoteChar) {
+      result += char
+      if (char === '\\') {
+        result += content[++i] || ''
+      } else if (char === quoteChar) {
+        quoteChar = null
+      }
+    } else if (char === '"') {
+      quoteChar = char
+      result += char
+    } else if (content.startsWith('//', i)) {
+      const end = content.indexOf('\n', i)
+      i = end === -1 ? content.length : end - 1
+    } else if (content.startsWith('/*', i)) {
+      const end = content.indexOf('*/', i + 2)
+      i = end === -1 ? content.length : end + 1
+    } else {
+      result += char
+    }
+  }
+  return result
+}
+
+const loadLegacyConfig = (projectDir, file, changes) => {
+  const filePath = path.join(projectDir, file)
+  if (file.endsWith('.js') || file.endsWith('.cjs')) {
+    const requireFromProject = createRequire(filePath)
+    delete require.cache[filePath]
+    return requireFromProject(filePath)
+  }
+  const content = changes.read(filePath)
+  if (file.endsWith('.json')) {
+    return JSON.parse(stripJsonComments(content))
+  }
+  if (file === '.eslintrc') {
+    // Either JSON or YAML
+    try {
+      return JSON.parse(stripJsonComments(content))
+    } catch {
+      return parseYaml(content)
+    }
+  }
+  return parseYaml(content)
+}
+
+const parseIgnoreFile = content =>
+  content
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+
+/**
+ * Carry a legacy ESLint setup (.eslintrc.*, package.json#eslintConfig and
+ * .eslintignore, all ignored by ESLint 9) over into eslint.config.cjs.
+ * Extends, plugins, rules, overrides, env, globals and ignore patterns
+ * become flat config entries appended to the generated config. Legacy
+ * sources are moved to `.quality-automation/legacy-eslint/`, where they
+ * are kept for `--uninstall` to restore and, when some of their settings
+ * could not be carried over, for porting the rest by hand.
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Migration options
+ * @param {boolean} options.typescript - Whether eslint.config.cjs is the
+ *   TypeScript-aware template
+ * @param {Object} options.changes - Change set from lib/file-changes
+ * @param {Object} options.logger - Receives progress messages (console API)
+ * @returns {Object|null} - The migrated `sources`, the `unmapped` settings
+ *   (`{ source, item, reason }`) and the `archived` files, or null when
+ *   there is nothing to migrate
+ */
+function migrateLegacyEslintConfig(
+  projectDir,
+  { typescript = false, changes, logger = console }
+) {
+  const configFiles = LEGACY_CONFIG_FILES.filter(file =>
+    changes.exists(path.join(projectDir, file))
+  )
+  const packageJsonPath = path.join(projectDir, 'package.json')
+  const packageJsonContent = changes.readIfExists(packageJsonPath)
+  const packageJson = packageJsonContent ? JSON.parse(packageJsonContent) : {}
+  const ignoreFilePath = path.join(projectDir, LEGACY_IGNORE_FILE)
+  const ignoreFile = changes.readIfExists(ignoreFilePath)
+  if (!configFiles.length && !packageJson.eslintConfig && ignoreFile === null) {
+    return null
+  }
+
+  const flatConfigPath = path.join(projectDir, FLAT_CONFIG_FILE)
+  const flatConfig = changes.readIfExists(flatConfigPath)
+  if (!flatConfig || !flatConfig.includes(`\n${EXPORT_LINE}`)) {
+    logger.warn(
+      `⚠️ Could not migrate the legacy ESLint config: ${FLAT_CONFIG_FILE} does not end with "${EXPORT_LINE}"`
+    )
+    return null
+  }
+
+  const unmapped = []
+  const unmapFor = source => (item, reason) =>
+    unmapped.push({ source, item, reason })
+
+  // Only the first legacy config was in effect
+  const active =
+    configFiles[0] || (packageJson.eslintConfig ? PACKAGE_JSON_SOURCE : null)
+  const shadowed = [
+    ...configFiles.slice(1),
+    ...(configFiles.length && packageJson.eslintConfig
+      ? [PACKAGE_JSON_SOURCE]
+      : []),
+  ]
+  shadowed.forEach(source =>
+    unmapFor(source)(
+      'all settings',
+      `ESLint read ${active} instead, so they were not in effect`
+    )
+  )
+
+  let legacy = {}
+  if (active === PACKAGE_JSON_SOURCE) {
+    legacy = packageJson.eslintConfig
+  } else if (active) {
+    try {
+      legacy = loadLegacyConfig(projectDir, active, changes)
+    } catch (error) {
+      logger.warn(`⚠️ Could not read ${active} to migrate it: ${error.message}`)
+      return null
+    }
+  }
+
+  const ignores = [
+    ...(ignoreFile ? parseIgnoreFile(ignoreFile) : []),
+    ...[].concat(legacy.ignorePatterns || []),
+  ]
+    .map(toFlatIgnore)
+    .filter(glob => !isIncludedIgnore(glob))
+  const entries = [
+    ...(ignores.length ? [{ ignores: [...new Set(ignores)] }] : []),
+    ...translateLegacyConfig(legacy, { typescript, unmap: unmapFor(active) }),
+  ]
+
+  const sources = [
+    ...(active ? [active] : []),
+    ...(ignoreFile !== null ? [LEGACY_IGNORE_FILE] : []),
+  ]
+  if (entries.length) {
+    const section = `// Migrated from ${sources.join(', ')}\nconfigs.push(\n${entries
+      .map(entry => `  ${toSource(entry, '  ')}`)
+      .join(',\n')}\n)\n\n`
+    const at = flatConfig.lastIndexOf(`\n${EXPORT_LINE}`) + 1
+    changes.write(
+      flatConfigPath,
+      `${flatConfig.slice(0, at)}${section}${flatConfig.slice(at)}`
+    )
+  }
+
+  // Move migrated sources into the archive: the generated config is
+  // removed on uninstall, and the originals go back in its place
+  const archived = []
+  const archive = (name, content) => {
+    changes.write(
+      path.join(projectDir, LEGACY_ESLINT_ARCHIVE_DIR, name),
+      content
+    )
+    archived.push(`${LEGACY_ESLINT_ARCHIVE_DIR}/${name}`)
+  }
+  ;[
+    ...configFiles,
+    ...(ignoreFile !== null ? [LEGACY_IGNORE_FILE] : []),
+  ].forEach(file => {
+    const filePath = path.join(projectDir, file)
+    archive(file, changes.read(filePath))
+    changes.remove(filePath)
+    changes.remove(path.join(projectDir, BASE_DIR, file))
+  })
+  if (packageJson.eslintConfig) {
+    archive(
+      ARCHIVED_PACKAGE_JSON_CONFIG,
+      `${JSON.stringify(packageJson.eslintConfig, null, 2)}\n`
+    )
+    delete packageJson.eslintConfig
+    changes.write(packageJsonPath, JSON.stringify(packageJson, null, 2))
+  }
+
+  logger.log(`🔀 Migrated ${sources.join(', ')} into ${FLAT_CONFIG_FILE}`)
+  unmapped.forEach(({ source, item, reason }) =>
+    logger.warn(`⚠️ Not migrated from ${source}: ${item} (${reason})`)
+  )
+  if (unmapped.length) {
+    logger.log(
+      `📦 Archived ${archived.join(', ')} so the rest can be ported by hand`
+    )
+  } else {
+    logger.log(
+      `📦 Archived ${archived.join(', ')}; --uninstall puts the originals back`
+    )
+  }
+  return { sources, unmapped, archived }
+}
+
+/**
+ * Put the legacy ESLint sources migrateLegacyEslintConfig archived back in
+ * place: files into the project root (unless a file of that name exists
+ * again) and `eslintConfig` into package.json (unless it has one again).
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Restore options
+ * @param {Object} options.packageJson - Parsed package.json (mutated), or
+ *   null when the project has none
+ * @param {Object} options.changes - Change set from lib/file-changes
+ * @returns {Object} - The `restored` sources and those `kept` in the
+ *   archive (`{ item, reason }`)
+ */
+function restoreLegacyEslintConfig(projectDir, { packageJson, changes }) {
+  const archiveDir = path.join(projectDir, LEGACY_ESLINT_ARCHIVE_DIR)
+  const result = { restored: [], kept: [] }
+  const names = fs.existsSync(archiveDir) ? fs.readdirSync(archiveDir) : []
+  names.sort().forEach(name => {
+    const archivedPath = path.join(archiveDir, name)
+    const content = changes.readIfExists(archivedPath)
+    if (content === null) {
+      return
+    }
+    const item = `${LEGACY_ESLINT_ARCHIVE_DIR}/${name}`
+    if (name === ARCHIVED_PACKAGE_JSON_CONFIG) {
+      if (!packageJson || packageJson.eslintConfig) {
+        result.kept.push({ item, reason: 'package.json has eslintConfig' })
+        return
+      }
+      packageJson.eslintConfig = JSON.parse(content)
+      result.restored.push(`package.json eslintConfig (from ${item})`)
+    } else {
+      const targetPath = path.join(projectDir, name)
+      if (changes.exists(targetPath)) {
+        result.kept.push({ item, reason: `${name} exists again` })
+        return
+      }
+      changes.write(targetPath, content)
+      result.restored.push(`${name} (from ${item})`)
+    }
+    changes.remove(archivedPath)
+  })
+  return result
+}
+
+module.exports = {
+  LEGACY_CONFIG_FILES,
+  LEGACY_ESLINT_ARCHIVE_DIR,
+  LEGACY_IGNORE_FILE,
+  migrateLegacyEslintConfig,
+  restoreLegacyEslintConfig,
+  toFlatIgnore,
+  translateLegacyConfig,
+}
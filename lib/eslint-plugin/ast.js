@@ -0,0 +1,98 @@
+'use strict'
+
+// AST helpers shared by the plugin rules
+
+const isStringLiteral = node =>
+  node.type === 'Literal' && typeof node.value === 'string'
+
+/**
+ * Name of a non-computed or string-literal member property
+ * @param {Object} node - MemberExpression
+ * @returns {string|null}
+ */
+function getPropertyName(node) {
+  if (node.type !== 'MemberExpression') {
+    return null
+  }
+  if (!node.computed && node.property.type === 'Identifier') {
+    return node.property.name
+  }
+  return isStringLiteral(node.property) ? node.property.value : null
+}
+
+/**
+ * Dotted name of a call's callee, e.g. `eval`, `document.write` or
+ * `Number.parseInt`
+ * @param {Object} node - Callee expression
+ * @returns {string|null}
+ */
+function getCalleeName(node) {
+  if (node.type === 'Identifier') {
+    return node.name
+  }
+  const property = getPropertyName(node)
+  if (property === null) {
+    return null
+  }
+  const object = getCalleeName(node.object)
+  return object ? `${object}.${property}` : property
+}
+
+/**
+ * Split a string built from a template literal or `+` concatenation into
+ * static text and the expressions inserted into it
+ * @param {Object} node - Expression
+ * @returns {Array<Object>|null} - `{ text }` and `{ expression }` parts in
+ *   order, or null when the node does not build a string
+ */
+function getStringParts(node) {
+  if (node.type === 'TemplateLiteral') {
+    return node.quasis.flatMap((quasi, index) =>
+      index < node.expressions.length
+        ? [
+            { text: quasi.value.cooked || '' },
+            { expression: node.expressions[index] },
+          ]
+        : [{ text: quasi.value.cooked || '' }]
+    )
+  }
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    const parts = [node.left, node.right].map(
+      side =>
+        getStringParts(side) ||
+        (isStringLiteral(side)
+          ? [{ text: side.value }]
+          : [{ expression: side }])
+    )
+    const isString = parts.some(sideParts =>
+      sideParts.some(part => part.text !== undefined)
+    )
+    return isString ? parts.flat() : null
+  }
+  return null
+}
+
+/**
+ * Whether an expression builds a string with dynamic values inserted, such
+ * as `` `<b>${name}</b>` `` or `'<b>' + name`. Tagged templates are left
+ * alone, since tags like `html` usually escape their values.
+ * @param {Object} node - Expression
+ * @returns {boolean}
+ */
+function isInterpolated(node) {
+  if (!node) {
+    return false
+  }
+  if (node.type === 'ConditionalExpression') {
+    return isInterpolated(node.consequent) || isInterpolated(node.alternate)
+  }
+  const parts = getStringParts(node)
+  return Boolean(parts && parts.some(part => part.expression))
+}
+
+module.exports = {
+  getCalleeName,
+  getPropertyName,
+  getStringParts,
+  isInterpolated,
+}
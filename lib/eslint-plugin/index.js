@@ -0,0 +1,33 @@
+'use strict'
+
+const { version } = require('../../package.json')
+
+/**
+ * ESLint plugin with the XSS and injection checks the generated configs
+ * enable, as `quality-automation/<rule>`. Load it with
+ * `require('create-quality-automation/eslint-plugin')`.
+ */
+const plugin = {
+  meta: { name: 'create-quality-automation', version },
+  rules: {
+    'no-interpolated-html': require('./rules/no-interpolated-html'),
+    'no-interpolated-eval': require('./rules/no-interpolated-eval'),
+    'no-interpolated-document-write': require('./rules/no-interpolated-document-write'),
+    'no-interpolated-event-handler': require('./rules/no-interpolated-event-handler'),
+    'require-validated-input': require('./rules/require-validated-input'),
+  },
+  configs: {},
+}
+
+plugin.configs.recommended = {
+  plugins: { 'quality-automation': plugin },
+  rules: {
+    'quality-automation/no-interpolated-html': 'error',
+    'quality-automation/no-interpolated-eval': 'error',
+    'quality-automation/no-interpolated-document-write': 'error',
+    'quality-automation/no-interpolated-event-handler': 'error',
+    'quality-automation/require-validated-input': 'warn',
+  },
+}
+
+module.exports = plugin
@@ -0,0 +1,31 @@
+'use strict'
+
+const { getCalleeName, isInterpolated } = require('../ast')
+
+const WRITE_CALLS = ['document.write', 'document.writeln']
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Disallow interpolated strings in document.write and document.writeln',
+      recommended: true,
+    },
+    messages: {
+      interpolated:
+        'Interpolating values into {{sink}} allows XSS. Insert DOM nodes with textContent instead.',
+    },
+    schema: [],
+  },
+  create(context) {
+    return {
+      CallExpression(node) {
+        const sink = getCalleeName(node.callee)
+        if (WRITE_CALLS.includes(sink) && node.arguments.some(isInterpolated)) {
+          context.report({ node, messageId: 'interpolated', data: { sink } })
+        }
+      },
+    }
+  },
+}
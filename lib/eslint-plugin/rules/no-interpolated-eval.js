@@ -0,0 +1,52 @@
+'use strict'
+
+const { getCalleeName, isInterpolated } = require('../ast')
+
+// Calls that run a string as code, and the argument holding the code
+const CODE_SINKS = {
+  eval: 0,
+  'window.eval': 0,
+  'globalThis.eval': 0,
+  setTimeout: 0,
+  setInterval: 0,
+  'window.setTimeout': 0,
+  'window.setInterval': 0,
+}
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Disallow running strings built from dynamic values as code with eval, Function, setTimeout or setInterval',
+      recommended: true,
+    },
+    messages: {
+      interpolated:
+        'Building code for {{sink}} from dynamic values allows code injection. Pass a function or data instead.',
+    },
+    schema: [],
+  },
+  create(context) {
+    const check = (node, sink, args) => {
+      if (args.some(isInterpolated)) {
+        context.report({ node, messageId: 'interpolated', data: { sink } })
+      }
+    }
+    return {
+      CallExpression(node) {
+        const name = getCalleeName(node.callee)
+        if (name === 'Function') {
+          check(node, name, node.arguments)
+        } else if (name && Object.hasOwn(CODE_SINKS, name)) {
+          check(node, name, [node.arguments[CODE_SINKS[name]]])
+        }
+      },
+      NewExpression(node) {
+        if (getCalleeName(node.callee) === 'Function') {
+          check(node, 'new Function', node.arguments)
+        }
+      },
+    }
+  },
+}
@@ -0,0 +1,88 @@
+'use strict'
+
+const {
+  getCalleeName,
+  getPropertyName,
+  getStringParts,
+  isInterpolated,
+} = require('../ast')
+
+// Markup that ends inside an inline handler attribute value, e.g.
+// `<button onclick="select(`
+const OPEN_HANDLER = /\bon[a-z]+\s*=\s*(?:"[^"]*|'[^']*|[^\s"'>]*)$/i
+const HANDLER_NAME = /^on[a-z]+$/i
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Disallow dynamic values in inline event handlers such as onclick',
+      recommended: true,
+    },
+    messages: {
+      markup:
+        'Interpolating values into an inline event handler allows XSS. Attach the handler with addEventListener instead.',
+      handler:
+        'Setting {{name}} to a string built from dynamic values allows XSS. Assign a function or use addEventListener instead.',
+    },
+    schema: [],
+  },
+  create(context) {
+    // Report markup strings once, at the outermost concatenation
+    const checkMarkup = node => {
+      if (
+        node.parent.type === 'BinaryExpression' &&
+        node.parent.operator === '+'
+      ) {
+        return
+      }
+      const parts = getStringParts(node)
+      if (!parts) {
+        return
+      }
+      let markup = ''
+      for (const part of parts) {
+        if (part.text !== undefined) {
+          markup += part.text
+        } else if (OPEN_HANDLER.test(markup)) {
+          context.report({ node, messageId: 'markup' })
+          return
+        } else {
+          markup += '0'
+        }
+      }
+    }
+
+    return {
+      TemplateLiteral(node) {
+        if (node.parent.type !== 'TaggedTemplateExpression') {
+          checkMarkup(node)
+        }
+      },
+      BinaryExpression: checkMarkup,
+      AssignmentExpression(node) {
+        const name = getPropertyName(node.left)
+        if (name && HANDLER_NAME.test(name) && isInterpolated(node.right)) {
+          context.report({ node, messageId: 'handler', data: { name } })
+        }
+      },
+      CallExpression(node) {
+        const [attribute, value] = node.arguments
+        if (
+          (getCalleeName(node.callee) || '').endsWith('setAttribute') &&
+          attribute &&
+          attribute.type === 'Literal' &&
+          HANDLER_NAME.test(String(attribute.value)) &&
+          isInterpolated(value)
+        ) {
+          context.report({
+            node,
+            messageId: 'handler',
+            data: { name: attribute.value },
+          })
+        }
+      },
+    }
+  },
+}
@@ -0,0 +1,43 @@
+'use strict'
+
+const { getPropertyName, isInterpolated } = require('../ast')
+
+const HTML_PROPERTIES = ['innerHTML', 'outerHTML']
+
+module.exports = {
+  meta: {
+    type: 'problem',
+    docs: {
+      description:
+        'Disallow interpolated strings in innerHTML, outerHTML and insertAdjacentHTML',
+      recommended: true,
+    },
+    messages: {
+      interpolated:
+        'Interpolating values into {{sink}} allows XSS. Set textContent, build elements with createElement, or sanitize the markup first.',
+    },
+    schema: [],
+  },
+  create(context) {
+    return {
+      AssignmentExpression(node) {
+        const sink = getPropertyName(node.left)
+        if (HTML_PROPERTIES.includes(sink) && isInterpolated(node.right)) {
+          context.report({ node, messageId: 'interpolated', data: { sink } })
+        }
+      },
+      CallExpression(node) {
+        if (
+          getPropertyName(node.callee) === 'insertAdjacentHTML' &&
+          isInterpolated(node.arguments[1])
+        ) {
+          context.report({
+            node,
+            messageId: 'interpolated',
+            data: { sink: 'insertAdjacentHTML' },
+          })
+        }
+      },
+    }
+  },
+}
@@ -0,0 +1,119 @@
+'use strict'
+
+const { getCalleeName, getPropertyName } = require('../ast')
+
+const INPUT_SOURCES = ['query', 'params', 'body']
+
+// Functions whose result no longer carries the raw request string
+const DEFAULT_SANITIZERS = [
+  'parseInt',
+  'parseFloat',
+  'Number',
+  'Number.parseInt',
+  'Number.parseFloat',
+  'Boolean',
+  'encodeURIComponent',
+]
+// String methods that normalize the value in place
+const SANITIZING_METHODS = ['trim', 'toLowerCase', 'toUpperCase']
+// Schema methods (zod, joi, yup, ...) that validate what they are passed
+const VALIDATING_METHODS = [
+  'parse',
+  'safeParse',
+  'validate',
+  'validateSync',
+  'assert',
+]
+
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    docs: {
+      description:
+        'Require Express req.query, req.params and req.body values to be converted or validated where they are read, destructured or passed on',
+      recommended: true,
+    },
+    messages: {
+      unvalidated:
+        '{{input}} is used without validation. Convert it (e.g. Number(), .trim()) or pass it through a validator first.',
+    },
+    schema: [
+      {
+        type: 'object',
+        properties: {
+          requestNames: { type: 'array', items: { type: 'string' } },
+          sanitizers: { type: 'array', items: { type: 'string' } },
+        },
+        additionalProperties: false,
+      },
+    ],
+  },
+  create(context) {
+    const options = context.options[0] || {}
+    const requestNames = options.requestNames || ['req', 'request']
+    const sanitizers = [...DEFAULT_SANITIZERS, ...(options.sanitizers || [])]
+
+    // `req.query`, `request.body`, ...
+    const isInputObject = node =>
+      node.type === 'MemberExpression' &&
+      node.object.type === 'Identifier' &&
+      requestNames.includes(node.object.name) &&
+      INPUT_SOURCES.includes(getPropertyName(node))
+
+    const isValidated = node => {
+      const { parent } = node
+      if (parent.type === 'UnaryExpression' && parent.operator === 'typeof') {
+        return true
+      }
+      if (parent.type === 'CallExpression' && parent.arguments.includes(node)) {
+        return (
+          sanitizers.includes(getCalleeName(parent.callee)) ||
+          VALIDATING_METHODS.includes(getPropertyName(parent.callee))
+        )
+      }
+      return (
+        parent.type === 'MemberExpression' &&
+        parent.object === node &&
+        SANITIZING_METHODS.includes(getPropertyName(parent)) &&
+        parent.parent.type === 'CallExpression' &&
+        parent.parent.callee === parent
+      )
+    }
+
+    const report = (node, input) =>
+      context.report({ node, messageId: 'unvalidated', data: { input } })
+
+    return {
+      // `req.query.name`, `req.params['id']`, and the whole object passed
+      // to a function, as in `handler(req.body)`
+      MemberExpression(node) {
+        const value = isInputObject(node.object)
+        const passed =
+          isInputObject(node) &&
+          node.parent.type === 'CallExpression' &&
+          node.parent.arguments.includes(node)
+        if ((value || passed) && !isValidated(node)) {
+          report(node, context.sourceCode.getText(node))
+        }
+      },
+      // `const { id } = req.params`
+      VariableDeclarator(node) {
+        if (
+          node.id.type !== 'ObjectPattern' ||
+          !node.init ||
+          !isInputObject(node.init)
+        ) {
+          return
+        }
+        const source = context.sourceCode.getText(node.init)
+        node.id.properties.forEach(property => {
+          const key =
+            property.type === 'Property' && !property.computed
+              ? property.key.name || property.key.value
+              : null
+          report(property, key ? `${source}.${key}` : source)
+        })
+      },
+    }
+  },
+}
@@ -0,0 +1,349 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const { createUnifiedDiff } = require('./diff')
+const { mergeThreeWay } = require('./merge')
+
+// Snapshots of each managed file as last installed from the template; the
+// common ancestor for --update reconciles
+const BASE_DIR = '.quality-automation/base'
+
+/**
+ * Create a change set that routes every file write made by the setup.
+ * In dry-run mode nothing touches the disk: writes are kept in memory so
+ * later steps (e.g. the second package.json pass) read the planned content.
+ * @param {Object} options - Change set options
+ * @param {string} options.projectDir - Project root used for relative paths
+ * @param {boolean} options.dryRun - Plan changes without writing them
+ * @param {boolean} options.update - Reconcile existing managed files
+ * @returns {Object} - Change set API
+ */
+function createChangeSet({ projectDir, dryRun = false, update = false }) {
+  const pending = new Map()
+  const deleted = new Set()
+  const records = new Map()
+  const reconciled = []
+  const adopted = []
+
+  const relative = filePath =>
+    path.relative(projectDir, filePath).split(path.sep).join('/')
+
+  const exists = filePath =>
+    !deleted.has(filePath) && (pending.has(filePath) || fs.existsSync(filePath))
+
+  const read = filePath => {
+    if (pending.has(filePath)) {
+      return pending.get(filePath)
+    }
+    return fs.readFileSync(filePath, 'utf8')
+  }
+
+  const readIfExists = filePath => (exists(filePath) ? read(filePath) : null)
+
+  /**
+   * Write a file (or plan the write in dry-run mode)
+   * @param {string} filePath - Absolute file path
+   * @param {string} content - File content
+   * @param {Object} options - Write options
+   * @param {number} options.mode - File mode to apply (e.g. 0o755 for hooks)
+   * @returns {'create'|'modify'|'unchanged'}
+   */
+  const write = (filePath, content, { mode } = {}) => {
+    const before = readIfExists(filePath)
+    if (before === content) {
+      return 'unchanged'
+    }
+
+    // Keep the on-disk original when the same file is written more than once
+    const key = relative(filePath)
+    const previous = records.get(key)
+    const original =
+      previous && previous.action !== 'skip' ? previous.before : before
+    const action = original === null ? 'create' : 'modify'
+    if (original === content) {
+      records.delete(key)
+    } else {
+      records.set(key, { path: key, action, before: original, after: content })
+    }
+
+    if (dryRun) {
+      deleted.delete(filePath)
+      pending.set(filePath, content)
+      return action
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, content)
+    if (mode !== undefined) {
+      fs.chmodSync(filePath, mode)
+    }
+    return action
+  }
+
+  /**
+   * Delete a file (or plan the deletion in dry-run mode)
+   * @param {string} filePath - Absolute file path
+   * @returns {'delete'|'unchanged'}
+   */
+  const remove = filePath => {
+    const before = readIfExists(filePath)
+    if (before === null) {
+      return 'unchanged'
+    }
+
+    const key = relative(filePath)
+    const previous = records.get(key)
+    const original =
+      previous && previous.action !== 'skip' ? previous.before : before
+    if (original === null) {
+      records.delete(key)
+    } else {
+      records.set(key, { path: key, action: 'delete', before: original })
+    }
+
+    if (dryRun) {
+      pending.delete(filePath)
+      deleted.add(filePath)
+      return 'delete'
+    }
+
+    fs.unlinkSync(filePath)
+    return 'delete'
+  }
+
+  /**
+   * Record a file the setup deliberately left alone
+   * @param {string} filePath - Absolute file path
+   * @param {string} reason - Why the file was skipped
+   */
+  const skip = (filePath, reason) => {
+    const key = relative(filePath)
+    if (!records.has(key)) {
+      records.set(key, { path: key, action: 'skip', reason })
+    }
+  }
+
+  const basePath = filePath =>
+    path.join(projectDir, BASE_DIR, relative(filePath))
+
+  const report = (filePath, outcome, detail) => {
+    reconciled.push({ path: relative(filePath), outcome, ...detail })
+    return outcome
+  }
+
+  const recordBase = (filePath, content) => {
+    write(basePath(filePath), content)
+  }
+
+  /**
+   * Install a template-managed file. New files are created; existing files
+   * are left alone unless the change set runs in update mode, where the
+   * local copy is reconciled against the recorded base and the new template.
+   * @param {string} filePath - Absolute file path
+   * @param {string} content - Current template content
+   * @param {Object} options - Write options (see write)
+   * @returns {'created'|'skipped'|'unchanged'|'updated'|'merged'|'conflict'|'kept'}
+   */
+  const ensureFile = (filePath, content, options = {}) => {
+    if (!exists(filePath)) {
+      write(filePath, content, options)
+      recordBase(filePath, content)
+      return 'created'
+    }
+
+    if (!update) {
+      skip(filePath, 'already exists')
+      return 'skipped'
+    }
+
+    const key = relative(filePath)
+    const local = read(filePath)
+    const base = readIfExists(basePath(filePath))
+
+    if (local === content) {
+      adopted.push({ path: key, content })
+      recordBase(filePath, content)
+      skip(filePath, 'matches current template')
+      return report(filePath, 'unchanged')
+    }
+    if (base === null) {
+      skip(filePath, 'local copy differs and no baseline is recorded')
+      return report(filePath, 'kept', {
+        reason: 'no recorded baseline; compare with the template manually',
+      })
+    }
+    if (base === content) {
+      skip(filePath, 'template unchanged; keeping local edits')
+      return report(filePath, 'unchanged')
+    }
+    if (local === base) {
+      adopted.push({ path: key, content })
+      write(filePath, content, options)
+      recordBase(filePath, content)
+      return report(filePath, 'updated')
+    }
+
+    const merged = mergeThreeWay(base, local, content, {
+      localLabel: `local ${key}`,
+      incomingLabel: 'template',
+    })
+    write(filePath, merged.content, options)
+    // Nothing is recorded when the local copy already has the template's
+    // changes
+    const record = records.get(key)
+    if (record) {
+      record.userEdited = true
+    }
+    recordBase(filePath, content)
+    return merged.conflicts
+      ? report(filePath, 'conflict', { conflicts: merged.conflicts })
+      : report(filePath, 'merged')
+  }
+
+  /**
+   * Remove a managed file the project no longer wants (e.g. its tool was
+   * switched off), along with its base snapshot. Only happens in update
+   * mode, and only while the local copy still matches the snapshot.
+   * @param {string} filePath - Absolute file path
+   * @param {string} reason - Why the file is no longer wanted
+   * @returns {'removed'|'kept'|null} - null when there is nothing to do
+   */
+  const retire = (filePath, reason) => {
+    const base = readIfExists(basePath(filePath))
+    if (!update || base === null || !exists(filePath)) {
+      return null
+    }
+    if (read(filePath) !== base) {
+      skip(filePath, `${reason}; keeping local edits`)
+      return report(filePath, 'kept', {
+        reason: `${reason}, but edited locally; delete it by hand`,
+      })
+    }
+    remove(filePath)
+    remove(basePath(filePath))
+    return report(filePath, 'removed', { reason })
+  }
+
+  const getChanges = () => Array.from(records.values())
+
+  const getReconciled = () => reconciled.slice()
+
+  // Managed files whose final content is exactly the current template
+  const getAdopted = () => adopted.slice()
+
+  return {
+    dryRun,
+    update,
+    exists,
+    read,
+    readIfExists,
+    write,
+    remove,
+    skip,
+    ensureFile,
+    retire,
+    recordBase,
+    getChanges,
+    getReconciled,
+    getAdopted,
+  }
+}
+
+/**
+ * Format a change set as a human-readable plan with unified diffs
+ * @param {Array<Object>} changes - Result of changeSet.getChanges()
+ * @returns {string}
+ */
+function formatPlan(changes) {
+  const byAction = action => changes.filter(change => change.action === action)
+  const created = byAction('create')
+  const modified = byAction('modify')
+  const skipped = byAction('skip')
+  const deleted = byAction('delete')
+
+  const lines = []
+  lines.push(
+    `📋 Plan: ${created.length} to create, ${modified.length} to modify, ${
+      deleted.length ? `${deleted.length} to remove, ` : ''
+    }${skipped.length} skipped`
+  )
+
+  if (created.length) {
+    lines.push('', 'Create:')
+    created.forEach(change => lines.push(`  + ${change.path}`))
+  }
+  if (modified.length) {
+    lines.push('', 'Modify:')
+    modified.forEach(change => lines.push(`  ~ ${change.path}`))
+  }
+  if (deleted.length) {
+    lines.push('', 'Remove:')
+    deleted.forEach(change => lines.push(`  - ${change.path}`))
+  }
+  if (skipped.length) {
+    lines.push('', 'Skip:')
+    skipped.forEach(change =>
+      lines.push(`  = ${change.path} (${change.reason})`)
+    )
+  }
+
+  modified.forEach(change => {
+    lines.push(
+      '',
+      createUnifiedDiff(change.before, change.after, {
+        fromFile: `a/${change.path}`,
+        toFile: `b/${change.path}`,
+      }).trimEnd()
+    )
+  })
+
+  return lines.join('\n')
+}
+
+/**
+ * Format the outcome of an --update reconcile
+ * @param {Array<Object>} reconciled - Result of changeSet.getReconciled()
+ * @returns {string}
+ */
+function formatReconcileSummary(reconciled) {
+  const labels = {
+    updated: '✅ updated (no local edits)',
+    merged: '🔀 merged with local edits',
+    conflict: '⚠️ conflicts to resolve',
+    kept: 'ℹ️ kept local copy',
+    removed: '🗑️ removed',
+    unchanged: '= up to date',
+  }
+  const lines = ['🔄 Update summary:']
+  Object.keys(labels).forEach(outcome => {
+    const entries = reconciled.filter(entry => entry.outcome === outcome)
+    if (!entries.length) {
+      return
+    }
+    lines.push(`  ${labels[outcome]}:`)
+    entries.forEach(entry => {
+      const detail = entry.conflicts
+        ? ` (${entry.conflicts} conflict${entry.conflicts === 1 ? '' : 's'})`
+        : entry.reason
+          ? ` (${entry.reason})`
+          : ''
+      lines.push(`    ${entry.path}${detail}`)
+    })
+  })
+  if (reconciled.some(entry => entry.outcome === 'conflict')) {
+    lines.push(
+      '',
+      'Resolve the <<<<<<< / ======= / >>>>>>> markers, then commit the result.'
+    )
+  }
+  return lines.join('\n')
+}
+
+module.exports = {
+  BASE_DIR,
+  createChangeSet,
+  formatPlan,
+  formatReconcileSummary,
+}
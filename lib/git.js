@@ -0,0 +1,22 @@
+'use strict'
+
+const { execSync } = require('child_process')
+
+const { NotGitRepositoryError } = require('./errors')
+
+/**
+ * Ensure a directory is inside a git working tree
+ * @param {string} projectDir - Project directory path
+ * @throws {NotGitRepositoryError}
+ */
+function assertGitRepository(projectDir) {
+  try {
+    execSync('git status', { cwd: projectDir, stdio: 'ignore' })
+  } catch {
+    throw new NotGitRepositoryError(projectDir)
+  }
+}
+
+module.exports = {
+  assertGitRepository,
+}
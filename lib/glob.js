@@ -0,0 +1,187 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+// Directories never worth descending into when expanding `**`
+const SKIPPED_DIRS = new Set(['.git', 'node_modules'])
+const MAX_GLOBSTAR_DEPTH = 4
+
+/**
+ * Match a single path segment against a `*`/`?` wildcard pattern
+ * @param {string} name - Path segment
+ * @param {string} pattern - Wildcard pattern
+ * @returns {boolean}
+ */
+function matchesWildcard(name, pattern) {
+  if (!pattern.length) {
+    return !name.length
+  }
+  if (pattern[0] === '*') {
+    for (let i = 0; i <= name.length; i++) {
+      if (matchesWildcard(name.slice(i), pattern.slice(1))) {
+        return true
+      }
+    }
+    return false
+  }
+  if (!name.length) {
+    return false
+  }
+  return (
+    (pattern[0] === '?' || pattern[0] === name[0]) &&
+    matchesWildcard(name.slice(1), pattern.slice(1))
+  )
+}
+
+const listDirs = (projectDir, relativeDir) => {
+  try {
+    return fs
+      .readdirSync(path.join(projectDir, relativeDir), { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !SKIPPED_DIRS.has(entry.name))
+      .map(entry => entry.name)
+  } catch {
+    return []
+  }
+}
+
+const joinRelative = (base, name) => (base ? `${base}/${name}` : name)
+
+// Every directory below `relativeDir` (inclusive), up to the globstar depth
+const descendants = (projectDir, relativeDir, depth = 0) => {
+  if (depth > MAX_GLOBSTAR_DEPTH) {
+    return []
+  }
+  return [
+    relativeDir,
+    ...listDirs(projectDir, relativeDir).flatMap(name =>
+      descendants(projectDir, joinRelative(relativeDir, name), depth + 1)
+    ),
+  ]
+}
+
+/**
+ * Expand a directory glob (e.g. `crates/*`, `packages/**`) relative to a
+ * project directory. Supports `*` and `?` within a segment and `**` as a
+ * whole segment.
+ * @param {string} projectDir - Directory the pattern is relative to
+ * @param {string} pattern - Directory pattern
+ * @returns {Array<string>} - Matching directories, relative with `/` separators
+ */
+function expandDirectoryPattern(projectDir, pattern) {
+  const segments = pattern
+    .split('/')
+    .filter(segment => segment && segment !== '.')
+  let candidates = ['']
+
+  for (const segment of segments) {
+    const next = []
+    for (const candidate of candidates) {
+      if (segment === '**') {
+        next.push(...descendants(projectDir, candidate))
+      } else if (!segment.includes('*') && !segment.includes('?')) {
+        next.push(joinRelative(candidate, segment))
+      } else {
+        listDirs(projectDir, candidate)
+          .filter(name => matchesWildcard(name, segment))
+          .forEach(name => next.push(joinRelative(candidate, name)))
+      }
+    }
+    candidates = [...new Set(next)]
+  }
+
+  return candidates.filter(candidate =>
+    fs.existsSync(path.join(projectDir, candidate))
+  )
+}
+
+// `src/*.{js,ts}` -> [`src/*.js`, `src/*.ts`], expanding nested groups too
+const expandBraces = pattern => {
+  const start = pattern.indexOf('{')
+  if (start === -1) {
+    return [pattern]
+  }
+  let depth = 0
+  const commas = []
+  for (let i = start; i < pattern.length; i++) {
+    if (pattern[i] === '{') {
+      depth++
+    } else if (pattern[i] === '}') {
+      depth--
+      if (!depth) {
+        const options = []
+        let from = start + 1
+        commas.concat(i).forEach(at => {
+          options.push(pattern.slice(from, at))
+          from = at + 1
+        })
+        return options.flatMap(option =>
+          expandBraces(
+            `${pattern.slice(0, start)}${option}${pattern.slice(i + 1)}`
+          )
+        )
+      }
+    } else if (pattern[i] === ',' && depth === 1) {
+      commas.push(i)
+    }
+  }
+  return [pattern]
+}
+
+// One path segment: a wildcard, or an `!(a|b)` extglob matching anything
+// but its alternatives
+const matchesSegment = (name, pattern) => {
+  if (pattern.startsWith('!(') && pattern.endsWith(')')) {
+    return !pattern
+      .slice(2, -1)
+      .split('|')
+      .some(alternative => matchesWildcard(name, alternative))
+  }
+  return matchesWildcard(name, pattern)
+}
+
+const matchesSegments = (names, patterns) => {
+  if (!patterns.length) {
+    return !names.length
+  }
+  const [pattern, ...rest] = patterns
+  if (pattern === '**') {
+    for (let i = 0; i <= names.length; i++) {
+      if (matchesSegments(names.slice(i), rest)) {
+        return true
+      }
+    }
+    return false
+  }
+  return (
+    names.length > 0 &&
+    matchesSegment(names[0], pattern) &&
+    matchesSegments(names.slice(1), rest)
+  )
+}
+
+/**
+ * Match a file path the way lint-staged matches its keys: `*`, `?`, `**`,
+ * `{a,b}` and `!(a|b)` segments, dotfiles included, and patterns without a
+ * slash compared with the file name only
+ * @param {string} file - Path relative to the project, with `/` separators
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean}
+ */
+function matchesGlob(file, pattern) {
+  const names = file.split('/')
+  return expandBraces(pattern).some(expanded =>
+    expanded.includes('/')
+      ? matchesSegments(
+          names,
+          expanded.split('/').filter(segment => segment && segment !== '.')
+        )
+      : matchesWildcard(names[names.length - 1], expanded)
+  )
+}
+
+module.exports = {
+  matchesGlob,
+  matchesWildcard,
+  expandDirectoryPattern,
+}
@@ -0,0 +1,47 @@
+'use strict'
+
+const {
+  COVERAGE_BASELINE_FILE,
+  checkCoverage,
+  formatCoverageReport,
+  writeCoverageBaseline,
+} = require('./coverage')
+const { formatDoctorReport, runDoctor } = require('./doctor')
+const errors = require('./errors')
+const { formatPlan, formatReconcileSummary } = require('./file-changes')
+const { MANIFEST_FILE } = require('./manifest')
+const { buildSarifReport } = require('./sarif')
+const {
+  SECRETS_BASELINE_FILE,
+  formatSecretsReport,
+  scanSecrets,
+  scanSecretsHistory,
+  writeSecretsBaseline,
+} = require('./secrets')
+const { setupQualityAutomation } = require('./setup')
+const {
+  formatUninstallReport,
+  uninstallQualityAutomation,
+} = require('./uninstall')
+
+module.exports = {
+  setupQualityAutomation,
+  uninstallQualityAutomation,
+  formatPlan,
+  formatReconcileSummary,
+  formatUninstallReport,
+  scanSecrets,
+  scanSecretsHistory,
+  writeSecretsBaseline,
+  formatSecretsReport,
+  buildSarifReport,
+  checkCoverage,
+  writeCoverageBaseline,
+  formatCoverageReport,
+  runDoctor,
+  formatDoctorReport,
+  MANIFEST_FILE,
+  SECRETS_BASELINE_FILE,
+  COVERAGE_BASELINE_FILE,
+  ...errors,
+}
@@ -0,0 +1,179 @@
+'use strict'
+
+const crypto = require('crypto')
+const path = require('path')
+
+const { LEGACY_ESLINT_ARCHIVE_DIR } = require('./eslint-migration')
+const { ManifestError } = require('./errors')
+const { BASE_DIR } = require('./file-changes')
+
+const MANIFEST_FILE = '.quality-automation.json'
+const MANIFEST_VERSION = 1
+
+const TEMPLATE_VERSION = require('../package.json').version
+
+/**
+ * Hash file content the way the manifest records it
+ * @param {string} content - File content
+ * @returns {string} - `sha256-<hex>` digest
+ */
+function hashContent(content) {
+  return `sha256-${crypto.createHash('sha256').update(content).digest('hex')}`
+}
+
+/**
+ * Create an empty record of the package.json entries the tool injected
+ * @returns {Object}
+ */
+function createPackageJsonRecord() {
+  return {
+    scripts: {},
+    devDependencies: {},
+    lintStaged: {},
+    engines: {},
+    volta: {},
+    jest: {},
+  }
+}
+
+/**
+ * Read the installation manifest, if any
+ * @param {string} projectDir - Project directory path
+ * @param {Object} changes - Change set from lib/file-changes
+ * @returns {Object|null}
+ * @throws {ManifestError} When the manifest is not valid JSON
+ */
+function readManifest(projectDir, changes) {
+  const manifestPath = path.join(projectDir, MANIFEST_FILE)
+  const content = changes.readIfExists(manifestPath)
+  if (!content) {
+    return null
+  }
+  try {
+    return JSON.parse(content)
+  } catch (error) {
+    throw new ManifestError(`${MANIFEST_FILE} is not valid JSON`, {
+      hint: `Restore ${MANIFEST_FILE} from version control`,
+      cause: error,
+    })
+  }
+}
+
+const isTrackedFile = key =>
+  key !== MANIFEST_FILE &&
+  key !== 'package.json' &&
+  !key.startsWith(`${BASE_DIR}/`) &&
+  // Archived legacy configs are the user's own, not generated files
+  !key.startsWith(`${LEGACY_ESLINT_ARCHIVE_DIR}/`)
+
+/**
+ * Work out the file hashes to record for this run. A file is (re)hashed when
+ * the tool created it, adopted it as identical to the template, or rewrote a
+ * copy that still matched the previously recorded hash. Files the user had
+ * edited keep their old hash so the edit stays detectable.
+ * @param {Object} previousFiles - `files` from the previous manifest
+ * @param {Object} changes - Change set from lib/file-changes
+ * @returns {Object} - Map of relative path to { hash }
+ */
+function collectFileHashes(previousFiles, changes) {
+  const files = { ...previousFiles }
+
+  changes.getAdopted().forEach(({ path: key, content }) => {
+    files[key] = { hash: hashContent(content) }
+  })
+
+  changes
+    .getChanges()
+    .filter(change => change.action !== 'skip' && isTrackedFile(change.path))
+    .forEach(change => {
+      if (change.action === 'delete') {
+        delete files[change.path]
+        return
+      }
+      const known = files[change.path]
+      const pristine =
+        change.action === 'create' ||
+        (known && known.hash === hashContent(change.before))
+      if (pristine && !change.userEdited) {
+        files[change.path] = { hash: hashContent(change.after) }
+      }
+    })
+
+  return Object.keys(files)
+    .sort()
+    .reduce((sorted, key) => {
+      sorted[key] = files[key]
+      return sorted
+    }, {})
+}
+
+const mergeRecords = (previous = {}, current = {}) => {
+  const merged = createPackageJsonRecord()
+  Object.keys(merged).forEach(section => {
+    const before = previous[section] || {}
+    const after = current[section] || {}
+    merged[section] = { ...before, ...after }
+    if (section === 'lintStaged') {
+      Object.keys(before).forEach(pattern => {
+        if (after[pattern]) {
+          merged.lintStaged[pattern] = [
+            ...new Set([...before[pattern], ...after[pattern]]),
+          ]
+        }
+      })
+    }
+  })
+  return merged
+}
+
+/**
+ * Write .quality-automation.json, merging with the previous manifest so
+ * entries injected by earlier runs are kept
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Manifest contents
+ * @param {Array<string>} options.languages - Detected languages
+ * @param {Object} options.packageJson - Injected package.json entries
+ * @param {Object} options.pyprojectTables - `[tool.*]` tables merged into an
+ *   existing pyproject.toml, each `{ hash }`
+ * @param {Object} options.changes - Change set from lib/file-changes
+ * @param {Object} options.logger - Receives warnings (console API)
+ * @returns {Object} - The manifest that was written
+ */
+function writeManifest(
+  projectDir,
+  { languages, packageJson, pyprojectTables = {}, changes, logger = console }
+) {
+  let previous = {}
+  try {
+    previous = readManifest(projectDir, changes) || {}
+  } catch (error) {
+    logger.warn(`⚠️ Ignoring unreadable ${MANIFEST_FILE}: ${error.message}`)
+  }
+  const manifest = {
+    manifestVersion: MANIFEST_VERSION,
+    templateVersion: TEMPLATE_VERSION,
+    languages: [...languages].sort(),
+    files: collectFileHashes(previous.files || {}, changes),
+    packageJson: mergeRecords(previous.packageJson, packageJson),
+  }
+  // Tables merged by earlier runs stay recorded until uninstall
+  const tables = { ...previous.pyprojectTables, ...pyprojectTables }
+  if (Object.keys(tables).length) {
+    manifest.pyprojectTables = tables
+  }
+
+  changes.write(
+    path.join(projectDir, MANIFEST_FILE),
+    `${JSON.stringify(manifest, null, 2)}\n`
+  )
+  return manifest
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  TEMPLATE_VERSION,
+  createPackageJsonRecord,
+  hashContent,
+  readManifest,
+  writeManifest,
+}
@@ -0,0 +1,136 @@
+'use strict'
+
+const { diffLines, splitLines } = require('./diff')
+
+/**
+ * Map every base line that survives unchanged in `other` to its index there
+ * @param {Array<string>} base - Base lines
+ * @param {Array<string>} other - Edited lines
+ * @returns {Array<number|undefined>} - Index in `other` per base line
+ */
+function matchBaseLines(base, other) {
+  const matches = new Array(base.length)
+  let baseIndex = 0
+  let otherIndex = 0
+  diffLines(base, other).forEach(op => {
+    if (op.type === 'equal') {
+      matches[baseIndex] = otherIndex
+      baseIndex++
+      otherIndex++
+    } else if (op.type === 'delete') {
+      baseIndex++
+    } else {
+      otherIndex++
+    }
+  })
+  return matches
+}
+
+const sameLines = (left, right) =>
+  left.length === right.length && left.every((line, i) => line === right[i])
+
+/**
+ * Three-way merge of line-based text (diff3 style).
+ * Regions changed on only one side are taken from that side; regions changed
+ * identically on both sides are taken once; anything else becomes a conflict
+ * wrapped in git-style markers.
+ * @param {string} base - Common ancestor (template as originally installed)
+ * @param {string} local - Local copy (user edits)
+ * @param {string} incoming - New template content
+ * @param {Object} options - Merge options
+ * @param {string} options.localLabel - Label for the local side of conflicts
+ * @param {string} options.incomingLabel - Label for the incoming side
+ * @returns {{content: string, conflicts: number}}
+ */
+function mergeThreeWay(
+  base,
+  local,
+  incoming,
+  { localLabel = 'local', incomingLabel = 'template' } = {}
+) {
+  const baseLines = splitLines(base)
+  const localLines = splitLines(local)
+  const incomingLines = splitLines(incoming)
+  const localMatches = matchBaseLines(baseLines, localLines)
+  const incomingMatches = matchBaseLines(baseLines, incomingLines)
+
+  const output = []
+  let conflicts = 0
+  let i = 0
+  let j = 0
+  let k = 0
+
+  const resolveChunk = (baseChunk, localChunk, incomingChunk) => {
+    if (sameLines(localChunk, baseChunk)) {
+      output.push(...incomingChunk)
+    } else if (
+      sameLines(incomingChunk, baseChunk) ||
+      sameLines(localChunk, incomingChunk)
+    ) {
+      output.push(...localChunk)
+    } else {
+      conflicts++
+      output.push(
+        `<<<<<<< ${localLabel}`,
+        ...localChunk,
+        '=======',
+        ...incomingChunk,
+        `>>>>>>> ${incomingLabel}`
+      )
+    }
+  }
+
+  while (i < baseLines.length) {
+    // Lines unchanged on both sides are copied through
+    if (localMatches[i] === j && incomingMatches[i] === k) {
+      output.push(baseLines[i])
+      i++
+      j++
+      k++
+      continue
+    }
+
+    // Find the next base line that both sides kept; everything before it
+    // is one unstable chunk
+    let stable = i
+    while (
+      stable < baseLines.length &&
+      !(
+        localMatches[stable] !== undefined &&
+        incomingMatches[stable] !== undefined
+      )
+    ) {
+      stable++
+    }
+
+    const localEnd =
+      stable < baseLines.length ? localMatches[stable] : localLines.length
+    const incomingEnd =
+      stable < baseLines.length ? incomingMatches[stable] : incomingLines.length
+
+    resolveChunk(
+      baseLines.slice(i, stable),
+      localLines.slice(j, localEnd),
+      incomingLines.slice(k, incomingEnd)
+    )
+    i = stable
+    j = localEnd
+    k = incomingEnd
+  }
+
+  // Trailing additions after the last base line
+  if (j < localLines.length || k < incomingLines.length) {
+    resolveChunk([], localLines.slice(j), incomingLines.slice(k))
+  }
+
+  const trailingNewline = (local || incoming).endsWith('\n')
+  const content = output.join('\n')
+  return {
+    content: content && trailingNewline ? `${content}\n` : content,
+    conflicts,
+  }
+}
+
+module.exports = {
+  mergeThreeWay,
+}
@@ -0,0 +1,321 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const { BASE_DIR } = require('./file-changes')
+const { parsePackageManagerField } = require('./package-manager')
+
+// Node.js major used when neither the project nor the configuration names one
+const DEFAULT_NODE_VERSION = '20'
+// Volta pins for the default Node.js major
+const DEFAULT_VOLTA_PINS = { node: '20.11.1', npm: '10.2.4' }
+
+// LTS lines with the date they entered LTS and their end of life. The CI
+// matrix covers the lines still supported when setup runs.
+const NODE_LTS_RELEASES = [
+  {
+    major: 18,
+    codename: 'hydrogen',
+    lts: '2022-10-25',
+    endOfLife: '2025-04-30',
+  },
+  { major: 20, codename: 'iron', lts: '2023-10-24', endOfLife: '2026-04-30' },
+  { major: 22, codename: 'jod', lts: '2024-10-29', endOfLife: '2027-04-30' },
+  {
+    major: 24,
+    codename: 'krypton',
+    lts: '2025-10-28',
+    endOfLife: '2028-04-30',
+  },
+]
+
+const readIfExists = filePath => {
+  try {
+    return fs.readFileSync(filePath, 'utf8')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Parse a single Node.js version as written in `.nvmrc`, `.node-version`,
+ * `.tool-versions` or Volta: `v20.11.1`, `22`, `lts/iron` or `lts/*`
+ * @param {string} value - Version text
+ * @returns {{major: number, exact: string|null}|null} - null for aliases
+ *   such as `node` or `latest` that do not name a release line
+ */
+function parseNodeVersion(value) {
+  if (typeof value !== 'string') {
+    return null
+  }
+  const version = value.trim().toLowerCase()
+  if (version.startsWith('lts/')) {
+    const codename = version.slice(4)
+    const release =
+      codename === '*'
+        ? NODE_LTS_RELEASES[NODE_LTS_RELEASES.length - 1]
+        : NODE_LTS_RELEASES.find(entry => entry.codename === codename)
+    return release ? { major: release.major, exact: null } : null
+  }
+  const parts = version.replace(/^v/, '').split('.')
+  if (parts.length > 3 || parts.some(part => !/^\d+$/.test(part))) {
+    return null
+  }
+  return {
+    major: Number.parseInt(parts[0], 10),
+    exact: parts.length === 3 ? parts.join('.') : null,
+  }
+}
+
+/**
+ * Read the lowest and highest Node.js major an `engines.node` range allows,
+ * e.g. `>=18`, `^20.11.0`, `18 || 20 || >=22` or `>=18 <23`
+ * @param {string} range - semver range
+ * @returns {{minimum: number, maximum: number|null, exact: string|null}|null}
+ */
+function parseNodeRange(range) {
+  if (typeof range !== 'string') {
+    return null
+  }
+  const sets = range
+    .split('||')
+    .map(set => {
+      let minimum = null
+      let maximum = null
+      let exact = null
+      set
+        .trim()
+        .replace(/([<>=^~]+)\s+/g, '$1')
+        .split(/\s+/)
+        .filter(Boolean)
+        .forEach(comparator => {
+          const operator = comparator.match(/^[<>=^~v]*/)[0]
+          const parts = comparator.slice(operator.length).split('.')
+          const major = Number.parseInt(parts[0], 10)
+          if (Number.isNaN(major)) {
+            return
+          }
+          const minor = Number.parseInt(parts[1], 10) || 0
+          const patch = Number.parseInt(parts[2], 10) || 0
+          if (operator === '<') {
+            maximum = minor || patch ? major : major - 1
+          } else if (operator === '<=') {
+            maximum = major
+          } else {
+            minimum = major
+            if (!operator.includes('>')) {
+              // `20`, `20.x`, `^20.11.0`, `~20.11` and `20.11.1` stay on one
+              // major
+              maximum = major
+            }
+            if (operator === '' || operator === '=' || operator === 'v') {
+              exact =
+                parts.length === 3 && !/[x*]/i.test(parts[2])
+                  ? parts.join('.')
+                  : null
+            }
+          }
+        })
+      return minimum === null && maximum === null
+        ? null
+        : { minimum: minimum === null ? 0 : minimum, maximum, exact }
+    })
+    .filter(Boolean)
+
+  if (!sets.length) {
+    return null
+  }
+  const unbounded = sets.some(set => set.maximum === null)
+  return {
+    minimum: Math.min(...sets.map(set => set.minimum)),
+    maximum: unbounded ? null : Math.max(...sets.map(set => set.maximum)),
+    exact: sets.length === 1 ? sets[0].exact : null,
+  }
+}
+
+// `nodejs 20.11.1` (asdf) or `node 20` (mise)
+const readToolVersions = content => {
+  const line = content
+    .split('\n')
+    .map(entry => entry.replace(/#.*$/, '').trim().split(/\s+/))
+    .find(([tool]) => tool === 'nodejs' || tool === 'node')
+  return line && line[1] ? line[1] : null
+}
+
+/**
+ * Collect the Node.js versions the project already declares in
+ * `engines.node`, `.nvmrc`, `.node-version`, `.tool-versions` and Volta,
+ * plus the npm version from `packageManager`. Values an earlier run added
+ * and nobody has changed since are skipped, so they follow the project.
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Detection options
+ * @param {Object} options.injected - package.json entries the manifest
+ *   recorded (`engines`, `volta`)
+ * @returns {Object} - `pins` (`{ source, major, exact }` from the version
+ *   files and Volta, in priority order), the `engines` range (or null) and
+ *   the pinned `npm` version (or null)
+ */
+function detectNodeVersions(projectDir, { injected = {} } = {}) {
+  let packageJson = {}
+  try {
+    packageJson = JSON.parse(
+      fs.readFileSync(path.join(projectDir, 'package.json'), 'utf8')
+    )
+  } catch {
+    packageJson = {}
+  }
+
+  // package.json value unless it is the one setup injected
+  const own = (section, key) => {
+    const value = packageJson[section] && packageJson[section][key]
+    const added = injected[section] && injected[section][key]
+    return typeof value === 'string' && value !== added ? value : null
+  }
+  // Version file content unless it still matches what setup wrote
+  const ownFile = file => {
+    const content = readIfExists(path.join(projectDir, file))
+    const base = readIfExists(path.join(projectDir, BASE_DIR, file))
+    return content !== null && content !== base ? content : null
+  }
+
+  const pins = []
+  const addPin = (source, value) => {
+    const parsed = value && parseNodeVersion(value)
+    if (parsed) {
+      pins.push({ source, ...parsed })
+    }
+  }
+  ;['.nvmrc', '.node-version'].forEach(file => {
+    const content = ownFile(file)
+    addPin(file, content && content.split('\n')[0])
+  })
+  const toolVersions = ownFile('.tool-versions')
+  addPin('.tool-versions', toolVersions && readToolVersions(toolVersions))
+  addPin('volta.node', own('volta', 'node'))
+
+  const enginesRange = own('engines', 'node')
+  const engines = parseNodeRange(enginesRange)
+  const packageManager = parsePackageManagerField(packageJson.packageManager)
+  return {
+    pins,
+    engines: engines ? { ...engines, range: enginesRange } : null,
+    npm:
+      packageManager && packageManager.name === 'npm'
+        ? packageManager.version
+        : own('volta', 'npm'),
+  }
+}
+
+const isInRange = (major, { minimum, maximum }) =>
+  major >= minimum && (maximum === null || major <= maximum)
+
+/**
+ * Resolve the Node.js version every pin should agree on: `node.version`
+ * from the project configuration, then `.nvmrc`, `.node-version`,
+ * `.tool-versions` and Volta, then the lowest major `engines.node` allows,
+ * then the default
+ * @param {string} projectDir - Project directory path
+ * @param {Object} config - Project configuration (lib/config)
+ * @param {Object} options - Detection options
+ * @param {Object} options.injected - package.json entries the manifest
+ *   recorded (`engines`, `volta`)
+ * @returns {Object} - `version` for `.nvmrc` and CI, its `major`, the
+ *   `exact` release (or null), the `source`, the engines range `maximum`
+ *   (or null), the Volta `npm` pin (or null) and the `conflicts` found
+ */
+function resolveNodeVersion(projectDir, config, { injected = {} } = {}) {
+  const { pins, engines, npm } = detectNodeVersions(projectDir, { injected })
+  const configured =
+    config.node.version && parseNodeVersion(config.node.version)
+
+  let resolved = null
+  if (configured) {
+    resolved = {
+      version: config.node.version,
+      major: configured.major,
+      exact: configured.exact,
+      source: 'config',
+    }
+  } else if (pins.length) {
+    const [pin] = pins
+    // An exact pin elsewhere refines a major-only .nvmrc
+    const exactPin = pins.find(
+      other => other.major === pin.major && other.exact
+    )
+    resolved = {
+      version: pin.exact || String(pin.major),
+      major: pin.major,
+      exact: pin.exact || (exactPin ? exactPin.exact : null),
+      source: pin.source,
+    }
+  } else if (engines) {
+    resolved = {
+      version: String(engines.minimum || DEFAULT_NODE_VERSION),
+      major: engines.minimum || Number.parseInt(DEFAULT_NODE_VERSION, 10),
+      exact: engines.exact,
+      source: 'engines.node',
+    }
+  }
+
+  const conflicts = []
+  if (resolved) {
+    pins
+      .filter(
+        pin => pin.source !== resolved.source && pin.major !== resolved.major
+      )
+      .forEach(pin => {
+        conflicts.push(
+          `${pin.source} asks for Node ${pin.exact || pin.major}, ${resolved.source} for ${resolved.version}`
+        )
+      })
+    if (engines && !isInRange(resolved.major, engines)) {
+      conflicts.push(
+        `engines.node "${engines.range}" does not allow Node ${resolved.major} from ${resolved.source}`
+      )
+    }
+    return {
+      ...resolved,
+      maximum: engines ? engines.maximum : null,
+      npm,
+      conflicts,
+    }
+  }
+
+  return {
+    version: DEFAULT_NODE_VERSION,
+    major: Number.parseInt(DEFAULT_NODE_VERSION, 10),
+    exact: DEFAULT_VOLTA_PINS.node,
+    source: 'default',
+    maximum: null,
+    npm: npm || DEFAULT_VOLTA_PINS.npm,
+    conflicts,
+  }
+}
+
+/**
+ * Node.js LTS majors CI can test: the lines still supported today between
+ * the project's oldest and newest major
+ * @param {number} minimum - Oldest major the project supports
+ * @param {Object} options - Range options
+ * @param {number|null} options.maximum - Newest major the project supports
+ * @param {Date} options.today - Date to check the support window at
+ * @returns {Array<string>}
+ */
+function getNodeMatrix(minimum, { maximum = null, today = new Date() } = {}) {
+  const date = today.toISOString().slice(0, 10)
+  const majors = NODE_LTS_RELEASES.filter(
+    ({ major, lts, endOfLife }) =>
+      lts <= date && date < endOfLife && isInRange(major, { minimum, maximum })
+  ).map(({ major }) => String(major))
+  return majors.length ? majors : [String(minimum)]
+}
+
+module.exports = {
+  DEFAULT_NODE_VERSION,
+  detectNodeVersions,
+  getNodeMatrix,
+  parseNodeRange,
+  parseNodeVersion,
+  resolveNodeVersion,
+}
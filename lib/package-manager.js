@@ -0,0 +1,214 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+// Checked in order; the first lockfile found decides
+const LOCKFILES = [
+  { file: 'pnpm-lock.yaml', name: 'pnpm' },
+  { file: 'yarn.lock', name: 'yarn' },
+  { file: 'bun.lock', name: 'bun' },
+  { file: 'bun.lockb', name: 'bun' },
+  { file: 'package-lock.json', name: 'npm' },
+  { file: 'npm-shrinkwrap.json', name: 'npm' },
+]
+
+const SUPPORTED = new Set(['npm', 'pnpm', 'yarn', 'bun'])
+
+// pnpm version used in CI when package.json does not pin one
+const DEFAULT_PNPM_MAJOR = '9'
+
+/**
+ * Parse the package.json `packageManager` field (e.g. `pnpm@9.12.1+sha512...`)
+ * @param {string} value - Field value
+ * @returns {{name: string, version: string|null}|null}
+ */
+function parsePackageManagerField(value) {
+  if (typeof value !== 'string') {
+    return null
+  }
+  const match = value.trim().match(/^([a-z]+)@(\d[^+\s]*)/)
+  if (!match || !SUPPORTED.has(match[1])) {
+    return null
+  }
+  return { name: match[1], version: match[2] }
+}
+
+const isYarnBerry = (projectDir, version) => {
+  if (version) {
+    return Number.parseInt(version, 10) >= 2
+  }
+  if (fs.existsSync(path.join(projectDir, '.yarnrc.yml'))) {
+    return true
+  }
+  try {
+    const lockfile = fs.readFileSync(path.join(projectDir, 'yarn.lock'), 'utf8')
+    return lockfile.includes('__metadata:')
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Detect the project's package manager from the `packageManager` field,
+ * then lockfiles, then pnpm-workspace.yaml; npm otherwise
+ * @param {string} projectDir - Project directory path
+ * @returns {Object} - `name` ('npm' | 'pnpm' | 'yarn' | 'bun'), pinned
+ *   `version` (or null), `berry` for Yarn 2+, the `lockfile` (or null) and
+ *   the `source` the decision came from
+ */
+function detectPackageManager(projectDir) {
+  let packageJson = {}
+  try {
+    packageJson = JSON.parse(
+      fs.readFileSync(path.join(projectDir, 'package.json'), 'utf8')
+    )
+  } catch {
+    packageJson = {}
+  }
+
+  const lockfile = LOCKFILES.find(({ file }) =>
+    fs.existsSync(path.join(projectDir, file))
+  )
+  const pinned = parsePackageManagerField(packageJson.packageManager)
+
+  let detected = { name: 'npm', version: null, source: 'default' }
+  if (pinned) {
+    detected = { ...pinned, source: 'packageManager' }
+  } else if (lockfile) {
+    detected = { name: lockfile.name, version: null, source: lockfile.file }
+  } else if (fs.existsSync(path.join(projectDir, 'pnpm-workspace.yaml'))) {
+    detected = { name: 'pnpm', version: null, source: 'pnpm-workspace.yaml' }
+  }
+
+  const matchingLockfile = LOCKFILES.find(
+    ({ file, name }) =>
+      name === detected.name && fs.existsSync(path.join(projectDir, file))
+  )
+  return {
+    ...detected,
+    berry:
+      detected.name === 'yarn' && isYarnBerry(projectDir, detected.version),
+    lockfile: matchingLockfile ? matchingLockfile.file : null,
+  }
+}
+
+/**
+ * Commands for a detected package manager
+ * @param {Object} packageManager - Result of detectPackageManager
+ * @returns {Object} - `install`, `frozenInstall`, `audit`, `run` and `exec`
+ *   command prefixes, `berry` for Yarn 2+, the setup-node `cache` key (null for Bun) and the
+ *   `lockfile` name CI installs from
+ */
+function getPackageManagerCommands({ name = 'npm', berry = false } = {}) {
+  switch (name) {
+    case 'pnpm':
+      return {
+        name,
+        install: 'pnpm install',
+        frozenInstall: 'pnpm install --frozen-lockfile',
+        audit: 'pnpm audit --audit-level high',
+        run: 'pnpm run',
+        exec: 'pnpm exec',
+        cache: 'pnpm',
+        lockfile: 'pnpm-lock.yaml',
+      }
+    case 'yarn':
+      return {
+        name,
+        berry,
+        install: 'yarn install',
+        frozenInstall: berry
+          ? 'yarn install --immutable'
+          : 'yarn install --frozen-lockfile',
+        audit: berry
+          ? 'yarn npm audit --all --recursive --severity high'
+          : 'yarn audit --level high',
+        run: 'yarn run',
+        exec: 'yarn',
+        cache: 'yarn',
+        lockfile: 'yarn.lock',
+      }
+    case 'bun':
+      return {
+        name,
+        install: 'bun install',
+        frozenInstall: 'bun install --frozen-lockfile',
+        audit: 'bun audit --audit-level=high',
+        run: 'bun run',
+        exec: 'bunx',
+        cache: null,
+        lockfile: 'bun.lock',
+      }
+    default:
+      return {
+        name: 'npm',
+        install: 'npm install',
+        frozenInstall: 'npm ci',
+        audit: 'npm audit --audit-level high',
+        run: 'npm run',
+        exec: 'npx',
+        cache: 'npm',
+        lockfile: 'package-lock.json',
+      }
+  }
+}
+
+/**
+ * GitHub Actions steps that set up Node.js and install dependencies
+ * @param {Object} packageManager - Result of detectPackageManager
+ * @param {Object} options - Step options
+ * @param {string} options.nodeVersion - Node.js version CI runs on
+ * @returns {string} - YAML steps indented for a job's `steps:` list
+ */
+function getCiInstallSteps(packageManager, { nodeVersion = '20' } = {}) {
+  const commands = getPackageManagerCommands(packageManager)
+  const lockfile = packageManager.lockfile || commands.lockfile
+  const steps = []
+
+  if (commands.name === 'pnpm') {
+    // pnpm/action-setup reads the packageManager field itself and fails
+    // when a second version is passed
+    const version =
+      packageManager.source === 'packageManager'
+        ? ''
+        : `
+        with:
+          version: ${DEFAULT_PNPM_MAJOR}`
+    steps.push(`      - name: Setup pnpm
+        uses: pnpm/action-setup@v4${version}`)
+  } else if (commands.name === 'yarn' && packageManager.berry) {
+    steps.push(`      - name: Enable Corepack
+        run: corepack enable`)
+  } else if (commands.name === 'bun') {
+    steps.push(`      - name: Setup Bun
+        uses: oven-sh/setup-bun@v2`)
+  }
+
+  const cache = commands.cache
+    ? `
+          cache: '${commands.cache}'`
+    : ''
+  steps.push(`      - name: Setup Node.js
+        uses: actions/setup-node@v4
+        with:
+          node-version: '${nodeVersion}'${cache}`)
+
+  steps.push(`      - name: Install dependencies
+        run: |
+          if [ -f ${lockfile} ]; then
+            ${commands.frozenInstall}
+          else
+            echo "No ${lockfile} found; running ${commands.install}"
+            ${commands.install}
+          fi`)
+
+  return `${steps.join('\n\n')}\n`
+}
+
+module.exports = {
+  detectPackageManager,
+  getCiInstallSteps,
+  getPackageManagerCommands,
+  parsePackageManagerField,
+}
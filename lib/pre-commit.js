@@ -0,0 +1,60 @@
+'use strict'
+
+const path = require('path')
+
+const { createChangeSet } = require('./file-changes')
+
+const PRE_COMMIT_CONFIG = '.pre-commit-config.yaml'
+
+const PRE_COMMIT_HEADER = `# Pre-commit hooks for quality automation
+# See https://pre-commit.com for more information
+
+repos:
+`
+
+/**
+ * Ensure a set of pre-commit repos is present in .pre-commit-config.yaml.
+ * Creates the file when missing, otherwise appends the repos block unless
+ * every hook id is already configured.
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Hook options
+ * @param {Array<string>} options.hookIds - Hook ids contributed by the block
+ * @param {string} options.reposYaml - YAML list entries to place under `repos:`
+ * @param {Object} options.changes - Change set from lib/file-changes
+ * @returns {'created'|'updated'|'unchanged'} - What happened to the config
+ */
+function ensurePreCommitHooks(
+  projectDir,
+  { hookIds, reposYaml, changes = createChangeSet({ projectDir }) }
+) {
+  const configPath = path.join(projectDir, PRE_COMMIT_CONFIG)
+
+  if (!changes.exists(configPath)) {
+    changes.write(configPath, `${PRE_COMMIT_HEADER}${reposYaml}`)
+    return 'created'
+  }
+
+  const existing = changes.read(configPath)
+  const configuredIds = new Set(
+    existing
+      .split('\n')
+      .map(line => line.match(/^\s*-\s*id:\s*(\S+)\s*$/))
+      .filter(Boolean)
+      .map(match => match[1])
+  )
+  const missing = hookIds.filter(id => !configuredIds.has(id))
+  if (!missing.length) {
+    changes.skip(configPath, 'hooks already configured')
+    return 'unchanged'
+  }
+
+  const separator = existing.endsWith('\n') ? '' : '\n'
+  const reposKey = /^repos:\s*$/m.test(existing) ? '' : 'repos:\n'
+  changes.write(configPath, `${existing}${separator}${reposKey}\n${reposYaml}`)
+  return 'updated'
+}
+
+module.exports = {
+  PRE_COMMIT_CONFIG,
+  ensurePreCommitHooks,
+}
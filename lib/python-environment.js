@@ -0,0 +1,242 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const { getTomlTableNames } = require('./toml')
+
+// Checked in order; the first file found decides
+const ENVIRONMENT_FILES = [
+  { file: 'poetry.lock', name: 'poetry' },
+  { file: 'uv.lock', name: 'uv' },
+  { file: 'Pipfile.lock', name: 'pipenv' },
+  { file: 'Pipfile', name: 'pipenv' },
+  { file: 'hatch.toml', name: 'hatch' },
+  { file: 'environment.yml', name: 'conda' },
+  { file: 'environment.yaml', name: 'conda' },
+  { file: 'conda.yml', name: 'conda' },
+]
+
+// pyproject.toml tables that identify a tool when there is no lockfile.
+// `tool.hatch.build` alone only means Hatchling builds the package.
+const PYPROJECT_TABLES = [
+  { prefix: 'tool.poetry', name: 'poetry' },
+  { prefix: 'tool.uv', name: 'uv' },
+  { prefix: 'tool.hatch.envs', name: 'hatch' },
+]
+
+// conda environment used in CI when the environment file has no name
+const DEFAULT_CONDA_ENVIRONMENT = 'quality'
+
+const readIfExists = filePath => {
+  try {
+    return fs.readFileSync(filePath, 'utf8')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Detect the tool that manages the project's Python environment from its
+ * lockfiles, Pipfile, hatch.toml or conda environment file, then the
+ * pyproject.toml tool tables; plain pip otherwise
+ * @param {string} projectDir - Project directory path
+ * @returns {Object} - `name` ('pip' | 'poetry' | 'uv' | 'pipenv' | 'hatch' |
+ *   'conda'), the `source` the decision came from and, for conda, the
+ *   `environmentFile` and `environmentName` (or null)
+ */
+function detectPythonEnvironment(projectDir) {
+  let detected = { name: 'pip', source: 'default' }
+  const found = ENVIRONMENT_FILES.find(({ file }) =>
+    fs.existsSync(path.join(projectDir, file))
+  )
+  if (found) {
+    detected = { name: found.name, source: found.file }
+  } else {
+    const pyproject = readIfExists(path.join(projectDir, 'pyproject.toml'))
+    const tables = pyproject ? getTomlTableNames(pyproject) : []
+    const match = PYPROJECT_TABLES.find(({ prefix }) =>
+      tables.some(table => table === prefix || table.startsWith(`${prefix}.`))
+    )
+    if (match) {
+      detected = {
+        name: match.name,
+        source: `pyproject.toml [${match.prefix}]`,
+      }
+    }
+  }
+
+  if (detected.name !== 'conda') {
+    return detected
+  }
+  const content = readIfExists(path.join(projectDir, detected.source)) || ''
+  const name = content.match(/^name:\s*["']?([\w.-]+)/m)
+  return {
+    ...detected,
+    environmentFile: detected.source,
+    environmentName: name ? name[1] : null,
+  }
+}
+
+/**
+ * Commands for a detected Python environment manager
+ * @param {Object} environment - Result of detectPythonEnvironment
+ * @returns {Object} - Local `install` commands, the `run` prefix for tools
+ *   in the environment (empty for pip), the `ciRun` prefix inside an
+ *   activated CI environment and the generic `ciInstall` commands
+ */
+function getPythonEnvironmentCommands({
+  name = 'pip',
+  environmentFile = 'environment.yml',
+  environmentName = null,
+} = {}) {
+  switch (name) {
+    case 'poetry':
+      return {
+        name,
+        install: ['poetry install'],
+        run: 'poetry run ',
+        ciRun: 'poetry run ',
+        ciInstall: ['pip install poetry', 'poetry install --no-interaction'],
+      }
+    case 'uv':
+      return {
+        name,
+        install: ['uv sync'],
+        run: 'uv run ',
+        ciRun: 'uv run ',
+        ciInstall: [
+          'pip install uv',
+          'if [ -f uv.lock ]; then uv sync --locked; else uv sync; fi',
+        ],
+      }
+    case 'pipenv':
+      return {
+        name,
+        install: ['pipenv install --dev'],
+        run: 'pipenv run ',
+        ciRun: 'pipenv run ',
+        ciInstall: ['pip install pipenv', 'pipenv install --dev'],
+      }
+    case 'hatch':
+      return {
+        name,
+        install: ['hatch env create'],
+        run: 'hatch run ',
+        ciRun: 'hatch run ',
+        ciInstall: ['pip install hatch', 'hatch env create'],
+      }
+    case 'conda': {
+      const target = environmentName ? ` -n ${environmentName}` : ''
+      return {
+        name,
+        install: [
+          `conda env update --file ${environmentFile}`,
+          `conda run${target} python -m pip install -r requirements-dev.txt`,
+        ],
+        run: `conda run${target} `,
+        // CI activates the environment for every step
+        ciRun: '',
+        ciInstall: [
+          `conda env update --name base --file ${environmentFile}`,
+          'pip install -r requirements-dev.txt',
+        ],
+      }
+    }
+    default:
+      return {
+        name: 'pip',
+        install: ['python3 -m pip install -r requirements-dev.txt'],
+        run: '',
+        ciRun: '',
+        ciInstall: [
+          'python -m pip install --upgrade pip',
+          'pip install -r requirements-dev.txt',
+          'if [ -f requirements.txt ]; then pip install -r requirements.txt; fi',
+        ],
+      }
+  }
+}
+
+/**
+ * GitHub Actions steps that set up Python and install the dev dependencies
+ * for a matrix job (`matrix.python-version`)
+ * @param {Object} environment - Result of detectPythonEnvironment
+ * @returns {string} - YAML steps indented for a job's `steps:` list
+ */
+function getPythonCiInstallSteps(environment = {}) {
+  const commands = getPythonEnvironmentCommands(environment)
+  const version = '${{ matrix.python-version }}'
+  const setupPython = cache => `      - name: Set up Python ${version}
+        uses: actions/setup-python@v5
+        with:
+          python-version: ${version}${cache ? `\n          cache: '${cache}'` : ''}`
+  const install = run => `      - name: Install dependencies
+        run: ${run}`
+
+  const steps = []
+  switch (commands.name) {
+    case 'poetry':
+      steps.push(`      - name: Install Poetry
+        run: pipx install poetry`)
+      steps.push(setupPython('poetry'))
+      steps.push(install('poetry install --no-interaction'))
+      break
+    case 'uv':
+      steps.push(`      - name: Set up uv with Python ${version}
+        uses: astral-sh/setup-uv@v6
+        with:
+          python-version: ${version}
+          enable-cache: true`)
+      steps.push(
+        install(`|
+          if [ -f uv.lock ]; then
+            uv sync --locked
+          else
+            uv sync
+          fi`)
+      )
+      break
+    case 'pipenv':
+      steps.push(setupPython('pipenv'))
+      steps.push(
+        install(`|
+          pip install pipenv
+          pipenv install --dev --python ${version}`)
+      )
+      break
+    case 'hatch':
+      steps.push(setupPython(null))
+      steps.push(
+        install(`|
+          pip install hatch
+          hatch env create`)
+      )
+      break
+    case 'conda':
+      steps.push(`      - name: Set up conda with Python ${version}
+        uses: conda-incubator/setup-miniconda@v3
+        with:
+          python-version: ${version}
+          environment-file: ${environment.environmentFile || 'environment.yml'}
+          activate-environment: ${environment.environmentName || DEFAULT_CONDA_ENVIRONMENT}
+          auto-activate-base: false`)
+      steps.push(install('pip install -r requirements-dev.txt'))
+      break
+    default:
+      steps.push(setupPython('pip'))
+      steps.push(
+        install(`|
+          python -m pip install --upgrade pip
+          pip install -r requirements-dev.txt
+          if [ -f requirements.txt ]; then pip install -r requirements.txt; fi`)
+      )
+  }
+  return `${steps.join('\n\n')}\n`
+}
+
+module.exports = {
+  detectPythonEnvironment,
+  getPythonCiInstallSteps,
+  getPythonEnvironmentCommands,
+}
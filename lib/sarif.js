@@ -0,0 +1,268 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const { SarifInputError } = require('./errors')
+
+const SARIF_VERSION = '2.1.0'
+const SARIF_SCHEMA =
+  'https://docs.oasis-open.org/sarif/sarif/v2.1.0/errata01/os/schemas/sarif-schema-2.1.0.json'
+
+const TOOLS = {
+  eslint: { name: 'ESLint', informationUri: 'https://eslint.org' },
+  stylelint: { name: 'Stylelint', informationUri: 'https://stylelint.io' },
+  ruff: { name: 'Ruff', informationUri: 'https://docs.astral.sh/ruff' },
+  mypy: { name: 'mypy', informationUri: 'https://mypy-lang.org' },
+  secrets: {
+    name: 'create-quality-automation scan-secrets',
+    informationUri:
+      'https://github.com/brettstark73/create-quality-automation#-secrets-scanning',
+  },
+}
+
+// Project-relative, forward-slash path for artifactLocation.uri
+const toUri = (file, projectDir) =>
+  (path.isAbsolute(file) ? path.relative(projectDir, file) : file)
+    .split(path.sep)
+    .join('/')
+
+const toResult = ({ ruleId, level, message, file, line, column }) => ({
+  ruleId,
+  level,
+  message: { text: message },
+  locations: [
+    {
+      physicalLocation: {
+        artifactLocation: { uri: file, uriBaseId: '%SRCROOT%' },
+        region: {
+          startLine: Math.max(line || 1, 1),
+          ...(column ? { startColumn: column } : {}),
+        },
+      },
+    },
+  ],
+})
+
+// One run per tool, listing every rule its results refer to
+const toRun = (tool, results, helpUris = {}) => {
+  const ruleIds = [...new Set(results.map(result => result.ruleId))].sort()
+  return {
+    tool: {
+      driver: {
+        ...TOOLS[tool],
+        rules: ruleIds.map(id =>
+          helpUris[id] ? { id, helpUri: helpUris[id] } : { id }
+        ),
+      },
+    },
+    results,
+  }
+}
+
+// ESLint `--format json`
+const eslintToSarif = (results, projectDir) =>
+  toRun(
+    'eslint',
+    results.flatMap(({ filePath, messages }) =>
+      messages.map(message =>
+        toResult({
+          ruleId: message.ruleId || 'fatal',
+          level: message.severity === 2 ? 'error' : 'warning',
+          message: message.message,
+          file: toUri(filePath, projectDir),
+          line: message.line,
+          column: message.column,
+        })
+      )
+    )
+  )
+
+// Stylelint `--formatter json`
+const stylelintToSarif = (results, projectDir) =>
+  toRun(
+    'stylelint',
+    results.flatMap(({ source, warnings = [] }) =>
+      warnings.map(warning =>
+        toResult({
+          ruleId: warning.rule,
+          level: warning.severity === 'error' ? 'error' : 'warning',
+          message: warning.text,
+          file: toUri(source, projectDir),
+          line: warning.line,
+          column: warning.column,
+        })
+      )
+    )
+  )
+
+// Ruff `--output-format json`
+const ruffToSarif = (results, projectDir) => {
+  const helpUris = {}
+  const sarifResults = results.map(violation => {
+    const ruleId = violation.code || 'syntax-error'
+    if (violation.url) {
+      helpUris[ruleId] = violation.url
+    }
+    return toResult({
+      ruleId,
+      level: 'error',
+      message: violation.message,
+      file: toUri(violation.filename, projectDir),
+      line: violation.location && violation.location.row,
+      column: violation.location && violation.location.column,
+    })
+  })
+  return toRun('ruff', sarifResults, helpUris)
+}
+
+// mypy text output with `--show-column-numbers --show-error-codes`:
+// `src/app.py:12:5: error: Message  [code]`. Notes only explain the error
+// before them, so they are left out.
+const parseMypyLine = line => {
+  const match = line.match(/: (error|warning): /)
+  if (!match) {
+    return null
+  }
+  // `file:line` or `file:line:column`
+  const location = line.slice(0, match.index).split(':')
+  const numbers = []
+  while (location.length > 1 && /^\d+$/.test(location[location.length - 1])) {
+    numbers.unshift(Number.parseInt(location.pop(), 10))
+  }
+  if (!numbers.length) {
+    return null
+  }
+  const text = line.slice(match.index + match[0].length)
+  const code = text.match(/\s{2}\[([\w-]+)\]$/)
+  return {
+    ruleId: code ? code[1] : 'mypy',
+    level: match[1],
+    message: code ? text.slice(0, code.index) : text,
+    file: location.join(':'),
+    line: numbers[0],
+    column: numbers[1] || null,
+  }
+}
+
+const mypyToSarif = (output, projectDir) =>
+  toRun(
+    'mypy',
+    output
+      .split('\n')
+      .map(parseMypyLine)
+      .filter(Boolean)
+      .map(result =>
+        toResult({ ...result, file: toUri(result.file, projectDir) })
+      )
+  )
+
+/**
+ * Convert a scan-secrets result to a SARIF run. Only the masked preview is
+ * included, and the fingerprint lets code scanning track each finding.
+ * @param {Object} result - Result of scanSecrets
+ * @returns {Object} - SARIF run
+ */
+function secretsToSarif({ findings }) {
+  return toRun(
+    'secrets',
+    findings.map(finding => ({
+      ...toResult({
+        ruleId: finding.rule,
+        level: 'error',
+        message: `${finding.description}: ${finding.preview}`,
+        file: finding.file,
+        line: finding.line,
+      }),
+      partialFingerprints: { secretFingerprint: finding.fingerprint },
+    }))
+  )
+}
+
+const CONVERTERS = {
+  eslint: { convert: eslintToSarif, json: true },
+  stylelint: { convert: stylelintToSarif, json: true },
+  ruff: { convert: ruffToSarif, json: true },
+  mypy: { convert: mypyToSarif, json: false },
+}
+
+/**
+ * Convert a tool report file to a SARIF run. An empty file (a tool that
+ * checked nothing) gives a run without results.
+ * @param {string} tool - `eslint`, `stylelint`, `ruff` or `mypy`
+ * @param {string} content - Report file content
+ * @param {string} projectDir - Project directory, for relative paths
+ * @returns {Object} - SARIF run
+ * @throws {SarifInputError} When a JSON report cannot be parsed
+ */
+function convertToSarif(tool, content, projectDir) {
+  const { convert, json } = CONVERTERS[tool]
+  if (!json) {
+    return convert(content, projectDir)
+  }
+  if (!content.trim()) {
+    return convert([], projectDir)
+  }
+  let report
+  try {
+    report = JSON.parse(content)
+  } catch (error) {
+    throw new SarifInputError(`The ${TOOLS[tool].name} report is not JSON`, {
+      hint: `Write it with the tool's JSON output (e.g. "eslint --format json --output-file <file>").`,
+      cause: error,
+    })
+  }
+  return convert(Array.isArray(report) ? report : [], projectDir)
+}
+
+/**
+ * Merge SARIF runs into one log for github/codeql-action/upload-sarif
+ * @param {Array<Object>} runs - SARIF runs
+ * @returns {Object} - SARIF log
+ */
+function createSarifLog(runs) {
+  return { $schema: SARIF_SCHEMA, version: SARIF_VERSION, runs }
+}
+
+/**
+ * Build a merged SARIF log from tool report files. Reports that do not
+ * exist (e.g. for a tool the project does not use) are skipped.
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Report options
+ * @param {Object} options.reports - Report file per tool (`eslint`,
+ *   `stylelint`, `ruff`, `mypy`), relative to the project
+ * @param {Object|null} options.secrets - Result of scanSecrets to include
+ * @returns {Object} - The SARIF `log` and the `missing` report files
+ * @throws {SarifInputError} When a tool is unknown or a JSON report cannot
+ *   be parsed
+ */
+function buildSarifReport(projectDir, { reports = {}, secrets = null } = {}) {
+  const runs = []
+  const missing = []
+  Object.entries(reports).forEach(([tool, file]) => {
+    if (!Object.hasOwn(CONVERTERS, tool)) {
+      throw new SarifInputError(`Unknown SARIF input "${tool}"`, {
+        hint: `Use one of ${Object.keys(CONVERTERS).join(', ')}.`,
+      })
+    }
+    const reportPath = path.resolve(projectDir, file)
+    if (!fs.existsSync(reportPath)) {
+      missing.push(file)
+      return
+    }
+    runs.push(
+      convertToSarif(tool, fs.readFileSync(reportPath, 'utf8'), projectDir)
+    )
+  })
+  if (secrets) {
+    runs.push(secretsToSarif(secrets))
+  }
+  return { log: createSarifLog(runs), missing }
+}
+
+module.exports = {
+  buildSarifReport,
+  convertToSarif,
+  createSarifLog,
+  secretsToSarif,
+}
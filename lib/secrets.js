@@ -0,0 +1,543 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const readline = require('readline')
+const { execFileSync, spawn } = require('child_process')
+
+const { assertGitRepository } = require('./git')
+const { SecretsBaselineError, SecretsHistoryError } = require('./errors')
+
+const SECRETS_BASELINE_FILE = '.secrets-baseline.json'
+const BASELINE_VERSION = 1
+
+// Marks a line, or the line after the comment, as a known false positive
+const ALLOW_MARKER = 'scan-secrets:allow'
+const ALLOW_NEXT_LINE_MARKER = 'scan-secrets:allow-next-line'
+
+// Shannon entropy (bits per character) a value under a secret-looking key
+// needs before the generic rule reports it; it must also mix letters and
+// digits, which rules out file names and prose
+const GENERIC_ENTROPY_THRESHOLD = 3.5
+
+const MAX_FILE_SIZE = 1024 * 1024
+
+// Generated files full of hashes that look like secrets
+const SKIPPED_FILES = new Set([
+  SECRETS_BASELINE_FILE,
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'bun.lock',
+  'poetry.lock',
+  'uv.lock',
+  'Pipfile.lock',
+  'Cargo.lock',
+  'go.sum',
+])
+const SKIPPED_DIRS = new Set([
+  '.git',
+  'node_modules',
+  'dist',
+  'build',
+  'coverage',
+])
+
+// Provider rules match a token format; the first capture group holds the
+// credential itself
+const SECRET_RULES = [
+  {
+    id: 'aws-access-key-id',
+    description: 'AWS access key ID',
+    pattern: /\b((?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16})\b/g,
+  },
+  {
+    id: 'aws-secret-access-key',
+    description: 'AWS secret access key',
+    pattern:
+      /aws[\w-]{0,20}secret[\w-]{0,20}["']?\s{0,5}[:=]\s{0,5}["']([A-Za-z0-9/+=]{40})["']/gi,
+  },
+  {
+    id: 'github-token',
+    description: 'GitHub token',
+    pattern: /\b((?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,255})\b/g,
+  },
+  {
+    id: 'github-fine-grained-token',
+    description: 'GitHub fine-grained personal access token',
+    pattern: /\b(github_pat_[A-Za-z0-9_]{82})\b/g,
+  },
+  {
+    id: 'stripe-secret-key',
+    description: 'Stripe secret or restricted key',
+    pattern: /\b((?:sk|rk)_(?:live|test)_[A-Za-z0-9]{24,99})\b/g,
+  },
+  {
+    id: 'slack-token',
+    description: 'Slack token',
+    pattern: /\b(xox[abposr]-[A-Za-z0-9-]{10,250})\b/g,
+  },
+  {
+    id: 'slack-webhook',
+    description: 'Slack incoming webhook URL',
+    pattern:
+      /(https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]{6,12}\/B[A-Z0-9]{6,12}\/[A-Za-z0-9]{20,40})/g,
+  },
+  {
+    id: 'private-key',
+    description: 'Private key',
+    pattern:
+      /(-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----)/g,
+  },
+  {
+    id: 'generic-secret',
+    description: 'High-entropy value assigned to a secret-looking key',
+    pattern:
+      /(?:password|passwd|secret|token|api[_-]?key|access[_-]?key|auth[_-]?key|client[_-]?secret)[\w-]{0,30}["']?\s{0,5}[:=]\s{0,5}["']([^"'\s]{16,200})["']/gi,
+    minEntropy: GENERIC_ENTROPY_THRESHOLD,
+  },
+]
+
+const MIXED = [/[A-Za-z]/, /\d/]
+
+// Values that are clearly documentation or templating, not credentials
+const PLACEHOLDER =
+  /example|placeholder|changeme|dummy|sample|your[_-]|x{6}|\*{4}|\$\{|process\.env|<[\w-]+>/i
+
+/**
+ * Shannon entropy of a string in bits per character
+ * @param {string} value - String to score
+ * @returns {number}
+ */
+function getEntropy(value) {
+  const counts = new Map()
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1)
+  }
+  let entropy = 0
+  counts.forEach(count => {
+    const share = count / value.length
+    entropy -= share * Math.log2(share)
+  })
+  return entropy
+}
+
+const fingerprintOf = (rule, file, value) =>
+  `sha256-${crypto
+    .createHash('sha256')
+    .update(`${rule}:${file}:${value}`)
+    .digest('hex')}`
+
+// First and last characters only, so reports never print a whole secret
+const mask = value =>
+  value.length <= 8
+    ? '*'.repeat(value.length)
+    : `${value.slice(0, 4)}${'*'.repeat(Math.min(value.length - 6, 12))}${value.slice(-2)}`
+
+/**
+ * Find secrets in file content
+ * @param {string} content - File content
+ * @param {string} file - Path relative to the project, used in findings
+ * @returns {Array<Object>} - `{ file, line, rule, description, entropy,
+ *   preview, fingerprint }` per finding
+ */
+function scanContent(content, file) {
+  const findings = []
+  const lines = content.split('\n')
+  lines.forEach((text, index) => {
+    const previous = index > 0 ? lines[index - 1] : ''
+    if (
+      text.includes(ALLOW_MARKER) ||
+      previous.includes(ALLOW_NEXT_LINE_MARKER)
+    ) {
+      return
+    }
+    SECRET_RULES.forEach(rule => {
+      for (const match of text.matchAll(rule.pattern)) {
+        const value = match[1] || match[0]
+        const entropy = getEntropy(value)
+        if (
+          (rule.id !== 'private-key' && PLACEHOLDER.test(value)) ||
+          (rule.minEntropy &&
+            (entropy < rule.minEntropy || !MIXED.every(set => set.test(value))))
+        ) {
+          continue
+        }
+        findings.push({
+          file,
+          line: index + 1,
+          rule: rule.id,
+          description: rule.description,
+          entropy: Math.round(entropy * 100) / 100,
+          preview: mask(value),
+          fingerprint: fingerprintOf(rule.id, file, value),
+        })
+      }
+    })
+  })
+  // A provider token under a secret-looking key is reported once
+  return findings.filter(
+    finding =>
+      finding.rule !== 'generic-secret' ||
+      !findings.some(
+        other =>
+          other !== finding &&
+          other.line === finding.line &&
+          other.rule !== 'generic-secret'
+      )
+  )
+}
+
+const git = (projectDir, args) =>
+  execFileSync('git', args, {
+    cwd: projectDir,
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'ignore'],
+  })
+
+const splitNul = output => output.split('\0').filter(Boolean)
+
+// Walk the tree when the project is not a git repository
+const listFilesOnDisk = (projectDir, dir = '') => {
+  const entries = fs.readdirSync(path.join(projectDir, dir), {
+    withFileTypes: true,
+  })
+  return entries.flatMap(entry => {
+    const relative = dir ? `${dir}/${entry.name}` : entry.name
+    if (entry.isDirectory()) {
+      return SKIPPED_DIRS.has(entry.name)
+        ? []
+        : listFilesOnDisk(projectDir, relative)
+    }
+    return entry.isFile() ? [relative] : []
+  })
+}
+
+const isScannable = file =>
+  !SKIPPED_FILES.has(path.posix.basename(file)) &&
+  !file.endsWith('.min.js') &&
+  !file.split('/').some(part => SKIPPED_DIRS.has(part))
+
+const isText = content => !content.includes('\0')
+
+/**
+ * Read the accepted findings from the baseline file
+ * @param {string} projectDir - Project directory path
+ * @returns {Array<Object>} - Baseline entries (empty without a baseline)
+ * @throws {SecretsBaselineError} When the baseline is not valid JSON
+ */
+function readSecretsBaseline(projectDir) {
+  const baselinePath = path.join(projectDir, SECRETS_BASELINE_FILE)
+  if (!fs.existsSync(baselinePath)) {
+    return []
+  }
+  try {
+    const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'))
+    return Array.isArray(baseline.findings) ? baseline.findings : []
+  } catch (error) {
+    throw new SecretsBaselineError(
+      `${SECRETS_BASELINE_FILE} is not valid JSON`,
+      {
+        hint: `Restore ${SECRETS_BASELINE_FILE} from version control or regenerate it with "create-quality-automation scan-secrets --update-baseline".`,
+        cause: error,
+      }
+    )
+  }
+}
+
+/**
+ * Scan the project for committed secrets. Findings recorded in the
+ * baseline file are reported separately as accepted.
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Scan options
+ * @param {boolean} options.staged - Scan the staged content of staged files
+ *   only (for pre-commit hooks)
+ * @param {Array<string>} options.files - Scan these paths (relative to the
+ *   project) instead of every tracked and untracked, non-ignored file
+ * @returns {Object} - New `findings`, `accepted` baseline findings and the
+ *   number of `scannedFiles`
+ * @throws {SecretsBaselineError} When the baseline is not valid JSON
+ */
+function scanSecrets(projectDir, { staged = false, files = null } = {}) {
+  let candidates = files
+  let read = file => fs.readFileSync(path.join(projectDir, file), 'utf8')
+  // Size in bytes, or null when the file is gone
+  let sizeOf = file => {
+    const filePath = path.join(projectDir, file)
+    return fs.existsSync(filePath) ? fs.statSync(filePath).size : null
+  }
+  if (staged) {
+    candidates = splitNul(
+      git(projectDir, [
+        'diff',
+        '--cached',
+        '--name-only',
+        '--diff-filter=ACMR',
+        '-z',
+      ])
+    )
+    read = file => git(projectDir, ['show', `:${file}`])
+    // Checked before reading so large blobs never reach the output buffer
+    sizeOf = file => Number(git(projectDir, ['cat-file', '-s', `:${file}`]))
+  } else if (!candidates) {
+    try {
+      candidates = splitNul(
+        git(projectDir, [
+          'ls-files',
+          '--cached',
+          '--others',
+          '--exclude-standard',
+          '-z',
+        ])
+      )
+    } catch {
+      candidates = listFilesOnDisk(projectDir)
+    }
+  }
+
+  const findings = []
+  let scannedFiles = 0
+  candidates.filter(isScannable).forEach(file => {
+    const size = sizeOf(file)
+    if (size === null || size > MAX_FILE_SIZE) {
+      return
+    }
+    const content = read(file)
+    if (content.length > MAX_FILE_SIZE || !isText(content)) {
+      return
+    }
+    scannedFiles++
+    findings.push(...scanContent(content, file))
+  })
+
+  const known = new Set(
+    readSecretsBaseline(projectDir).map(entry => entry.fingerprint)
+  )
+  return {
+    findings: findings.filter(finding => !known.has(finding.fingerprint)),
+    accepted: findings.filter(finding => known.has(finding.fingerprint)),
+    scannedFiles,
+  }
+}
+
+// Marks the start of each commit in the `git log` output
+const COMMIT_HEADER = '\0commit\0'
+
+// `@@ -12,3 +14,5 @@` → 14
+const HUNK_START = /^@@ -[\d,]+ \+(\d+)/
+
+/**
+ * Audit the git history for secrets, including ones deleted since. Every
+ * line a commit added is scanned, so each credential is reported once, for
+ * the oldest commit that added it to a file. Findings recorded in the
+ * baseline file are reported separately as accepted.
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Scan options
+ * @param {string|null} options.range - Commit range for `git log` (e.g.
+ *   `v1.0.0..HEAD`); null scans the history of every branch and tag
+ * @returns {Promise<Object>} - New `findings` (with `commit`, `author` and
+ *   `date`), `accepted` baseline findings and the number of `commits`
+ * @throws {NotGitRepositoryError} When projectDir is not in a git repository
+ * @throws {SecretsHistoryError} When git cannot read the range
+ * @throws {SecretsBaselineError} When the baseline is not valid JSON
+ */
+async function scanSecretsHistory(projectDir, { range = null } = {}) {
+  assertGitRepository(projectDir)
+  if (range !== null && (!range || range.startsWith('-'))) {
+    throw new SecretsHistoryError(`Invalid commit range "${range}"`, {
+      hint: 'Pass a range such as "main..feature" or "v1.0.0..HEAD".',
+    })
+  }
+
+  const child = spawn(
+    'git',
+    [
+      '-c',
+      'core.quotePath=false',
+      'log',
+      '--patch',
+      '--reverse',
+      '--unified=1',
+      '--no-color',
+      '--no-ext-diff',
+      '--no-textconv',
+      `--format=${COMMIT_HEADER.replace(/\0/g, '%x00')}%H%x00%an <%ae>%x00%as`,
+      range || '--all',
+      '--',
+    ],
+    { cwd: projectDir, stdio: ['ignore', 'pipe', 'pipe'] }
+  )
+  let stderr = ''
+  child.stderr.on('data', chunk => {
+    stderr += chunk
+  })
+  const exited = new Promise((resolve, reject) => {
+    child.on('error', reject)
+    child.on('close', resolve)
+  })
+
+  const seen = new Map()
+  let commit = null
+  let commits = 0
+  let file = null
+  let inHeader = false
+  let hunk = null
+
+  // Scan the new side of a hunk and keep the findings on added lines; the
+  // context line before them carries any allow-next-line comment
+  const flushHunk = () => {
+    if (!hunk || !file || !isScannable(file)) {
+      hunk = null
+      return
+    }
+    const { start, lines, added } = hunk
+    hunk = null
+    scanContent(lines.join('\n'), file).forEach(finding => {
+      if (!added[finding.line - 1] || seen.has(finding.fingerprint)) {
+        return
+      }
+      seen.set(finding.fingerprint, {
+        ...finding,
+        line: start + finding.line - 1,
+        ...commit,
+      })
+    })
+  }
+
+  const lines = readline.createInterface({
+    input: child.stdout,
+    crlfDelay: Infinity,
+  })
+  for await (const line of lines) {
+    if (line.startsWith(COMMIT_HEADER)) {
+      flushHunk()
+      const [hash, author, date] = line.slice(COMMIT_HEADER.length).split('\0')
+      commit = { commit: hash, author, date }
+      commits++
+      file = null
+    } else if (line.startsWith('diff --git ')) {
+      flushHunk()
+      file = null
+      inHeader = true
+    } else if (inHeader && line.startsWith('+++ ')) {
+      file = line.startsWith('+++ b/') ? line.slice(6) : null
+    } else if (line.startsWith('@@')) {
+      flushHunk()
+      const match = line.match(HUNK_START)
+      inHeader = false
+      hunk = match
+        ? { start: Number.parseInt(match[1], 10), lines: [], added: [] }
+        : null
+    } else if (hunk && (line.startsWith('+') || line.startsWith(' '))) {
+      hunk.lines.push(line.slice(1))
+      hunk.added.push(line.startsWith('+'))
+    }
+  }
+  flushHunk()
+
+  const status = await exited
+  if (status !== 0) {
+    throw new SecretsHistoryError(
+      `git log failed for ${range ? `"${range}"` : 'the full history'}: ${
+        stderr.trim() || `exit status ${status}`
+      }`,
+      { hint: 'Check that the commits in the range exist in this clone.' }
+    )
+  }
+
+  const known = new Set(
+    readSecretsBaseline(projectDir).map(entry => entry.fingerprint)
+  )
+  const findings = [...seen.values()]
+  return {
+    findings: findings.filter(finding => !known.has(finding.fingerprint)),
+    accepted: findings.filter(finding => known.has(finding.fingerprint)),
+    commits,
+  }
+}
+
+/**
+ * Record every current finding in the baseline file as accepted. Only
+ * fingerprints and locations are stored, never the secret itself. A working
+ * tree scan replaces the entries of earlier working tree scans; a history
+ * scan adds its findings (with their commit) to the existing entries.
+ * @param {string} projectDir - Project directory path
+ * @param {Object} result - Result of scanSecrets or scanSecretsHistory
+ * @returns {number} - Number of findings in the baseline
+ */
+function writeSecretsBaseline(projectDir, { findings, accepted, commits }) {
+  const isHistory = commits !== undefined
+  const kept = readSecretsBaseline(projectDir).filter(
+    entry => isHistory || entry.commit
+  )
+  const known = new Set(kept.map(entry => entry.fingerprint))
+  const entries = [
+    ...kept,
+    ...[...accepted, ...findings]
+      .filter(finding => !known.has(finding.fingerprint))
+      .map(({ file, line, rule, fingerprint, commit }) =>
+        commit
+          ? { file, line, rule, fingerprint, commit }
+          : { file, line, rule, fingerprint }
+      ),
+  ].sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line)
+  fs.writeFileSync(
+    path.join(projectDir, SECRETS_BASELINE_FILE),
+    `${JSON.stringify({ version: BASELINE_VERSION, findings: entries }, null, 2)}\n`
+  )
+  return entries.length
+}
+
+/**
+ * Format a scan result for the terminal
+ * @param {Object} result - Result of scanSecrets or scanSecretsHistory
+ * @returns {string}
+ */
+function formatSecretsReport({ findings, accepted, scannedFiles, commits }) {
+  const isHistory = commits !== undefined
+  const scope = isHistory ? `${commits} commit(s)` : `${scannedFiles} file(s)`
+  const lines = []
+  findings.forEach(finding => {
+    const origin = finding.commit
+      ? `${finding.commit.slice(0, 10)} ${finding.date} ${finding.author} `
+      : ''
+    lines.push(
+      `❌ ${origin}${finding.file}:${finding.line} ${finding.description} (${finding.rule}, entropy ${finding.entropy}): ${finding.preview}`
+    )
+  })
+  if (accepted.length) {
+    lines.push(
+      `ℹ️ ${accepted.length} accepted finding(s) in ${SECRETS_BASELINE_FILE}`
+    )
+  }
+  if (findings.length && isHistory) {
+    lines.push(
+      '',
+      `🔒 ${findings.length} potential secret(s) in ${scope}.`,
+      'Rotate these credentials: removing them from the files does not remove them from the history. Once rotated, accept them with "create-quality-automation scan-secrets --history --update-baseline".'
+    )
+  } else if (findings.length) {
+    lines.push(
+      '',
+      `🔒 ${findings.length} potential secret(s) in ${scope}.`,
+      `Remove them and rotate the credentials. For false positives, add a "${ALLOW_MARKER}" comment on the line or accept them with "create-quality-automation scan-secrets --update-baseline".`
+    )
+  } else {
+    lines.push(`✅ No secrets detected in ${scope}`)
+  }
+  return lines.join('\n')
+}
+
+module.exports = {
+  SECRETS_BASELINE_FILE,
+  formatSecretsReport,
+  getEntropy,
+  readSecretsBaseline,
+  scanContent,
+  scanSecrets,
+  scanSecretsHistory,
+  writeSecretsBaseline,
+}
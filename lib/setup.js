@@ -0,0 +1,993 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { isDeepStrictEqual } = require('util')
+
+const {
+  detectProjectLanguages,
+  getPrimaryLanguage,
+  isMultiLanguageProject,
+  getDetectedLanguages,
+} = require('./detectors')
+
+const {
+  STYLELINT_EXTENSIONS,
+  getDefaultDevDependencies,
+  getDefaultLintStaged,
+  getDefaultScripts,
+} = require('../config/defaults')
+const { getFrameworkNames } = require('../config/frameworks')
+
+const { LANGUAGES, loadProjectConfig, saveProjectConfig } = require('./config')
+const { PackageJsonError } = require('./errors')
+const { createChangeSet } = require('./file-changes')
+const { assertGitRepository } = require('./git')
+const { getNodeMatrix, resolveNodeVersion } = require('./node-version')
+const {
+  createPackageJsonRecord,
+  readManifest,
+  writeManifest,
+} = require('./manifest')
+const {
+  detectPackageManager,
+  getPackageManagerCommands,
+} = require('./package-manager')
+const {
+  detectPythonEnvironment,
+  getPythonEnvironmentCommands,
+} = require('./python-environment')
+const {
+  detectTestRunners,
+  getJestCoverageThreshold,
+  getTestDevDependencies,
+  getTestRunnerName,
+  getTestScripts,
+  isPlaceholderTestScript,
+  scaffoldTestRunner,
+} = require('./test-runner')
+const { revertPrepareScript } = require('./uninstall')
+
+const javascriptSetup = require('../config/languages/javascript')
+const pythonSetup = require('../config/languages/python')
+const rustSetup = require('../config/languages/rust')
+const goSetup = require('../config/languages/go')
+const { getGitLabCi } = require('../config/ci/gitlab')
+
+const TEMPLATE_DIR = path.join(__dirname, '..')
+
+const STYLELINT_EXTENSION_SET = new Set(STYLELINT_EXTENSIONS)
+const STYLELINT_DEFAULT_TARGET = `**/*.{${STYLELINT_EXTENSIONS.join(',')}}`
+const STYLELINT_EXTENSION_GLOB = `*.{${STYLELINT_EXTENSIONS.join(',')}}`
+const STYLELINT_SCAN_EXCLUDES = new Set([
+  '.git',
+  '.github',
+  '.husky',
+  '.next',
+  '.nuxt',
+  '.output',
+  '.turbo',
+  '.vercel',
+  '.cache',
+  '.pnpm-store',
+  'coverage',
+  'node_modules',
+])
+const MAX_STYLELINT_SCAN_DEPTH = 4
+
+// Managed files that belong to a tool the project configuration can switch
+// off; --update removes unedited copies once it is
+const TOOL_FILES = {
+  prettier: ['.prettierrc', '.prettierignore'],
+  eslint: ['eslint.config.cjs', '.eslintignore'],
+  stylelint: ['.stylelintrc.json'],
+  husky: ['.husky/pre-commit'],
+  preCommit: ['.pre-commit-config.yaml'],
+  gitlabCi: ['.gitlab-ci.yml'],
+  githubActions: [
+    '.github/workflows/quality.yml',
+    '.github/workflows/quality-python.yml',
+    '.github/workflows/quality-rust.yml',
+    '.github/workflows/quality-go.yml',
+  ],
+}
+
+const SILENT_LOGGER = {
+  log: () => {},
+  warn: () => {},
+  error: () => {},
+}
+
+const safeReadDir = dir => {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true })
+  } catch {
+    return []
+  }
+}
+
+const isStylelintFile = fileName => {
+  const ext = path.extname(fileName).slice(1).toLowerCase()
+  return STYLELINT_EXTENSION_SET.has(ext)
+}
+
+const directoryContainsStylelintFiles = (dir, depth = 0) => {
+  if (depth > MAX_STYLELINT_SCAN_DEPTH) {
+    return false
+  }
+
+  const entries = safeReadDir(dir)
+  for (const entry of entries) {
+    if (entry.isSymbolicLink()) {
+      continue
+    }
+
+    const entryPath = path.join(dir, entry.name)
+
+    if (entry.isFile() && isStylelintFile(entry.name)) {
+      return true
+    }
+
+    if (entry.isDirectory()) {
+      if (STYLELINT_SCAN_EXCLUDES.has(entry.name)) {
+        continue
+      }
+      if (directoryContainsStylelintFiles(entryPath, depth + 1)) {
+        return true
+      }
+    }
+  }
+
+  return false
+}
+
+const findStylelintTargets = rootDir => {
+  const entries = safeReadDir(rootDir)
+  const targets = new Set()
+  let hasRootCss = false
+
+  for (const entry of entries) {
+    if (entry.isSymbolicLink()) {
+      continue
+    }
+
+    const entryPath = path.join(rootDir, entry.name)
+
+    if (entry.isFile()) {
+      if (isStylelintFile(entry.name)) {
+        hasRootCss = true
+      }
+      continue
+    }
+
+    if (!entry.isDirectory()) {
+      continue
+    }
+
+    if (STYLELINT_SCAN_EXCLUDES.has(entry.name)) {
+      continue
+    }
+
+    if (directoryContainsStylelintFiles(entryPath)) {
+      targets.add(entry.name)
+    }
+  }
+
+  const resolvedTargets = []
+
+  if (hasRootCss) {
+    resolvedTargets.push(STYLELINT_EXTENSION_GLOB)
+  }
+
+  Array.from(targets)
+    .sort()
+    .forEach(dir => {
+      resolvedTargets.push(`${dir}/**/${STYLELINT_EXTENSION_GLOB}`)
+    })
+
+  if (!resolvedTargets.length) {
+    return [STYLELINT_DEFAULT_TARGET]
+  }
+
+  return resolvedTargets
+}
+
+const patternIncludesStylelintExtension = pattern => {
+  const lower = pattern.toLowerCase()
+  return STYLELINT_EXTENSIONS.some(ext => lower.includes(`.${ext}`))
+}
+
+/**
+ * Trim user-provided input and strip characters that could break out of
+ * generated JSON/YAML/shell strings
+ * @param {string} input - Raw input
+ * @returns {string|null} - Sanitized input, or null when empty
+ */
+function validateAndSanitizeInput(input) {
+  if (typeof input !== 'string') {
+    throw new Error('Input must be a string')
+  }
+  const normalized = input.trim()
+  if (normalized.length === 0) {
+    return null
+  }
+  const sanitized = normalized.replace(/[<>'"&]/g, '')
+  return sanitized
+}
+
+/**
+ * On --update, bring the package.json entries an earlier run injected in
+ * line with the current defaults and configuration. Entries that still hold
+ * the injected value are replaced, or dropped when they are no longer wanted
+ * (e.g. their tool was switched off); entries edited since are left alone.
+ * @param {Object} options - Refresh options
+ * @param {Object} options.current - package.json section (mutated)
+ * @param {Object} options.wanted - Entries this run would inject
+ * @param {Object} options.injected - Entries the manifest recorded
+ * @param {Object} options.record - This run's manifest record (mutated)
+ * @param {string} options.label - Section name for log messages
+ * @param {Object} options.logger - Receives progress messages (console API)
+ */
+function refreshInjectedEntries({
+  current,
+  wanted,
+  injected = {},
+  record,
+  label,
+  logger,
+}) {
+  Object.entries(injected).forEach(([key, value]) => {
+    if (
+      !isDeepStrictEqual(current[key], value) ||
+      isDeepStrictEqual(wanted[key], value)
+    ) {
+      return
+    }
+    if (wanted[key] === undefined) {
+      delete current[key]
+      logger.log(`🗑️ Removed ${label}.${key}`)
+      return
+    }
+    current[key] = wanted[key]
+    record[key] = wanted[key]
+    logger.log(`♻️ Updated ${label}.${key}`)
+  })
+}
+
+const readPackageJson = (packageJsonPath, { changes, logger }) => {
+  let packageJson
+  try {
+    const packageJsonContent = changes.read(packageJsonPath)
+    if (packageJsonContent.trim().length === 0) {
+      throw new PackageJsonError('package.json is empty', {
+        hint: 'Please add valid JSON content to package.json and try again.',
+      })
+    }
+    packageJson = JSON.parse(packageJsonContent)
+  } catch (error) {
+    if (error instanceof PackageJsonError) {
+      throw error
+    }
+    throw new PackageJsonError(`Error parsing package.json: ${error.message}`, {
+      hint: 'Please fix the JSON syntax in package.json and try again. Common issues: trailing commas, missing quotes, unclosed brackets',
+      cause: error,
+    })
+  }
+
+  if (
+    typeof packageJson !== 'object' ||
+    packageJson === null ||
+    Array.isArray(packageJson)
+  ) {
+    throw new PackageJsonError(
+      'package.json must contain a valid JSON object',
+      {
+        hint: 'Please fix the package.json structure and try again.',
+      }
+    )
+  }
+
+  if (packageJson.name && typeof packageJson.name === 'string') {
+    packageJson.name =
+      validateAndSanitizeInput(packageJson.name) || 'my-project'
+  }
+
+  logger.log('✅ Found existing package.json')
+  return packageJson
+}
+
+/**
+ * Set up (or update) quality automation in a project.
+ * Nothing is printed unless a logger is passed, and failures are thrown as
+ * QualityAutomationError subclasses (see lib/errors) instead of exiting.
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Setup options
+ * @param {boolean} options.update - Reconcile existing managed files
+ * @param {boolean} options.dryRun - Plan changes without writing them
+ * @param {boolean} options.install - Install Python dependencies and hooks
+ * @param {Object} options.settings - Configuration options (e.g. wizard
+ *   answers) to save into the project configuration before setting up
+ * @param {Object} options.logger - Receives progress messages (console API)
+ * @returns {Object} - Detection, the project configuration, planned changes,
+ *   written files, reconcile outcomes, the manifest and any warnings
+ * @throws {ConfigError} When the project configuration is invalid
+ */
+function setupQualityAutomation(
+  projectDir,
+  {
+    update = false,
+    dryRun = false,
+    install = false,
+    settings = null,
+    logger = SILENT_LOGGER,
+  } = {}
+) {
+  assertGitRepository(projectDir)
+
+  const warnings = []
+  const log = {
+    log: (...args) => logger.log(...args),
+    warn: (...args) => {
+      warnings.push(args.join(' '))
+      logger.warn(...args)
+    },
+    error: (...args) => logger.error(...args),
+  }
+
+  const changes = createChangeSet({ projectDir, dryRun, update })
+
+  let config = loadProjectConfig(projectDir)
+  if (settings) {
+    const saved = saveProjectConfig(projectDir, settings, { changes })
+    config = saved.config
+    if (saved.savedTo) {
+      log.log(`💾 Saved your answers to ${saved.savedTo}`)
+    } else {
+      log.warn(
+        `⚠️ ${config.source} is JavaScript and was not changed; copy your answers into it to keep them for --update`
+      )
+    }
+  }
+  const { tools } = config
+  if (config.source) {
+    log.log(`⚙️ Using configuration from ${config.source}`)
+  }
+  const injectedPackageJson = createPackageJsonRecord()
+
+  // What earlier runs injected, so --update can follow configuration changes
+  let previouslyInjected = createPackageJsonRecord()
+  if (update) {
+    try {
+      const previousManifest = readManifest(projectDir, changes)
+      if (previousManifest && previousManifest.packageJson) {
+        previouslyInjected = {
+          ...previouslyInjected,
+          ...previousManifest.packageJson,
+        }
+      }
+    } catch {
+      // writeManifest reports the unreadable manifest
+    }
+  }
+
+  const node = resolveNodeVersion(projectDir, config, {
+    injected: previouslyInjected,
+  })
+  const nodeVersion = node.version
+  const nodeMatrix = config.node.matrix
+    ? getNodeMatrix(node.major, { maximum: node.maximum })
+    : null
+
+  // Detect project languages; languages chosen in the configuration (e.g.
+  // by the setup wizard) take precedence
+  const detection = detectProjectLanguages(projectDir)
+  if (config.languages) {
+    LANGUAGES.forEach(language => {
+      detection.languages[language] = config.languages.includes(language)
+    })
+    detection.languages.typescript =
+      detection.languages.javascript && detection.languages.typescript
+  }
+  const detectedLanguages = getDetectedLanguages(detection)
+  const primaryLanguage = getPrimaryLanguage(detection)
+  const isMultiLang = isMultiLanguageProject(detection)
+
+  log.log(`🔍 Detected language(s): ${detectedLanguages.join(', ')}`)
+  if (primaryLanguage) {
+    log.log(`📌 Primary language: ${primaryLanguage}`)
+  }
+  if (isMultiLang) {
+    log.log('ℹ️ Multi-language project detected')
+  }
+
+  const packageManager = detectPackageManager(projectDir)
+  const commands = getPackageManagerCommands(packageManager)
+  if (packageManager.name !== 'npm') {
+    log.log(
+      `📦 Using ${packageManager.name}${packageManager.berry ? ' (Berry)' : ''} (from ${packageManager.source})`
+    )
+  }
+  if (detection.languages.javascript) {
+    if (node.source !== 'default') {
+      log.log(`📌 Using Node ${nodeVersion} (from ${node.source})`)
+    }
+    node.conflicts.forEach(conflict => {
+      log.warn(`⚠️ Node version conflict: ${conflict}`)
+    })
+  }
+
+  const pythonEnvironment = detectPythonEnvironment(projectDir)
+  const pythonCommands = getPythonEnvironmentCommands(pythonEnvironment)
+  if (detection.languages.python && pythonEnvironment.name !== 'pip') {
+    log.log(
+      `🐍 Using ${pythonEnvironment.name} (from ${pythonEnvironment.source})`
+    )
+  }
+
+  // Shared config lives at the root; packages keep their own overrides
+  const { workspaces } = detection
+  if (workspaces.isMonorepo) {
+    log.log(
+      `📦 Detected workspaces (${workspaces.sources.join(', ')}) with ${
+        workspaces.packages.length
+      } package(s); shared configuration goes in the root`
+    )
+    workspaces.packages.forEach(pkg => {
+      const packageLanguages = getDetectedLanguages(pkg)
+      const overrides = pkg.overrides.length
+        ? `; keeps its own ${pkg.overrides.join(', ')}`
+        : ''
+      log.log(
+        `   • ${pkg.dir} (${packageLanguages.join(', ') || 'no sources detected'})${overrides}`
+      )
+    })
+  }
+  log.log()
+
+  // Handle Python projects
+  let pyprojectTables = {}
+  if (detection.languages.python) {
+    log.log('🐍 Setting up Python quality automation...')
+
+    const projectName =
+      validateAndSanitizeInput(path.basename(projectDir)) || 'my-project'
+
+    const pythonFiles = pythonSetup.setupFiles(projectDir, {
+      projectName,
+      config,
+      environment: pythonEnvironment,
+      changes,
+      logger: log,
+    })
+    pyprojectTables = pythonFiles.pyprojectTables
+
+    if (dryRun) {
+      log.log('⏭️ Skipping Python dependency installation (--dry-run)')
+    } else if (install) {
+      pythonSetup.installDependencies(projectDir, {
+        environment: pythonEnvironment,
+        preCommit: tools.preCommit,
+        logger: log,
+      })
+    } else {
+      log.log('⏭️ Skipping Python dependency installation (--no-install)')
+    }
+
+    log.log()
+  }
+
+  // Handle Rust projects
+  let cargoWorkspace = null
+  if (detection.languages.rust) {
+    log.log('🦀 Setting up Rust quality automation...')
+    cargoWorkspace = rustSetup.setupFiles(projectDir, {
+      config,
+      changes,
+      logger: log,
+    })
+    log.log()
+  }
+
+  // Handle Go projects
+  let goWorkspace = null
+  if (detection.languages.go) {
+    log.log('🐹 Setting up Go quality automation...')
+    goWorkspace = goSetup.setupFiles(projectDir, {
+      config,
+      changes,
+      logger: log,
+    })
+    log.log()
+  }
+
+  // Handle JavaScript/TypeScript projects
+  let testRunners = { unit: null, e2e: null }
+  if (detection.languages.javascript) {
+    log.log('📦 Setting up JavaScript/TypeScript quality automation...')
+
+    const packageJsonPath = path.join(projectDir, 'package.json')
+    let packageJson = {}
+
+    if (changes.exists(packageJsonPath)) {
+      packageJson = readPackageJson(packageJsonPath, { changes, logger: log })
+    } else {
+      log.log('📦 Creating new package.json')
+      const projectName =
+        validateAndSanitizeInput(path.basename(projectDir)) || 'my-project'
+      packageJson = {
+        name: projectName,
+        version: '1.0.0',
+        description: '',
+        main: 'index.js',
+        scripts: {},
+      }
+    }
+
+    const usesTypeScript = detection.languages.typescript
+    if (usesTypeScript) {
+      log.log(
+        '🔍 Detected TypeScript configuration; enabling TypeScript lint defaults'
+      )
+    }
+    const { frameworks } = detection
+    if (frameworks.length) {
+      log.log(
+        `🧩 Detected framework(s): ${getFrameworkNames(frameworks).join(', ')}; adding their lint presets`
+      )
+    }
+
+    testRunners = detectTestRunners(projectDir, {
+      packageJson,
+      runner: config.test.runner,
+    })
+    ;[testRunners.unit, testRunners.e2e].filter(Boolean).forEach(runner => {
+      log.log(
+        `🧪 Detected ${getTestRunnerName(runner.name)} (from ${runner.source})`
+      )
+    })
+    if (!testRunners.unit && config.test.runner !== 'none') {
+      if (config.test.scaffold) {
+        testRunners.unit = scaffoldTestRunner(projectDir, {
+          runner: config.test.scaffold,
+          typescript: usesTypeScript,
+          changes,
+          logger: log,
+        })
+      } else {
+        log.log(
+          '💡 No unit test runner found; set test.scaffold to "vitest" or "node" to add one with an example test'
+        )
+      }
+    }
+
+    const stylelintTargets =
+      config.globs.stylelint || findStylelintTargets(projectDir)
+    const usingDefaultStylelintTarget =
+      stylelintTargets.length === 1 &&
+      stylelintTargets[0] === STYLELINT_DEFAULT_TARGET
+    if (config.globs.stylelint) {
+      log.log(
+        `⚙️ Using configured stylelint targets: ${stylelintTargets.join(', ')}`
+      )
+    } else if (tools.stylelint && !usingDefaultStylelintTarget) {
+      log.log(`🔍 Detected stylelint targets: ${stylelintTargets.join(', ')}`)
+    }
+
+    // Add quality automation scripts
+    log.log('📝 Adding quality automation scripts...')
+    packageJson.scripts = packageJson.scripts || {}
+    const defaultScripts = getDefaultScripts({
+      typescript: usesTypeScript,
+      frameworks,
+      stylelintTargets,
+      eslintTargets: config.globs.eslint,
+      auditCommand: commands.audit,
+      tools,
+    })
+
+    // If multi-language Python project, add Python scripts too
+    if (detection.languages.python) {
+      const pythonScripts = pythonSetup.getScripts({
+        run: commands.run,
+        runner: pythonCommands.run,
+      })
+      Object.assign(defaultScripts, pythonScripts)
+    }
+
+    // Likewise for Rust crates living next to the JavaScript code
+    if (detection.languages.rust) {
+      const rustScripts = rustSetup.getScripts({
+        workspace: Boolean(cargoWorkspace && cargoWorkspace.isWorkspace),
+        run: commands.run,
+      })
+      Object.assign(defaultScripts, rustScripts)
+    }
+
+    if (detection.languages.go) {
+      const goScripts = goSetup.getScripts({
+        modules: goWorkspace ? goWorkspace.modules : ['.'],
+        run: commands.run,
+      })
+      Object.assign(defaultScripts, goScripts)
+    }
+
+    // Test scripts for the detected runners; npm's failing placeholder
+    // makes way for them
+    const testScripts = getTestScripts({
+      ...testRunners,
+      minimum: config.coverage.minimum,
+    })
+    Object.assign(defaultScripts, testScripts)
+    if (testScripts.test && isPlaceholderTestScript(packageJson.scripts.test)) {
+      delete packageJson.scripts.test
+    }
+
+    refreshInjectedEntries({
+      current: packageJson.scripts,
+      wanted: defaultScripts,
+      injected: Object.fromEntries(
+        Object.entries(previouslyInjected.scripts).filter(
+          ([name]) => name !== 'prepare'
+        )
+      ),
+      record: injectedPackageJson.scripts,
+      label: 'scripts',
+      logger: log,
+    })
+    Object.entries(defaultScripts).forEach(([name, command]) => {
+      if (!packageJson.scripts[name]) {
+        packageJson.scripts[name] = command
+        injectedPackageJson.scripts[name] = command
+      }
+    })
+
+    // Jest takes the coverage minimum from its configuration; on the
+    // command line it would need shell-specific JSON quoting
+    const coverageThreshold = getJestCoverageThreshold(projectDir, {
+      unit: testRunners.unit,
+      minimum: config.coverage.minimum,
+    })
+    if (coverageThreshold === null) {
+      log.log(
+        `ℹ️ Set coverageThreshold in your Jest config file to enforce ${config.coverage.minimum}% line coverage`
+      )
+    }
+    const jestConfig = packageJson.jest || {}
+    const hadJestConfig = Object.keys(jestConfig).length > 0
+    refreshInjectedEntries({
+      current: jestConfig,
+      wanted: coverageThreshold ? { coverageThreshold } : {},
+      injected: previouslyInjected.jest,
+      record: injectedPackageJson.jest,
+      label: 'jest',
+      logger: log,
+    })
+    if (coverageThreshold && !jestConfig.coverageThreshold) {
+      jestConfig.coverageThreshold = coverageThreshold
+      injectedPackageJson.jest.coverageThreshold = coverageThreshold
+    }
+    if (Object.keys(jestConfig).length) {
+      packageJson.jest = jestConfig
+    } else if (hadJestConfig) {
+      delete packageJson.jest
+    }
+
+    // Ensure husky prepare script
+    const prepareScript = packageJson.scripts.prepare
+    const injectedPrepare = previouslyInjected.scripts.prepare
+    if (!tools.husky) {
+      // Undo an earlier hook-up nobody has touched since
+      const original =
+        injectedPrepare && prepareScript === injectedPrepare
+          ? revertPrepareScript(injectedPrepare)
+          : false
+      if (original === null) {
+        delete packageJson.scripts.prepare
+      } else if (original !== false) {
+        packageJson.scripts.prepare = original
+      }
+      if (original !== false) {
+        log.log('🗑️ Removed the husky prepare script (husky disabled)')
+      }
+    } else if (!prepareScript) {
+      packageJson.scripts.prepare = 'husky'
+    } else if (prepareScript.includes('husky install')) {
+      packageJson.scripts.prepare = prepareScript.replace(
+        /husky install/g,
+        'husky'
+      )
+    } else if (!prepareScript.includes('husky')) {
+      packageJson.scripts.prepare = `${prepareScript} && husky`
+    }
+    if (tools.husky && packageJson.scripts.prepare !== prepareScript) {
+      injectedPackageJson.scripts.prepare = packageJson.scripts.prepare
+    }
+
+    // Add devDependencies
+    log.log('📦 Adding devDependencies...')
+    packageJson.devDependencies = packageJson.devDependencies || {}
+    const defaultDevDependencies = getDefaultDevDependencies({
+      typescript: usesTypeScript,
+      frameworks,
+      tools,
+      versions: config.versions,
+    })
+    Object.assign(
+      defaultDevDependencies,
+      getTestDevDependencies({
+        unit: testRunners.unit,
+        packageJson,
+        versions: config.versions,
+      })
+    )
+    refreshInjectedEntries({
+      current: packageJson.devDependencies,
+      wanted: defaultDevDependencies,
+      injected: previouslyInjected.devDependencies,
+      record: injectedPackageJson.devDependencies,
+      label: 'devDependencies',
+      logger: log,
+    })
+    Object.entries(defaultDevDependencies).forEach(([dependency, version]) => {
+      if (!packageJson.devDependencies[dependency]) {
+        packageJson.devDependencies[dependency] = version
+        injectedPackageJson.devDependencies[dependency] = version
+      }
+    })
+
+    // Add lint-staged configuration
+    const lintStagedConfig = packageJson['lint-staged'] || {}
+    const defaultLintStaged = tools.husky
+      ? getDefaultLintStaged({
+          typescript: usesTypeScript,
+          frameworks,
+          stylelintTargets,
+          eslintTargets: config.globs.eslint,
+          tools,
+        })
+      : {}
+    if (tools.husky) {
+      log.log('⚙️ Adding lint-staged configuration...')
+    }
+
+    // Drop commands an earlier run injected that are no longer wanted
+    Object.entries(previouslyInjected.lintStaged).forEach(
+      ([pattern, injectedCommands]) => {
+        const current = lintStagedConfig[pattern]
+        if (!Array.isArray(current)) {
+          return
+        }
+        const wanted = defaultLintStaged[pattern] || []
+        const remaining = current.filter(
+          command =>
+            wanted.includes(command) || !injectedCommands.includes(command)
+        )
+        if (remaining.length === current.length) {
+          return
+        }
+        if (remaining.length) {
+          lintStagedConfig[pattern] = remaining
+        } else {
+          delete lintStagedConfig[pattern]
+        }
+        log.log(`🗑️ Removed lint-staged commands for ${pattern}`)
+      }
+    )
+    const stylelintTargetSet = new Set(stylelintTargets)
+    const hasExistingCssPatterns = Object.keys(lintStagedConfig).some(
+      patternIncludesStylelintExtension
+    )
+
+    if (hasExistingCssPatterns) {
+      log.log(
+        'ℹ️ Detected existing lint-staged CSS globs; preserving current CSS targets'
+      )
+    }
+
+    Object.entries(defaultLintStaged).forEach(([pattern, commands]) => {
+      const isStylelintPattern = stylelintTargetSet.has(pattern)
+      if (isStylelintPattern && hasExistingCssPatterns) {
+        return
+      }
+      if (!lintStagedConfig[pattern]) {
+        lintStagedConfig[pattern] = commands
+        injectedPackageJson.lintStaged[pattern] = [...commands]
+        return
+      }
+      const existing = Array.isArray(lintStagedConfig[pattern])
+        ? [...lintStagedConfig[pattern]]
+        : [lintStagedConfig[pattern]]
+      const merged = [...existing]
+      commands.forEach(command => {
+        if (!merged.includes(command)) {
+          merged.push(command)
+          injectedPackageJson.lintStaged[pattern] = [
+            ...(injectedPackageJson.lintStaged[pattern] || []),
+            command,
+          ]
+        }
+      })
+      lintStagedConfig[pattern] = merged
+    })
+    if (Object.keys(lintStagedConfig).length) {
+      packageJson['lint-staged'] = lintStagedConfig
+    } else {
+      delete packageJson['lint-staged']
+    }
+
+    // Write updated package.json
+    changes.write(packageJsonPath, JSON.stringify(packageJson, null, 2))
+    log.log('✅ Updated package.json')
+
+    // Ensure Node toolchain pinning
+    const nvmrcPath = path.join(projectDir, '.nvmrc')
+    if (changes.ensureFile(nvmrcPath, `${nodeVersion}\n`) === 'created') {
+      log.log(`✅ Added .nvmrc (Node ${nodeVersion})`)
+    }
+
+    const npmrcPath = path.join(projectDir, '.npmrc')
+    if (changes.ensureFile(npmrcPath, 'engine-strict = true\n') === 'created') {
+      log.log('✅ Added .npmrc (engine-strict)')
+    }
+
+    // Setup JavaScript-specific files
+    javascriptSetup.setupFiles(projectDir, {
+      typescript: usesTypeScript,
+      frameworks,
+      workspaces,
+      packageManager,
+      config,
+      nodeVersion,
+      nodeMatrix,
+      testRunners,
+      changes,
+      logger: log,
+    })
+
+    // Ensure engines/volta pins
+    try {
+      const pkg = JSON.parse(changes.read(packageJsonPath))
+      const enginePins = { node: `>=${node.major}` }
+      // Volta needs an exact release, so a major-only version leaves node
+      // unpinned; npm is pinned when packageManager or Volta names a version
+      const voltaPins = {
+        ...(node.exact ? { node: node.exact } : {}),
+        ...(node.npm ? { npm: node.npm } : {}),
+      }
+      ;[
+        ['engines', enginePins],
+        ['volta', voltaPins],
+      ].forEach(([field, wanted]) => {
+        pkg[field] = pkg[field] || {}
+        refreshInjectedEntries({
+          current: pkg[field],
+          wanted,
+          injected: previouslyInjected[field],
+          record: injectedPackageJson[field],
+          label: field,
+          logger: log,
+        })
+      })
+      Object.keys(enginePins).forEach(key => {
+        if (!(pkg.engines && pkg.engines[key])) {
+          injectedPackageJson.engines[key] = enginePins[key]
+        }
+      })
+      Object.keys(voltaPins).forEach(key => {
+        if (!(pkg.volta && pkg.volta[key])) {
+          injectedPackageJson.volta[key] = voltaPins[key]
+        }
+      })
+      pkg.engines = { ...enginePins, ...(pkg.engines || {}) }
+      pkg.volta = { ...voltaPins, ...(pkg.volta || {}) }
+      changes.write(packageJsonPath, JSON.stringify(pkg, null, 2))
+      log.log('✅ Ensured engines and Volta pins in package.json')
+    } catch (e) {
+      log.warn('⚠️ Could not update engines/volta in package.json:', e.message)
+    }
+
+    log.log()
+  }
+
+  const gitlabCiPath = path.join(projectDir, '.gitlab-ci.yml')
+  if (
+    config.ci.provider === 'gitlab' &&
+    changes.ensureFile(
+      gitlabCiPath,
+      getGitLabCi({
+        languages: detectedLanguages,
+        tools,
+        packageManager,
+        nodeVersion,
+        pythonVersion: pythonSetup.resolvePythonVersions(projectDir, config)
+          .minimum,
+        pythonEnvironment,
+        rustWorkspace: Boolean(cargoWorkspace && cargoWorkspace.isWorkspace),
+        goVersion: goWorkspace ? goWorkspace.goVersion : null,
+        goModules: goWorkspace ? goWorkspace.modules : undefined,
+        testRunners,
+      })
+    ) === 'created'
+  ) {
+    log.log('✅ Added GitLab CI pipeline (.gitlab-ci.yml)')
+  }
+
+  // Retire files of tools the configuration switched off since the last run
+  const enabledTools = { ...tools, gitlabCi: config.ci.provider === 'gitlab' }
+  Object.entries(TOOL_FILES)
+    .filter(([tool]) => !enabledTools[tool])
+    .forEach(([tool, files]) => {
+      files.forEach(file => {
+        const outcome = changes.retire(
+          path.join(projectDir, file),
+          `${tool} disabled in ${config.source}`
+        )
+        if (outcome === 'removed') {
+          log.log(`🗑️ Removed ${file} (${tool} disabled)`)
+        } else if (outcome === 'kept') {
+          log.warn(`⚠️ ${tool} is disabled but ${file} has local edits; kept`)
+        }
+      })
+    })
+
+  // Setup shared files (language-agnostic)
+  log.log('📄 Setting up shared configuration files...')
+
+  const editorconfigPath = path.join(projectDir, '.editorconfig')
+  const templateEditorconfig = fs.readFileSync(
+    path.join(TEMPLATE_DIR, '.editorconfig'),
+    'utf8'
+  )
+  if (
+    changes.ensureFile(editorconfigPath, templateEditorconfig) === 'created'
+  ) {
+    log.log('✅ Added .editorconfig')
+  }
+
+  // Record what this run installed so audits, updates and uninstalls can tell
+  // tool-managed files and package.json entries from hand-written ones
+  const manifest = writeManifest(projectDir, {
+    languages: detectedLanguages,
+    packageJson: injectedPackageJson,
+    pyprojectTables,
+    changes,
+    logger: log,
+  })
+
+  if (!primaryLanguage) {
+    log.warn('⚠️ No supported languages detected.')
+  }
+
+  const plannedChanges = changes.getChanges()
+  return {
+    projectDir,
+    dryRun,
+    update,
+    detection: {
+      languages: { ...detection.languages },
+      files: detection.files,
+      detectedLanguages,
+      primaryLanguage,
+      isMultiLanguage: isMultiLang,
+      workspaces,
+      packageManager: { ...packageManager, commands },
+      pythonEnvironment: { ...pythonEnvironment, commands: pythonCommands },
+      node: { ...node, matrix: nodeMatrix },
+    },
+    config,
+    changes: plannedChanges,
+    writtenFiles: dryRun
+      ? []
+      : plannedChanges
+          .filter(change => ['create', 'modify'].includes(change.action))
+          .map(change => change.path),
+    reconciled: changes.getReconciled(),
+    manifest,
+    warnings,
+  }
+}
+
+module.exports = {
+  setupQualityAutomation,
+  validateAndSanitizeInput,
+}
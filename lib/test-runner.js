@@ -0,0 +1,330 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+// Unit test runners in the order they are picked when several are installed
+// and the test script names none of them
+const UNIT_RUNNERS = ['vitest', 'jest', 'mocha', 'node']
+
+// Packages and config files that identify a runner. node:test ships with
+// Node, so only the test script can name it.
+const RUNNER_SIGNALS = {
+  vitest: {
+    packages: ['vitest'],
+    files: [
+      'vitest.config.js',
+      'vitest.config.mjs',
+      'vitest.config.ts',
+      'vitest.config.mts',
+    ],
+    script: /\bvitest\b/,
+  },
+  jest: {
+    packages: ['jest'],
+    files: [
+      'jest.config.js',
+      'jest.config.cjs',
+      'jest.config.mjs',
+      'jest.config.ts',
+      'jest.config.json',
+    ],
+    script: /\bjest\b/,
+  },
+  mocha: {
+    packages: ['mocha'],
+    files: [
+      '.mocharc.js',
+      '.mocharc.cjs',
+      '.mocharc.json',
+      '.mocharc.jsonc',
+      '.mocharc.yml',
+      '.mocharc.yaml',
+    ],
+    script: /\bmocha\b/,
+  },
+  node: { packages: [], files: [], script: /\bnode\b.*\s--test\b/ },
+  playwright: {
+    packages: ['@playwright/test'],
+    files: [
+      'playwright.config.js',
+      'playwright.config.mjs',
+      'playwright.config.ts',
+    ],
+    script: /\bplaywright test\b/,
+  },
+}
+
+// What `npm init` writes; it fails, so it does not count as a test script
+const NPM_PLACEHOLDER_TEST = 'echo "Error: no test specified" && exit 1'
+
+const VITEST_VERSION = '^2.1.3'
+const C8_VERSION = '^10.1.2'
+
+const c8 = (minimum, command) =>
+  `c8 --reporter=text --reporter=lcov${minimum ? ` --check-coverage --lines ${minimum}` : ''} ${command}`
+
+// test:changed only for runners that find the affected tests themselves;
+// listing changed files in a script would need a POSIX shell. Jest reads
+// the coverage minimum from package.json#jest (getJestCoverageThreshold).
+const RUNNER_SCRIPTS = {
+  vitest: minimum => ({
+    test: 'vitest run',
+    'test:coverage': `vitest run --coverage --coverage.reporter=text --coverage.reporter=lcov${minimum ? ` --coverage.thresholds.lines=${minimum}` : ''}`,
+    'test:changed': 'vitest run --changed',
+  }),
+  jest: () => ({
+    test: 'jest',
+    'test:coverage': 'jest --coverage',
+    'test:changed': 'jest --onlyChanged',
+  }),
+  mocha: minimum => ({
+    test: 'mocha',
+    'test:coverage': c8(minimum, 'mocha'),
+  }),
+  node: minimum => ({
+    test: 'node --test',
+    'test:coverage': c8(minimum, 'node --test'),
+  }),
+}
+
+const RUNNER_NAMES = {
+  vitest: 'Vitest',
+  jest: 'Jest',
+  mocha: 'Mocha',
+  node: 'node:test',
+  playwright: 'Playwright',
+}
+
+const readPackageJson = projectDir => {
+  try {
+    return JSON.parse(
+      fs.readFileSync(path.join(projectDir, 'package.json'), 'utf8')
+    )
+  } catch {
+    return {}
+  }
+}
+
+const findRunner = (runners, { projectDir, packageJson, testScript }) => {
+  const dependencies = {
+    ...packageJson.dependencies,
+    ...packageJson.devDependencies,
+  }
+  const byScript = runners.find(runner =>
+    RUNNER_SIGNALS[runner].script.test(testScript)
+  )
+  if (byScript) {
+    return { name: byScript, source: 'scripts.test' }
+  }
+  for (const runner of runners) {
+    const { packages, files } = RUNNER_SIGNALS[runner]
+    const dependency = packages.find(name => Object.hasOwn(dependencies, name))
+    if (dependency) {
+      return { name: runner, source: `dependency ${dependency}` }
+    }
+    const file = files.find(name => fs.existsSync(path.join(projectDir, name)))
+    if (file) {
+      return { name: runner, source: file }
+    }
+    if (runner === 'jest' && packageJson.jest) {
+      return { name: runner, source: 'package.json#jest' }
+    }
+  }
+  return null
+}
+
+/**
+ * Detect the project's unit test runner (Vitest, Jest, Mocha or node:test)
+ * and Playwright for end-to-end tests, from the test script, dependencies
+ * and config files
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Detection options
+ * @param {Object} options.packageJson - Parsed package.json; read from the
+ *   project directory when omitted
+ * @param {string|null} options.runner - `test.runner` from the project
+ *   configuration, which replaces the detected unit runner (`none` for no
+ *   unit tests)
+ * @returns {Object} - The `unit` and `e2e` runners, each `{ name, source }`
+ *   or null
+ */
+function detectTestRunners(
+  projectDir,
+  { packageJson = readPackageJson(projectDir), runner = null } = {}
+) {
+  const scripts = packageJson.scripts || {}
+  const context = {
+    projectDir,
+    packageJson,
+    testScript: [scripts.test, scripts['test:unit']].filter(Boolean).join(' '),
+  }
+  let unit = findRunner(UNIT_RUNNERS, context)
+  if (runner) {
+    unit = runner === 'none' ? null : { name: runner, source: 'configuration' }
+  }
+  const e2e = findRunner(['playwright'], {
+    ...context,
+    testScript: [context.testScript, scripts['test:e2e']]
+      .filter(Boolean)
+      .join(' '),
+  })
+  return { unit, e2e }
+}
+
+/**
+ * Display name of a test runner
+ * @param {string} runner - Runner id, e.g. `node`
+ * @returns {string} - e.g. `node:test`
+ */
+function getTestRunnerName(runner) {
+  return RUNNER_NAMES[runner]
+}
+
+/**
+ * Whether a test script is the failing placeholder `npm init` writes
+ * @param {string|undefined} script - The test script
+ * @returns {boolean}
+ */
+function isPlaceholderTestScript(script) {
+  return script === NPM_PLACEHOLDER_TEST
+}
+
+/**
+ * Get the test scripts for the detected runners: `test`, `test:coverage`
+ * (lcov and text reports, failing below the minimum line coverage) and,
+ * for Vitest and Jest, `test:changed`, plus `test:e2e` for Playwright
+ * @param {Object} options - Runner options
+ * @param {Object|null} options.unit - Unit runner from detectTestRunners
+ * @param {Object|null} options.e2e - End-to-end runner from
+ *   detectTestRunners
+ * @param {number} options.minimum - Minimum line coverage in percent; 0
+ *   reports coverage without enforcing it
+ * @returns {Object} - Scripts to add to package.json
+ */
+function getTestScripts({ unit, e2e, minimum = 0 } = {}) {
+  const scripts = unit ? RUNNER_SCRIPTS[unit.name](minimum) : {}
+  if (e2e) {
+    scripts['test:e2e'] = 'playwright test'
+    if (!unit) {
+      scripts.test = 'playwright test'
+    }
+  }
+  return scripts
+}
+
+/**
+ * Get the Jest `coverageThreshold` that fails test:coverage below the
+ * minimum line coverage, for package.json#jest
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Runner options
+ * @param {Object|null} options.unit - Unit runner from detectTestRunners
+ * @param {number} options.minimum - Minimum line coverage in percent
+ * @returns {Object|null|undefined} - The threshold; null when a Jest config
+ *   file holds the configuration instead (Jest refuses both), undefined
+ *   when there is nothing to enforce
+ */
+function getJestCoverageThreshold(projectDir, { unit, minimum = 0 }) {
+  if (!unit || unit.name !== 'jest' || !minimum) {
+    return undefined
+  }
+  const hasConfigFile = RUNNER_SIGNALS.jest.files.some(name =>
+    fs.existsSync(path.join(projectDir, name))
+  )
+  return hasConfigFile ? null : { global: { lines: minimum } }
+}
+
+/**
+ * Get the devDependencies the test scripts need: the runner itself when it
+ * is scaffolded, and its coverage provider
+ * @param {Object} options - Runner options
+ * @param {Object|null} options.unit - Unit runner from detectTestRunners
+ * @param {Object} options.packageJson - Parsed package.json, for the
+ *   installed Vitest version the coverage provider has to match
+ * @param {Object} options.versions - `versions` from the project
+ *   configuration
+ * @returns {Object} - Dev dependencies to add to package.json
+ */
+function getTestDevDependencies({ unit, packageJson = {}, versions = {} }) {
+  const devDeps = {}
+  if (!unit) {
+    return devDeps
+  }
+  if (unit.name === 'vitest') {
+    const installed = {
+      ...packageJson.dependencies,
+      ...packageJson.devDependencies,
+    }.vitest
+    if (!installed) {
+      devDeps.vitest = VITEST_VERSION
+    }
+    devDeps['@vitest/coverage-v8'] = installed || VITEST_VERSION
+  } else if (unit.name === 'mocha' || unit.name === 'node') {
+    devDeps.c8 = C8_VERSION
+  }
+  // Configured versions replace the default ranges of the packages we add
+  Object.keys(devDeps).forEach(dependency => {
+    if (versions[dependency]) {
+      devDeps[dependency] = versions[dependency]
+    }
+  })
+  return devDeps
+}
+
+const EXAMPLE_TESTS = {
+  vitest: ({ typescript }) => ({
+    file: `tests/example.test.${typescript ? 'ts' : 'js'}`,
+    content: `import { describe, expect, it } from 'vitest'
+
+describe('example', () => {
+  it('adds numbers', () => {
+    expect(1 + 1).toBe(2)
+  })
+})
+`,
+  }),
+  // .mjs runs as a module whether or not package.json sets "type"
+  node: () => ({
+    file: 'test/example.test.mjs',
+    content: `import assert from 'node:assert/strict'
+import test from 'node:test'
+
+test('adds numbers', () => {
+  assert.strictEqual(1 + 1, 2)
+})
+`,
+  }),
+}
+
+/**
+ * Add an example test for a runner the project does not have yet
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Scaffold options
+ * @param {string} options.runner - `vitest` or `node`
+ * @param {boolean} options.typescript - Whether project uses TypeScript
+ * @param {Object} options.changes - Change set from lib/file-changes
+ * @param {Object} options.logger - Receives progress messages (console API)
+ * @returns {Object} - The scaffolded unit runner, as from detectTestRunners
+ */
+function scaffoldTestRunner(
+  projectDir,
+  { runner, typescript, changes, logger }
+) {
+  const { file, content } = EXAMPLE_TESTS[runner]({ typescript })
+  const filePath = path.join(projectDir, file)
+  if (!changes.exists(filePath)) {
+    changes.write(filePath, content)
+    logger.log(`✅ Added an example ${RUNNER_NAMES[runner]} test (${file})`)
+  }
+  return { name: runner, source: 'test.scaffold' }
+}
+
+module.exports = {
+  UNIT_RUNNERS,
+  detectTestRunners,
+  getJestCoverageThreshold,
+  getTestDevDependencies,
+  getTestRunnerName,
+  getTestScripts,
+  isPlaceholderTestScript,
+  scaffoldTestRunner,
+}
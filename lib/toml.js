@@ -0,0 +1,376 @@
+'use strict'
+
+/**
+ * Extract the body of a TOML table (e.g. `workspace` or `package`)
+ * @param {string} content - TOML document content
+ * @param {string} table - Table name without brackets
+ * @returns {string|null} - Table body or null when missing
+ */
+function getTomlTable(content, table) {
+  const lines = content.split('\n')
+  const header = `[${table}]`
+  const start = lines.findIndex(line => line.trim() === header)
+  if (start === -1) {
+    return null
+  }
+  const body = []
+  for (const line of lines.slice(start + 1)) {
+    if (/^\s*\[/.test(line)) {
+      break
+    }
+    body.push(line)
+  }
+  return body.join('\n')
+}
+
+/**
+ * Read a string value from a TOML table body
+ * @param {string|null} tableBody - Table body from getTomlTable
+ * @param {string} key - Key to read
+ * @returns {string|null}
+ */
+function getTomlString(tableBody, key) {
+  if (!tableBody) {
+    return null
+  }
+  for (const line of tableBody.split('\n')) {
+    const match = line.match(/^\s*([\w-]+)\s*=\s*["']([^"']*)["']/)
+    if (match && match[1] === key) {
+      return match[2]
+    }
+  }
+  return null
+}
+
+/**
+ * Read a string array from a TOML table body (supports multi-line arrays)
+ * @param {string|null} tableBody - Table body from getTomlTable
+ * @param {string} key - Key to read
+ * @returns {Array<string>}
+ */
+function getTomlStringArray(tableBody, key) {
+  if (!tableBody) {
+    return []
+  }
+  const lines = tableBody.split('\n')
+  const start = lines.findIndex(line => {
+    const match = line.match(/^\s*([\w-]+)\s*=\s*\[/)
+    return match && match[1] === key
+  })
+  if (start === -1) {
+    return []
+  }
+  let arrayText = ''
+  for (const line of lines.slice(start)) {
+    arrayText += `${line.replace(/#.*$/, '')}\n`
+    if (line.includes(']')) {
+      break
+    }
+  }
+  const values = arrayText.match(/["'][^"']*["']/g) || []
+  return values.map(value => value.slice(1, -1))
+}
+
+/**
+ * Remove a table (header and body) from a TOML document
+ * @param {string} content - TOML document content
+ * @param {string} table - Table name without brackets
+ * @returns {string} - Content without the table
+ */
+function removeTomlTable(content, table) {
+  const lines = content.split('\n')
+  const header = `[${table}]`
+  const start = lines.findIndex(line => line.trim() === header)
+  if (start === -1) {
+    return content
+  }
+  let end = start + 1
+  while (end < lines.length && !/^\s*\[/.test(lines[end])) {
+    end++
+  }
+  const remaining = [...lines.slice(0, start), ...lines.slice(end)]
+  const trimmed = remaining.join('\n').trimEnd()
+  return trimmed ? `${trimmed}\n` : ''
+}
+
+/**
+ * List the table names declared in a TOML document
+ * @param {string} content - TOML document content
+ * @returns {Array<string>}
+ */
+function getTomlTableNames(content) {
+  return content
+    .split('\n')
+    .map(line => line.match(/^\s*\[([\w.-]+)\]\s*$/))
+    .filter(Boolean)
+    .map(match => match[1])
+}
+
+// Track open brackets and multi-line strings across lines, so array
+// elements and string content are never mistaken for keys or headers
+const scanLine = (line, state) => {
+  let index = 0
+  while (index < line.length) {
+    if (state.multiline) {
+      const close = line.indexOf(state.multiline, index)
+      if (close === -1) {
+        return
+      }
+      index = close + 3
+      state.multiline = null
+      continue
+    }
+    const char = line.charAt(index)
+    if (char === '#') {
+      return
+    }
+    const triple = line.slice(index, index + 3)
+    if (triple === '"""' || triple === "'''") {
+      state.multiline = triple
+      index += 3
+      continue
+    }
+    if (char === '"' || char === "'") {
+      let end = index + 1
+      while (end < line.length && line.charAt(end) !== char) {
+        end += char === '"' && line.charAt(end) === '\\' ? 2 : 1
+      }
+      index = end + 1
+      continue
+    }
+    if (char === '[' || char === '{') {
+      state.depth++
+    } else if (char === ']' || char === '}') {
+      state.depth--
+    }
+    index++
+  }
+}
+
+// `a."b.c".d` -> `a.b.c.d`, `"__init__.py"` -> `__init__.py`
+const normalizeKey = key =>
+  Array.from(key.matchAll(/"([^"]*)"|'([^']*)'|([\w-]+)/g))
+    .map(match => match[1] || match[2] || match[3])
+    .join('.')
+
+/**
+ * Split a TOML document into its tables (the root table has the name '')
+ * with the line range of each key/value entry
+ * @param {string} content - TOML document content
+ * @returns {Array<Object>} - `{ name, header, last, entries }` where
+ *   `header` is the header line index, `last` the table's last entry line
+ *   and `entries` the `{ key, start, end }` line ranges
+ */
+function parseTomlDocument(content) {
+  const root = { name: '', header: -1, last: -1, entries: [] }
+  const tables = [root]
+  const state = { depth: 0, multiline: null }
+  let table = root
+  let entry = null
+
+  const endEntryIfComplete = () => {
+    if (state.depth <= 0 && !state.multiline) {
+      state.depth = 0
+      entry = null
+    }
+  }
+
+  content.split('\n').forEach((line, index) => {
+    if (entry) {
+      entry.end = index
+      table.last = index
+      scanLine(line, state)
+      endEntryIfComplete()
+      return
+    }
+    const header = line.match(/^\s*\[([^[\]]+)\]\s*(?:#|$)/)
+    if (header || /^\s*\[\[/.test(line)) {
+      // Array-of-tables entries are collected under a name no table uses
+      table = {
+        name: header ? normalizeKey(header[1]) : line.trim(),
+        header: index,
+        last: index,
+        entries: [],
+      }
+      tables.push(table)
+      return
+    }
+    const key = line.match(/^\s*([\w"'.\s-]+?)\s*=/)
+    if (!key) {
+      return
+    }
+    entry = { key: normalizeKey(key[1]), start: index, end: index }
+    table.entries.push(entry)
+    table.last = index
+    scanLine(line.slice(key[0].length), state)
+    endEntryIfComplete()
+  })
+  return tables
+}
+
+// Whether a parent table already defines `name` through a dotted key or an
+// inline table (e.g. `lint.select = [...]` under [tool.ruff])
+const isDefinedByParent = (tables, name) => {
+  const parts = name.split('.')
+  return parts.some((part, index) => {
+    const parent = tables.find(
+      table => table.name === parts.slice(0, index).join('.')
+    )
+    const rest = parts.slice(index).join('.')
+    return (
+      parent &&
+      parent.entries.some(
+        ({ key }) => key === rest || key.startsWith(`${rest}.`)
+      )
+    )
+  })
+}
+
+/**
+ * Merge tables from a template into a TOML document without overwriting
+ * anything: missing tables are appended, and missing keys are added at the
+ * end of tables that already exist. The rest of the document, comments and
+ * formatting included, is left as it is.
+ * @param {string} content - TOML document content
+ * @param {string} template - TOML document to take the tables from
+ * @param {Array<string>} tables - Names of the template tables to merge
+ * @returns {Object} - The merged `content`, the `addedTables` and the
+ *   `addedKeys` per existing table
+ */
+function mergeTomlTables(content, template, tables) {
+  const templateLines = template.split('\n')
+  const templateTables = parseTomlDocument(template)
+  const addedTables = []
+  const addedKeys = {}
+  let result = content
+
+  tables.forEach(name => {
+    const source = templateTables.find(table => table.name === name)
+    if (!source) {
+      return
+    }
+    const current = parseTomlDocument(result)
+    const target = current.find(table => table.name === name)
+
+    if (!target) {
+      if (isDefinedByParent(current, name)) {
+        return
+      }
+      const block = templateLines
+        .slice(source.header, source.last + 1)
+        .join('\n')
+      const existing = result.trimEnd()
+      result = existing ? `${existing}\n\n${block}\n` : `${block}\n`
+      addedTables.push(name)
+      return
+    }
+
+    const keys = new Set(target.entries.map(({ key }) => key))
+    const missing = source.entries.filter(({ key }) => !keys.has(key))
+    if (!missing.length) {
+      return
+    }
+    const lines = result.split('\n')
+    lines.splice(
+      target.last + 1,
+      0,
+      ...missing.flatMap(({ start, end }) =>
+        templateLines.slice(start, end + 1)
+      )
+    )
+    result = lines.join('\n')
+    addedKeys[name] = missing.map(({ key }) => key)
+  })
+
+  return { content: result, addedTables, addedKeys }
+}
+
+const codeOf = line => {
+  const comment = line.indexOf('#')
+  return comment === -1 ? line : line.slice(0, comment)
+}
+
+/**
+ * Add string items to an array in a TOML table, creating the key or the
+ * table when missing. Items the array already holds are not added again,
+ * and the existing items, comments and layout are left as they are.
+ * @param {string} content - TOML document content
+ * @param {string} table - Table name without brackets
+ * @param {string} key - Key of the array inside the table
+ * @param {Array<string>} items - Items to add
+ * @param {Function} identify - Maps an item to what duplicates are compared
+ *   by (e.g. the package name of a requirement)
+ * @returns {Object} - The merged `content` and the `added` items
+ */
+function mergeTomlArray(content, table, key, items, identify = item => item) {
+  const lines = content.split('\n')
+  const target = parseTomlDocument(content).find(({ name }) => name === table)
+  const entry = target && target.entries.find(entry => entry.key === key)
+
+  const existing = entry
+    ? lines
+        .slice(entry.start, entry.end + 1)
+        .map(codeOf)
+        .join('\n')
+        .slice(lines[entry.start].indexOf('=') + 1)
+        .match(/"[^"]*"|'[^']*'/g) || []
+    : []
+  const known = new Set(existing.map(item => identify(item.slice(1, -1))))
+  const added = items.filter(item => !known.has(identify(item)))
+  if (!added.length) {
+    return { content, added }
+  }
+  const quoted = added.map(item => `"${item}"`)
+  const arrayLines = [`${key} = [`, ...quoted.map(item => `    ${item},`), ']']
+
+  if (!target) {
+    const block = [`[${table}]`, ...arrayLines].join('\n')
+    const trimmed = content.trimEnd()
+    return {
+      content: trimmed ? `${trimmed}\n\n${block}\n` : `${block}\n`,
+      added,
+    }
+  }
+  if (!entry) {
+    lines.splice(target.last + 1, 0, ...arrayLines)
+    return { content: lines.join('\n'), added }
+  }
+
+  const closing = lines[entry.end]
+  const bracket = codeOf(closing).lastIndexOf(']')
+  const beforeBracket = closing.slice(0, bracket).trimEnd()
+  if (entry.start === entry.end || beforeBracket.trim()) {
+    // `key = ["a"]` or a last line like `  "b"]`: add inline
+    const separator = /[[,]$/.test(beforeBracket) ? ' ' : ', '
+    lines[entry.end] = `${beforeBracket}${
+      beforeBracket.endsWith('[') ? '' : separator
+    }${quoted.join(', ')}${closing.slice(bracket)}`
+    return { content: lines.join('\n'), added }
+  }
+
+  // Multi-line array: add one item per line after the last existing one
+  let last = entry.end - 1
+  while (last > entry.start && !codeOf(lines[last]).trim()) {
+    last--
+  }
+  const indent = last > entry.start ? lines[last].match(/^\s*/)[0] : '    '
+  if (last > entry.start) {
+    const code = codeOf(lines[last]).trimEnd()
+    if (!code.endsWith(',')) {
+      lines[last] = `${code},${lines[last].slice(code.length)}`
+    }
+  }
+  lines.splice(last + 1, 0, ...quoted.map(item => `${indent}${item},`))
+  return { content: lines.join('\n'), added }
+}
+
+module.exports = {
+  getTomlTable,
+  getTomlTableNames,
+  mergeTomlArray,
+  mergeTomlTables,
+  parseTomlDocument,
+  removeTomlTable,
+  getTomlString,
+  getTomlStringArray,
+}
@@ -0,0 +1,382 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { isDeepStrictEqual } = require('util')
+
+const { loadProjectConfig } = require('./config')
+const { ManifestError, PackageJsonError } = require('./errors')
+const { BASE_DIR, createChangeSet } = require('./file-changes')
+const {
+  LEGACY_ESLINT_ARCHIVE_DIR,
+  restoreLegacyEslintConfig,
+} = require('./eslint-migration')
+const { assertGitRepository } = require('./git')
+const { MANIFEST_FILE, hashContent, readManifest } = require('./manifest')
+const { getTomlTable, getTomlTableNames, removeTomlTable } = require('./toml')
+const {
+  FLAT_CONFIG_FILES,
+  SHARED_ESLINT_CONFIG,
+  removeSharedEslintConfig,
+} = require('../config/languages/javascript')
+const {
+  getPyprojectToml,
+  resolvePythonVersions,
+} = require('../config/languages/python')
+
+const PACKAGE_JSON_SECTIONS = [
+  'scripts',
+  'devDependencies',
+  'engines',
+  'volta',
+  'jest',
+]
+
+const listFiles = dir =>
+  fs.existsSync(dir)
+    ? fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const entryPath = path.join(dir, entry.name)
+        return entry.isDirectory() ? listFiles(entryPath) : [entryPath]
+      })
+    : []
+
+// Delete directories left empty by the uninstall, walking up to the root
+const pruneEmptyDirs = (projectDir, filePath) => {
+  let dir = path.dirname(filePath)
+  while (dir.startsWith(`${projectDir}${path.sep}`)) {
+    if (!fs.existsSync(dir) || fs.readdirSync(dir).length) {
+      return
+    }
+    fs.rmdirSync(dir)
+    dir = path.dirname(dir)
+  }
+}
+
+/**
+ * Strip the template's `[tool.*]` tables from an edited pyproject.toml.
+ * Tables that still match the template are removed; edited ones are kept.
+ * @param {string} content - Current pyproject.toml content
+ * @param {Object} report - Uninstall report to append to
+ * @param {Object} options - Template options
+ * @param {string} options.pythonVersion - Oldest Python setup generated for
+ * @param {string|null} options.maxPythonVersion - Newest Python setup
+ *   generated for
+ * @returns {string} - Content without the untouched tool tables
+ */
+function removePyprojectTables(
+  content,
+  report,
+  { pythonVersion, maxPythonVersion } = {}
+) {
+  const template = getPyprojectToml({ pythonVersion, maxPythonVersion })
+  let result = content
+  getTomlTableNames(template)
+    .filter(table => table.startsWith('tool.'))
+    .forEach(table => {
+      const current = getTomlTable(result, table)
+      if (current === null) {
+        return
+      }
+      const label = `pyproject.toml [${table}]`
+      if (current.trim() === getTomlTable(template, table).trim()) {
+        result = removeTomlTable(result, table)
+        report.removed.push(label)
+      } else {
+        report.kept.push({ item: label, reason: 'edited since setup' })
+      }
+    })
+  return result
+}
+
+/**
+ * Strip the `[tool.*]` tables setup merged into a pre-existing
+ * pyproject.toml. Tables whose content still matches the recorded hash are
+ * removed; edited ones are kept.
+ * @param {string} content - Current pyproject.toml content
+ * @param {Object} tables - `pyprojectTables` section of the manifest
+ * @param {Object} report - Uninstall report to append to
+ * @returns {string} - Content without the untouched merged tables
+ */
+function removeMergedPyprojectTables(content, tables, report) {
+  let result = content
+  Object.entries(tables).forEach(([table, entry]) => {
+    const current = getTomlTable(result, table)
+    if (current === null) {
+      return
+    }
+    const label = `pyproject.toml [${table}]`
+    if (hashContent(current.trim()) === entry.hash) {
+      result = removeTomlTable(result, table)
+      report.removed.push(label)
+    } else {
+      report.kept.push({ item: label, reason: 'edited since setup' })
+    }
+  })
+  return result
+}
+
+/**
+ * Undo the husky hook-up setup made to the prepare script
+ * @param {string} injected - Prepare script as setup left it
+ * @returns {string|null|false} - The original script, null when setup added
+ *   the whole script, or false when the original cannot be restored
+ */
+function revertPrepareScript(injected) {
+  if (injected === 'husky') {
+    return null
+  }
+  const suffix = ' && husky'
+  return injected.endsWith(suffix) ? injected.slice(0, -suffix.length) : false
+}
+
+/**
+ * Remove the package.json entries recorded in the manifest that still hold
+ * the injected value
+ * @param {Object} pkg - Parsed package.json (mutated)
+ * @param {Object} injected - `packageJson` section of the manifest
+ * @param {Object} report - Uninstall report to append to
+ */
+function removePackageJsonEntries(pkg, injected, report) {
+  PACKAGE_JSON_SECTIONS.forEach(field => {
+    const removedBefore = report.removed.length
+    Object.entries(injected[field] || {}).forEach(([key, value]) => {
+      const label = `package.json ${field}.${key}`
+      const current = pkg[field] ? pkg[field][key] : undefined
+      if (current === undefined) {
+        return
+      }
+      if (!isDeepStrictEqual(current, value)) {
+        report.kept.push({ item: label, reason: 'changed since setup' })
+        return
+      }
+      if (field === 'scripts' && key === 'prepare') {
+        const original = revertPrepareScript(value)
+        if (original === false) {
+          report.kept.push({
+            item: label,
+            reason: 'original prepare script cannot be restored',
+          })
+          return
+        }
+        if (original !== null) {
+          pkg.scripts.prepare = original
+          report.removed.push(`${label} (husky hook-up)`)
+          return
+        }
+      }
+      delete pkg[field][key]
+      report.removed.push(label)
+    })
+    // Drop sections that only held injected entries
+    if (
+      report.removed.length > removedBefore &&
+      !Object.keys(pkg[field]).length
+    ) {
+      delete pkg[field]
+    }
+  })
+
+  const lintStaged = pkg['lint-staged']
+  Object.entries(injected.lintStaged || {}).forEach(([pattern, commands]) => {
+    if (!lintStaged || lintStaged[pattern] === undefined) {
+      return
+    }
+    const current = Array.isArray(lintStaged[pattern])
+      ? lintStaged[pattern]
+      : [lintStaged[pattern]]
+    const remaining = current.filter(command => !commands.includes(command))
+    if (remaining.length === current.length) {
+      return
+    }
+    if (remaining.length) {
+      lintStaged[pattern] = remaining
+      report.removed.push(`package.json lint-staged["${pattern}"] (commands)`)
+    } else {
+      delete lintStaged[pattern]
+      report.removed.push(`package.json lint-staged["${pattern}"]`)
+    }
+  })
+  if (lintStaged && !Object.keys(lintStaged).length) {
+    delete pkg['lint-staged']
+  }
+}
+
+/**
+ * Revert what setup installed, as recorded in .quality-automation.json.
+ * Files are deleted only while their hash still matches the manifest, and
+ * package.json entries only while they hold the injected value; everything
+ * else is kept and reported.
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Uninstall options
+ * @param {boolean} options.dryRun - Plan the removals without applying them
+ * @param {Object} options.changes - Change set from lib/file-changes
+ * @returns {Object} - `removed` items, `restored` legacy ESLint configs,
+ *   `kept` items with the reason, and the file `changes` (as from
+ *   changeSet.getChanges())
+ * @throws {NotGitRepositoryError} When projectDir is not in a git repository
+ * @throws {ManifestError} When there is no readable manifest
+ * @throws {ConfigError} When the project configuration is invalid
+ */
+function uninstallQualityAutomation(
+  projectDir,
+  { dryRun = false, changes = createChangeSet({ projectDir, dryRun }) } = {}
+) {
+  assertGitRepository(projectDir)
+  const manifest = readManifest(projectDir, changes)
+  if (!manifest) {
+    throw new ManifestError(
+      `${MANIFEST_FILE} not found; cannot tell which files setup generated`,
+      {
+        hint: 'Only projects set up with a version that writes the manifest can be uninstalled.',
+      }
+    )
+  }
+
+  const config = loadProjectConfig(projectDir)
+  const report = { removed: [], restored: [], kept: [], changes: [] }
+  const removedPaths = []
+  const removeFile = filePath => {
+    changes.remove(filePath)
+    removedPaths.push(filePath)
+  }
+
+  Object.entries(manifest.files || {}).forEach(([key, entry]) => {
+    const filePath = path.join(projectDir, key)
+    const content = changes.readIfExists(filePath)
+    if (content === null) {
+      return
+    }
+    if (hashContent(content) === entry.hash) {
+      removeFile(filePath)
+      report.removed.push(key)
+      return
+    }
+    if (key === 'pyproject.toml') {
+      const { minimum, maximum } = resolvePythonVersions(projectDir, config)
+      const stripped = removePyprojectTables(content, report, {
+        pythonVersion: minimum,
+        maxPythonVersion: maximum,
+      })
+      if (stripped !== content) {
+        changes.write(filePath, stripped)
+      }
+      return
+    }
+    report.kept.push({ item: key, reason: 'modified after setup' })
+  })
+
+  // Tables merged into a pyproject.toml the project already had
+  const pyprojectPath = path.join(projectDir, 'pyproject.toml')
+  const pyprojectContent = changes.readIfExists(pyprojectPath)
+  if (pyprojectContent !== null && manifest.pyprojectTables) {
+    const stripped = removeMergedPyprojectTables(
+      pyprojectContent,
+      manifest.pyprojectTables,
+      report
+    )
+    if (stripped !== pyprojectContent) {
+      changes.write(pyprojectPath, stripped)
+    }
+  }
+
+  // Hand-written ESLint configs setup made spread the shared module
+  FLAT_CONFIG_FILES.forEach(file => {
+    const filePath = path.join(projectDir, file)
+    const content = changes.readIfExists(filePath)
+    if (content !== null && content.includes(SHARED_ESLINT_CONFIG)) {
+      changes.write(filePath, removeSharedEslintConfig(content))
+      report.removed.push(`${file} (${SHARED_ESLINT_CONFIG} import)`)
+    }
+  })
+
+  const packageJsonPath = path.join(projectDir, 'package.json')
+  const packageJsonContent = changes.readIfExists(packageJsonPath)
+  let pkg = null
+  if (packageJsonContent !== null) {
+    try {
+      pkg = JSON.parse(packageJsonContent)
+    } catch (error) {
+      throw new PackageJsonError(
+        `Error parsing package.json: ${error.message}`,
+        { cause: error }
+      )
+    }
+  }
+
+  // Legacy ESLint configs setup migrated go back once eslint.config.cjs,
+  // which holds their settings, is gone
+  const archiveDir = path.join(projectDir, LEGACY_ESLINT_ARCHIVE_DIR)
+  if (changes.exists(path.join(projectDir, 'eslint.config.cjs'))) {
+    if (fs.existsSync(archiveDir)) {
+      report.kept.push({
+        item: LEGACY_ESLINT_ARCHIVE_DIR,
+        reason: 'eslint.config.cjs with the migrated settings was kept',
+      })
+    }
+  } else {
+    removedPaths.push(...listFiles(archiveDir))
+    const legacy = restoreLegacyEslintConfig(projectDir, {
+      packageJson: pkg,
+      changes,
+    })
+    report.restored.push(...legacy.restored)
+    report.kept.push(...legacy.kept)
+  }
+
+  if (pkg && (manifest.packageJson || report.restored.length)) {
+    removePackageJsonEntries(pkg, manifest.packageJson || {}, report)
+    const trailingNewline = packageJsonContent.endsWith('\n') ? '\n' : ''
+    changes.write(
+      packageJsonPath,
+      `${JSON.stringify(pkg, null, 2)}${trailingNewline}`
+    )
+  }
+
+  // Bookkeeping goes last so nothing is left pointing at removed files
+  listFiles(path.join(projectDir, BASE_DIR)).forEach(removeFile)
+  removeFile(path.join(projectDir, MANIFEST_FILE))
+
+  if (!changes.dryRun) {
+    removedPaths.forEach(filePath => pruneEmptyDirs(projectDir, filePath))
+  }
+
+  report.changes = changes.getChanges()
+  return report
+}
+
+/**
+ * Format the outcome of an uninstall
+ * @param {Object} report - Result of uninstallQualityAutomation
+ * @returns {string}
+ */
+function formatUninstallReport(report) {
+  const lines = ['🧹 Uninstall summary:']
+  if (report.removed.length) {
+    lines.push('  🗑️ removed:')
+    report.removed.forEach(item => lines.push(`    ${item}`))
+  }
+  if (report.restored.length) {
+    lines.push('  ♻️ restored:')
+    report.restored.forEach(item => lines.push(`    ${item}`))
+  }
+  if (report.kept.length) {
+    lines.push('  ℹ️ kept (modified after setup):')
+    report.kept.forEach(({ item, reason }) =>
+      lines.push(`    ${item} (${reason})`)
+    )
+  }
+  if (
+    !report.removed.length &&
+    !report.restored.length &&
+    !report.kept.length
+  ) {
+    lines.push('  Nothing left to remove')
+  }
+  return lines.join('\n')
+}
+
+module.exports = {
+  uninstallQualityAutomation,
+  formatUninstallReport,
+  revertPrepareScript,
+}
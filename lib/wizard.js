@@ -0,0 +1,283 @@
+'use strict'
+
+const readline = require('readline')
+
+const {
+  CI_PROVIDERS,
+  LANGUAGES,
+  isNodeVersion,
+  isPythonVersion,
+  loadProjectConfig,
+} = require('./config')
+const { detectProjectLanguages, getDetectedLanguages } = require('./detectors')
+const { resolveNodeVersion } = require('./node-version')
+const { detectPackageManager } = require('./package-manager')
+const { resolvePythonVersions } = require('../config/languages/python')
+
+// Tools the wizard asks about, and the languages that use them
+const TOOL_QUESTIONS = [
+  { tool: 'prettier', languages: ['javascript'], label: 'Prettier' },
+  { tool: 'eslint', languages: ['javascript'], label: 'ESLint' },
+  {
+    tool: 'security',
+    languages: ['javascript'],
+    label: 'eslint-plugin-security rules',
+    requires: 'eslint',
+  },
+  { tool: 'stylelint', languages: ['javascript'], label: 'Stylelint' },
+  {
+    tool: 'husky',
+    languages: ['javascript'],
+    label: 'Husky + lint-staged pre-commit hook',
+  },
+  {
+    tool: 'preCommit',
+    languages: ['python', 'rust', 'go'],
+    label: 'pre-commit framework hooks',
+  },
+]
+
+// Environment variables set by common CI services
+const CI_VARIABLES = [
+  'CI',
+  'GITHUB_ACTIONS',
+  'GITLAB_CI',
+  'CIRCLECI',
+  'BUILDKITE',
+  'JENKINS_URL',
+  'TF_BUILD',
+]
+
+/**
+ * Whether the CLI should ask questions: only in a terminal, outside CI,
+ * for a plain setup run without --yes
+ * @param {Object} options - Run context
+ * @param {Array<string>} options.argv - CLI arguments
+ * @param {Object} options.env - Environment variables
+ * @param {Object} options.input - Stream answers are read from
+ * @param {Object} options.output - Stream questions are written to
+ * @returns {boolean}
+ */
+function shouldRunWizard({
+  argv = [],
+  env = process.env,
+  input = process.stdin,
+  output = process.stdout,
+} = {}) {
+  const skipFlags = ['--yes', '-y', '--update', '--uninstall']
+  if (argv.some(arg => skipFlags.includes(arg))) {
+    return false
+  }
+  if (CI_VARIABLES.some(name => env[name] && env[name] !== 'false')) {
+    return false
+  }
+  return Boolean(input.isTTY && output.isTTY)
+}
+
+// Reads answers line by line; also works when answers are piped in before
+// the questions are asked. Resolves null once the input ends.
+const createPrompter = (input, output) => {
+  const rl = readline.createInterface({ input, terminal: false })
+  const lines = []
+  const waiting = []
+  let closed = false
+  rl.on('line', line => {
+    const resolve = waiting.shift()
+    if (resolve) {
+      resolve(line)
+    } else {
+      lines.push(line)
+    }
+  })
+  rl.on('close', () => {
+    closed = true
+    waiting.splice(0).forEach(resolve => resolve(null))
+  })
+
+  const ask = question => {
+    output.write(question)
+    if (lines.length) {
+      return Promise.resolve(lines.shift())
+    }
+    if (closed) {
+      return Promise.resolve(null)
+    }
+    return new Promise(resolve => waiting.push(resolve))
+  }
+
+  // Ask until the answer parses; an empty answer or end of input keeps
+  // the default
+  const askUntilValid = async (question, defaultValue, parse) => {
+    for (;;) {
+      const answer = await ask(question)
+      if (answer === null || !answer.trim()) {
+        if (answer === null) {
+          output.write('\n')
+        }
+        return defaultValue
+      }
+      const parsed = parse(answer.trim())
+      if (parsed.error) {
+        output.write(`   ${parsed.error}\n`)
+      } else {
+        return parsed.value
+      }
+    }
+  }
+
+  return { askUntilValid, close: () => rl.close() }
+}
+
+const parseYesNo = answer => {
+  if (/^y(es)?$/i.test(answer)) {
+    return { value: true }
+  }
+  if (/^no?$/i.test(answer)) {
+    return { value: false }
+  }
+  return { error: 'Please answer y or n.' }
+}
+
+const parseLanguages = answer => {
+  const languages = answer.split(/[\s,]+/).filter(Boolean)
+  const unknown = languages.filter(language => !LANGUAGES.includes(language))
+  if (unknown.length) {
+    return {
+      error: `Unknown language ${unknown.join(', ')} (choose from ${LANGUAGES.join(', ')}).`,
+    }
+  }
+  return { value: [...new Set(languages)] }
+}
+
+const parseChoice = choices => answer =>
+  choices.includes(answer)
+    ? { value: answer }
+    : { error: `Choose one of ${choices.join(', ')}.` }
+
+const parseVersion = (isValid, example) => answer =>
+  isValid(answer)
+    ? { value: answer }
+    : { error: `Enter a version like ${example}.` }
+
+/**
+ * Ask which languages, tools, versions and CI provider to set up. Defaults
+ * come from detection and the current project configuration, so pressing
+ * Enter throughout gives the same result as a non-interactive run.
+ * @param {string} projectDir - Project directory path
+ * @param {Object} options - Wizard options
+ * @param {Object} options.input - Stream answers are read from
+ * @param {Object} options.output - Stream questions are written to
+ * @returns {Promise<Object>} - `settings` in the configuration file format
+ *   (for setupQualityAutomation) and whether to `install` dependencies
+ * @throws {ConfigError} When the current project configuration is invalid
+ */
+async function runSetupWizard(
+  projectDir,
+  { input = process.stdin, output = process.stdout } = {}
+) {
+  const config = loadProjectConfig(projectDir)
+  const detection = detectProjectLanguages(projectDir)
+  const detected = getDetectedLanguages(detection).filter(language =>
+    LANGUAGES.includes(language)
+  )
+  const packageManager = detectPackageManager(projectDir)
+  const say = (line = '') => output.write(`${line}\n`)
+  const { askUntilValid, close } = createPrompter(input, output)
+
+  try {
+    say('🔍 Detected:')
+    if (detected.length) {
+      detected.forEach(language => {
+        say(`   • ${language} (${detection.files[language].join(', ')})`)
+      })
+    } else {
+      say('   • no supported language')
+    }
+    if (detected.includes('javascript')) {
+      say(`   • package manager: ${packageManager.name}`)
+    }
+    if (detection.workspaces.isMonorepo) {
+      say(`   • ${detection.workspaces.packages.length} workspace package(s)`)
+    }
+    say()
+
+    const defaultLanguages = config.languages || detected
+    const languages = await askUntilValid(
+      `Languages to set up [${defaultLanguages.join(', ') || 'none'}]: `,
+      defaultLanguages,
+      parseLanguages
+    )
+
+    const tools = {}
+    for (const question of TOOL_QUESTIONS) {
+      const applies = question.languages.some(language =>
+        languages.includes(language)
+      )
+      if (!applies || (question.requires && !tools[question.requires])) {
+        continue
+      }
+      const enabled = config.tools[question.tool]
+      tools[question.tool] = await askUntilValid(
+        `Use ${question.label}? (${enabled ? 'Y/n' : 'y/N'}) `,
+        enabled,
+        parseYesNo
+      )
+    }
+    if (tools.eslint === false) {
+      tools.security = false
+    }
+
+    // An empty answer with nothing detected leaves languages to detection
+    const settings = languages.length ? { languages, tools } : { tools }
+
+    if (languages.includes('javascript')) {
+      const nodeVersion = resolveNodeVersion(projectDir, config).version
+      const version = await askUntilValid(
+        `Node.js version [${nodeVersion}]: `,
+        nodeVersion,
+        parseVersion(isNodeVersion, '22 or 22.11.0')
+      )
+      // Keeping the detected version leaves the project's own pins in charge
+      if (config.node.version || version !== nodeVersion) {
+        settings.node = { version }
+      }
+    }
+    if (languages.includes('python')) {
+      const pythonVersion = resolvePythonVersions(projectDir, config).minimum
+      const version = await askUntilValid(
+        `Python version [${pythonVersion}]: `,
+        pythonVersion,
+        parseVersion(isPythonVersion, '3.11')
+      )
+      // Keeping the detected version leaves it to the project, so a later
+      // requires-python change or --update still moves it
+      if (config.python.version || version !== pythonVersion) {
+        settings.python = { version }
+      }
+    }
+
+    settings.ci = {
+      provider: await askUntilValid(
+        `CI provider (${CI_PROVIDERS.join('/')}) [${config.ci.provider}]: `,
+        config.ci.provider,
+        parseChoice(CI_PROVIDERS)
+      ),
+    }
+
+    const install = await askUntilValid(
+      'Install dependencies when setup finishes? (Y/n) ',
+      true,
+      parseYesNo
+    )
+    say()
+
+    return { settings, install }
+  } finally {
+    close()
+  }
+}
+
+module.exports = {
+  runSetupWizard,
+  shouldRunWizard,
+}
@@ -0,0 +1,225 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+const { expandDirectoryPattern } = require('./glob')
+
+// Conventional package folders for Turborepo/Nx repos that do not declare
+// package manager workspaces
+const DEFAULT_PACKAGE_PATTERNS = ['apps/*', 'libs/*', 'packages/*']
+
+// Tasks the workspace CI step runs in every package when they exist
+const WORKSPACE_TASKS = ['lint', 'test']
+
+// Package-level configs that override the shared root configuration
+const OVERRIDE_CONFIGS = [
+  'eslint.config.js',
+  'eslint.config.cjs',
+  'eslint.config.mjs',
+  '.prettierrc',
+  '.prettierrc.json',
+  '.stylelintrc.json',
+  'tsconfig.json',
+]
+
+const readJsonIfExists = filePath => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Read workspace globs from package.json (`workspaces` array or the Yarn
+ * `{ packages: [...] }` form)
+ * @param {Object|null} packageJson - Parsed root package.json
+ * @returns {Array<string>}
+ */
+function getPackageJsonWorkspaces(packageJson) {
+  if (!packageJson || !packageJson.workspaces) {
+    return []
+  }
+  const { workspaces } = packageJson
+  if (Array.isArray(workspaces)) {
+    return workspaces.filter(pattern => typeof pattern === 'string')
+  }
+  return Array.isArray(workspaces.packages)
+    ? workspaces.packages.filter(pattern => typeof pattern === 'string')
+    : []
+}
+
+/**
+ * Read the `packages` list from pnpm-workspace.yaml
+ * @param {string} content - pnpm-workspace.yaml content
+ * @returns {Array<string>}
+ */
+function parsePnpmWorkspace(content) {
+  const patterns = []
+  let inPackages = false
+  content.split('\n').forEach(rawLine => {
+    const line = rawLine.replace(/\s+#.*$/, '')
+    if (/^packages:\s*$/.test(line)) {
+      inPackages = true
+      return
+    }
+    if (/^\S/.test(line)) {
+      inPackages = false
+      return
+    }
+    const match = inPackages && line.match(/^\s+-\s*(.+?)\s*$/)
+    if (match) {
+      patterns.push(match[1].replace(/^["']|["']$/g, ''))
+    }
+  })
+  return patterns
+}
+
+/**
+ * List the tasks a turbo.json defines (`tasks` in v2, `pipeline` in v1)
+ * @param {Object|null} turboJson - Parsed turbo.json
+ * @returns {Array<string>}
+ */
+function getTurboTasks(turboJson) {
+  if (!turboJson) {
+    return []
+  }
+  const tasks = turboJson.tasks || turboJson.pipeline || {}
+  return Object.keys(tasks).map(task => task.split('#').pop())
+}
+
+const isPackageDir = (projectDir, dir) =>
+  fs.existsSync(path.join(projectDir, dir, 'package.json')) ||
+  fs.existsSync(path.join(projectDir, dir, 'project.json'))
+
+const expandPatterns = (projectDir, patterns) => {
+  const included = new Set()
+  patterns
+    .filter(pattern => !pattern.startsWith('!'))
+    .forEach(pattern => {
+      expandDirectoryPattern(projectDir, pattern).forEach(dir =>
+        included.add(dir)
+      )
+    })
+  patterns
+    .filter(pattern => pattern.startsWith('!'))
+    .forEach(pattern => {
+      expandDirectoryPattern(projectDir, pattern.slice(1)).forEach(dir =>
+        included.delete(dir)
+      )
+    })
+  return Array.from(included)
+    .filter(dir => dir && isPackageDir(projectDir, dir))
+    .sort()
+}
+
+/**
+ * Detect npm/Yarn/pnpm workspaces, Turborepo and Nx
+ * @param {string} projectDir - Project directory path
+ * @returns {Object} - `isMonorepo`, the config `sources` found, the
+ *   `orchestrator` ('turbo' | 'nx' | null), the workspace `patterns`, the
+ *   CI `tasks` and the `packages` ({ dir, name, overrides })
+ */
+function detectWorkspaces(projectDir) {
+  const sources = []
+  const patterns = []
+
+  const packageJson = readJsonIfExists(path.join(projectDir, 'package.json'))
+  const packageJsonPatterns = getPackageJsonWorkspaces(packageJson)
+  if (packageJsonPatterns.length) {
+    sources.push('package.json')
+    patterns.push(...packageJsonPatterns)
+  }
+
+  const pnpmWorkspacePath = path.join(projectDir, 'pnpm-workspace.yaml')
+  if (fs.existsSync(pnpmWorkspacePath)) {
+    sources.push('pnpm-workspace.yaml')
+    patterns.push(
+      ...parsePnpmWorkspace(fs.readFileSync(pnpmWorkspacePath, 'utf8'))
+    )
+  }
+
+  const turboJson = readJsonIfExists(path.join(projectDir, 'turbo.json'))
+  if (turboJson) {
+    sources.push('turbo.json')
+  }
+  const hasNx = fs.existsSync(path.join(projectDir, 'nx.json'))
+  if (hasNx) {
+    sources.push('nx.json')
+  }
+
+  const orchestrator = turboJson ? 'turbo' : hasNx ? 'nx' : null
+  if (!patterns.length && orchestrator) {
+    patterns.push(...DEFAULT_PACKAGE_PATTERNS)
+  }
+
+  const packages = expandPatterns(projectDir, [...new Set(patterns)]).map(
+    dir => {
+      const manifest =
+        readJsonIfExists(path.join(projectDir, dir, 'package.json')) ||
+        readJsonIfExists(path.join(projectDir, dir, 'project.json')) ||
+        {}
+      return {
+        dir,
+        name: typeof manifest.name === 'string' ? manifest.name : dir,
+        overrides: OVERRIDE_CONFIGS.filter(file =>
+          fs.existsSync(path.join(projectDir, dir, file))
+        ),
+      }
+    }
+  )
+
+  const tasks =
+    orchestrator === 'turbo'
+      ? WORKSPACE_TASKS.filter(task => getTurboTasks(turboJson).includes(task))
+      : WORKSPACE_TASKS
+
+  return {
+    isMonorepo: packages.length > 0,
+    sources,
+    orchestrator,
+    patterns: [...new Set(patterns)],
+    tasks,
+    packages,
+  }
+}
+
+/**
+ * Shell command that runs the workspace tasks in every package
+ * @param {Object} workspaces - Result of detectWorkspaces
+ * @param {Object} commands - Result of getPackageManagerCommands
+ * @returns {string|null} - Command, or null when there is nothing to run
+ */
+function getWorkspaceTaskCommand(
+  { orchestrator, tasks },
+  { name = 'npm', exec = 'npx', berry = false } = {}
+) {
+  if (!tasks.length) {
+    return null
+  }
+  if (orchestrator === 'turbo') {
+    return `${exec} turbo run ${tasks.join(' ')}`
+  }
+  if (orchestrator === 'nx') {
+    return `${exec} nx run-many -t ${tasks.join(' ')}`
+  }
+  const runTask = task => {
+    if (name === 'pnpm') {
+      return `pnpm -r --if-present run ${task}`
+    }
+    if (name === 'yarn' && berry) {
+      return `yarn workspaces foreach --all run ${task}`
+    }
+    // npm reads the workspaces field no matter which tool installed them
+    return `npm run ${task} --workspaces --if-present`
+  }
+  return tasks.map(runTask).join(' && ')
+}
+
+module.exports = {
+  detectWorkspaces,
+  getPackageJsonWorkspaces,
+  getWorkspaceTaskCommand,
+  parsePnpmWorkspace,
+}
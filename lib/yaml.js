@@ -0,0 +1,265 @@
+'use strict'
+
+// The YAML subset config files use: block maps and lists, flow `[...]`
+// and `{...}` collections, and plain, quoted, boolean, null and number
+// scalars. Anchors, tags and multi-line strings are not supported.
+
+const unsupported = what => new Error(`Unsupported YAML: ${what}`)
+
+// Drop a `#` comment that starts the line or follows whitespace, outside
+// of quotes
+const stripComment = line => {
+  let quote = null
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quote) {
+      if (char === quote) {
+        quote = null
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i)
+    }
+  }
+  return line
+}
+
+const parseScalar = text => {
+  const value = text.trim()
+  if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+    return value.slice(1, -1).replace(/''/g, "'")
+  }
+  if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+    return JSON.parse(value)
+  }
+  if (['|', '>'].includes(value[0])) {
+    throw unsupported('multi-line strings')
+  }
+  if (['&', '*', '!'].includes(value[0])) {
+    throw unsupported('anchors, aliases and tags')
+  }
+  if (['true', 'True', 'TRUE'].includes(value)) {
+    return true
+  }
+  if (['false', 'False', 'FALSE'].includes(value)) {
+    return false
+  }
+  if (['', '~', 'null', 'Null', 'NULL'].includes(value)) {
+    return null
+  }
+  if (/^[-+]?[\d.]+$/.test(value) && !Number.isNaN(Number(value))) {
+    return Number(value)
+  }
+  return value
+}
+
+// Index of the `:` that ends a map key, or -1
+const findKeyEnd = text => {
+  let quote = null
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (quote) {
+      if (char === quote) {
+        quote = null
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (
+      char === ':' &&
+      (i + 1 === text.length || /\s/.test(text[i + 1]))
+    ) {
+      return i
+    }
+  }
+  return -1
+}
+
+const parseKey = text => {
+  const key = parseScalar(text)
+  return key === null ? text.trim() : String(key)
+}
+
+// Flow collections: `[a, 'b', { c: 1 }]`
+const parseFlow = text => {
+  let index = 0
+  const skipSpace = () => {
+    while (/\s/.test(text[index] || '')) {
+      index++
+    }
+  }
+  const parseValue = stops => {
+    skipSpace()
+    if (text[index] === '[') {
+      index++
+      const list = []
+      skipSpace()
+      while (text[index] !== ']') {
+        list.push(parseValue(',]'))
+        skipSpace()
+        if (text[index] === ',') {
+          index++
+          skipSpace()
+        } else if (text[index] !== ']') {
+          throw unsupported(`unterminated list in "${text}"`)
+        }
+      }
+      index++
+      return list
+    }
+    if (text[index] === '{') {
+      index++
+      const map = {}
+      skipSpace()
+      while (text[index] !== '}') {
+        const key = parseValue(':,}')
+        skipSpace()
+        if (text[index] !== ':') {
+          throw unsupported(`flow map entry without a value in "${text}"`)
+        }
+        index++
+        map[String(key)] = parseValue(',}')
+        skipSpace()
+        if (text[index] === ',') {
+          index++
+          skipSpace()
+        } else if (text[index] !== '}') {
+          throw unsupported(`unterminated map in "${text}"`)
+        }
+      }
+      index++
+      return map
+    }
+    const start = index
+    if (text[index] === '"' || text[index] === "'") {
+      const quote = text[index]
+      index++
+      while (index < text.length && text[index] !== quote) {
+        index += text[index] === '\\' && quote === '"' ? 2 : 1
+      }
+      index++
+    } else {
+      while (index < text.length && !stops.includes(text[index])) {
+        index++
+      }
+    }
+    return parseScalar(text.slice(start, index))
+  }
+  const value = parseValue('')
+  skipSpace()
+  if (index < text.length) {
+    throw unsupported(`trailing content in "${text}"`)
+  }
+  return value
+}
+
+const parseValueText = text => {
+  const value = text.trim()
+  return value.startsWith('[') || value.startsWith('{')
+    ? parseFlow(value)
+    : parseScalar(value)
+}
+
+/**
+ * Parse a YAML document in the subset config files use
+ * @param {string} content - YAML content
+ * @returns {*} - Parsed value
+ * @throws {Error} When the document uses unsupported YAML
+ */
+function parseYaml(content) {
+  const lines = content
+    .split('\n')
+    .map(line => stripComment(line).replace(/\s+$/, ''))
+    .filter(line => line.trim() && line.trim() !== '---')
+    .map(line => {
+      if (line.startsWith('\t')) {
+        throw unsupported('tab indentation')
+      }
+      return {
+        indent: line.length - line.trimStart().length,
+        text: line.trim(),
+      }
+    })
+  let index = 0
+
+  const parseBlock = indent => {
+    const isList =
+      lines[index].text === '-' || lines[index].text.startsWith('- ')
+    return isList ? parseList(indent) : parseMap(indent)
+  }
+
+  // The value after `key:` or `-`: inline, or the block on the next lines
+  const parseNested = (text, parentIndent, { listAllowed }) => {
+    if (text) {
+      return parseValueText(text)
+    }
+    const next = lines[index]
+    if (
+      next &&
+      (next.indent > parentIndent ||
+        (listAllowed &&
+          next.indent === parentIndent &&
+          next.text.startsWith('-')))
+    ) {
+      return parseBlock(next.indent)
+    }
+    return null
+  }
+
+  const parseMap = indent => {
+    const map = {}
+    while (index < lines.length && lines[index].indent === indent) {
+      const { text } = lines[index]
+      if (text.startsWith('- ') || text === '-') {
+        break
+      }
+      const keyEnd = findKeyEnd(text)
+      if (keyEnd === -1) {
+        throw unsupported(`"${text}" is not a key: value pair`)
+      }
+      index++
+      map[parseKey(text.slice(0, keyEnd))] = parseNested(
+        text.slice(keyEnd + 1).trim(),
+        indent,
+        { listAllowed: true }
+      )
+    }
+    return map
+  }
+
+  const parseList = indent => {
+    const list = []
+    while (
+      index < lines.length &&
+      lines[index].indent === indent &&
+      (lines[index].text === '-' || lines[index].text.startsWith('- '))
+    ) {
+      const item = lines[index].text.slice(1).trim()
+      const keyEnd =
+        item.startsWith('[') || item.startsWith('{') ? -1 : findKeyEnd(item)
+      if (keyEnd === -1) {
+        index++
+        list.push(parseNested(item, indent, { listAllowed: false }))
+        continue
+      }
+      // `- key: value` starts a map indented to the key
+      const itemIndent = indent + lines[index].text.indexOf(item)
+      lines[index] = { indent: itemIndent, text: item }
+      list.push(parseMap(itemIndent))
+    }
+    return list
+  }
+
+  if (!lines.length) {
+    return null
+  }
+  const result = parseBlock(lines[0].indent)
+  if (index < lines.length) {
+    throw unsupported(`unexpected indentation at "${lines[index].text}"`)
+  }
+  return result
+}
+
+module.exports = {
+  parseYaml,
+}
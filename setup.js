@@ -5,456 +5,308 @@ const path = require('path')
 const { execSync } = require('child_process')
 
 const {
-  detectProjectLanguages,
-  getPrimaryLanguage,
-  isMultiLanguageProject,
-  getDetectedLanguages,
-} = require('./lib/detectors')
-
+  QualityAutomationError,
+  formatPlan,
+  formatReconcileSummary,
+  formatUninstallReport,
+  setupQualityAutomation,
+  uninstallQualityAutomation,
+} = require('./lib')
 const {
-  STYLELINT_EXTENSIONS,
-  getDefaultDevDependencies,
-  getDefaultLintStaged,
-  getDefaultScripts,
-} = require('./config/defaults')
-
-const javascriptSetup = require('./config/languages/javascript')
-const pythonSetup = require('./config/languages/python')
-
-const STYLELINT_EXTENSION_SET = new Set(STYLELINT_EXTENSIONS)
-const STYLELINT_DEFAULT_TARGET = `**/*.{${STYLELINT_EXTENSIONS.join(',')}}`
-const STYLELINT_EXTENSION_GLOB = `*.{${STYLELINT_EXTENSIONS.join(',')}}`
-const STYLELINT_SCAN_EXCLUDES = new Set([
-  '.git',
-  '.github',
-  '.husky',
-  '.next',
-  '.nuxt',
-  '.output',
-  '.turbo',
-  '.vercel',
-  '.cache',
-  '.pnpm-store',
-  'coverage',
-  'node_modules',
-])
-const MAX_STYLELINT_SCAN_DEPTH = 4
-
-const safeReadDir = dir => {
+  detectPackageManager,
+  getPackageManagerCommands,
+} = require('./lib/package-manager')
+const {
+  formatSecretsReport,
+  scanSecrets,
+  scanSecretsHistory,
+  writeSecretsBaseline,
+} = require('./lib/secrets')
+const { formatDoctorReport, runDoctor } = require('./lib/doctor')
+const { buildSarifReport } = require('./lib/sarif')
+const {
+  COVERAGE_BASELINE_FILE,
+  checkCoverage,
+  formatCoverageReport,
+  formatCoverageSummary,
+  writeCoverageBaseline,
+} = require('./lib/coverage')
+const { loadProjectConfig } = require('./lib/config')
+const { validateAndSanitizeInput } = require('./lib/setup')
+const { runSetupWizard, shouldRunWizard } = require('./lib/wizard')
+
+// Runs the JavaScript install the wizard offered; Python installs run
+// inside setup itself
+const installJavaScriptDependencies = (projectDir, commands) => {
+  console.log(`\n📦 Running ${commands.install}...`)
   try {
-    return fs.readdirSync(dir, { withFileTypes: true })
-  } catch {
-    return []
+    execSync(commands.install, { cwd: projectDir, stdio: 'inherit' })
+    console.log('✅ JavaScript dependencies installed')
+    return true
+  } catch (error) {
+    console.warn(`⚠️ ${commands.install} failed: ${error.message}`)
+    return false
   }
 }
 
-const isStylelintFile = fileName => {
-  const ext = path.extname(fileName).slice(1).toLowerCase()
-  return STYLELINT_EXTENSION_SET.has(ext)
-}
-
-const directoryContainsStylelintFiles = (dir, depth = 0) => {
-  if (depth > MAX_STYLELINT_SCAN_DEPTH) {
-    return false
+const printNextSteps = ({ languages, primaryLanguage, packageManager, pythonEnvironment }, { installed = false } = {}) => {
+  const commands = packageManager.commands
+  // Show completion message
+  console.log('\n🎉 Quality automation setup complete!')
+  console.log('\n📋 Next steps:')
+
+  if (languages.javascript) {
+    console.log('JavaScript/TypeScript:')
+    console.log(`  1. Run: ${commands.install}${installed ? ' (done)' : ''}`)
+    console.log(`  2. Run: ${commands.run} prepare`)
+    console.log(`  3. Test with: ${commands.run} lint`)
   }
 
-  const entries = safeReadDir(dir)
-  for (const entry of entries) {
-    if (entry.isSymbolicLink()) {
-      continue
-    }
-
-    const entryPath = path.join(dir, entry.name)
-
-    if (entry.isFile() && isStylelintFile(entry.name)) {
-      return true
-    }
-
-    if (entry.isDirectory()) {
-      if (STYLELINT_SCAN_EXCLUDES.has(entry.name)) {
-        continue
-      }
-      if (directoryContainsStylelintFiles(entryPath, depth + 1)) {
-        return true
-      }
-    }
+  if (languages.python) {
+    const python = pythonEnvironment.commands
+    console.log('Python:')
+    console.log(`  1. Run: ${python.install.join(' && ')}`)
+    console.log(`  2. Run: ${python.run}pre-commit install`)
+    console.log(`  3. Test with: ${python.run}black --check . && ${python.run}ruff check .`)
   }
 
-  return false
-}
-
-const findStylelintTargets = rootDir => {
-  const entries = safeReadDir(rootDir)
-  const targets = new Set()
-  let hasRootCss = false
-
-  for (const entry of entries) {
-    if (entry.isSymbolicLink()) {
-      continue
-    }
-
-    const entryPath = path.join(rootDir, entry.name)
-
-    if (entry.isFile()) {
-      if (isStylelintFile(entry.name)) {
-        hasRootCss = true
-      }
-      continue
-    }
-
-    if (!entry.isDirectory()) {
-      continue
-    }
-
-    if (STYLELINT_SCAN_EXCLUDES.has(entry.name)) {
-      continue
-    }
-
-    if (directoryContainsStylelintFiles(entryPath)) {
-      targets.add(entry.name)
-    }
+  if (languages.rust) {
+    console.log('Rust:')
+    console.log('  1. Run: rustup component add rustfmt clippy')
+    console.log('  2. Run: cargo install cargo-audit cargo-deny --locked')
+    console.log('  3. Run: pre-commit install')
+    console.log('  4. Test with: cargo fmt --all -- --check && cargo clippy --all-targets -- -D warnings')
   }
 
-  const resolvedTargets = []
-
-  if (hasRootCss) {
-    resolvedTargets.push(STYLELINT_EXTENSION_GLOB)
+  if (languages.go) {
+    console.log('Go:')
+    console.log('  1. Install golangci-lint: https://golangci-lint.run/welcome/install/')
+    console.log('  2. Run: pre-commit install')
+    console.log('  3. Test with: golangci-lint run && go vet ./...')
   }
 
-  Array.from(targets)
-    .sort()
-    .forEach(dir => {
-      resolvedTargets.push(`${dir}/**/${STYLELINT_EXTENSION_GLOB}`)
-    })
+  console.log('\n4. Commit your changes to activate the workflows')
 
-  if (!resolvedTargets.length) {
-    return [STYLELINT_DEFAULT_TARGET]
+  console.log('\n✨ Your project now has:')
+  if (languages.javascript) {
+    console.log('  • Prettier code formatting (JavaScript/TypeScript)')
+    console.log('  • ESLint + Stylelint')
+    console.log('  • Husky pre-commit hooks')
   }
+  if (languages.python) {
+    console.log('  • Black code formatting (Python)')
+    console.log('  • Ruff linting')
+    console.log('  • isort import sorting')
+    console.log('  • pre-commit hooks')
+  }
+  if (languages.rust) {
+    console.log('  • rustfmt formatting (Rust)')
+    console.log('  • Clippy linting with warnings denied')
+    console.log('  • cargo-audit and cargo-deny security checks')
+  }
+  if (languages.go) {
+    console.log('  • gofmt/goimports formatting checks (Go)')
+    console.log('  • golangci-lint and go vet')
+    console.log('  • Race-enabled tests with coverage and govulncheck')
+  }
+  console.log('  • GitHub Actions quality checks')
+  console.log('  • EditorConfig for consistency')
+  console.log()
 
-  return resolvedTargets
-}
-
-const patternIncludesStylelintExtension = pattern => {
-  const lower = pattern.toLowerCase()
-  return STYLELINT_EXTENSIONS.some(ext => lower.includes(`.${ext}`))
+  if (!primaryLanguage) {
+    console.log('Supported: JavaScript, TypeScript, Python, Rust, Go')
+    console.log('Create a package.json (JS), requirements.txt/pyproject.toml (Python), Cargo.toml (Rust) or go.mod (Go) and re-run.')
+  }
 }
 
-// Input validation and sanitization functions
-const validateAndSanitizeInput = input => {
-  if (typeof input !== 'string') {
-    throw new Error('Input must be a string')
+// `scan-secrets [--staged | --history[=<range>]] [--update-baseline]`:
+// fails when it finds secrets that are not in the baseline
+const runSecretsScan = async (projectDir, args) => {
+  const historyArg = args.find(arg => arg === '--history' || arg.startsWith('--history='))
+  const result = historyArg
+    ? await scanSecretsHistory(projectDir, {
+        range: historyArg.includes('=') ? historyArg.slice(historyArg.indexOf('=') + 1) : null,
+      })
+    : scanSecrets(projectDir, { staged: args.includes('--staged') })
+  if (args.includes('--update-baseline')) {
+    const count = writeSecretsBaseline(projectDir, result)
+    console.log(`💾 Recorded ${count} accepted finding(s) in .secrets-baseline.json`)
+    return
   }
-  const normalized = input.trim()
-  if (normalized.length === 0) {
-    return null
+  console.log(formatSecretsReport(result))
+  if (result.findings.length) {
+    process.exitCode = 1
   }
-  const sanitized = normalized.replace(/[<>'"&]/g, '')
-  return sanitized
 }
 
-// CLI argument parsing with validation
-const args = process.argv.slice(2)
-const sanitizedArgs = args
-  .map(arg => validateAndSanitizeInput(arg))
-  .filter(Boolean)
-const isUpdateMode = sanitizedArgs.includes('--update')
-
-console.log(
-  `🚀 ${isUpdateMode ? 'Updating' : 'Setting up'} Quality Automation...\n`
-)
-
-// Check if we're in a git repository
-try {
-  execSync('git status', { stdio: 'ignore' })
-} catch {
-  console.error('❌ This must be run in a git repository')
-  console.log('Run "git init" first, then try again.')
-  process.exit(1)
+// `sarif [--eslint=<file>] [--stylelint=<file>] [--ruff=<file>]
+// [--mypy=<file>] [--secrets] [--output=<file>]`: merges tool reports into
+// one SARIF log for GitHub code scanning
+const runSarifReport = (projectDir, args) => {
+  const reports = {}
+  let output = null
+  args.filter(arg => arg.startsWith('--') && arg.includes('=')).forEach(arg => {
+    const name = arg.slice(2, arg.indexOf('='))
+    const value = arg.slice(arg.indexOf('=') + 1)
+    if (name === 'output') {
+      output = value
+    } else {
+      reports[name] = value
+    }
+  })
+  const secrets = args.includes('--secrets') ? scanSecrets(projectDir) : null
+  const { log, missing } = buildSarifReport(projectDir, { reports, secrets })
+  missing.forEach(file => console.warn(`⚠️ ${file} not found; skipping it`))
+  if (!output) {
+    console.log(JSON.stringify(log, null, 2))
+    return
+  }
+  fs.writeFileSync(path.resolve(projectDir, output), `${JSON.stringify(log, null, 2)}\n`)
+  const count = log.runs.reduce((total, run) => total + run.results.length, 0)
+  console.log(`📄 Wrote ${count} result(s) from ${log.runs.length} tool(s) to ${output}`)
 }
 
-// Detect project languages
-const projectDir = process.cwd()
-const detection = detectProjectLanguages(projectDir)
-const detectedLanguages = getDetectedLanguages(detection)
-const primaryLanguage = getPrimaryLanguage(detection)
-const isMultiLang = isMultiLanguageProject(detection)
-
-console.log(`🔍 Detected language(s): ${detectedLanguages.join(', ')}`)
-if (primaryLanguage) {
-  console.log(`📌 Primary language: ${primaryLanguage}`)
-}
-if (isMultiLang) {
-  console.log('ℹ️ Multi-language project detected')
+// `coverage [--report=<file>]... [--update-baseline]`: fails when a
+// coverage report is below the configured minimums or, in ratchet mode,
+// below the baseline; in GitHub Actions the result goes to the job summary
+const runCoverageGate = (projectDir, args) => {
+  const reports = args.filter(arg => arg.startsWith('--report=')).map(arg => arg.slice('--report='.length))
+  const { coverage } = loadProjectConfig(projectDir)
+  const result = checkCoverage(projectDir, { reports: reports.length ? reports : null, coverage })
+  result.missing.forEach(file => console.warn(`⚠️ ${file} not found; skipping it`))
+  if (args.includes('--update-baseline')) {
+    const count = writeCoverageBaseline(projectDir, result)
+    console.log(`💾 Recorded the coverage of ${count} report(s) in ${COVERAGE_BASELINE_FILE}`)
+    return
+  }
+  console.log(formatCoverageReport(result))
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, formatCoverageSummary(result))
+  }
+  if (!result.passed) {
+    process.exitCode = 1
+  }
 }
-console.log()
-
-// Handle Python projects
-if (detection.languages.python) {
-  console.log('🐍 Setting up Python quality automation...')
-
-  const projectName = validateAndSanitizeInput(path.basename(projectDir)) || 'my-project'
 
-  pythonSetup.setupFiles(projectDir, { projectName })
-
-  // Install Python dependencies
-  const shouldInstall = !sanitizedArgs.includes('--no-install')
-  if (shouldInstall) {
-    pythonSetup.installDependencies(projectDir)
-  } else {
-    console.log('⏭️ Skipping Python dependency installation (--no-install)')
+// `doctor [--json]`: reports drift and misconfiguration with a fix for
+// each finding, and fails when any of them is an error
+const runDoctorCheck = (projectDir, args) => {
+  const result = runDoctor(projectDir)
+  console.log(args.includes('--json') ? JSON.stringify(result, null, 2) : formatDoctorReport(result))
+  if (result.summary.error) {
+    process.exitCode = 1
   }
-
-  console.log()
 }
 
-// Handle JavaScript/TypeScript projects
-if (detection.languages.javascript) {
-  console.log('📦 Setting up JavaScript/TypeScript quality automation...')
+const runCli = async argv => {
+  // CLI argument parsing with validation
+  const sanitizedArgs = argv
+    .map(arg => validateAndSanitizeInput(arg))
+    .filter(Boolean)
+  const projectDir = process.cwd()
 
-  // Check if package.json exists
-  const packageJsonPath = path.join(projectDir, 'package.json')
-  let packageJson = {}
-
-  if (fs.existsSync(packageJsonPath)) {
-    try {
-      const packageJsonContent = fs.readFileSync(packageJsonPath, 'utf8')
-      if (packageJsonContent.trim().length === 0) {
-        console.error('❌ package.json is empty')
-        console.log('Please add valid JSON content to package.json and try again.')
-        process.exit(1)
-      }
-
-      packageJson = JSON.parse(packageJsonContent)
-
-      if (typeof packageJson !== 'object' || packageJson === null) {
-        console.error('❌ package.json must contain a valid JSON object')
-        console.log('Please fix the package.json structure and try again.')
-        process.exit(1)
-      }
-
-      if (packageJson.name && typeof packageJson.name === 'string') {
-        packageJson.name =
-          validateAndSanitizeInput(packageJson.name) || 'my-project'
-      }
-
-      console.log('✅ Found existing package.json')
-    } catch (error) {
-      console.error(`❌ Error parsing package.json: ${error.message}`)
-      console.log('Please fix the JSON syntax in package.json and try again.')
-      console.log('Common issues: trailing commas, missing quotes, unclosed brackets')
-      process.exit(1)
-    }
-  } else {
-    console.log('📦 Creating new package.json')
-    const projectName =
-      validateAndSanitizeInput(path.basename(projectDir)) || 'my-project'
-    packageJson = {
-      name: projectName,
-      version: '1.0.0',
-      description: '',
-      main: 'index.js',
-      scripts: {},
-    }
+  if (sanitizedArgs[0] === 'scan-secrets') {
+    await runSecretsScan(projectDir, sanitizedArgs.slice(1))
+    return
   }
-
-  const usesTypeScript = detection.languages.typescript
-  if (usesTypeScript) {
-    console.log(
-      '🔍 Detected TypeScript configuration; enabling TypeScript lint defaults'
-    )
+  if (sanitizedArgs[0] === 'sarif') {
+    runSarifReport(projectDir, sanitizedArgs.slice(1))
+    return
   }
-
-  const stylelintTargets = findStylelintTargets(projectDir)
-  const usingDefaultStylelintTarget =
-    stylelintTargets.length === 1 &&
-    stylelintTargets[0] === STYLELINT_DEFAULT_TARGET
-  if (!usingDefaultStylelintTarget) {
-    console.log(`🔍 Detected stylelint targets: ${stylelintTargets.join(', ')}`)
+  if (sanitizedArgs[0] === 'coverage') {
+    runCoverageGate(projectDir, sanitizedArgs.slice(1))
+    return
   }
-
-  // Add quality automation scripts
-  console.log('📝 Adding quality automation scripts...')
-  packageJson.scripts = packageJson.scripts || {}
-  const defaultScripts = getDefaultScripts({
-    typescript: usesTypeScript,
-    stylelintTargets,
-  })
-
-  // If multi-language Python project, add Python scripts too
-  if (detection.languages.python) {
-    const pythonScripts = pythonSetup.getScripts()
-    Object.assign(defaultScripts, pythonScripts)
+  if (sanitizedArgs[0] === 'doctor') {
+    runDoctorCheck(projectDir, sanitizedArgs.slice(1))
+    return
   }
 
-  Object.entries(defaultScripts).forEach(([name, command]) => {
-    if (!packageJson.scripts[name]) {
-      packageJson.scripts[name] = command
-    }
-  })
-
-  // Ensure husky prepare script
-  const prepareScript = packageJson.scripts.prepare
-  if (!prepareScript) {
-    packageJson.scripts.prepare = 'husky'
-  } else if (prepareScript.includes('husky install')) {
-    packageJson.scripts.prepare = prepareScript.replace(/husky install/g, 'husky')
-  } else if (!prepareScript.includes('husky')) {
-    packageJson.scripts.prepare = `${prepareScript} && husky`
-  }
-
-  // Add devDependencies
-  console.log('📦 Adding devDependencies...')
-  packageJson.devDependencies = packageJson.devDependencies || {}
-  const defaultDevDependencies = getDefaultDevDependencies({
-    typescript: usesTypeScript,
-  })
-  Object.entries(defaultDevDependencies).forEach(([dependency, version]) => {
-    if (!packageJson.devDependencies[dependency]) {
-      packageJson.devDependencies[dependency] = version
-    }
-  })
-
-  // Add lint-staged configuration
-  console.log('⚙️ Adding lint-staged configuration...')
-  const lintStagedConfig = packageJson['lint-staged'] || {}
-  const defaultLintStaged = getDefaultLintStaged({
-    typescript: usesTypeScript,
-    stylelintTargets,
-  })
-  const stylelintTargetSet = new Set(stylelintTargets)
-  const hasExistingCssPatterns = Object.keys(lintStagedConfig).some(
-    patternIncludesStylelintExtension
+  const isUpdateMode = sanitizedArgs.includes('--update')
+  const isDryRun = sanitizedArgs.includes('--dry-run')
+  const isUninstall = sanitizedArgs.includes('--uninstall')
+
+  const modeLabel = isUninstall
+    ? 'Removing'
+    : isUpdateMode
+      ? 'Updating'
+      : 'Setting up'
+  console.log(
+    `🚀 ${modeLabel} Quality Automation...${
+      isDryRun ? ' (dry run: no files will be changed)' : ''
+    }\n`
   )
 
-  if (hasExistingCssPatterns) {
-    console.log(
-      'ℹ️ Detected existing lint-staged CSS globs; preserving current CSS targets'
-    )
-  }
-
-  Object.entries(defaultLintStaged).forEach(([pattern, commands]) => {
-    const isStylelintPattern = stylelintTargetSet.has(pattern)
-    if (isStylelintPattern && hasExistingCssPatterns) {
-      return
-    }
-    if (!lintStagedConfig[pattern]) {
-      lintStagedConfig[pattern] = commands
-      return
+  // Revert a previous setup using the installation manifest
+  if (isUninstall) {
+    const report = uninstallQualityAutomation(projectDir, { dryRun: isDryRun })
+    console.log(formatUninstallReport(report))
+    if (isDryRun) {
+      console.log(`\n${formatPlan(report.changes)}`)
+      console.log('\n🔍 Dry run complete: no files were changed.')
+    } else {
+      console.log('\n✅ Quality automation removed')
+      const { install } = getPackageManagerCommands(
+        detectPackageManager(projectDir)
+      )
+      console.log(`Run ${install} to prune the removed devDependencies.`)
     }
-    const existing = Array.isArray(lintStagedConfig[pattern])
-      ? [...lintStagedConfig[pattern]]
-      : [lintStagedConfig[pattern]]
-    const merged = [...existing]
-    commands.forEach(command => {
-      if (!merged.includes(command)) {
-        merged.push(command)
-      }
-    })
-    lintStagedConfig[pattern] = merged
-  })
-  packageJson['lint-staged'] = lintStagedConfig
-
-  // Write updated package.json
-  try {
-    const jsonString = JSON.stringify(packageJson, null, 2)
-    if (jsonString.length === 0) {
-      throw new Error('Generated package.json is empty')
-    }
-    fs.writeFileSync(packageJsonPath, jsonString)
-    console.log('✅ Updated package.json')
-  } catch (error) {
-    console.error(`❌ Error writing package.json: ${error.message}`)
-    process.exit(1)
-  }
-
-  // Ensure Node toolchain pinning
-  const nvmrcPath = path.join(projectDir, '.nvmrc')
-  if (!fs.existsSync(nvmrcPath)) {
-    fs.writeFileSync(nvmrcPath, '20\n')
-    console.log('✅ Added .nvmrc (Node 20)')
+    return
   }
 
-  const npmrcPath = path.join(projectDir, '.npmrc')
-  if (!fs.existsSync(npmrcPath)) {
-    fs.writeFileSync(npmrcPath, 'engine-strict = true\n')
-    console.log('✅ Added .npmrc (engine-strict)')
+  // Ask before setting up when a person is at the terminal; --yes and CI
+  // keep the detected defaults
+  let wizard = null
+  if (shouldRunWizard({ argv: sanitizedArgs })) {
+    wizard = await runSetupWizard(projectDir)
   }
+  const install =
+    !sanitizedArgs.includes('--no-install') && (!wizard || wizard.install)
+
+  const result = setupQualityAutomation(projectDir, {
+    update: isUpdateMode,
+    dryRun: isDryRun,
+    install,
+    settings: wizard && wizard.settings,
+    logger: console,
+  })
 
-  // Create .github/workflows directory
-  const workflowDir = path.join(projectDir, '.github', 'workflows')
-  if (!fs.existsSync(workflowDir)) {
-    fs.mkdirSync(workflowDir, { recursive: true })
-    console.log('📁 Created .github/workflows directory')
+  // Report how managed files were reconciled against the current template
+  if (isUpdateMode) {
+    console.log(`\n${formatReconcileSummary(result.reconciled)}`)
   }
 
-  // Setup JavaScript-specific files
-  javascriptSetup.setupFiles(projectDir, { typescript: usesTypeScript })
-
-  // Ensure engines/volta pins
-  try {
-    const pkg = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'))
-    pkg.engines = { node: '>=20', ...(pkg.engines || {}) }
-    pkg.volta = { node: '20.11.1', npm: '10.2.4', ...(pkg.volta || {}) }
-    fs.writeFileSync(packageJsonPath, JSON.stringify(pkg, null, 2))
-    console.log('✅ Ensured engines and Volta pins in package.json')
-  } catch (e) {
-    console.warn('⚠️ Could not update engines/volta in package.json:', e.message)
+  // In dry-run mode, show the plan instead of next steps and stop here
+  if (isDryRun) {
+    console.log(`\n${formatPlan(result.changes)}`)
+    console.log('\n🔍 Dry run complete: no files were changed.')
+    return
   }
 
-  console.log()
-}
-
-// Setup shared files (language-agnostic)
-console.log('📄 Setting up shared configuration files...')
+  const { languages, packageManager } = result.detection
+  const installed =
+    wizard &&
+    install &&
+    languages.javascript &&
+    installJavaScriptDependencies(projectDir, packageManager.commands)
 
-const editorconfigPath = path.join(projectDir, '.editorconfig')
-if (!fs.existsSync(editorconfigPath)) {
-  const templateEditorconfig = fs.readFileSync(
-    path.join(__dirname, '.editorconfig'),
-    'utf8'
-  )
-  fs.writeFileSync(editorconfigPath, templateEditorconfig)
-  console.log('✅ Added .editorconfig')
-}
-
-// Show completion message
-console.log('\n🎉 Quality automation setup complete!')
-console.log('\n📋 Next steps:')
-
-if (detection.languages.javascript) {
-  console.log('JavaScript/TypeScript:')
-  console.log('  1. Run: npm install')
-  console.log('  2. Run: npm run prepare')
-  console.log('  3. Test with: npm run lint')
+  printNextSteps(result.detection, { installed })
 }
 
-if (detection.languages.python) {
-  console.log('Python:')
-  console.log('  1. Run: python3 -m pip install -r requirements-dev.txt')
-  console.log('  2. Run: pre-commit install')
-  console.log('  3. Test with: black --check . && ruff check .')
-}
-
-console.log('\n4. Commit your changes to activate the workflows')
-
-console.log('\n✨ Your project now has:')
-if (detection.languages.javascript) {
-  console.log('  • Prettier code formatting (JavaScript/TypeScript)')
-  console.log('  • ESLint + Stylelint')
-  console.log('  • Husky pre-commit hooks')
-}
-if (detection.languages.python) {
-  console.log('  • Black code formatting (Python)')
-  console.log('  • Ruff linting')
-  console.log('  • isort import sorting')
-  console.log('  • pre-commit hooks')
+if (require.main === module) {
+  runCli(process.argv.slice(2)).catch(error => {
+    if (!(error instanceof QualityAutomationError)) {
+      console.error(error)
+      process.exit(1)
+    }
+    console.error(`❌ ${error.message}`)
+    if (error.hint) {
+      console.log(error.hint)
+    }
+    process.exit(1)
+  })
 }
-console.log('  • GitHub Actions quality checks')
-console.log('  • EditorConfig for consistency')
-console.log()
 
-if (!primaryLanguage) {
-  console.warn('⚠️ No supported languages detected.')
-  console.log('Supported: JavaScript, TypeScript, Python')
-  console.log('Create a package.json (JS) or requirements.txt/pyproject.toml (Python) and re-run.')
+module.exports = {
+  runCli,
 }
@@ -4,6 +4,7 @@ const assert = require('assert')
 const fs = require('fs')
 const os = require('os')
 const path = require('path')
+const vm = require('vm')
 const { execFileSync, execSync } = require('child_process')
 
 const templateRoot = path.resolve(__dirname, '..')
@@ -27,76 +28,21 @@ const createTempProject = initialPackageJson => {
   return { tempDir, initialPackageJson }
 }
 
-const runSetup = cwd => {
-  execFileSync(process.execPath, [setupScript], { cwd, stdio: 'ignore' })
-}
-
-const readJson = filePath =>
-  JSON.parse(fs.readFileSync(filePath, { encoding: 'utf8' }))
-
-// Security testing patterns from WFHroulette
-const securityPatterns = [
-  {
-    name: 'XSS via innerHTML interpolation',
-    pattern: /innerHTML.*\$\{/,
-    description: 'innerHTML with template literal interpolation',
-  },
-  {
-    name: 'Code injection via eval',
-    pattern: /eval\(.*\$\{/,
-    description: 'eval with interpolation',
-  },
-  {
-    name: 'XSS via document.write',
-    pattern: /document\.write.*\$\{/,
-    description: 'document.write with interpolation',
-  },
-  {
-    name: 'XSS via onclick handlers',
-    pattern: /onclick.*=.*['"].*\$\{/,
-    description: 'onclick handlers with interpolation',
-  },
-]
-
-const checkFileForSecurityPatterns = filePath => {
-  try {
-    const content = fs.readFileSync(filePath, 'utf8')
-    const violations = []
-
-    for (const { name, pattern, description } of securityPatterns) {
-      if (pattern.test(content)) {
-        violations.push({ name, description, file: filePath })
-      }
-    }
-
-    return violations
-  } catch {
-    return []
-  }
+const runSetup = (cwd, args = []) => {
+  execFileSync(process.execPath, [setupScript, ...args], {
+    cwd,
+    stdio: 'ignore',
+  })
 }
 
-const validateInputSanitization = code => {
-  // Check for proper input validation patterns
-  const userInputPattern =
-    /(req\.query|req\.params|req\.body)\.[a-zA-Z_][a-zA-Z0-9_]*/g
-  const sanitizationPattern =
-    /(trim|toLowerCase|toUpperCase|parseInt|parseFloat|Number\.isNaN|String|Boolean)/
-
-  const matches = code.match(userInputPattern) || []
-  const unsanitized = matches.filter(match => {
-    const context = code.substring(
-      Math.max(0, code.indexOf(match) - 50),
-      code.indexOf(match) + match.length + 50
-    )
-    return !sanitizationPattern.test(context)
+const runSetupWithOutput = (cwd, args = []) =>
+  execFileSync(process.execPath, [setupScript, ...args], {
+    cwd,
+    encoding: 'utf8',
   })
 
-  return {
-    total: matches.length,
-    unsanitized: unsanitized.length,
-    violations: unsanitized,
-  }
-}
+const readJson = filePath =>
+  JSON.parse(fs.readFileSync(filePath, { encoding: 'utf8' }))
 
 const expectFile = (cwd, relativePath) => {
   const target = path.join(cwd, relativePath)
@@ -243,7 +189,8 @@ try {
   const eslintConfigPathJs = expectFile(jsProjectDir, 'eslint.config.cjs')
   expectFile(jsProjectDir, '.stylelintrc.json')
   expectFile(jsProjectDir, '.prettierignore')
-  expectFile(jsProjectDir, '.eslintignore')
+  // ESLint 9 ignores .eslintignore; the flat config lists the ignores
+  assert.ok(!fs.existsSync(path.join(jsProjectDir, '.eslintignore')))
   expectFile(jsProjectDir, '.editorconfig')
   expectFile(jsProjectDir, '.github/workflows/quality.yml')
 
@@ -376,108 +323,2603 @@ try {
   cleanup(cssProjectDir)
 }
 
-// Security pattern tests
-console.log('\n🔒 Testing security patterns...')
+// Dry run plans every change without touching the disk
+const { tempDir: dryRunProjectDir } = createTempProject({
+  name: 'fixture-dry-run',
+  version: '0.1.0',
+  scripts: { lint: 'custom lint' },
+})
+fs.writeFileSync(path.join(dryRunProjectDir, '.editorconfig'), 'root = true\n')
 
-// Test setup script for security vulnerabilities
-const setupScriptViolations = checkFileForSecurityPatterns(setupScript)
-assert.strictEqual(
-  setupScriptViolations.length,
-  0,
-  `Setup script should not contain security violations: ${JSON.stringify(setupScriptViolations)}`
-)
+try {
+  const packageJsonPath = path.join(dryRunProjectDir, 'package.json')
+  const packageJsonBefore = fs.readFileSync(packageJsonPath, 'utf8')
+  const output = runSetupWithOutput(dryRunProjectDir, ['--dry-run'])
 
-// Test configuration files for security patterns
-const configFiles = [
-  path.join(templateRoot, 'eslint.config.cjs'),
-  path.join(templateRoot, 'eslint.config.ts.cjs'),
-  path.join(templateRoot, 'config/defaults.js'),
-]
+  assert.strictEqual(
+    fs.readFileSync(packageJsonPath, 'utf8'),
+    packageJsonBefore
+  )
+  assert.ok(!fs.existsSync(path.join(dryRunProjectDir, '.prettierrc')))
+  assert.ok(!fs.existsSync(path.join(dryRunProjectDir, '.husky')))
+  assert.ok(!fs.existsSync(path.join(dryRunProjectDir, '.github')))
+
+  assert.ok(output.includes('+ .prettierrc'))
+  assert.ok(output.includes('+ .github/workflows/quality.yml'))
+  assert.ok(output.includes('~ package.json'))
+  assert.ok(output.includes('= .editorconfig (already exists)'))
+  assert.ok(output.includes('--- a/package.json'))
+  assert.ok(output.includes('+++ b/package.json'))
+  assert.ok(output.includes('+    "prepare": "husky"'))
+  assert.ok(output.includes('+    "node": ">=20"'))
+} finally {
+  cleanup(dryRunProjectDir)
+}
 
-let totalViolations = 0
-configFiles.forEach(file => {
-  if (fs.existsSync(file)) {
-    const violations = checkFileForSecurityPatterns(file)
-    totalViolations += violations.length
-    if (violations.length > 0) {
-      console.warn(`⚠️ Security violations in ${file}:`, violations)
-    }
-  }
+// --update reconciles managed files against the recorded base snapshot
+const { tempDir: updateProjectDir } = createTempProject({
+  name: 'fixture-update',
+  version: '0.1.0',
 })
 
-assert.strictEqual(
-  totalViolations,
-  0,
-  'Configuration files should not contain security violations'
-)
+try {
+  runSetup(updateProjectDir)
 
-// Test that security rules are properly configured
-const jsEslintConfig = fs.readFileSync(
-  path.join(templateRoot, 'eslint.config.cjs'),
-  'utf8'
-)
-assert.ok(
-  jsEslintConfig.includes('eslint-plugin-security'),
-  'JavaScript ESLint config should include security plugin'
-)
-assert.ok(
-  jsEslintConfig.includes('security/detect-eval-with-expression'),
-  'JavaScript ESLint config should include eval detection'
-)
+  const baseDir = path.join(updateProjectDir, '.quality-automation', 'base')
+  const templatePrettierrc = fs.readFileSync(
+    path.join(templateRoot, '.prettierrc'),
+    'utf8'
+  )
+  const templateStylelint = fs.readFileSync(
+    path.join(templateRoot, '.stylelintrc.json'),
+    'utf8'
+  )
+  const templatePrettierignore = fs.readFileSync(
+    path.join(templateRoot, '.prettierignore'),
+    'utf8'
+  )
+  assert.strictEqual(
+    fs.readFileSync(path.join(baseDir, '.prettierrc'), 'utf8'),
+    templatePrettierrc
+  )
 
-const tsEslintConfig = fs.readFileSync(
-  path.join(templateRoot, 'eslint.config.ts.cjs'),
-  'utf8'
-)
-assert.ok(
-  tsEslintConfig.includes('eslint-plugin-security'),
-  'TypeScript ESLint config should include security plugin'
+  // Simulate files installed from an older template version
+  const oldPrettierrc = templatePrettierrc.replace('  "printWidth": 80,\n', '')
+  const oldStylelint = templateStylelint.replace(
+    '"rules": {}',
+    '"rules": {"a": 1}'
+  )
+  const oldPrettierignore = templatePrettierignore.replace('build\n', 'out\n')
+  fs.writeFileSync(path.join(baseDir, '.prettierrc'), oldPrettierrc)
+  fs.writeFileSync(path.join(baseDir, '.stylelintrc.json'), oldStylelint)
+  fs.writeFileSync(path.join(baseDir, '.prettierignore'), oldPrettierignore)
+
+  // Untouched locally / edited without overlap / edited the same lines
+  fs.writeFileSync(path.join(updateProjectDir, '.prettierrc'), oldPrettierrc)
+  fs.writeFileSync(
+    path.join(updateProjectDir, '.stylelintrc.json'),
+    oldStylelint.replace('"extends"', '"plugins": [],\n  "extends"')
+  )
+  fs.writeFileSync(
+    path.join(updateProjectDir, '.prettierignore'),
+    oldPrettierignore.replace('out\n', 'public/build\n')
+  )
+
+  const output = runSetupWithOutput(updateProjectDir, ['--update'])
+
+  assert.strictEqual(
+    fs.readFileSync(path.join(updateProjectDir, '.prettierrc'), 'utf8'),
+    templatePrettierrc
+  )
+  const mergedStylelint = fs.readFileSync(
+    path.join(updateProjectDir, '.stylelintrc.json'),
+    'utf8'
+  )
+  assert.ok(mergedStylelint.includes('"plugins": [],'))
+  assert.ok(mergedStylelint.includes('"rules": {}'))
+  const conflicted = fs.readFileSync(
+    path.join(updateProjectDir, '.prettierignore'),
+    'utf8'
+  )
+  assert.ok(conflicted.includes('<<<<<<< local .prettierignore'))
+  assert.ok(conflicted.includes('public/build'))
+  assert.ok(conflicted.includes('>>>>>>> template'))
+  assert.strictEqual(
+    fs.readFileSync(path.join(baseDir, '.prettierignore'), 'utf8'),
+    templatePrettierignore
+  )
+
+  assert.ok(output.includes('🔄 Update summary:'))
+  assert.ok(output.includes('.prettierrc'))
+  assert.ok(output.includes('.prettierignore (1 conflict)'))
+
+  // A local copy that already has the template's change merges to itself
+  const { BASE_DIR, createChangeSet } = require('../lib/file-changes')
+  const workflowPath = path.join(updateProjectDir, 'ci.yml')
+  fs.mkdirSync(path.join(updateProjectDir, BASE_DIR), { recursive: true })
+  fs.writeFileSync(
+    path.join(updateProjectDir, BASE_DIR, 'ci.yml'),
+    'name: ci\nsteps:\n  - lint\n  - build\n'
+  )
+  const localWorkflow =
+    'name: ci\nsteps:\n  - lint\n  - test\n  - build\n  - deploy\n'
+  fs.writeFileSync(workflowPath, localWorkflow)
+  const mergeChanges = createChangeSet({
+    projectDir: updateProjectDir,
+    update: true,
+  })
+  assert.strictEqual(
+    mergeChanges.ensureFile(
+      workflowPath,
+      'name: ci\nsteps:\n  - lint\n  - test\n  - build\n'
+    ),
+    'merged'
+  )
+  assert.strictEqual(fs.readFileSync(workflowPath, 'utf8'), localWorkflow)
+  assert.ok(!mergeChanges.getChanges().some(change => change.path === 'ci.yml'))
+} finally {
+  cleanup(updateProjectDir)
+}
+
+// Rust workspace: configs, workflow and pre-commit hooks
+const rustProjectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-template-'))
+execSync('git init', { cwd: rustProjectDir, stdio: 'ignore' })
+fs.writeFileSync(
+  path.join(rustProjectDir, 'Cargo.toml'),
+  [
+    '[workspace]',
+    'members = [',
+    '  "crates/*",',
+    ']',
+    'exclude = ["crates/scratch"]',
+    '',
+    '[workspace.package]',
+    'edition = "2021"',
+    'rust-version = "1.74"',
+    '',
+  ].join('\n')
 )
+;['core', 'cli', 'scratch'].forEach(crate => {
+  const crateDir = path.join(rustProjectDir, 'crates', crate)
+  fs.mkdirSync(crateDir, { recursive: true })
+  fs.writeFileSync(
+    path.join(crateDir, 'Cargo.toml'),
+    `[package]\nname = "${crate}"\nversion = "0.1.0"\n`
+  )
+})
 
-// Test that GitHub Actions includes security checks
-const workflowContent = fs.readFileSync(
-  path.join(templateRoot, '.github/workflows/quality.yml'),
-  'utf8'
+try {
+  const rustSetup = require('../config/languages/rust')
+  const cargo = rustSetup.getCargoWorkspace(rustProjectDir)
+  assert.strictEqual(cargo.isWorkspace, true)
+  assert.deepStrictEqual(cargo.members, ['crates/cli', 'crates/core'])
+  assert.strictEqual(cargo.rustVersion, '1.74')
+
+  runSetup(rustProjectDir)
+
+  expectFile(rustProjectDir, 'rustfmt.toml')
+  expectFile(rustProjectDir, 'deny.toml')
+  const clippyConfig = fs.readFileSync(
+    expectFile(rustProjectDir, 'clippy.toml'),
+    'utf8'
+  )
+  assert.ok(clippyConfig.includes('msrv = "1.74"'))
+
+  const rustWorkflowPath = expectFile(
+    rustProjectDir,
+    '.github/workflows/quality-rust.yml'
+  )
+  const rustWorkflow = fs.readFileSync(rustWorkflowPath, 'utf8')
+  assert.ok(rustWorkflow.includes('cargo fmt --all -- --check'))
+  assert.ok(
+    rustWorkflow.includes(
+      'cargo clippy --workspace --all-targets --all-features -- -D warnings'
+    )
+  )
+  assert.ok(rustWorkflow.includes('cargo test --workspace'))
+  assert.ok(rustWorkflow.includes('cargo audit'))
+  assert.ok(rustWorkflow.includes('cargo deny check'))
+
+  const preCommitPath = expectFile(rustProjectDir, '.pre-commit-config.yaml')
+  const preCommitConfig = fs.readFileSync(preCommitPath, 'utf8')
+  assert.ok(preCommitConfig.includes('id: cargo-fmt'))
+  assert.ok(preCommitConfig.includes('id: cargo-clippy'))
+  assert.ok(!fs.existsSync(path.join(rustProjectDir, 'package.json')))
+
+  // Idempotency check
+  runSetup(rustProjectDir)
+  assert.strictEqual(fs.readFileSync(preCommitPath, 'utf8'), preCommitConfig)
+  assert.strictEqual(fs.readFileSync(rustWorkflowPath, 'utf8'), rustWorkflow)
+} finally {
+  cleanup(rustProjectDir)
+}
+
+// Go workspace: version from go directives and per-module checks
+const goProjectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-template-'))
+execSync('git init', { cwd: goProjectDir, stdio: 'ignore' })
+fs.writeFileSync(
+  path.join(goProjectDir, 'go.work'),
+  'go 1.22.4\n\nuse (\n\t./api\n\t./worker // background jobs\n)\n'
 )
-assert.ok(
-  workflowContent.includes('Security audit'),
-  'Workflow should include security audit step'
+;['api', 'worker'].forEach(mod => {
+  fs.mkdirSync(path.join(goProjectDir, mod), { recursive: true })
+  fs.writeFileSync(
+    path.join(goProjectDir, mod, 'go.mod'),
+    `module example.com/${mod}\n\ngo 1.21\n`
+  )
+})
+
+try {
+  const goSetup = require('../config/languages/go')
+  assert.strictEqual(goSetup.parseGoDirective('module x\n\ngo 1.23\n'), '1.23')
+  const goWorkspace = goSetup.getGoWorkspace(goProjectDir)
+  assert.deepStrictEqual(goWorkspace.modules, ['./api', './worker'])
+  assert.strictEqual(goWorkspace.goVersion, '1.22.4')
+
+  runSetup(goProjectDir)
+
+  expectFile(goProjectDir, '.golangci.yml')
+  const goWorkflowPath = expectFile(
+    goProjectDir,
+    '.github/workflows/quality-go.yml'
+  )
+  const goWorkflow = fs.readFileSync(goWorkflowPath, 'utf8')
+  assert.ok(goWorkflow.includes("go-version: '1.22.4'"))
+  assert.ok(goWorkflow.includes('module: ["./api", "./worker"]'))
+  assert.ok(goWorkflow.includes('golangci/golangci-lint-action'))
+  assert.ok(goWorkflow.includes('go vet ./...'))
+  assert.ok(goWorkflow.includes('go test -race -coverprofile=coverage.out'))
+  assert.ok(goWorkflow.includes('govulncheck'))
+  assert.ok(goWorkflow.includes('goimports'))
+
+  const preCommitConfig = fs.readFileSync(
+    expectFile(goProjectDir, '.pre-commit-config.yaml'),
+    'utf8'
+  )
+  assert.ok(preCommitConfig.includes('id: gofmt'))
+  assert.ok(preCommitConfig.includes('for mod in ./api ./worker'))
+} finally {
+  cleanup(goProjectDir)
+}
+
+// Monorepo: per-package detection with shared root configuration
+const { tempDir: monorepoDir } = createTempProject({
+  name: 'monorepo',
+  private: true,
+})
+fs.writeFileSync(
+  path.join(monorepoDir, 'pnpm-workspace.yaml'),
+  "packages:\n  - 'packages/*' # libraries\n  - '!packages/legacy'\n"
 )
-assert.ok(
-  workflowContent.includes('hardcoded secrets'),
-  'Workflow should include secrets detection'
+;['web', 'api', 'legacy'].forEach(name => {
+  fs.mkdirSync(path.join(monorepoDir, 'packages', name), { recursive: true })
+  fs.writeFileSync(
+    path.join(monorepoDir, 'packages', name, 'package.json'),
+    JSON.stringify({ name: `@mono/${name}` })
+  )
+})
+fs.writeFileSync(path.join(monorepoDir, 'packages/web/tsconfig.json'), '{}')
+
+try {
+  const { detectProjectLanguages } = require('../lib/detectors')
+  const monorepoDetection = detectProjectLanguages(monorepoDir)
+  assert.ok(monorepoDetection.workspaces.isMonorepo)
+  assert.deepStrictEqual(monorepoDetection.workspaces.sources, [
+    'pnpm-workspace.yaml',
+  ])
+  assert.deepStrictEqual(
+    monorepoDetection.workspaces.packages.map(pkg => pkg.dir),
+    ['packages/api', 'packages/web']
+  )
+  assert.ok(monorepoDetection.languages.typescript)
+  assert.ok(
+    monorepoDetection.files.javascript.includes('packages/web/tsconfig.json')
+  )
+
+  runSetup(monorepoDir)
+
+  const monorepoPackageJson = readJson(path.join(monorepoDir, 'package.json'))
+  assert.ok(monorepoPackageJson.scripts.lint.includes('.ts,.tsx'))
+  assert.ok(
+    monorepoPackageJson['lint-staged']['**/*.{js,jsx,ts,tsx,mjs,cjs,html}']
+  )
+  assert.ok(monorepoPackageJson.devDependencies['@typescript-eslint/parser'])
+  assert.ok(
+    fs
+      .readFileSync(path.join(monorepoDir, 'eslint.config.cjs'), 'utf8')
+      .includes('@typescript-eslint')
+  )
+  assert.ok(!fs.existsSync(path.join(monorepoDir, 'packages/web/.prettierrc')))
+
+  const monorepoWorkflow = fs.readFileSync(
+    path.join(monorepoDir, '.github/workflows/quality.yml'),
+    'utf8'
+  )
+  assert.ok(monorepoWorkflow.includes('Workspace package checks'))
+  assert.ok(monorepoWorkflow.includes('pnpm -r --if-present run lint'))
+} finally {
+  cleanup(monorepoDir)
+}
+
+// Framework presets: detected from dependencies and config files, in the
+// root or any workspace package
+const { tempDir: frameworkProjectDir } = createTempProject({
+  name: 'framework-project',
+  version: '1.0.0',
+  dependencies: { next: '^15.0.0' },
+  workspaces: ['apps/*'],
+  devDependencies: { typescript: '^5.4.0' },
+})
+fs.mkdirSync(path.join(frameworkProjectDir, 'apps/docs'), { recursive: true })
+fs.writeFileSync(
+  path.join(frameworkProjectDir, 'apps/docs/package.json'),
+  JSON.stringify({ name: 'docs' })
 )
-assert.ok(
-  workflowContent.includes('XSS vulnerability patterns'),
-  'Workflow should include XSS pattern detection'
+fs.writeFileSync(
+  path.join(frameworkProjectDir, 'apps/docs/svelte.config.js'),
+  'export default {}\n'
 )
 
-console.log('✅ All security pattern tests passed!')
+try {
+  const { detectProjectLanguages } = require('../lib/detectors')
+  assert.deepStrictEqual(
+    detectProjectLanguages(frameworkProjectDir).frameworks,
+    ['react', 'next', 'svelte']
+  )
 
-// Test input validation helper (if any server-side code exists)
-const testCode = `
-const userInput = req.query.input;
-const sanitizedInput = req.params.id.trim();
-const validatedNumber = Number.isNaN(parseInt(req.body.count)) ? 0 : parseInt(req.body.count);
-`
-const inputValidation = validateInputSanitization(testCode)
-// Debug output to understand what's being detected
-console.log('Input validation results:', {
-  total: inputValidation.total,
-  unsanitized: inputValidation.unsanitized,
-  violations: inputValidation.violations,
+  runSetup(frameworkProjectDir, ['--no-install'])
+
+  const frameworkPackageJson = readJson(
+    path.join(frameworkProjectDir, 'package.json')
+  )
+  ;[
+    'eslint-plugin-react',
+    'eslint-plugin-react-hooks',
+    'eslint-plugin-jsx-a11y',
+    '@next/eslint-plugin-next',
+    'eslint-plugin-svelte',
+    'prettier-plugin-svelte',
+    'postcss-html',
+    'stylelint-config-html',
+  ].forEach(dependency =>
+    assert.ok(frameworkPackageJson.devDependencies[dependency], dependency)
+  )
+  assert.ok(!frameworkPackageJson.devDependencies['eslint-plugin-vue'])
+  assert.ok(frameworkPackageJson.scripts.lint.includes('.tsx,.html,.svelte '))
+  assert.ok(frameworkPackageJson.scripts.lint.includes(',**/*.svelte}"'))
+  assert.deepStrictEqual(frameworkPackageJson['lint-staged']['**/*.svelte'], [
+    'eslint --fix',
+    'stylelint --fix',
+    'prettier --write',
+  ])
+
+  const frameworkEslintConfig = fs.readFileSync(
+    path.join(frameworkProjectDir, 'eslint.config.cjs'),
+    'utf8'
+  )
+  assert.ok(
+    frameworkEslintConfig.includes(
+      '// Framework presets: React, Next.js, Svelte'
+    )
+  )
+  assert.ok(
+    frameworkEslintConfig.includes("...svelte.configs['flat/recommended']")
+  )
+  assert.ok(
+    frameworkEslintConfig.includes('parserOptions: { parser: tsParser }')
+  )
+  assert.ok(!frameworkEslintConfig.includes('eslint-plugin-vue'))
+  // The presets are plain CommonJS that skips plugins not installed yet
+  new vm.Script(frameworkEslintConfig)
+
+  assert.deepStrictEqual(
+    JSON.parse(
+      fs.readFileSync(path.join(frameworkProjectDir, '.prettierrc'), 'utf8')
+    ).plugins,
+    ['prettier-plugin-svelte']
+  )
+  assert.deepStrictEqual(
+    readJson(path.join(frameworkProjectDir, '.stylelintrc.json')).extends,
+    ['stylelint-config-standard', 'stylelint-config-html/svelte']
+  )
+  const frameworkWorkflow = fs.readFileSync(
+    path.join(frameworkProjectDir, '.github/workflows/quality.yml'),
+    'utf8'
+  )
+  assert.ok(frameworkWorkflow.includes('.tsx,.html,.svelte --max-warnings=0'))
+  assert.ok(frameworkWorkflow.includes('"**/*.svelte" --allow-empty-input'))
+} finally {
+  cleanup(frameworkProjectDir)
+}
+
+// Test runners: detected runners get test, coverage and changed-file
+// scripts and a CI test job; projects without one can scaffold a runner
+const { tempDir: testRunnerProjectDir } = createTempProject({
+  name: 'test-runner-project',
+  version: '1.0.0',
+  scripts: { test: 'echo "Error: no test specified" && exit 1' },
+  devDependencies: { vitest: '^2.0.5', '@playwright/test': '^1.48.0' },
 })
 
-// All inputs in the test code are actually sanitized (trim and parseInt are sanitization)
-assert.strictEqual(
-  inputValidation.total,
-  4,
-  'Should detect 4 user input patterns'
-)
-assert.strictEqual(
-  inputValidation.unsanitized,
-  0,
-  'All inputs should be sanitized in test code'
+try {
+  const {
+    detectTestRunners,
+    getTestDevDependencies,
+    getTestScripts,
+  } = require('../lib/test-runner')
+  assert.deepStrictEqual(detectTestRunners(testRunnerProjectDir), {
+    unit: { name: 'vitest', source: 'dependency vitest' },
+    e2e: { name: 'playwright', source: 'dependency @playwright/test' },
+  })
+  // The test script decides between installed runners
+  assert.strictEqual(
+    detectTestRunners(testRunnerProjectDir, {
+      packageJson: {
+        scripts: { test: 'node --test test/' },
+        devDependencies: { jest: '^29.7.0' },
+      },
+    }).unit.name,
+    'node'
+  )
+  assert.strictEqual(
+    detectTestRunners(testRunnerProjectDir, { runner: 'none' }).unit,
+    null
+  )
+  // Scripts stay free of shell quoting and command substitution, which
+  // cmd.exe does not understand
+  assert.strictEqual(
+    getTestScripts({ unit: { name: 'jest' }, minimum: 90 })['test:coverage'],
+    'jest --coverage'
+  )
+  assert.strictEqual(
+    getTestScripts({ unit: { name: 'mocha' }, minimum: 0 })['test:coverage'],
+    'c8 --reporter=text --reporter=lcov mocha'
+  )
+  assert.ok(!getTestScripts({ unit: { name: 'node' } })['test:changed'])
+  assert.deepStrictEqual(
+    getTestDevDependencies({ unit: { name: 'vitest' }, packageJson: {} }),
+    { vitest: '^2.1.3', '@vitest/coverage-v8': '^2.1.3' }
+  )
+
+  runSetup(testRunnerProjectDir, ['--no-install'])
+
+  const testRunnerPackageJson = readJson(
+    path.join(testRunnerProjectDir, 'package.json')
+  )
+  assert.deepStrictEqual(
+    {
+      test: testRunnerPackageJson.scripts.test,
+      'test:coverage': testRunnerPackageJson.scripts['test:coverage'],
+      'test:changed': testRunnerPackageJson.scripts['test:changed'],
+      'test:e2e': testRunnerPackageJson.scripts['test:e2e'],
+    },
+    {
+      test: 'vitest run',
+      'test:coverage':
+        'vitest run --coverage --coverage.reporter=text --coverage.reporter=lcov --coverage.thresholds.lines=80',
+      'test:changed': 'vitest run --changed',
+      'test:e2e': 'playwright test',
+    }
+  )
+  // The coverage provider matches the installed Vitest
+  assert.strictEqual(
+    testRunnerPackageJson.devDependencies['@vitest/coverage-v8'],
+    '^2.0.5'
+  )
+  const testRunnerWorkflow = fs.readFileSync(
+    path.join(testRunnerProjectDir, '.github/workflows/quality.yml'),
+    'utf8'
+  )
+  const testJob = testRunnerWorkflow.slice(
+    testRunnerWorkflow.indexOf('\n  test:\n')
+  )
+  assert.ok(testJob.includes('npm ci'))
+  assert.ok(testJob.includes('run: npm run test:coverage'))
+  assert.ok(
+    testJob.includes(
+      'run: npx create-quality-automation coverage --report=coverage/lcov.info'
+    )
+  )
+  assert.ok(testJob.includes('run: npx playwright install --with-deps'))
+  assert.ok(testJob.includes('run: npm run test:e2e'))
+
+  // Jest gets its coverage minimum in package.json#jest, which uninstall
+  // removes again
+  const { tempDir: jestProjectDir } = createTempProject({
+    name: 'jest-project',
+    version: '1.0.0',
+    devDependencies: { jest: '^29.7.0' },
+    jest: { testEnvironment: 'node' },
+  })
+  try {
+    runSetup(jestProjectDir, ['--no-install'])
+    const jestPackageJsonPath = path.join(jestProjectDir, 'package.json')
+    assert.deepStrictEqual(readJson(jestPackageJsonPath).jest, {
+      testEnvironment: 'node',
+      coverageThreshold: { global: { lines: 80 } },
+    })
+    runSetup(jestProjectDir, ['--uninstall'])
+    assert.deepStrictEqual(readJson(jestPackageJsonPath).jest, {
+      testEnvironment: 'node',
+    })
+
+    // A Jest config file cannot be combined with package.json#jest
+    fs.writeFileSync(
+      path.join(jestProjectDir, 'jest.config.js'),
+      'module.exports = {}\n'
+    )
+    const { getJestCoverageThreshold } = require('../lib/test-runner')
+    assert.strictEqual(
+      getJestCoverageThreshold(jestProjectDir, {
+        unit: { name: 'jest' },
+        minimum: 80,
+      }),
+      null
+    )
+  } finally {
+    cleanup(jestProjectDir)
+  }
+
+  // Without a runner, test.scaffold adds node:test and an example test
+  const { tempDir: scaffoldProjectDir } = createTempProject({
+    name: 'scaffold-project',
+    version: '1.0.0',
+  })
+  try {
+    fs.writeFileSync(
+      path.join(scaffoldProjectDir, 'quality-automation.config.json'),
+      JSON.stringify({ test: { scaffold: 'node' }, coverage: { minimum: 0 } })
+    )
+    runSetup(scaffoldProjectDir, ['--no-install'])
+    const scaffoldPackageJson = readJson(
+      path.join(scaffoldProjectDir, 'package.json')
+    )
+    assert.strictEqual(scaffoldPackageJson.scripts.test, 'node --test')
+    assert.strictEqual(
+      scaffoldPackageJson.scripts['test:coverage'],
+      'c8 --reporter=text --reporter=lcov node --test'
+    )
+    assert.strictEqual(scaffoldPackageJson.devDependencies.c8, '^10.1.2')
+    // The example passes under the generated test script
+    execSync('node --test', { cwd: scaffoldProjectDir, stdio: 'pipe' })
+    assert.ok(
+      fs.existsSync(path.join(scaffoldProjectDir, 'test/example.test.mjs'))
+    )
+  } finally {
+    cleanup(scaffoldProjectDir)
+  }
+} finally {
+  cleanup(testRunnerProjectDir)
+}
+
+// Package manager: pnpm lockfile drives scripts, CI install and audit
+const { tempDir: pnpmProjectDir } = createTempProject({
+  name: 'pnpm-project',
+  version: '1.0.0',
+})
+fs.writeFileSync(
+  path.join(pnpmProjectDir, 'pnpm-lock.yaml'),
+  "lockfileVersion: '9.0'\n"
 )
 
-console.log('✅ Input validation detection working correctly!')
+try {
+  const {
+    detectPackageManager,
+    getPackageManagerCommands,
+  } = require('../lib/package-manager')
+  assert.deepStrictEqual(detectPackageManager(pnpmProjectDir), {
+    name: 'pnpm',
+    version: null,
+    source: 'pnpm-lock.yaml',
+    berry: false,
+    lockfile: 'pnpm-lock.yaml',
+  })
+  assert.strictEqual(
+    getPackageManagerCommands({ name: 'yarn', berry: true }).audit,
+    'yarn npm audit --all --recursive --severity high'
+  )
+
+  runSetup(pnpmProjectDir)
+
+  const pnpmPackageJson = readJson(path.join(pnpmProjectDir, 'package.json'))
+  assert.strictEqual(
+    pnpmPackageJson.scripts['security:audit'],
+    'pnpm audit --audit-level high'
+  )
+  const pnpmWorkflow = fs.readFileSync(
+    path.join(pnpmProjectDir, '.github/workflows/quality.yml'),
+    'utf8'
+  )
+  assert.ok(pnpmWorkflow.includes('uses: pnpm/action-setup@v4'))
+  assert.ok(pnpmWorkflow.includes("cache: 'pnpm'"))
+  assert.ok(pnpmWorkflow.includes('pnpm install --frozen-lockfile'))
+  assert.ok(pnpmWorkflow.includes('run: pnpm audit --audit-level high'))
+  assert.ok(!pnpmWorkflow.includes('npm ci'))
+  assert.ok(
+    fs
+      .readFileSync(path.join(pnpmProjectDir, '.husky/pre-commit'), 'utf8')
+      .includes('pnpm exec lint-staged')
+  )
+} finally {
+  cleanup(pnpmProjectDir)
+}
+
+// Installation manifest: managed files and injected package.json entries
+const { tempDir: manifestProjectDir } = createTempProject({
+  name: 'manifest-project',
+  version: '1.0.0',
+  scripts: { lint: 'custom lint' },
+})
+
+try {
+  const { hashContent } = require('../lib/manifest')
+  runSetup(manifestProjectDir)
+
+  const manifestPath = expectFile(
+    manifestProjectDir,
+    '.quality-automation.json'
+  )
+  const manifest = readJson(manifestPath)
+  assert.strictEqual(
+    manifest.templateVersion,
+    readJson(path.join(templateRoot, 'package.json')).version
+  )
+  assert.deepStrictEqual(manifest.languages, ['javascript'])
+  assert.strictEqual(
+    manifest.files['.prettierrc'].hash,
+    hashContent(fs.readFileSync(path.join(templateRoot, '.prettierrc'), 'utf8'))
+  )
+  assert.ok(manifest.files['.husky/pre-commit'])
+  assert.ok(!manifest.files['package.json'])
+  assert.strictEqual(manifest.packageJson.scripts.format, 'prettier --write .')
+  assert.strictEqual(manifest.packageJson.scripts.prepare, 'husky')
+  assert.ok(!manifest.packageJson.scripts.lint)
+  assert.ok(manifest.packageJson.devDependencies.prettier)
+  assert.deepStrictEqual(manifest.packageJson.lintStaged['package.json'], [
+    'prettier --write',
+  ])
+  assert.strictEqual(manifest.packageJson.engines.node, '>=20')
+
+  // Re-running keeps the manifest stable
+  const manifestContent = fs.readFileSync(manifestPath, 'utf8')
+  runSetup(manifestProjectDir)
+  assert.strictEqual(fs.readFileSync(manifestPath, 'utf8'), manifestContent)
+} finally {
+  cleanup(manifestProjectDir)
+}
+
+// Uninstall reverts only what setup added and is still untouched
+const { tempDir: uninstallProjectDir } = createTempProject({
+  name: 'uninstall-project',
+  version: '1.0.0',
+  scripts: { prepare: 'node build.js', lint: 'custom lint' },
+  'lint-staged': { 'package.json': ['sort-package-json'] },
+})
+fs.writeFileSync(path.join(uninstallProjectDir, 'setup.cfg'), '[metadata]\n')
+
+try {
+  runSetup(uninstallProjectDir, ['--no-install'])
+
+  const workflowPath = path.join(
+    uninstallProjectDir,
+    '.github/workflows/quality.yml'
+  )
+  fs.appendFileSync(workflowPath, '# local tweak\n')
+  const pyprojectPath = path.join(uninstallProjectDir, 'pyproject.toml')
+  fs.writeFileSync(
+    pyprojectPath,
+    fs
+      .readFileSync(pyprojectPath, 'utf8')
+      .replace(
+        '[tool.black]\nline-length = 88',
+        '[tool.black]\nline-length = 100'
+      )
+  )
+  const packageJsonPath = path.join(uninstallProjectDir, 'package.json')
+  const installed = readJson(packageJsonPath)
+  installed.scripts.format = 'prettier --write src'
+  fs.writeFileSync(packageJsonPath, JSON.stringify(installed, null, 2))
+
+  const dryRunOutput = runSetupWithOutput(uninstallProjectDir, [
+    '--uninstall',
+    '--dry-run',
+  ])
+  assert.ok(dryRunOutput.includes('  - .prettierrc'))
+  assert.ok(fs.existsSync(path.join(uninstallProjectDir, '.prettierrc')))
+
+  const output = runSetupWithOutput(uninstallProjectDir, ['--uninstall'])
+  assert.ok(
+    output.includes('.github/workflows/quality.yml (modified after setup)')
+  )
+  assert.ok(
+    output.includes('package.json scripts.format (changed since setup)')
+  )
+  assert.ok(output.includes('pyproject.toml [tool.black] (edited since setup)'))
+  ;[
+    '.prettierrc',
+    '.husky',
+    '.nvmrc',
+    'eslint.config.cjs',
+    '.github/workflows/quality-python.yml',
+    '.quality-automation',
+    '.quality-automation.json',
+  ].forEach(relativePath => {
+    assert.ok(
+      !fs.existsSync(path.join(uninstallProjectDir, relativePath)),
+      `${relativePath} should be removed`
+    )
+  })
+  assert.ok(fs.existsSync(workflowPath))
+
+  const pyproject = fs.readFileSync(pyprojectPath, 'utf8')
+  assert.ok(pyproject.includes('[project]'))
+  assert.ok(pyproject.includes('line-length = 100'))
+  assert.ok(!pyproject.includes('[tool.isort]'))
+  assert.ok(!pyproject.includes('[tool.mypy]'))
+
+  const reverted = readJson(packageJsonPath)
+  assert.deepStrictEqual(reverted.scripts, {
+    prepare: 'node build.js',
+    lint: 'custom lint',
+    format: 'prettier --write src',
+  })
+  assert.strictEqual(reverted.devDependencies, undefined)
+  assert.deepStrictEqual(reverted['lint-staged'], {
+    'package.json': ['sort-package-json'],
+  })
+  assert.strictEqual(reverted.engines, undefined)
+  assert.strictEqual(reverted.volta, undefined)
+} finally {
+  cleanup(uninstallProjectDir)
+}
+
+// Programmatic API: structured results and typed errors, no console output
+const {
+  NotGitRepositoryError,
+  PackageJsonError,
+  QualityAutomationError,
+  setupQualityAutomation,
+} = require('..')
+const { tempDir: apiProjectDir } = createTempProject({
+  name: 'api-project',
+  version: '1.0.0',
+})
+const nonGitDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-template-'))
+
+try {
+  const originalLog = console.log
+  const logged = []
+  console.log = (...args) => logged.push(args.join(' '))
+  let planned
+  try {
+    planned = setupQualityAutomation(apiProjectDir, { dryRun: true })
+  } finally {
+    console.log = originalLog
+  }
+  assert.deepStrictEqual(logged, [])
+  assert.strictEqual(planned.detection.primaryLanguage, 'javascript')
+  assert.deepStrictEqual(planned.writtenFiles, [])
+  assert.ok(
+    planned.changes.some(
+      change => change.path === '.prettierrc' && change.action === 'create'
+    )
+  )
+  assert.ok(!fs.existsSync(path.join(apiProjectDir, '.prettierrc')))
+
+  const result = setupQualityAutomation(apiProjectDir)
+  assert.ok(result.writtenFiles.includes('.prettierrc'))
+  assert.ok(result.writtenFiles.includes('package.json'))
+  assert.deepStrictEqual(result.warnings, [])
+  assert.deepStrictEqual(result.manifest.languages, ['javascript'])
+
+  assert.throws(
+    () => setupQualityAutomation(nonGitDir),
+    error =>
+      error instanceof NotGitRepositoryError &&
+      error instanceof QualityAutomationError &&
+      error.code === 'ENOTGITREPO'
+  )
+
+  fs.writeFileSync(path.join(apiProjectDir, 'package.json'), '{ invalid')
+  assert.throws(
+    () => setupQualityAutomation(apiProjectDir),
+    error => error instanceof PackageJsonError && Boolean(error.hint)
+  )
+} finally {
+  cleanup(apiProjectDir)
+  cleanup(nonGitDir)
+}
+
+// Project configuration: tool toggles, versions, targets and severities
+const { ConfigError } = require('..')
+const { normalizeConfig } = require('../lib/config')
+const { tempDir: configProjectDir } = createTempProject({
+  name: 'config-project',
+  version: '1.0.0',
+})
+const writeProjectConfig = config =>
+  fs.writeFileSync(
+    path.join(configProjectDir, 'quality-automation.config.json'),
+    JSON.stringify(config)
+  )
+
+try {
+  writeProjectConfig({
+    tools: { stylelint: false },
+    versions: { eslint: '^9.20.0' },
+    node: { version: '22' },
+    security: {
+      severity: 'warn',
+      rules: {
+        'detect-object-injection': 'off',
+        'quality-automation/require-validated-input': 'off',
+      },
+    },
+  })
+  const configured = setupQualityAutomation(configProjectDir)
+  assert.strictEqual(configured.config.source, 'quality-automation.config.json')
+
+  const configuredPackageJson = readJson(
+    path.join(configProjectDir, 'package.json')
+  )
+  assert.ok(!configuredPackageJson.scripts.lint.includes('stylelint'))
+  assert.ok(!configuredPackageJson.devDependencies.stylelint)
+  assert.strictEqual(configuredPackageJson.devDependencies.eslint, '^9.20.0')
+  assert.strictEqual(configuredPackageJson.engines.node, '>=22')
+  assert.ok(!fs.existsSync(path.join(configProjectDir, '.stylelintrc.json')))
+  assert.strictEqual(
+    fs.readFileSync(path.join(configProjectDir, '.nvmrc'), 'utf8'),
+    '22\n'
+  )
+  const configuredEslint = fs.readFileSync(
+    path.join(configProjectDir, 'eslint.config.cjs'),
+    'utf8'
+  )
+  assert.ok(
+    configuredEslint.includes("'security/detect-object-injection': 'off',")
+  )
+  assert.ok(
+    configuredEslint.includes("'security/detect-unsafe-regex': 'warn',")
+  )
+  assert.ok(
+    configuredEslint.includes(
+      "'quality-automation/require-validated-input': 'off',"
+    )
+  )
+  assert.ok(
+    configuredEslint.includes(
+      "'quality-automation/no-interpolated-html': 'warn',"
+    )
+  )
+  const configuredWorkflow = fs.readFileSync(
+    path.join(configProjectDir, '.github/workflows/quality.yml'),
+    'utf8'
+  )
+  assert.ok(configuredWorkflow.includes("node-version: '22'"))
+  assert.ok(!configuredWorkflow.includes('Stylelint'))
+  assert.ok(!configuredWorkflow.includes('stylelint-results.json'))
+  assert.ok(
+    configuredWorkflow.includes(
+      'npx create-quality-automation sarif --eslint=eslint-results.json --secrets'
+    )
+  )
+  // This repo's workflow runs the CLI from source; projects get the package
+  assert.ok(
+    configuredWorkflow.includes(
+      'run: npx create-quality-automation scan-secrets\n'
+    )
+  )
+  assert.ok(!configuredWorkflow.includes('node setup.js'))
+
+  // --update follows the new configuration for untouched entries and files
+  writeProjectConfig({ tools: { husky: false } })
+  const reconfigured = setupQualityAutomation(configProjectDir, {
+    update: true,
+  })
+  const reconfiguredPackageJson = readJson(
+    path.join(configProjectDir, 'package.json')
+  )
+  assert.ok(!fs.existsSync(path.join(configProjectDir, '.husky/pre-commit')))
+  assert.ok(
+    reconfigured.reconciled.some(
+      entry => entry.path === '.husky/pre-commit' && entry.outcome === 'removed'
+    )
+  )
+  assert.strictEqual(reconfiguredPackageJson.scripts.prepare, undefined)
+  assert.strictEqual(reconfiguredPackageJson['lint-staged'], undefined)
+  assert.ok(!reconfiguredPackageJson.devDependencies.husky)
+  assert.strictEqual(reconfiguredPackageJson.devDependencies.eslint, '^9.12.0')
+  assert.ok(reconfiguredPackageJson.scripts.lint.includes('stylelint'))
+  assert.ok(fs.existsSync(path.join(configProjectDir, '.stylelintrc.json')))
+
+  writeProjectConfig({ tools: { stylelnt: false } })
+  assert.throws(
+    () => setupQualityAutomation(configProjectDir),
+    error =>
+      error instanceof ConfigError &&
+      error.code === 'ECONFIG' &&
+      error.message.includes('stylelnt')
+  )
+} finally {
+  cleanup(configProjectDir)
+}
+
+// CI provider, language override and pre-commit toggle
+const { tempDir: ciProjectDir } = createTempProject({
+  name: 'ci-project',
+  version: '1.0.0',
+})
+try {
+  fs.writeFileSync(path.join(ciProjectDir, 'requirements.txt'), 'requests\n')
+  fs.writeFileSync(
+    path.join(ciProjectDir, 'quality-automation.config.json'),
+    JSON.stringify({
+      languages: ['python'],
+      tools: { preCommit: false },
+      python: { version: '3.11' },
+      ci: 'gitlab',
+    })
+  )
+  const ciResult = setupQualityAutomation(ciProjectDir)
+  assert.deepStrictEqual(ciResult.config.languages, ['python'])
+  assert.strictEqual(ciResult.config.tools.githubActions, false)
+  assert.ok(!fs.existsSync(path.join(ciProjectDir, 'eslint.config.cjs')))
+  assert.ok(!fs.existsSync(path.join(ciProjectDir, '.github/workflows')))
+  assert.ok(!fs.existsSync(path.join(ciProjectDir, '.pre-commit-config.yaml')))
+  const gitlabCi = fs.readFileSync(
+    path.join(ciProjectDir, '.gitlab-ci.yml'),
+    'utf8'
+  )
+  assert.ok(gitlabCi.includes('image: python:3.11'))
+  assert.ok(gitlabCi.includes('ruff check .'))
+  assert.ok(!gitlabCi.includes('image: node:'))
+
+  assert.throws(
+    () =>
+      normalizeConfig(
+        { ci: 'gitlab', tools: { githubActions: true } },
+        'test-config'
+      ),
+    error =>
+      error instanceof ConfigError && error.message.includes('ci.provider')
+  )
+  assert.throws(
+    () => normalizeConfig({ coverage: { minimum: 120 } }, 'test-config'),
+    error =>
+      error instanceof ConfigError && error.message.includes('coverage.minimum')
+  )
+  assert.throws(
+    () =>
+      normalizeConfig(
+        { coverage: { directories: { '/src': 90 } } },
+        'test-config'
+      ),
+    error =>
+      error instanceof ConfigError &&
+      error.message.includes('coverage.directories["/src"]')
+  )
+  assert.throws(
+    () => normalizeConfig({ test: { runner: 'ava' } }, 'test-config'),
+    error =>
+      error instanceof ConfigError && error.message.includes('test.runner')
+  )
+  // Misspelled rule names fail here instead of in ESLint
+  assert.throws(
+    () =>
+      normalizeConfig(
+        { security: { rules: { 'detect-object-injecton': 'off' } } },
+        'test-config'
+      ),
+    error =>
+      error instanceof ConfigError &&
+      error.message.includes('security.rules["detect-object-injecton"]') &&
+      error.hint.includes('detect-object-injection')
+  )
+  assert.throws(
+    () =>
+      normalizeConfig(
+        { security: { rules: { 'quality-automation/no-html': 'off' } } },
+        'test-config'
+      ),
+    error =>
+      error instanceof ConfigError &&
+      error.hint.includes('quality-automation/ rules: no-interpolated-html')
+  )
+} finally {
+  cleanup(ciProjectDir)
+}
+
+// Node pins follow the project's own version files and engines
+const { getNodeMatrix, parseNodeRange } = require('../lib/node-version')
+assert.deepStrictEqual(parseNodeRange('>=18 <23'), {
+  minimum: 18,
+  maximum: 22,
+  exact: null,
+})
+assert.deepStrictEqual(parseNodeRange('^20.11.0 || 22.x'), {
+  minimum: 20,
+  maximum: 22,
+  exact: null,
+})
+assert.deepStrictEqual(getNodeMatrix(18, { today: new Date('2025-06-01') }), [
+  '20',
+  '22',
+])
+assert.deepStrictEqual(
+  getNodeMatrix(18, { maximum: 22, today: new Date('2026-06-01') }),
+  ['22']
+)
+
+const { tempDir: nodeProjectDir } = createTempProject({
+  name: 'node-project',
+  version: '1.0.0',
+  engines: { node: '>=22' },
+  packageManager: 'npm@10.9.0',
+})
+try {
+  fs.writeFileSync(path.join(nodeProjectDir, '.node-version'), 'v22.11.0\n')
+  const nodeResult = setupQualityAutomation(nodeProjectDir)
+  assert.strictEqual(nodeResult.detection.node.source, '.node-version')
+  assert.deepStrictEqual(nodeResult.warnings, [])
+  const nodePackageJson = readJson(path.join(nodeProjectDir, 'package.json'))
+  assert.strictEqual(nodePackageJson.engines.node, '>=22')
+  assert.deepStrictEqual(nodePackageJson.volta, {
+    node: '22.11.0',
+    npm: '10.9.0',
+  })
+  assert.strictEqual(
+    fs.readFileSync(path.join(nodeProjectDir, '.nvmrc'), 'utf8'),
+    '22.11.0\n'
+  )
+  assert.ok(
+    fs
+      .readFileSync(
+        path.join(nodeProjectDir, '.github/workflows/quality.yml'),
+        'utf8'
+      )
+      .includes("node-version: '22.11.0'")
+  )
+
+  // A version file outside engines is reported, and node.matrix tests every
+  // supported LTS line engines allows
+  fs.writeFileSync(path.join(nodeProjectDir, '.node-version'), '18\n')
+  fs.writeFileSync(
+    path.join(nodeProjectDir, 'quality-automation.config.json'),
+    JSON.stringify({ node: { matrix: true } })
+  )
+  const conflictResult = setupQualityAutomation(nodeProjectDir, {
+    update: true,
+  })
+  assert.ok(
+    conflictResult.warnings.some(warning =>
+      warning.includes('engines.node ">=22" does not allow Node 18')
+    )
+  )
+  const matrixWorkflow = fs.readFileSync(
+    path.join(nodeProjectDir, '.github/workflows/quality.yml'),
+    'utf8'
+  )
+  assert.ok(
+    matrixWorkflow.includes("node-version: '${{ matrix.node-version }}'")
+  )
+  assert.ok(matrixWorkflow.includes('node-version: ['))
+  assert.ok(
+    matrixWorkflow.includes(
+      "if: always() && matrix.node-version == '22'\n        continue-on-error"
+    )
+  )
+} finally {
+  cleanup(nodeProjectDir)
+}
+
+// An existing pyproject.toml gets the missing tool tables and keys merged in
+const { tempDir: pyprojectDir } = createTempProject({
+  name: 'pyproject-project',
+  version: '1.0.0',
+})
+try {
+  fs.unlinkSync(path.join(pyprojectDir, 'package.json'))
+  const pyprojectPath = path.join(pyprojectDir, 'pyproject.toml')
+  const originalPyproject = `[project]
+name = "demo" # keep this comment
+dependencies = [
+  "requests", # [http] extra later
+]
+
+[tool.black]
+line-length = 100
+
+[tool.ruff]
+lint.select = ["E", "F"]
+`
+  fs.writeFileSync(pyprojectPath, originalPyproject)
+  setupQualityAutomation(pyprojectDir)
+  const mergedPyproject = fs.readFileSync(pyprojectPath, 'utf8')
+  assert.ok(
+    mergedPyproject.startsWith(originalPyproject.split('[tool.black]')[0])
+  )
+  assert.ok(mergedPyproject.includes('line-length = 100\ntarget-version = ['))
+  assert.ok(!mergedPyproject.includes('line-length = 88\ninclude'))
+  assert.ok(mergedPyproject.includes('[tool.isort]\nprofile = "black"'))
+  assert.ok(mergedPyproject.includes('[tool.mypy]'))
+  assert.ok(mergedPyproject.includes('[tool.pytest.ini_options]'))
+  // lint.select already defines [tool.ruff.lint]; only its sub-table is added
+  assert.ok(!mergedPyproject.includes('[tool.ruff.lint]\n'))
+  assert.ok(mergedPyproject.includes('[tool.ruff.lint.per-file-ignores]'))
+  assert.ok(
+    mergedPyproject.includes('lint.select = ["E", "F"]\nline-length = 88')
+  )
+
+  // Running again finds nothing left to add
+  const rerun = setupQualityAutomation(pyprojectDir, { dryRun: true })
+  assert.strictEqual(fs.readFileSync(pyprojectPath, 'utf8'), mergedPyproject)
+  assert.ok(
+    rerun.changes.some(
+      change => change.path === 'pyproject.toml' && change.action === 'skip'
+    )
+  )
+
+  // The manifest records the merged tables, so uninstall can strip them
+  const pyprojectManifest = readJson(
+    path.join(pyprojectDir, '.quality-automation.json')
+  )
+  assert.ok(!pyprojectManifest.files['pyproject.toml'])
+  assert.deepStrictEqual(
+    Object.keys(pyprojectManifest.pyprojectTables).sort(),
+    [
+      'tool.isort',
+      'tool.mypy',
+      'tool.pytest.ini_options',
+      'tool.ruff.lint.per-file-ignores',
+    ]
+  )
+  fs.writeFileSync(
+    pyprojectPath,
+    mergedPyproject.replace('[tool.mypy]\n', '[tool.mypy]\nstrict = true\n')
+  )
+  const { uninstallQualityAutomation } = require('../lib/uninstall')
+  const pyprojectUninstall = uninstallQualityAutomation(pyprojectDir)
+  assert.ok(pyprojectUninstall.removed.includes('pyproject.toml [tool.isort]'))
+  assert.ok(
+    pyprojectUninstall.kept.some(
+      ({ item }) => item === 'pyproject.toml [tool.mypy]'
+    )
+  )
+  const uninstalledPyproject = fs.readFileSync(pyprojectPath, 'utf8')
+  assert.ok(
+    uninstalledPyproject.startsWith(originalPyproject.split('[tool.black]')[0])
+  )
+  assert.ok(uninstalledPyproject.includes('[tool.mypy]\nstrict = true'))
+  ;[
+    '[tool.isort]',
+    '[tool.pytest.ini_options]',
+    '[tool.ruff.lint.per-file-ignores]',
+  ].forEach(header => assert.ok(!uninstalledPyproject.includes(header)))
+} finally {
+  cleanup(pyprojectDir)
+}
+
+// Python environment managers: dev dependencies and CI follow the tool
+const { detectPythonEnvironment } = require('../lib/python-environment')
+const setupPythonProject = files => {
+  const { tempDir } = createTempProject({})
+  fs.unlinkSync(path.join(tempDir, 'package.json'))
+  Object.entries(files).forEach(([file, content]) =>
+    fs.writeFileSync(path.join(tempDir, file), content)
+  )
+  const result = setupQualityAutomation(tempDir)
+  const read = file => fs.readFileSync(path.join(tempDir, file), 'utf8')
+  return { tempDir, result, read }
+}
+
+const uvProject = setupPythonProject({
+  'pyproject.toml':
+    '[project]\nname = "uv-demo"\n\n[dependency-groups]\ndev = ["pytest>=7"]\n',
+  'uv.lock': 'version = 1\n',
+})
+try {
+  assert.strictEqual(uvProject.result.detection.pythonEnvironment.name, 'uv')
+  assert.ok(
+    !fs.existsSync(path.join(uvProject.tempDir, 'requirements-dev.txt'))
+  )
+  const uvPyproject = uvProject.read('pyproject.toml')
+  assert.ok(uvPyproject.includes('dev = ["pytest>=7", "black>=24.0.0",'))
+  assert.ok(!uvPyproject.includes('pytest>=8.0.0'))
+  const uvWorkflow = uvProject.read('.github/workflows/quality-python.yml')
+  assert.ok(uvWorkflow.includes('uses: astral-sh/setup-uv@v6'))
+  assert.ok(uvWorkflow.includes('uv sync --locked'))
+  assert.ok(uvWorkflow.includes('run: uv run ruff check .'))
+  assert.ok(
+    uvWorkflow.includes(
+      'uv run ruff check . --output-format json --output-file ruff-results.json'
+    )
+  )
+  assert.ok(
+    uvWorkflow.includes('--ruff=ruff-results.json --mypy=mypy-results.txt')
+  )
+  assert.ok(uvWorkflow.includes('uses: github/codeql-action/upload-sarif@v3'))
+  assert.ok(uvWorkflow.includes('security-events: write'))
+} finally {
+  cleanup(uvProject.tempDir)
+}
+
+const poetryProject = setupPythonProject({
+  'pyproject.toml':
+    '[tool.poetry]\nname = "poetry-demo"\n\n[tool.poetry.group.dev.dependencies]\nblack = "^23.1"\n',
+  'poetry.lock': '',
+})
+try {
+  const poetryPyproject = poetryProject.read('pyproject.toml')
+  assert.ok(poetryPyproject.includes('black = "^23.1"\nruff = ">=0.6.0"'))
+  const poetryWorkflow = poetryProject.read(
+    '.github/workflows/quality-python.yml'
+  )
+  assert.ok(poetryWorkflow.includes('run: pipx install poetry'))
+  assert.ok(poetryWorkflow.includes("cache: 'poetry'"))
+  assert.ok(poetryWorkflow.includes('run: poetry run black --check .'))
+} finally {
+  cleanup(poetryProject.tempDir)
+}
+
+const pipenvProject = setupPythonProject({
+  Pipfile: '[packages]\nrequests = "*"\n',
+})
+try {
+  assert.ok(
+    pipenvProject
+      .read('Pipfile')
+      .startsWith(
+        '[packages]\nrequests = "*"\n\n[dev-packages]\nblack = ">=24.0.0"'
+      )
+  )
+} finally {
+  cleanup(pipenvProject.tempDir)
+}
+
+const condaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-conda-'))
+try {
+  fs.writeFileSync(
+    path.join(condaDir, 'environment.yml'),
+    'name: science\ndependencies:\n  - numpy\n'
+  )
+  assert.deepStrictEqual(detectPythonEnvironment(condaDir), {
+    name: 'conda',
+    source: 'environment.yml',
+    environmentFile: 'environment.yml',
+    environmentName: 'science',
+  })
+} finally {
+  cleanup(condaDir)
+}
+
+// Python versions follow requires-python, classifiers or .python-version
+const {
+  detectPythonVersions,
+  getGitHubWorkflow,
+  parsePythonRequirement,
+} = require('../config/languages/python')
+assert.deepStrictEqual(parsePythonRequirement('>=3.10,<3.13'), {
+  minimum: '3.10',
+  maximum: '3.12',
+})
+assert.deepStrictEqual(parsePythonRequirement('^3.11'), {
+  minimum: '3.11',
+  maximum: null,
+})
+assert.deepStrictEqual(parsePythonRequirement('==3.12.*'), {
+  minimum: '3.12',
+  maximum: '3.12',
+})
+assert.strictEqual(parsePythonRequirement('>=2.7'), null)
+
+const versionedProject = setupPythonProject({
+  'pyproject.toml':
+    '[project]\nname = "versioned"\nrequires-python = ">=3.11,<3.13"\n',
+})
+try {
+  const versionedPyproject = versionedProject.read('pyproject.toml')
+  assert.ok(versionedPyproject.includes("target-version = ['py311', 'py312']"))
+  assert.ok(versionedPyproject.includes('target-version = "py311"'))
+  assert.ok(versionedPyproject.includes('python_version = "3.11"'))
+  assert.ok(
+    versionedProject
+      .read('.github/workflows/quality-python.yml')
+      .includes('python-version: ["3.11", "3.12"]')
+  )
+} finally {
+  cleanup(versionedProject.tempDir)
+}
+
+const classifiedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-pyver-'))
+try {
+  fs.writeFileSync(
+    path.join(classifiedDir, 'pyproject.toml'),
+    [
+      '[project]',
+      'classifiers = [',
+      '    "Programming Language :: Python :: 3",',
+      '    "Programming Language :: Python :: 3.12",',
+      '    "Programming Language :: Python :: 3.10",',
+      ']',
+      '',
+    ].join('\n')
+  )
+  assert.deepStrictEqual(detectPythonVersions(classifiedDir), {
+    minimum: '3.10',
+    maximum: '3.12',
+    source: 'classifiers',
+  })
+  fs.unlinkSync(path.join(classifiedDir, 'pyproject.toml'))
+  fs.writeFileSync(path.join(classifiedDir, '.python-version'), '3.13.1\n')
+  assert.deepStrictEqual(detectPythonVersions(classifiedDir), {
+    minimum: '3.13',
+    maximum: null,
+    source: '.python-version',
+  })
+} finally {
+  cleanup(classifiedDir)
+}
+
+// The CI matrix drops releases once they reach end of life
+const matrixOn = date =>
+  getGitHubWorkflow({ pythonVersion: '3.9', today: new Date(date) }).match(
+    /python-version: \[(.*)\]/
+  )[1]
+assert.strictEqual(
+  matrixOn('2025-06-01'),
+  '"3.9", "3.10", "3.11", "3.12", "3.13"'
+)
+assert.strictEqual(
+  matrixOn('2025-12-01'),
+  '"3.10", "3.11", "3.12", "3.13", "3.14"'
+)
+
+// Secrets scanner: provider rules, entropy, allowlist comments, baseline
+// and staged mode. Tokens are assembled at runtime so this file holds none.
+const { scanContent, scanSecrets } = require('../lib/secrets')
+const fakeStripeKey = ['sk', 'live', '4eC39HqLyjWDarjtT1zdp7dc'].join('_')
+const fakeGitHubToken = ['ghp', 'R8x2Lm9QvT4kZp7Wn3Yc6Hb1Jd5Fs0Ga2Eu8'].join(
+  '_'
+)
+const scanned = scanContent(
+  [
+    `const stripe = '${fakeStripeKey}'`,
+    `const token = '${fakeGitHubToken}' // scan-secrets:allow`,
+    'const password = "hunter2"',
+    `const apiKey = "${['a8F3kL9qX2', 'mP7vR4tW6y'].join('')}"`,
+    `const aws = '${['AKIA', 'IOSFODNN7EXAMPLE'].join('')}'`,
+    ['-----BEGIN OPENSSH', 'PRIVATE KEY-----'].join(' '),
+  ].join('\n'),
+  'config.js'
+)
+assert.deepStrictEqual(
+  scanned.map(({ line, rule }) => [line, rule]),
+  [
+    [1, 'stripe-secret-key'],
+    [4, 'generic-secret'],
+    [6, 'private-key'],
+  ]
+)
+assert.ok(!scanned[0].preview.includes(fakeStripeKey))
+
+const { tempDir: secretsProjectDir } = createTempProject({
+  name: 'secrets-project',
+  version: '1.0.0',
+})
+try {
+  fs.writeFileSync(
+    path.join(secretsProjectDir, 'legacy.js'),
+    `module.exports = '${fakeStripeKey}'\n`
+  )
+  const cliScan = () =>
+    execFileSync(process.execPath, [setupScript, 'scan-secrets'], {
+      cwd: secretsProjectDir,
+      encoding: 'utf8',
+    })
+  assert.throws(cliScan, error => error.status === 1)
+
+  // Accepted findings stop failing; new ones still do
+  runSetupWithOutput(secretsProjectDir, ['scan-secrets', '--update-baseline'])
+  const baseline = fs.readFileSync(
+    path.join(secretsProjectDir, '.secrets-baseline.json'),
+    'utf8'
+  )
+  assert.ok(!baseline.includes(fakeStripeKey))
+  assert.ok(cliScan().includes('1 accepted finding(s)'))
+
+  fs.writeFileSync(
+    path.join(secretsProjectDir, 'deploy.sh'),
+    `export GITHUB_TOKEN=${fakeGitHubToken}\n`
+  )
+  assert.strictEqual(
+    scanSecrets(secretsProjectDir, { staged: true }).findings.length,
+    0
+  )
+  execSync('git add deploy.sh', { cwd: secretsProjectDir })
+  const stagedScan = scanSecrets(secretsProjectDir, { staged: true })
+  assert.deepStrictEqual(
+    stagedScan.findings.map(({ file, rule }) => [file, rule]),
+    [['deploy.sh', 'github-token']]
+  )
+  assert.strictEqual(stagedScan.scannedFiles, 1)
+
+  // Staged blobs over the size limit are skipped without being read
+  fs.writeFileSync(
+    path.join(secretsProjectDir, 'bundle.js'),
+    `const key = '${fakeStripeKey}'\n${'//'.padEnd(80, '-')}\n`.repeat(
+      20 * 1024
+    )
+  )
+  execSync('git add bundle.js', { cwd: secretsProjectDir })
+  const oversizedScan = scanSecrets(secretsProjectDir, { staged: true })
+  assert.strictEqual(oversizedScan.scannedFiles, 1)
+  assert.strictEqual(oversizedScan.findings.length, 1)
+  execSync('git rm --cached -q bundle.js', { cwd: secretsProjectDir })
+  fs.unlinkSync(path.join(secretsProjectDir, 'bundle.js'))
+
+  setupQualityAutomation(secretsProjectDir)
+  const secretsPackageJson = readJson(
+    path.join(secretsProjectDir, 'package.json')
+  )
+  assert.strictEqual(
+    secretsPackageJson.scripts['security:secrets'],
+    'create-quality-automation scan-secrets'
+  )
+  assert.ok(secretsPackageJson.devDependencies['create-quality-automation'])
+  assert.ok(
+    fs
+      .readFileSync(path.join(secretsProjectDir, '.husky/pre-commit'), 'utf8')
+      .includes('npx --no -- create-quality-automation scan-secrets --staged')
+  )
+} finally {
+  cleanup(secretsProjectDir)
+}
+
+// Secrets history audit: deleted secrets are reported once, for the commit
+// that added them, and baseline entries are suppressed
+const { scanSecretsHistory, writeSecretsBaseline } = require('../lib/secrets')
+
+const runSecretsHistoryTests = async () => {
+  console.log('\n🕰️ Testing secrets history audit...')
+  const { tempDir: historyProjectDir } = createTempProject({
+    name: 'history-project',
+    version: '1.0.0',
+  })
+  const commitAll = message => {
+    execSync(`git add -A && git commit -q -m "${message}"`, {
+      cwd: historyProjectDir,
+      env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: 'Dana Dev',
+        GIT_AUTHOR_EMAIL: 'dana@example.com',
+        GIT_COMMITTER_NAME: 'Dana Dev',
+        GIT_COMMITTER_EMAIL: 'dana@example.com',
+      },
+    })
+    return execSync('git rev-parse HEAD', { cwd: historyProjectDir })
+      .toString()
+      .trim()
+  }
+  const writeFile = (file, lines) =>
+    fs.writeFileSync(
+      path.join(historyProjectDir, file),
+      `${lines.join('\n')}\n`
+    )
+  try {
+    writeFile('deploy.sh', ['#!/bin/sh', `export TOKEN=${fakeGitHubToken}`])
+    writeFile('billing.js', [
+      '// scan-secrets:allow-next-line',
+      `const key = '${fakeStripeKey}'`,
+    ])
+    const added = commitAll('Add deploy script')
+    fs.unlinkSync(path.join(historyProjectDir, 'deploy.sh'))
+    commitAll('Remove token')
+    writeFile('deploy.sh', [
+      '#!/bin/sh',
+      'echo deploy',
+      `export TOKEN=${fakeGitHubToken}`,
+    ])
+    const readded = commitAll('Restore deploy script')
+
+    const history = await scanSecretsHistory(historyProjectDir)
+    assert.strictEqual(history.commits, 3)
+    assert.deepStrictEqual(
+      history.findings.map(({ commit, author, file, line, rule }) => [
+        commit,
+        author,
+        file,
+        line,
+        rule,
+      ]),
+      [[added, 'Dana Dev <dana@example.com>', 'deploy.sh', 2, 'github-token']]
+    )
+
+    const recent = await scanSecretsHistory(historyProjectDir, {
+      range: `${readded}~1..${readded}`,
+    })
+    assert.deepStrictEqual(
+      recent.findings.map(({ commit, line }) => [commit, line]),
+      [[readded, 3]]
+    )
+
+    // Accepted history findings survive a working tree baseline update
+    writeSecretsBaseline(historyProjectDir, history)
+    const accepted = await scanSecretsHistory(historyProjectDir)
+    assert.strictEqual(accepted.findings.length, 0)
+    assert.strictEqual(accepted.accepted.length, 1)
+    writeSecretsBaseline(historyProjectDir, {
+      findings: [],
+      accepted: [],
+      scannedFiles: 0,
+    })
+    assert.strictEqual(
+      (await scanSecretsHistory(historyProjectDir)).findings.length,
+      0
+    )
+
+    await assert.rejects(
+      scanSecretsHistory(historyProjectDir, { range: 'missing..HEAD' }),
+      error => error.code === 'ESECRETSHISTORY'
+    )
+    await assert.rejects(
+      scanSecretsHistory(historyProjectDir, { range: '--output=log' }),
+      error => error.code === 'ESECRETSHISTORY'
+    )
+  } finally {
+    cleanup(historyProjectDir)
+  }
+  console.log('✅ Secrets history audit tests passed!')
+}
+
+// SARIF: tool reports and secrets merged into one log for code scanning
+const { buildSarifReport } = require('../lib/sarif')
+const sarifProjectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-sarif-'))
+try {
+  const writeReport = (file, content) =>
+    fs.writeFileSync(path.join(sarifProjectDir, file), content)
+  writeReport(
+    'eslint.json',
+    JSON.stringify([
+      {
+        filePath: path.join(sarifProjectDir, 'src/app.js'),
+        messages: [
+          {
+            ruleId: 'quality-automation/no-interpolated-html',
+            severity: 2,
+            message: 'Interpolating values into innerHTML allows XSS.',
+            line: 4,
+            column: 3,
+          },
+          { ruleId: 'no-unused-vars', severity: 1, message: 'x', line: 9 },
+        ],
+      },
+    ])
+  )
+  writeReport(
+    'stylelint.json',
+    JSON.stringify([
+      {
+        source: path.join(sarifProjectDir, 'styles/main.css'),
+        warnings: [
+          {
+            rule: 'color-no-invalid-hex',
+            severity: 'error',
+            text: 'Unexpected invalid hex color',
+            line: 2,
+            column: 10,
+          },
+        ],
+      },
+    ])
+  )
+  writeReport(
+    'ruff.json',
+    JSON.stringify([
+      {
+        code: 'F401',
+        message: '`os` imported but unused',
+        filename: path.join(sarifProjectDir, 'app/main.py'),
+        location: { row: 1, column: 8 },
+        url: 'https://docs.astral.sh/ruff/rules/unused-import',
+      },
+    ])
+  )
+  writeReport(
+    'mypy.txt',
+    [
+      'app/main.py:12:5: error: Incompatible return value type  [return-value]',
+      'app/main.py:12:5: note: See https://mypy.rtfd.io',
+      'app/util.py:3: error: Missing library stubs',
+    ].join('\n')
+  )
+  writeReport('empty.json', '')
+
+  const secrets = {
+    findings: scanContent(`const key = '${fakeStripeKey}'`, 'billing.js'),
+  }
+  const { log, missing } = buildSarifReport(sarifProjectDir, {
+    reports: {
+      eslint: 'eslint.json',
+      stylelint: 'stylelint.json',
+      ruff: 'ruff.json',
+      mypy: 'mypy.txt',
+    },
+    secrets,
+  })
+  assert.strictEqual(log.version, '2.1.0')
+  assert.deepStrictEqual(missing, [])
+  const summarize = run =>
+    run.results.map(result => {
+      const { artifactLocation, region } = result.locations[0].physicalLocation
+      return [
+        result.ruleId,
+        result.level,
+        artifactLocation.uri,
+        region.startLine,
+      ]
+    })
+  assert.deepStrictEqual(log.runs.map(summarize), [
+    [
+      ['quality-automation/no-interpolated-html', 'error', 'src/app.js', 4],
+      ['no-unused-vars', 'warning', 'src/app.js', 9],
+    ],
+    [['color-no-invalid-hex', 'error', 'styles/main.css', 2]],
+    [['F401', 'error', 'app/main.py', 1]],
+    [
+      ['return-value', 'error', 'app/main.py', 12],
+      ['mypy', 'error', 'app/util.py', 3],
+    ],
+    [['stripe-secret-key', 'error', 'billing.js', 1]],
+  ])
+  assert.strictEqual(
+    log.runs[2].tool.driver.rules[0].helpUri,
+    'https://docs.astral.sh/ruff/rules/unused-import'
+  )
+  assert.strictEqual(
+    log.runs[3].results[0].message.text,
+    'Incompatible return value type'
+  )
+  assert.ok(!JSON.stringify(log.runs[4]).includes(fakeStripeKey))
+
+  // Missing reports are skipped, empty ones give a run without results
+  const partial = buildSarifReport(sarifProjectDir, {
+    reports: { eslint: 'empty.json', stylelint: 'none.json' },
+  })
+  assert.deepStrictEqual(partial.missing, ['none.json'])
+  assert.strictEqual(partial.log.runs[0].results.length, 0)
+  writeReport('broken.json', '{')
+  assert.throws(
+    () =>
+      buildSarifReport(sarifProjectDir, { reports: { ruff: 'broken.json' } }),
+    error => error.code === 'ESARIFINPUT'
+  )
+
+  const sarifOutput = runSetupWithOutput(sarifProjectDir, [
+    'sarif',
+    '--eslint=eslint.json',
+    '--mypy=mypy.txt',
+    '--output=quality.sarif',
+  ])
+  assert.ok(sarifOutput.includes('Wrote 4 result(s) from 2 tool(s)'))
+  assert.strictEqual(
+    readJson(path.join(sarifProjectDir, 'quality.sarif')).runs.length,
+    2
+  )
+} finally {
+  cleanup(sarifProjectDir)
+}
+
+// Coverage gate: lcov and Cobertura reports against global and
+// per-directory minimums, and the committed baseline in ratchet mode
+const {
+  checkCoverage,
+  formatCoverageSummary,
+  writeCoverageBaseline,
+} = require('../lib/coverage')
+const coverageProjectDir = fs.mkdtempSync(
+  path.join(os.tmpdir(), 'qa-coverage-')
+)
+try {
+  const writeReport = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(coverageProjectDir, file)), {
+      recursive: true,
+    })
+    fs.writeFileSync(path.join(coverageProjectDir, file), content)
+  }
+  // src/core/math.js: 3 of 4 lines; src/ui/view.js: 1 of 4 lines
+  writeReport(
+    'coverage/lcov.info',
+    [
+      'TN:',
+      `SF:${path.join(coverageProjectDir, 'src/core/math.js')}`,
+      'DA:1,1',
+      'DA:2,4',
+      'DA:3,1',
+      'DA:4,0',
+      'end_of_record',
+      'SF:src/ui/view.js',
+      'DA:1,1',
+      'DA:2,0',
+      'DA:3,0',
+      'DA:4,0',
+      'end_of_record',
+    ].join('\n')
+  )
+  // coverage.py: filenames relative to an absolute <source>; method lines
+  // repeat class lines
+  fs.mkdirSync(path.join(coverageProjectDir, 'app'))
+  fs.writeFileSync(path.join(coverageProjectDir, 'app/main.py'), '')
+  writeReport(
+    'coverage.xml',
+    `<?xml version="1.0" ?>
+<coverage version="7.6.1" line-rate="0.6667">
+  <sources>
+    <source>${coverageProjectDir}</source>
+  </sources>
+  <packages>
+    <package name="app">
+      <classes>
+        <class name="main.py" filename="app/main.py" line-rate="0.6667">
+          <methods>
+            <method name="run"><lines><line number="2" hits="1"/></lines></method>
+          </methods>
+          <lines>
+            <line number="1" hits="1"/>
+            <line number="2" hits="1"/>
+            <line number="3" hits="0"/>
+          </lines>
+        </class>
+      </classes>
+    </package>
+  </packages>
+</coverage>
+`
+  )
+
+  const coverageConfig = (coverage = {}) =>
+    normalizeConfig({ coverage }, 'test-config').coverage
+  const checked = checkCoverage(coverageProjectDir, {
+    coverage: coverageConfig({ minimum: 50, directories: { 'src/ui/': 40 } }),
+  })
+  assert.deepStrictEqual(
+    checked.reports.map(report => [report.file, report.format, report.lines]),
+    [
+      ['coverage/lcov.info', 'lcov', { covered: 4, total: 8, percent: 50 }],
+      ['coverage.xml', 'cobertura', { covered: 2, total: 3, percent: 66.67 }],
+    ]
+  )
+  assert.deepStrictEqual(checked.reports[0].failures, [
+    'src/ui: lines 25% are below the minimum of 40%',
+  ])
+  // The directory has no files in the Python report, so it is not checked
+  assert.deepStrictEqual(checked.reports[1].directories, [])
+  assert.strictEqual(checked.passed, false)
+  assert.ok(
+    formatCoverageSummary(checked).includes(
+      '| `src/ui/` | 25% (1/4 lines) | 40% | – |'
+    )
+  )
+
+  // Ratchet mode fails when coverage drops below the recorded baseline
+  const ratchet = coverageConfig({ minimum: 0, ratchet: true })
+  writeCoverageBaseline(
+    coverageProjectDir,
+    checkCoverage(coverageProjectDir, { coverage: ratchet })
+  )
+  assert.strictEqual(
+    checkCoverage(coverageProjectDir, { coverage: ratchet }).passed,
+    true
+  )
+  writeReport(
+    'coverage/lcov.info',
+    ['SF:src/core/math.js', 'DA:1,1', 'DA:2,0', 'DA:3,0', 'end_of_record'].join(
+      '\n'
+    )
+  )
+  const dropped = checkCoverage(coverageProjectDir, {
+    reports: ['coverage/lcov.info', 'missing.info'],
+    coverage: ratchet,
+  })
+  assert.deepStrictEqual(dropped.reports[0].failures, [
+    'lines dropped from 50% to 33.33%',
+  ])
+  assert.deepStrictEqual(dropped.missing, ['missing.info'])
+
+  // The CLI gate reads the project configuration and writes the job summary
+  fs.writeFileSync(
+    path.join(coverageProjectDir, 'quality-automation.config.json'),
+    JSON.stringify({ coverage: { minimum: 60 } })
+  )
+  const stepSummary = path.join(coverageProjectDir, 'summary.md')
+  let gateError = null
+  try {
+    execFileSync(
+      process.execPath,
+      [
+        setupScript,
+        'coverage',
+        '--report=coverage.xml',
+        '--report=coverage/lcov.info',
+      ],
+      {
+        cwd: coverageProjectDir,
+        encoding: 'utf8',
+        env: { ...process.env, GITHUB_STEP_SUMMARY: stepSummary },
+      }
+    )
+  } catch (error) {
+    gateError = error
+  }
+  assert.strictEqual(gateError && gateError.status, 1)
+  assert.ok(
+    gateError.stdout.includes(
+      '❌ coverage/lcov.info: lines 33.33% are below the minimum of 60%'
+    )
+  )
+  assert.ok(fs.readFileSync(stepSummary, 'utf8').startsWith('### 🚫 Coverage'))
+
+  fs.rmSync(path.join(coverageProjectDir, 'coverage'), { recursive: true })
+  fs.rmSync(path.join(coverageProjectDir, 'coverage.xml'))
+  assert.throws(
+    () => checkCoverage(coverageProjectDir),
+    error => error.code === 'ECOVERAGE'
+  )
+} finally {
+  cleanup(coverageProjectDir)
+}
+
+// Doctor: drift and misconfiguration in an existing setup
+const { matchesGlob } = require('../lib/glob')
+assert.ok(matchesGlob('src/app.jsx', '**/*.{js,jsx}'))
+assert.ok(matchesGlob('app.js', '**/*.{js,jsx}'))
+assert.ok(matchesGlob('.github/workflows/quality.yml', '**/*.{yml,yaml}'))
+assert.ok(matchesGlob('lib/index.js', '!(node_modules)/**/*.js'))
+assert.ok(!matchesGlob('node_modules/x/index.js', '!(node_modules)/**/*.js'))
+assert.ok(matchesGlob('packages/web/package.json', 'package.json'))
+assert.ok(!matchesGlob('src/app.ts', 'src/*.{js,jsx}'))
+
+const { runDoctor } = require('../lib/doctor')
+const { tempDir: doctorProjectDir } = createTempProject({
+  name: 'doctor-demo',
+  version: '1.0.0',
+  scripts: {},
+})
+try {
+  fs.writeFileSync(
+    path.join(doctorProjectDir, 'index.js'),
+    'module.exports = 1\n'
+  )
+  runSetup(doctorProjectDir)
+  const fresh = runDoctor(doctorProjectDir)
+  assert.deepStrictEqual(
+    fresh.findings.filter(finding => finding.severity !== 'info'),
+    []
+  )
+
+  const doctorPackageJsonPath = path.join(doctorProjectDir, 'package.json')
+  const doctorPackageJson = readJson(doctorPackageJsonPath)
+  delete doctorPackageJson.scripts.prepare
+  doctorPackageJson.devDependencies.eslint = '^8.57.0'
+  doctorPackageJson['lint-staged']['docs/**/*.rst'] = ['prettier --write']
+  fs.writeFileSync(
+    doctorPackageJsonPath,
+    JSON.stringify(doctorPackageJson, null, 2)
+  )
+  const hookPath = path.join(doctorProjectDir, '.husky/pre-commit')
+  fs.writeFileSync(
+    hookPath,
+    `#!/bin/sh\n. "$(dirname "$0")/_/husky.sh"\n\n${fs.readFileSync(hookPath, 'utf8')}`
+  )
+  fs.chmodSync(hookPath, 0o644)
+  fs.writeFileSync(path.join(doctorProjectDir, '.eslintrc.json'), '{}\n')
+  const doctorWorkflowPath = path.join(
+    doctorProjectDir,
+    '.github/workflows/quality.yml'
+  )
+  fs.writeFileSync(
+    doctorWorkflowPath,
+    fs
+      .readFileSync(doctorWorkflowPath, 'utf8')
+      .replace('--ext .js,.jsx,.mjs,.cjs,.html', '--ext .js,.ts')
+  )
+  fs.writeFileSync(
+    path.join(doctorProjectDir, '.pre-commit-config.yaml'),
+    'repos: []\n'
+  )
+
+  const { findings, summary } = runDoctor(doctorProjectDir)
+  const byId = id => findings.find(finding => finding.id === id)
+  assert.strictEqual(byId('prepare-script').severity, 'error')
+  assert.strictEqual(byId('hook-not-executable').severity, 'error')
+  assert.ok(byId('husky-sh-sourcing'))
+  assert.strictEqual(byId('legacy-eslintrc').file, '.eslintrc.json')
+  assert.ok(byId('workflow-eslint-targets').message.includes('.js,.ts'))
+  assert.ok(
+    findings.some(
+      finding =>
+        finding.id === 'lint-staged-unmatched' &&
+        finding.message.includes('docs/**/*.rst')
+    )
+  )
+  assert.ok(byId('outdated-dev-dependency').message.startsWith('eslint '))
+  assert.strictEqual(
+    byId('python-hooks-not-installed').fix,
+    'Run "pre-commit install".'
+  )
+  assert.strictEqual(summary.error, 2)
+  assert.ok(findings.every(finding => finding.fix))
+  assert.strictEqual(findings[0].severity, 'error')
+
+  // --json prints the same result and the errors fail the command
+  let doctorExit = 0
+  let doctorOutput = ''
+  try {
+    runSetupWithOutput(doctorProjectDir, ['doctor', '--json'])
+  } catch (error) {
+    doctorExit = error.status
+    doctorOutput = error.stdout
+  }
+  assert.strictEqual(doctorExit, 1)
+  assert.deepStrictEqual(JSON.parse(doctorOutput).summary, summary)
+} finally {
+  cleanup(doctorProjectDir)
+}
+
+// Legacy ESLint configs are migrated into eslint.config.cjs
+const { parseYaml } = require('../lib/yaml')
+const { toFlatIgnore } = require('../lib/eslint-migration')
+assert.deepStrictEqual(
+  parseYaml(
+    [
+      'env:',
+      '  jest: true # tests',
+      'plugins: [react]',
+      'rules:',
+      '  quotes: [error, single]',
+      'overrides:',
+      "  - files: ['*.test.js']",
+      '    rules:',
+      '      no-console: off',
+    ].join('\n')
+  ),
+  {
+    env: { jest: true },
+    plugins: ['react'],
+    rules: { quotes: ['error', 'single'] },
+    overrides: [{ files: ['*.test.js'], rules: { 'no-console': 'off' } }],
+  }
+)
+assert.throws(() => parseYaml('rules: |\n  text'), /Unsupported YAML/)
+assert.strictEqual(toFlatIgnore('coverage'), '**/coverage/')
+assert.strictEqual(toFlatIgnore('/generated/'), 'generated/')
+assert.strictEqual(toFlatIgnore('*.min.js'), '**/*.min.js')
+assert.strictEqual(toFlatIgnore('!src/keep.js'), '!src/keep.js')
+
+const runEslintMigrationTests = async () => {
+  console.log('\n🔀 Testing legacy ESLint config migration...')
+  const { tempDir: migrationProjectDir } = createTempProject({
+    name: 'migration-demo',
+    version: '1.0.0',
+    eslintConfig: { rules: { semi: 'error' } },
+  })
+  try {
+    fs.writeFileSync(
+      path.join(migrationProjectDir, '.eslintrc.json'),
+      `{
+  // Shared settings
+  "root": true,
+  "env": { "browser": true, "mocha": true },
+  "extends": ["eslint:recommended", "airbnb-base"],
+  "globals": { "APP_VERSION": "readonly" },
+  "rules": { "no-console": ["error", { "allow": ["warn"] }] },
+  "ignorePatterns": ["*.min.js"],
+  "overrides": [
+    { "files": ["*.config.js"], "rules": { "no-console": "off" } }
+  ]
+}
+`
+    )
+    fs.writeFileSync(
+      path.join(migrationProjectDir, '.eslintignore'),
+      '# generated\nnode_modules/\ncoverage\n'
+    )
+    fs.writeFileSync(
+      path.join(migrationProjectDir, 'index.js'),
+      'module.exports = 1\n'
+    )
+    const migrationOutput = runSetupWithOutput(migrationProjectDir)
+    assert.ok(
+      migrationOutput.includes(
+        'Migrated .eslintrc.json, .eslintignore into eslint.config.cjs'
+      )
+    )
+
+    const migratedConfig = fs.readFileSync(
+      path.join(migrationProjectDir, 'eslint.config.cjs'),
+      'utf8'
+    )
+    assert.ok(
+      migratedConfig.includes('// Migrated from .eslintrc.json, .eslintignore')
+    )
+    assert.ok(
+      migratedConfig.includes("ignores: ['**/coverage/', '**/*.min.js']")
+    )
+    assert.ok(migratedConfig.includes('...globals.mocha,'))
+    assert.ok(!migratedConfig.includes('airbnb'))
+
+    // Every legacy source is archived, including the fully migrated
+    // .eslintignore, so uninstall can put them back
+    ;['.eslintrc.json', '.eslintignore'].forEach(file =>
+      assert.ok(!fs.existsSync(path.join(migrationProjectDir, file)))
+    )
+    ;['.eslintrc.json', 'eslintConfig.json', '.eslintignore'].forEach(file =>
+      assert.ok(
+        fs.existsSync(
+          path.join(
+            migrationProjectDir,
+            '.quality-automation/legacy-eslint',
+            file
+          )
+        )
+      )
+    )
+    assert.ok(
+      migrationOutput.includes('so the rest can be ported by hand'),
+      'Archive message should point at the settings left behind'
+    )
+    assert.ok(
+      !readJson(path.join(migrationProjectDir, 'package.json')).eslintConfig
+    )
+    assert.ok(
+      !Object.keys(
+        readJson(path.join(migrationProjectDir, '.quality-automation.json'))
+          .files
+      ).some(file => file.includes('legacy-eslint'))
+    )
+
+    // ESLint loads the migrated config with the legacy settings applied
+    fs.symlinkSync(
+      path.join(templateRoot, 'node_modules'),
+      path.join(migrationProjectDir, 'node_modules'),
+      'dir'
+    )
+    const { ESLint } = require('eslint')
+    const eslint = new ESLint({ cwd: migrationProjectDir })
+    const lintRuleIds = async (filePath, code) => {
+      const [result] = await eslint.lintText(code, { filePath })
+      return result.messages.map(message => message.ruleId)
+    }
+    const [appRules, configRules, coverageIgnored] = await Promise.all([
+      lintRuleIds(
+        path.join(migrationProjectDir, 'src/app.js'),
+        'console.log(APP_VERSION, describe)\n'
+      ),
+      lintRuleIds(
+        path.join(migrationProjectDir, 'webpack.config.js'),
+        'console.log(1)\n'
+      ),
+      eslint.isPathIgnored(
+        path.join(migrationProjectDir, 'coverage/report.js')
+      ),
+    ])
+    assert.deepStrictEqual(appRules, ['no-console'])
+    assert.deepStrictEqual(configRules, [])
+    assert.ok(coverageIgnored)
+  } finally {
+    cleanup(migrationProjectDir)
+  }
+
+  // A fully migrated config still comes back when setup is uninstalled
+  const legacyEslintrc = '{ "rules": { "semi": "error" } }\n'
+  const { tempDir: restoreProjectDir } = createTempProject({
+    name: 'migration-restore-demo',
+    version: '1.0.0',
+  })
+  try {
+    fs.writeFileSync(
+      path.join(restoreProjectDir, '.eslintrc.json'),
+      legacyEslintrc
+    )
+    runSetup(restoreProjectDir, ['--no-install'])
+    assert.ok(!fs.existsSync(path.join(restoreProjectDir, '.eslintrc.json')))
+    assert.ok(fs.existsSync(path.join(restoreProjectDir, 'eslint.config.cjs')))
+
+    const uninstallOutput = runSetupWithOutput(restoreProjectDir, [
+      '--uninstall',
+    ])
+    assert.ok(uninstallOutput.includes('♻️ restored:'))
+    assert.strictEqual(
+      fs.readFileSync(path.join(restoreProjectDir, '.eslintrc.json'), 'utf8'),
+      legacyEslintrc
+    )
+    assert.ok(!fs.existsSync(path.join(restoreProjectDir, 'eslint.config.cjs')))
+    assert.ok(
+      !fs.existsSync(path.join(restoreProjectDir, '.quality-automation'))
+    )
+  } finally {
+    cleanup(restoreProjectDir)
+  }
+  console.log('✅ Legacy ESLint config migration tests passed!')
+}
+
+// Hand-written flat configs spread eslint.quality-automation.cjs instead of
+// getting a second config next to them
+const { injectSharedEslintConfig } = require('../config/languages/javascript')
+assert.strictEqual(
+  injectSharedEslintConfig(
+    'eslint.config.js',
+    "const base = require('./base')\nmodule.exports = base\n"
+  ),
+  [
+    "const base = require('./base')",
+    "const qualityAutomation = require('./eslint.quality-automation.cjs')",
+    'module.exports = [...qualityAutomation].concat(base)',
+    '',
+  ].join('\n')
+)
+assert.strictEqual(
+  injectSharedEslintConfig(
+    'eslint.config.ts',
+    "import tseslint from 'typescript-eslint'\n\nexport default tseslint.config(\n  tseslint.configs.recommended\n)\n"
+  ),
+  [
+    "import tseslint from 'typescript-eslint'",
+    "import qualityAutomation from './eslint.quality-automation.cjs'",
+    '',
+    'export default tseslint.config(',
+    '  ...qualityAutomation,',
+    '  tseslint.configs.recommended',
+    ')',
+    '',
+  ].join('\n')
+)
+assert.strictEqual(
+  injectSharedEslintConfig('eslint.config.cjs', 'module.exports = {}\n'),
+  null
+)
+
+// An unedited eslint.config.cjs from a version that kept no base snapshot
+// is still managed, not wrapped like a hand-written config
+const { tempDir: preSnapshotProjectDir } = createTempProject({
+  name: 'pre-snapshot-demo',
+  version: '1.0.0',
+})
+try {
+  const preSnapshotConfig = fs
+    .readFileSync(path.join(templateRoot, 'eslint.config.cjs'), 'utf8')
+    .replace(/\n/g, '\r\n')
+  const preSnapshotPath = path.join(preSnapshotProjectDir, 'eslint.config.cjs')
+  fs.writeFileSync(preSnapshotPath, preSnapshotConfig)
+  runSetup(preSnapshotProjectDir, ['--no-install'])
+  assert.ok(
+    !fs.existsSync(
+      path.join(preSnapshotProjectDir, 'eslint.quality-automation.cjs')
+    )
+  )
+  assert.strictEqual(
+    fs.readFileSync(preSnapshotPath, 'utf8'),
+    preSnapshotConfig
+  )
+  assert.strictEqual(
+    fs.readFileSync(
+      path.join(
+        preSnapshotProjectDir,
+        '.quality-automation/base/eslint.config.cjs'
+      ),
+      'utf8'
+    ),
+    preSnapshotConfig
+  )
+} finally {
+  cleanup(preSnapshotProjectDir)
+}
+
+const runExistingFlatConfigTests = async () => {
+  console.log('\n🧩 Testing existing flat ESLint configs...')
+  const userConfig = `import js from '@eslint/js'
+
+export default [
+  js.configs.recommended,
+  { rules: { semi: ['error', 'always'] } },
+]
+`
+  const { tempDir: flatProjectDir } = createTempProject({
+    name: 'flat-config-demo',
+    version: '1.0.0',
+  })
+  const userConfigPath = path.join(flatProjectDir, 'eslint.config.mjs')
+  try {
+    fs.writeFileSync(userConfigPath, userConfig)
+    runSetup(flatProjectDir, ['--no-install'])
+
+    assert.ok(!fs.existsSync(path.join(flatProjectDir, 'eslint.config.cjs')))
+    expectFile(flatProjectDir, 'eslint.quality-automation.cjs')
+    const injectedConfig = fs.readFileSync(userConfigPath, 'utf8')
+    assert.ok(
+      injectedConfig.includes(
+        "import qualityAutomation from './eslint.quality-automation.cjs'"
+      )
+    )
+    assert.ok(injectedConfig.includes("semi: ['error', 'always']"))
+
+    runSetup(flatProjectDir, ['--no-install'])
+    assert.strictEqual(fs.readFileSync(userConfigPath, 'utf8'), injectedConfig)
+
+    // Both the hand-written and the template rules apply
+    fs.symlinkSync(
+      path.join(templateRoot, 'node_modules'),
+      path.join(flatProjectDir, 'node_modules'),
+      'dir'
+    )
+    const { ESLint } = require('eslint')
+    const [result] = await new ESLint({ cwd: flatProjectDir }).lintText(
+      'eval(code)\n',
+      { filePath: path.join(flatProjectDir, 'src/app.js') }
+    )
+    const ruleIds = result.messages.map(message => message.ruleId)
+    assert.ok(ruleIds.includes('semi'))
+    assert.ok(ruleIds.includes('no-eval'))
+    assert.ok(ruleIds.includes('security/detect-eval-with-expression'))
+
+    runSetup(flatProjectDir, ['--uninstall'])
+    assert.strictEqual(fs.readFileSync(userConfigPath, 'utf8'), userConfig)
+    assert.ok(
+      !fs.existsSync(path.join(flatProjectDir, 'eslint.quality-automation.cjs'))
+    )
+  } finally {
+    cleanup(flatProjectDir)
+  }
+
+  // A TypeScript project's own eslint.config.cjs keeps its rules
+  const { tempDir: tsFlatProjectDir } = createTempProject({
+    name: 'flat-config-ts',
+    version: '1.0.0',
+    devDependencies: { typescript: '^5.4.0' },
+  })
+  try {
+    fs.writeFileSync(path.join(tsFlatProjectDir, 'tsconfig.json'), '{}\n')
+    fs.writeFileSync(
+      path.join(tsFlatProjectDir, 'eslint.config.cjs'),
+      "module.exports = [{ rules: { 'no-var': 'error' } }]\n"
+    )
+    runSetup(tsFlatProjectDir, ['--no-install'])
+    assert.strictEqual(
+      fs.readFileSync(path.join(tsFlatProjectDir, 'eslint.config.cjs'), 'utf8'),
+      [
+        "const qualityAutomation = require('./eslint.quality-automation.cjs')",
+        "module.exports = [...qualityAutomation, { rules: { 'no-var': 'error' } }]",
+        '',
+      ].join('\n')
+    )
+    assert.ok(
+      fs
+        .readFileSync(
+          path.join(tsFlatProjectDir, 'eslint.quality-automation.cjs'),
+          'utf8'
+        )
+        .includes("files: ['**/*.{ts,tsx}']")
+    )
+  } finally {
+    cleanup(tsFlatProjectDir)
+  }
+  console.log('✅ Existing flat ESLint config tests passed!')
+}
+
+// Security pattern tests: the XSS and injection rules of the bundled ESLint
+// plugin, with true and false positives for each
+console.log('\n🔒 Testing security patterns...')
+const { Linter, RuleTester } = require('eslint')
+const qualityAutomationPlugin = require('../lib/eslint-plugin')
+
+const ruleTester = new RuleTester({
+  languageOptions: { ecmaVersion: 2022, sourceType: 'module' },
+})
+const runRule = (rule, cases) =>
+  ruleTester.run(rule, qualityAutomationPlugin.rules[rule], cases)
+
+runRule('no-interpolated-html', {
+  valid: [
+    "el.innerHTML = '<b>static</b>'",
+    'el.innerHTML = `<b>static</b>`',
+    'el.textContent = `Hello ${name}`',
+    'el.innerHTML = html`<b>${name}</b>`',
+    '// el.innerHTML = `${name}`\nel.textContent = name',
+    "el.insertAdjacentHTML('beforeend', '<hr>')",
+  ],
+  invalid: [
+    'el.innerHTML = `<b>${name}</b>`',
+    "el.outerHTML = '<b>' + name + '</b>'",
+    'el.innerHTML += `<li>${item}</li>`',
+    'el.innerHTML =\n  `<div>\n    ${user.bio}\n  </div>`',
+    "el['innerHTML'] = ok ? `<b>${name}</b>` : ''",
+    "el.insertAdjacentHTML('beforeend', `<li>${item}</li>`)",
+  ].map(code => ({ code, errors: [{ messageId: 'interpolated' }] })),
+})
+
+runRule('no-interpolated-eval', {
+  valid: [
+    "eval('1 + 1')",
+    'setTimeout(() => run(id), 100)',
+    "setTimeout('tick()', 100)",
+    'const label = `eval(${x})`',
+    "new Function('a', 'return a')",
+  ],
+  invalid: [
+    'eval(`run(${input})`)',
+    "window.eval('run(' + input + ')')",
+    'setTimeout(`update(${id})`, 100)',
+    "new Function('a', `return a + ${offset}`)",
+    'Function(`return ${body}`)()',
+  ].map(code => ({ code, errors: [{ messageId: 'interpolated' }] })),
+})
+
+runRule('no-interpolated-document-write', {
+  valid: [
+    "document.write('<p>static</p>')",
+    'logger.write(`line ${n}`)',
+    'stream.write(`${chunk}`)',
+  ],
+  invalid: [
+    'document.write(`<p>${message}</p>`)',
+    "document.writeln('<p>' + message + '</p>')",
+  ].map(code => ({ code, errors: [{ messageId: 'interpolated' }] })),
+})
+
+runRule('no-interpolated-event-handler', {
+  valid: [
+    '`<button class="${cls}">Go</button>`',
+    '`<button onclick="go()">${label}</button>`',
+    "button.addEventListener('click', () => go(id))",
+    'button.onclick = () => go(id)',
+    "button.setAttribute('title', `Go ${id}`)",
+    'const note = `call onclick=handler for ${name}`.length',
+  ],
+  invalid: [
+    { code: '`<button onclick="go(${id})">Go</button>`', messageId: 'markup' },
+    {
+      code: "'<a onmouseover=\\'show(' + id + ')\\'>x</a>'",
+      messageId: 'markup',
+    },
+    { code: '`<img src=x onerror=${payload}>`', messageId: 'markup' },
+    { code: "button.onclick = 'go(' + id + ')'", messageId: 'handler' },
+    {
+      code: "button.setAttribute('onclick', `go(${id})`)",
+      messageId: 'handler',
+    },
+  ].map(({ code, messageId }) => ({ code, errors: [{ messageId }] })),
+})
+
+runRule('require-validated-input', {
+  valid: [
+    'const id = req.params.id.trim()',
+    'const count = Number.isNaN(parseInt(req.body.count)) ? 0 : parseInt(req.body.count)',
+    'if (typeof req.query.page === "string") {}',
+    'const page = Number(req.query.page)',
+    'const body = schema.parse(req.body)',
+    'const result = schema.safeParse(req.query)',
+    'const value = query.params.id',
+    'const { id } = query.params',
+    {
+      code: 'const email = validator.normalizeEmail(req.body.email)',
+      options: [{ sanitizers: ['validator.normalizeEmail'] }],
+    },
+  ],
+  invalid: [
+    'const userInput = req.query.input',
+    'db.find({ id: req.params.id })',
+    "res.send('Hello ' + request.body['name'])",
+    'const name = req.query.name.slice(0, 10)',
+    // String() turns anything into a string; it checks nothing
+    'const id = String(req.params.id)',
+    'const { id } = req.params',
+    'handler(req.body)',
+    'await User.create(request.body)',
+  ]
+    .map(code => ({ code, errors: [{ messageId: 'unvalidated' }] }))
+    .concat({
+      code: "const { name, 'page-size': size, ...rest } = req.query",
+      errors: [
+        { messageId: 'unvalidated', data: { input: 'req.query.name' } },
+        { messageId: 'unvalidated', data: { input: 'req.query.page-size' } },
+        { messageId: 'unvalidated', data: { input: 'req.query' } },
+      ],
+    }),
+})
+
+// The template's own sources pass the rules
+const linter = new Linter()
+const lintWithPlugin = filePath =>
+  linter.verify(fs.readFileSync(filePath, 'utf8'), [
+    {
+      ...qualityAutomationPlugin.configs.recommended,
+      languageOptions: { ecmaVersion: 2022, sourceType: 'commonjs' },
+    },
+  ])
+;[
+  setupScript,
+  path.join(templateRoot, 'eslint.config.cjs'),
+  path.join(templateRoot, 'eslint.config.ts.cjs'),
+  path.join(templateRoot, 'config/defaults.js'),
+  path.join(templateRoot, 'lib/setup.js'),
+  path.join(templateRoot, 'lib/config.js'),
+].forEach(file => {
+  const violations = lintWithPlugin(file)
+  assert.strictEqual(
+    violations.length,
+    0,
+    `${path.relative(templateRoot, file)} should not contain security violations: ${JSON.stringify(violations)}`
+  )
+})
+
+// Test that security rules are properly configured
+const jsEslintConfig = fs.readFileSync(
+  path.join(templateRoot, 'eslint.config.cjs'),
+  'utf8'
+)
+assert.ok(
+  jsEslintConfig.includes('eslint-plugin-security'),
+  'JavaScript ESLint config should include security plugin'
+)
+assert.ok(
+  jsEslintConfig.includes('security/detect-eval-with-expression'),
+  'JavaScript ESLint config should include eval detection'
+)
+assert.ok(
+  jsEslintConfig.includes("require('create-quality-automation/eslint-plugin')"),
+  'JavaScript ESLint config should include the XSS/injection plugin'
+)
+
+const tsEslintConfig = fs.readFileSync(
+  path.join(templateRoot, 'eslint.config.ts.cjs'),
+  'utf8'
+)
+assert.ok(
+  tsEslintConfig.includes('eslint-plugin-security'),
+  'TypeScript ESLint config should include security plugin'
+)
+assert.ok(
+  tsEslintConfig.includes('quality-automation/no-interpolated-html'),
+  'TypeScript ESLint config should include the XSS/injection rules'
+)
+
+// Test that GitHub Actions includes security checks; the XSS checks run in
+// the ESLint step
+const workflowContent = fs.readFileSync(
+  path.join(templateRoot, '.github/workflows/quality.yml'),
+  'utf8'
+)
+assert.ok(
+  workflowContent.includes('Security audit'),
+  'Workflow should include security audit step'
+)
+assert.ok(
+  workflowContent.includes('hardcoded secrets'),
+  'Workflow should include secrets detection'
+)
+assert.ok(
+  !workflowContent.includes('grep -r'),
+  'Workflow should not grep for XSS patterns'
+)
+
+// tools.security: false leaves eslint-plugin-security out of the config,
+// not just out of devDependencies
+const { tempDir: noSecurityProjectDir } = createTempProject({
+  name: 'no-security-project',
+  version: '1.0.0',
+  qualityAutomation: {
+    tools: { security: false },
+    security: { rules: { 'detect-object-injection': 'off' } },
+  },
+})
+try {
+  setupQualityAutomation(noSecurityProjectDir)
+  const noSecurityEslint = fs.readFileSync(
+    path.join(noSecurityProjectDir, 'eslint.config.cjs'),
+    'utf8'
+  )
+  assert.ok(!noSecurityEslint.includes('eslint-plugin-security'))
+  assert.ok(!noSecurityEslint.includes('securityRules'))
+  assert.ok(!noSecurityEslint.includes("'security/"))
+  assert.ok(
+    noSecurityEslint.includes("'quality-automation/no-interpolated-html'")
+  )
+  assert.ok(
+    !readJson(path.join(noSecurityProjectDir, 'package.json')).devDependencies[
+      'eslint-plugin-security'
+    ]
+  )
+} finally {
+  cleanup(noSecurityProjectDir)
+}
+
+console.log('✅ All security pattern tests passed!')
+
+// Setup wizard: scripted answers are saved and replayed by --update
+const { Readable, Writable } = require('stream')
+const { runSetupWizard, shouldRunWizard } = require('../lib/wizard')
+
+const runWizardTests = async () => {
+  console.log('\n🧙 Testing setup wizard...')
+  const tty = { isTTY: true }
+  assert.ok(shouldRunWizard({ argv: [], env: {}, input: tty, output: tty }))
+  assert.ok(
+    !shouldRunWizard({ argv: ['--yes'], env: {}, input: tty, output: tty })
+  )
+  assert.ok(
+    !shouldRunWizard({ argv: [], env: { CI: 'true' }, input: tty, output: tty })
+  )
+  assert.ok(!shouldRunWizard({ argv: [], env: {}, input: {}, output: tty }))
+
+  const { tempDir: wizardProjectDir } = createTempProject({
+    name: 'wizard-project',
+    version: '1.0.0',
+  })
+  try {
+    let transcript = ''
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        transcript += chunk
+        callback()
+      },
+    })
+    // languages, prettier, eslint, security, stylelint, husky (asked twice),
+    // node, ci, install
+    const answers = ['', '', '', 'n', 'no', 'maybe', '', '22', 'gitlab', 'n']
+    const { settings, install } = await runSetupWizard(wizardProjectDir, {
+      input: Readable.from([`${answers.join('\n')}\n`]),
+      output,
+    })
+    assert.ok(transcript.includes('javascript (package.json)'))
+    assert.ok(transcript.includes('Please answer y or n.'))
+    assert.strictEqual(install, false)
+    assert.deepStrictEqual(settings, {
+      languages: ['javascript'],
+      tools: {
+        prettier: true,
+        eslint: true,
+        security: false,
+        stylelint: false,
+        husky: true,
+      },
+      node: { version: '22' },
+      ci: { provider: 'gitlab' },
+    })
+
+    const wizardResult = setupQualityAutomation(wizardProjectDir, { settings })
+    assert.strictEqual(
+      wizardResult.config.source,
+      'quality-automation.config.json'
+    )
+    assert.ok(fs.existsSync(path.join(wizardProjectDir, '.gitlab-ci.yml')))
+    assert.ok(
+      !fs.existsSync(
+        path.join(wizardProjectDir, '.github/workflows/quality.yml')
+      )
+    )
+    const savedConfig = readJson(
+      path.join(wizardProjectDir, 'quality-automation.config.json')
+    )
+    assert.deepStrictEqual(savedConfig, settings)
+
+    // --update replays the saved answers
+    setupQualityAutomation(wizardProjectDir, { update: true })
+    const wizardPackageJson = readJson(
+      path.join(wizardProjectDir, 'package.json')
+    )
+    assert.ok(!wizardPackageJson.devDependencies.stylelint)
+    assert.ok(!wizardPackageJson.devDependencies['eslint-plugin-security'])
+    assert.strictEqual(wizardPackageJson.engines.node, '>=22')
+  } finally {
+    cleanup(wizardProjectDir)
+  }
+  console.log('✅ Setup wizard tests passed!')
+}
+
+runSecretsHistoryTests()
+  .then(runEslintMigrationTests)
+  .then(runExistingFlatConfigTests)
+  .then(runWizardTests)
+  .catch(error => {
+    console.error(error)
+    process.exit(1)
+  })